@@ -4,9 +4,77 @@ import { exportNotationPdf } from "./utils/exportNotationPdf";
 import { exportNotationPng } from "./utils/exportNotationPng";
 import { exportArrangementPdf } from "./utils/exportArrangementPdf";
 import { exportArrangementMidi, exportDrumMidi } from "./utils/exportMidi";
+import { normalizeMidiExportSettings, resolveMidiExportNoteMap } from "./utils/midiExportMapping";
+import { MIDI_IMPORT_MAPPING_PRESETS, MIDI_IMPORT_MAPPING_PRESET_BY_ID } from "./utils/midiMappingPresets";
+import { exportMusicXml } from "./utils/exportMusicXml";
+import { downloadWav } from "./utils/exportWav";
 import { importDrumMidi } from "./utils/importMidi";
+import { importDrumMusicXml } from "./utils/importMusicXml";
+import { buildDrumTab, looksLikeDrumTab, normalizeDrumTabAliases, parseDrumTab } from "./utils/drumTab";
 import { trackClientEvent } from "./utils/trackStats";
+import { getSwingOffsetQuarters, isSwingActive, normalizeSwing } from "./utils/swing";
+import {
+  buildMetronomeClickHit,
+  getMetronomeBarClicks,
+  getMetronomeClicksInStep,
+  isDefaultMetronomeSettings,
+  normalizeMetronomeSettings,
+} from "./audio/metronome";
+import { normalizeSpeedTrainer } from "./utils/speedTrainer";
+import { normalizeGapClick } from "./utils/gapClick";
+import {
+  GRACE_NOTE_CELL_CODES,
+  GRACE_NOTE_INSTRUMENT_IDS,
+  getGraceNoteStateForCode,
+  isGraceNoteState,
+} from "./utils/graceNotes";
+import {
+  ROLL_CELL_CODES,
+  ROLL_INSTRUMENT_IDS,
+  ROLL_LABELS,
+  ROLL_SHORT_LABELS,
+  getNextRollState,
+  getRollStateForCode,
+  getRollTiming,
+  isRollState,
+} from "./utils/rolls";
+import {
+  DYNAMIC_LEVELS,
+  HAIRPIN_LABELS,
+  HAIRPIN_TYPES,
+  getDynamicScaleByStep,
+  normalizeDynamics,
+  normalizeHairpins,
+  offsetDynamics,
+  remapDynamicsBySubdivisions,
+  sliceDynamicsBySteps,
+} from "./utils/dynamics";
+import {
+  buildNavigationMarksByBar,
+  normalizeRowNavigation,
+  resolveArrangementRowOrder,
+} from "./utils/arrangementNavigation";
+import {
+  ARRANGEMENT_ROW_TYPE_SHORT_LABELS,
+  buildRowTypeBarStyles,
+  isClickOnlyRowType,
+  isWrittenBeatRowType,
+  normalizeArrangementRowType,
+} from "./utils/arrangementRowTypes";
+import { normalizeMeasureRepeatMode } from "./utils/measureRepeats";
+import {
+  COUNTING_STYLE_LABELS,
+  COUNTING_STYLE_SHORT_LABELS,
+  COUNTING_STYLES,
+  normalizeCountingStyle,
+  normalizeRowCountingStyle,
+} from "./utils/countingSyllables";
+import { buildDrumKeySvg, collectDrumKeyUsage } from "./utils/drumKey";
+import { FOOT_INSTRUMENTS, isDefaultNotationMap, normalizeNotationMap } from "./utils/notationMap";
 import useKitEditorState from "./hooks/useKitEditorState";
+import useSoundKits from "./hooks/useSoundKits";
+import useMidiOutput from "./hooks/useMidiOutput";
+import useMidiInput from "./hooks/useMidiInput";
 import ArrangementDeleteDialog from "./components/ArrangementDeleteDialog";
 import ArrangementDetailsHeader from "./components/ArrangementDetailsHeader";
 import ArrangementDetailsPane from "./components/ArrangementDetailsPane";
@@ -37,6 +105,8 @@ import FeedbackPanel from "./components/FeedbackPanel";
 import KitEditorDialog from "./components/KitEditorDialog";
 import { PresetChangeConfirmDialog } from "./components/KitPresetDialogs";
 import LegalDialog from "./components/LegalDialog";
+import MixerDialog from "./components/MixerDialog";
+import NotationMapDialog from "./components/NotationMapDialog";
 import GridSettingsPresetSourceList from "./components/GridSettingsPresetSourceList";
 import Grid from "./components/Grid";
 import LocalBeatSourceList from "./components/LocalBeatSourceList";
@@ -44,11 +114,14 @@ import LocalArrangementFooter from "./components/LocalArrangementFooter";
 import LocalArrangementRows from "./components/LocalArrangementRows";
 import {
   ArrangementPrintDialog,
+  AudioExportDialog,
   BeatPrintDialog,
   MidiExportDialog,
   NotationPngExportDialog,
 } from "./components/ExportDialogs";
 import MidiImportMappingDialog from "./components/MidiImportMappingDialog";
+import MusicXmlImportMappingDialog from "./components/MusicXmlImportMappingDialog";
+import DrumTabDialog from "./components/DrumTabDialog";
 import MidiImportSettingsDialog from "./components/MidiImportSettingsDialog";
 import Notation from "./components/Notation";
 import PersonalCloudImportDialog from "./components/PersonalCloudImportDialog";
@@ -101,6 +174,18 @@ import {
 } from "./services/cloudLibrary";
 import QRCode from "qrcode";
 import { usePlayback } from "./audio/usePlayback";
+import { SAMPLE_MAP } from "./audio/sampleMap";
+import { normalizeMixerSettings, updateMixerChannel } from "./audio/mixer";
+import { buildGridRenderEvents, renderEventsToAudioBuffer, repeatRenderEvents } from "./audio/offlineRender";
+import {
+  DEFAULT_BACKING_TRACK_GAIN,
+  buildArrangementBackingTrackSegments,
+  getBackingTrackSegmentsFrom,
+  normalizeBackingTrackLink,
+  normalizeBackingTrackStartSec,
+  stripBackingTrackLinks,
+} from "./audio/backingTrack";
+import { saveBackingTrackFile } from "./audio/backingTrackStore";
 import * as Vex from "vexflow";
 import customSmuflFont from "./fonts/customSmuflFont.json";
 import { DndContext, DragOverlay, PointerSensor, closestCenter, pointerWithin, useSensor, useSensors } from "@dnd-kit/core";
@@ -157,6 +242,12 @@ const SHORTCUTS = [
     description: "Redo the previously undone change.",
     defaultBinding: "Mod+Shift+Z",
   },
+  {
+    id: "cycle_roll",
+    command: "Cycle roll",
+    description: "Cycle buzz and tremolo rolls on the selected snare and tom notes, or on the hovered note.",
+    defaultBinding: "T",
+  },
   {
     id: "loop_all_toggle",
     command: "Toggle looping all",
@@ -215,6 +306,18 @@ function isMidiLikeFile(file) {
   );
 }
 
+function isMusicXmlLikeFile(file) {
+  if (!file) return false;
+  const fileName = String(file?.name || "").toLowerCase();
+  const fileType = String(file?.type || "").toLowerCase();
+  return (
+    fileName.endsWith(".musicxml") ||
+    fileName.endsWith(".xml") ||
+    fileName.endsWith(".mxl") ||
+    fileType.includes("musicxml")
+  );
+}
+
 function formatTimingShiftLabel(sixteenths) {
   const value = Math.max(-15, Math.min(15, Math.round(Number(sixteenths) || 0)));
   if (value === 0) return "Off";
@@ -426,6 +529,10 @@ const PRESET_LABELS = {
   ksh: "Minimal",
 };
 const USER_PRESETS_STORAGE_KEY = "drum-grid-user-presets-v1";
+const MIXER_BY_PRESET_STORAGE_KEY = "drum-grid-mixer-by-preset-v1";
+const NOTATION_MAP_BY_PRESET_STORAGE_KEY = "drum-grid-notation-map-by-preset-v1";
+const DRUM_TAB_ALIASES_STORAGE_KEY = "drum-grid-drum-tab-aliases-v1";
+const MIDI_EXPORT_SETTINGS_STORAGE_KEY = "drum-grid-midi-export-settings-v1";
 const LOCAL_BEAT_LIBRARY_STORAGE_KEY = "drum-grid-local-beat-library-v1";
 const DEVICE_LOCAL_BEAT_LIBRARY_SNAPSHOT_STORAGE_KEY =
   "drum-grid-device-local-beat-library-snapshot-v1";
@@ -442,6 +549,10 @@ const METRONOME_VOLUME_STORAGE_KEY = "drum-grid-metronome-volume-v1";
 const DEFAULT_METRONOME_VOLUME_STORAGE_KEY = "drum-grid-default-metronome-volume-v1";
 const DEFAULT_METRONOME_VOLUME = 0.5;
 const METRONOME_COUNT_IN_ENABLED_STORAGE_KEY = "drum-grid-metronome-count-in-enabled-v1";
+const SPEED_TRAINER_STORAGE_KEY = "drum-grid-speed-trainer-v1";
+const GAP_CLICK_STORAGE_KEY = "drum-grid-gap-click-v1";
+// { [arrangementId | "draft"]: backing-track link }
+const ARRANGEMENT_BACKING_TRACKS_STORAGE_KEY = "drum-grid-arrangement-backing-tracks-v1";
 const MIDI_IMPORT_SNARE_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-snare-ghost-max-v1";
 const MIDI_IMPORT_TOM_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-tom-ghost-max-v1";
 const MIDI_IMPORT_HIHAT_GHOST_MAX_STORAGE_KEY = "drum-grid-midi-import-hihat-ghost-max-v1";
@@ -520,9 +631,38 @@ const CELL = {
   ON: "on",
   GHOST: "ghost",
   ACCENT: "accent",
+  FLAM: "flam",
+  DRAG: "drag",
+  RUFF: "ruff",
+  BUZZ: "buzz",
+  TREMOLO8: "tremolo8",
+  TREMOLO16: "tremolo16",
+  TREMOLO32: "tremolo32",
 };
 
 const CELL_CYCLE = [CELL.OFF, CELL.ON];
+
+// Beat payloads store hits as [step, code] pairs.
+function getCellForPayloadCode(code) {
+  const n = Number(code);
+  return (
+    getGraceNoteStateForCode(n) ||
+    getRollStateForCode(n) ||
+    (n === 3 ? CELL.ACCENT : n === 2 ? CELL.GHOST : n === 1 ? CELL.ON : CELL.OFF)
+  );
+}
+
+function getPayloadCodeForCell(cell) {
+  if (isGraceNoteState(cell)) return GRACE_NOTE_CELL_CODES[cell];
+  if (isRollState(cell)) return ROLL_CELL_CODES[cell];
+  return cell === CELL.ACCENT ? 3 : cell === CELL.GHOST ? 2 : cell === CELL.ON ? 1 : 0;
+}
+
+// Stored code of a payload grid entry, keeping grace-note and roll codes;
+// unknown codes count as a plain hit.
+function normalizePayloadCellCode(code) {
+  return getPayloadCodeForCell(getCellForPayloadCode(Math.round(Number(code) || 1))) || 1;
+}
 const MOVE_OVERLAP_MODES = [
   { id: "all-to-all", label: "All overwrites" },
   { id: "active-to-all", label: "Hits overwrite" },
@@ -555,153 +695,6 @@ const LOOP_REPEATS_ORDER = ["all", "off", "1", "2", "3", "4", "5", "6", "7", "8"
 const BEAT_LIBRARY_CONTAINER_TYPES = [
   { id: "folder", label: "Folder" },
 ];
-const MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS = {
-  21: "splash",
-  22: "hihat",
-  23: "hihat",
-  24: "hihat",
-  25: "hihatOpen",
-  26: "hihatOpen",
-  27: "crash1",
-  28: "crash2",
-  29: "ride",
-  30: "rideBell",
-  31: "sideStick",
-  32: "snare",
-  33: "kick",
-  34: "kick",
-  39: "snare",
-  54: "hihatOpen",
-  58: "crash2",
-};
-const MIDI_IMPORT_MAPPING_PRESETS = [
-  { id: "manual", label: "Manual", assignments: {} },
-  {
-    id: "expanded-gm",
-    label: "Expanded GM",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      24: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-    },
-  },
-  {
-    id: "ezdrummer",
-    label: "EZdrummer",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "sideStick",
-      24: "hihatOpen",
-      25: "hihatOpen",
-      26: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-      54: "hihatOpen",
-    },
-  },
-  {
-    id: "common-edrums",
-    label: "Common e-drums",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-    },
-  },
-  {
-    id: "superior-drummer",
-    label: "Superior Drummer",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "sideStick",
-      24: "hihatOpen",
-      25: "hihatOpen",
-      26: "hihatOpen",
-      47: "tom2",
-      60: "hihatOpen",
-      62: "hihat",
-      63: "hihat",
-    },
-  },
-  {
-    id: "addictive-drums-2",
-    label: "Addictive Drums 2",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "hihatFoot",
-      24: "hihat",
-      25: "hihatOpen",
-      26: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-      54: "hihat",
-    },
-  },
-  {
-    id: "steven-slate-drums",
-    label: "Steven Slate Drums",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "sideStick",
-      24: "hihat",
-      25: "hihatOpen",
-      26: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-      54: "hihatOpen",
-    },
-  },
-  {
-    id: "bfd3",
-    label: "BFD3",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      24: "kick",
-      25: "sideStick",
-      26: "snare",
-      27: "floorTom",
-      28: "hihatFoot",
-      29: "hihatOpen",
-      30: "tom2",
-      31: "hihat",
-      32: "tom1",
-      33: "china",
-      34: "rideBell",
-      35: "splash",
-      39: "ride",
-      57: "crash2",
-      58: "crash2",
-    },
-  },
-  {
-    id: "getgood-drums",
-    label: "GetGood Drums",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "sideStick",
-      24: "hihatOpen",
-      25: "hihatOpen",
-      26: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-      54: "hihatOpen",
-    },
-  },
-  {
-    id: "mt-power-drum-kit-2",
-    label: "MT Power Drum Kit 2",
-    assignments: {
-      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
-      21: "hihatFoot",
-      24: "hihat",
-      25: "hihatOpen",
-      31: "sideStick",
-      39: "snare",
-    },
-  },
-];
-const MIDI_IMPORT_MAPPING_PRESET_BY_ID = Object.fromEntries(
-  MIDI_IMPORT_MAPPING_PRESETS.map((preset) => [preset.id, preset])
-);
 
 const TUPLET_OPTIONS = [null, 3, 5, 6, 7, 9];
 const QUARTER_SUBDIVISION_LABELS = {
@@ -930,6 +923,8 @@ function normalizeArrangementItems(items) {
       notationBarsPerRowCustom: Boolean(item?.notationBarsPerRowCustom),
       notationBarsPerRowOverride: normalizeBarsPerRowOverride(item?.notationBarsPerRowOverride),
       notationSpacingPreset: normalizeSpacingPreset(item?.notationSpacingPreset),
+      notationMeasureRepeats: normalizeMeasureRepeatMode(item?.notationMeasureRepeats),
+      notationCounting: normalizeRowCountingStyle(item?.notationCounting),
       notationMergeRestsCustom: item?.notationMergeRestsCustom === true,
       notationMergeRestsFollowBeat: item?.notationMergeRestsFollowBeat === true,
       notationMergeRestsOverride: normalizeNotationBooleanOverride(item?.notationMergeRestsOverride),
@@ -946,6 +941,12 @@ function normalizeArrangementItems(items) {
           : item?.notationPrintStickingCustom !== true,
       notationPrintStickingOverride: normalizeNotationBooleanOverride(item?.notationPrintStickingOverride),
       notationPrintStickingModeOverride: normalizeNotationPrintStickingModeOverride(item?.notationPrintStickingModeOverride),
+      swingOverride: item?.swingOverride && typeof item.swingOverride === "object"
+        ? normalizeSwing(item.swingOverride)
+        : null,
+      backingTrackStartSec: normalizeBackingTrackStartSec(item?.backingTrackStartSec),
+      navigation: normalizeRowNavigation(item?.navigation),
+      rowType: normalizeArrangementRowType(item?.rowType),
     }))
     .filter((item) => item.id && item.beatId);
 }
@@ -1347,7 +1348,7 @@ function getComparableBeatPayload(payload) {
     const events = source
       .map((entry) =>
         Array.isArray(entry)
-          ? [Math.max(0, Math.round(Number(entry[0]) || 0)), Math.max(1, Math.min(3, Math.round(Number(entry[1]) || 1)))]
+          ? [Math.max(0, Math.round(Number(entry[0]) || 0)), normalizePayloadCellCode(entry[1])]
           : null
       )
       .filter(Boolean)
@@ -1400,11 +1401,23 @@ function getComparableBeatPayload(payload) {
     dottedNotes: payload?.dottedNotes !== false,
     showNotationSticking: payload?.showNotationSticking !== false,
     notationStickingView: payload?.notationStickingView === "split-rows" ? "split-rows" : "above",
+    ...(normalizeCountingStyle(payload?.notationCounting) !== "off"
+      ? { notationCounting: normalizeCountingStyle(payload.notationCounting) }
+      : {}),
     tupletsByBar: nextTupletsByBar,
     grid: nextGrid,
     stickingHandedness: payload?.stickingHandedness === "left" ? "left" : "right",
     stickingLeadHand: payload?.stickingLeadHand === "left" ? "left" : "right",
     stickingKeepQuarterLeadHand: payload?.stickingKeepQuarterLeadHand !== false,
+    ...(isSwingActive(payload?.swing) ? { swing: normalizeSwing(payload.swing) } : {}),
+    ...(!isDefaultMetronomeSettings(payload?.metronome)
+      ? { metronome: normalizeMetronomeSettings(payload.metronome) }
+      : {}),
+    ...(normalizeBackingTrackLink(payload?.backingTrack)
+      ? { backingTrack: normalizeBackingTrackLink(payload.backingTrack) }
+      : {}),
+    ...(normalizeDynamics(payload?.dynamics).length ? { dynamics: normalizeDynamics(payload.dynamics) } : {}),
+    ...(normalizeHairpins(payload?.hairpins).length ? { hairpins: normalizeHairpins(payload.hairpins) } : {}),
     ...(Object.keys(nextStickingOverrides).length > 0
       ? { stickingOverrides: nextStickingOverrides }
       : {}),
@@ -1601,6 +1614,9 @@ function buildCanonicalArrangementSharePayload(payload) {
   const normalizedItems = normalizeArrangementItems(payload.items).map((item) => ({
     beatIndex: Math.max(0, beatIndexBySharedId.get(String(item?.beatId || "")) ?? 0),
     repeats: Math.max(1, Number(item?.repeats) || 1),
+    ...(item.swingOverride ? { swingOverride: item.swingOverride } : {}),
+    ...(item.navigation ? { navigation: item.navigation } : {}),
+    ...(item.rowType !== "beat" ? { rowType: item.rowType } : {}),
   }));
   return {
     v: Number(payload?.v) || 1,
@@ -1611,6 +1627,7 @@ function buildCanonicalArrangementSharePayload(payload) {
     composer: String(payload?.composer || "").trim(),
     beats: normalizedBeats,
     items: normalizedItems,
+    ...(payload.notationMap ? { notationMap: normalizeNotationMap(payload.notationMap) } : {}),
   };
 }
 
@@ -1621,6 +1638,7 @@ async function buildSharePayloadFingerprint(mode, payload) {
       : {
           kind: "beat",
           payload: getComparableBeatPayload(payload),
+          ...(payload?.notationMap ? { notationMap: normalizeNotationMap(payload.notationMap) } : {}),
         };
   return computeStableSha256Hex(stableSerializeValue(canonical));
 }
@@ -2450,6 +2468,15 @@ function buildTupletOverridesByBar(barCount, quarterCount) {
   return Array.from({ length: Math.max(1, barCount) }, () => buildTupletOverrides(quarterCount));
 }
 
+// Tempo an arrangement row plays at. The row's beatBpm is rounded for display,
+// so imported tempos like 92.5 come from the beat itself.
+function getArrangementRowTempo(row, payload, fallbackBpm) {
+  const tempo = [row?.beat?.bpm, payload?.bpm, row?.beatBpm]
+    .map(Number)
+    .find((value) => Number.isFinite(value) && value >= 20 && value <= 400);
+  return tempo ?? fallbackBpm;
+}
+
 function buildNotationStateFromPayload(payload) {
   if (!payload || typeof payload !== "object") return null;
   const bars = Math.max(1, Math.min(64, Number(payload.bars) || 1));
@@ -2495,7 +2522,8 @@ function buildNotationStateFromPayload(payload) {
         if (!Number.isFinite(idx)) return;
         if (idx < 0 || idx >= columns) return;
         const valRaw = Number(Array.isArray(event) ? event[1] : 1);
-        row[idx] = valRaw === 3 ? CELL.ACCENT : valRaw === 2 ? CELL.GHOST : CELL.ON;
+        const cell = getCellForPayloadCode(valRaw);
+        row[idx] = cell === CELL.OFF ? CELL.ON : cell;
       });
     }
     grid[inst.id] = row;
@@ -2518,6 +2546,10 @@ function buildNotationStateFromPayload(payload) {
     timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
+    dynamics: normalizeDynamics(payload.dynamics, columns),
+    hairpins: normalizeHairpins(payload.hairpins, columns),
+    swing: normalizeSwing(payload.swing),
+    metronome: normalizeMetronomeSettings(payload.metronome),
   };
 }
 
@@ -2604,6 +2636,13 @@ function expandNotationStateForRepeats(state, repeats) {
     }
     grid[inst.id] = row;
   });
+  const dynamics = [];
+  const hairpins = [];
+  for (let i = 0; i < count; i++) {
+    const copy = offsetDynamics(state.dynamics, state.hairpins, i * baseColumns);
+    dynamics.push(...copy.dynamics);
+    hairpins.push(...copy.hairpins);
+  }
   const notationStickingSelection = {};
   const timeSigByBar = [];
   const srcNotationStickingSelection =
@@ -2635,6 +2674,8 @@ function expandNotationStateForRepeats(state, repeats) {
     ...state,
     grid,
     notationStickingSelection,
+    dynamics,
+    hairpins,
     bars: baseBars * count,
     barsPerLine: Math.max(1, Math.min(4, baseBars * count)),
     timeSigByBar,
@@ -2643,6 +2684,32 @@ function expandNotationStateForRepeats(state, repeats) {
   };
 }
 
+// Sheet view of a row that is not written out: slashes drop the hits, cues keep
+// only their rhythm, and a tacet row shrinks to one empty bar for its rest.
+function applyArrangementRowTypeToNotationState(state, rowType) {
+  const type = normalizeArrangementRowType(rowType);
+  if (!state || type === "beat") return state;
+  const source = type === "rest" ? sliceNotationStateByBars(state, 0, 1) : state;
+  if (!source) return state;
+  const columns = Math.max(0, Number(source.barStepOffsets?.[source.bars] ?? 0));
+  const grid = {};
+  (source.instruments || []).forEach((inst) => {
+    grid[inst.id] = Array(columns).fill(CELL.OFF);
+  });
+  if (type === "cues") {
+    // Cues are written on a single line, so every step with a hit becomes one
+    // plain or accented stroke on the first instrument.
+    const cueInstId = source.instruments?.[0]?.id;
+    for (let step = 0; cueInstId && step < columns; step++) {
+      const states = source.instruments.map((inst) => source.grid?.[inst.id]?.[step] ?? CELL.OFF);
+      if (states.every((value) => value === CELL.OFF)) continue;
+      grid[cueInstId][step] = states.includes(CELL.ACCENT) ? CELL.ACCENT : CELL.ON;
+    }
+    return { ...source, grid, notationStickingSelection: {} };
+  }
+  return { ...source, grid, notationStickingSelection: {}, dynamics: [], hairpins: [] };
+}
+
 function mergeNotationStates(states) {
   const valid = (Array.isArray(states) ? states : []).filter(
     (s) => s && Array.isArray(s.instruments) && s.timeSig && Number.isFinite(s.resolution)
@@ -2691,9 +2758,14 @@ function mergeNotationStates(states) {
   let colOffset = 0;
   const notationStickingSelection = {};
   const timeSigByBar = [];
+  const dynamics = [];
+  const hairpins = [];
   valid.forEach((s) => {
     const sBars = Math.max(1, Number(s.bars) || 1);
     const sCols = Math.max(0, Number(s.barStepOffsets?.[sBars] ?? 0));
+    const shifted = offsetDynamics(s.dynamics, s.hairpins, colOffset);
+    dynamics.push(...shifted.dynamics);
+    hairpins.push(...shifted.hairpins);
     instruments.forEach((inst) => {
       const src = Array.isArray(s.grid?.[inst.id]) ? s.grid[inst.id] : [];
       const dst = grid[inst.id];
@@ -2741,6 +2813,10 @@ function mergeNotationStates(states) {
     timeSigByBar,
     quarterSubdivisionsByBar,
     barStepOffsets,
+    dynamics,
+    hairpins,
+    swing: normalizeSwing(valid[0].swing),
+    metronome: normalizeMetronomeSettings(valid[0].metronome),
   };
 }
 
@@ -2796,6 +2872,7 @@ function sliceNotationStateByBars(state, startBar, barCount) {
     ...state,
     grid,
     notationStickingSelection,
+    ...sliceDynamicsBySteps(state.dynamics, state.hairpins, startStep, endStep),
     bars: nextBars,
     barsPerLine: Math.max(1, Math.min(4, nextBars)),
     timeSig: timeSigByBar[0] || state?.timeSig || { n: 4, d: 4 },
@@ -2866,9 +2943,8 @@ function buildPayloadFromNotationState(state, bpm = 120) {
     const row = Array.isArray(state.grid?.[inst.id]) ? state.grid[inst.id] : [];
     const events = [];
     row.forEach((cell, idx) => {
-      if (cell === CELL.ACCENT) events.push([idx, 3]);
-      else if (cell === CELL.GHOST) events.push([idx, 2]);
-      else if (cell === CELL.ON) events.push([idx, 1]);
+      const code = getPayloadCodeForCell(cell);
+      if (code) events.push([idx, code]);
     });
     if (events.length) grid[inst.id] = events;
   });
@@ -2881,6 +2957,12 @@ function buildPayloadFromNotationState(state, bpm = 120) {
     bpm: Math.max(20, Math.min(400, Number(bpm) || 120)),
     tupletsByBar,
     grid,
+    ...(normalizeDynamics(state.dynamics).length ? { dynamics: normalizeDynamics(state.dynamics) } : {}),
+    ...(normalizeHairpins(state.hairpins).length ? { hairpins: normalizeHairpins(state.hairpins) } : {}),
+    ...(isSwingActive(state.swing) ? { swing: normalizeSwing(state.swing) } : {}),
+    ...(!isDefaultMetronomeSettings(state.metronome)
+      ? { metronome: normalizeMetronomeSettings(state.metronome) }
+      : {}),
   };
 }
 
@@ -3321,7 +3403,6 @@ function assignPhasesToSlots(phases, slotCount) {
 
 // Ghost note support (MVP)
 const GHOST_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom", "hihat"]);
-const FOOT_INSTRUMENTS = new Set(["kick", "hihatFoot"]);
 const INSTRUMENT_HAND_POSITION = {
   splash: 0.8,
   china: 3.9,
@@ -3344,30 +3425,6 @@ function getHandPositionForInstrument(instId, handedness) {
   return handedness === "left" ? 4 - base : base;
 }
 
-// NOTE: mapping is a starting point; we'll refine staff positions later.
-const NOTATION_MAP = {
-  kick: { key: "f/4" },
-  snare: { key: "c/5" },
-  sideStick: { key: "c/5/x2", x: true },
-
-  // Cymbals / hats use X noteheads
-  hihat: { key: "g/5/x2", x: true },
-  hihatOpen: { key: "g/5/x3", x: true, open: true },
-  hihatFoot: { key: "d/4/x2", x: true },
-  ride: { key: "f/5/x2", x: true },
-  rideBell: { key: "f/5/d2", diamond: true },
-  crash1: { key: "a/5/x2", x: true },
-  crash2: { key: "b/5/x2", x: true },
-  china: { key: "a/5/x3", x: true },
-  splash: { key: "c/6/x2", x: true },
-  cowbell: { key: "e/5/t2", triangle: true },
-
-  // Toms
-  tom2: { key: "d/5" },
-  tom1: { key: "e/5" },
-  floorTom: { key: "a/4" },
-};
-
 export default function App() {
   const [routeOptions] = useState(() => {
     const params = new URLSearchParams(window.location.search);
@@ -3451,7 +3508,33 @@ export default function App() {
   const [isArrangementPrintDialogOpen, setIsArrangementPrintDialogOpen] = useState(false);
   const [isMidiDialogOpen, setIsMidiDialogOpen] = useState(false);
   const [midiExportMode, setMidiExportMode] = useState("beat");
+  const [midiExportFormat, setMidiExportFormat] = useState("midi");
+  const [midiExportSettings, setMidiExportSettings] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(MIDI_EXPORT_SETTINGS_STORAGE_KEY);
+      return normalizeMidiExportSettings(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return normalizeMidiExportSettings(null);
+    }
+  });
+  const [isAudioExportDialogOpen, setIsAudioExportDialogOpen] = useState(false);
+  const [audioExportMode, setAudioExportMode] = useState("beat");
+  const [audioExportRepeats, setAudioExportRepeats] = useState(1);
+  const [audioExportCountInEnabled, setAudioExportCountInEnabled] = useState(false);
+  const [audioExportMetronomeEnabled, setAudioExportMetronomeEnabled] = useState(false);
+  const [audioExportStem, setAudioExportStem] = useState("mix");
+  const [isAudioExportRendering, setIsAudioExportRendering] = useState(false);
   const [pendingMidiImportMapping, setPendingMidiImportMapping] = useState(null);
+  const [pendingMusicXmlImport, setPendingMusicXmlImport] = useState(null);
+  const [drumTabDialog, setDrumTabDialog] = useState(null); // { mode: "import" | "export", text, timeSig, target }
+  const [drumTabAliases, setDrumTabAliases] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(DRUM_TAB_ALIASES_STORAGE_KEY);
+      return normalizeDrumTabAliases(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return normalizeDrumTabAliases(null);
+    }
+  });
   const [pendingMidiTempoPrompt, setPendingMidiTempoPrompt] = useState(null);
   const [lastMidiImportSession, setLastMidiImportSession] = useState(null);
   const [isLegalDialogOpen, setIsLegalDialogOpen] = useState(false);
@@ -3887,6 +3970,7 @@ export default function App() {
   }, [arrangementNotationShellWidth, isMobileFloatingPanels]);
   const [arrangementPdfQrEnabled, setArrangementPdfQrEnabled] = useState(false);
   const [arrangementPdfWatermarkEnabled, setArrangementPdfWatermarkEnabled] = useState(true);
+  const [arrangementPdfDrumKeyPlacement, setArrangementPdfDrumKeyPlacement] = useState("off");
   useEffect(() => {
     if (!isPrintDialogOpen) return;
     setPrintQrEnabled(false);
@@ -4162,6 +4246,36 @@ export default function App() {
     }
   });
   const [modifiedPresetBase, setModifiedPresetBase] = useState(null); // built-in/user preset name for "preset*" variants
+  const [notationMapByPreset, setNotationMapByPreset] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(NOTATION_MAP_BY_PRESET_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      if (!parsed || typeof parsed !== "object") return {};
+      return Object.fromEntries(
+        Object.entries(parsed)
+          .map(([presetId, map]) => [presetId, normalizeNotationMap(map)])
+          .filter(([presetId, map]) => presetId && !isDefaultNotationMap(map))
+      );
+    } catch (_) {
+      return {};
+    }
+  });
+  const [mixerByPreset, setMixerByPreset] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(MIXER_BY_PRESET_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      if (!parsed || typeof parsed !== "object") return {};
+      return Object.fromEntries(
+        Object.entries(parsed)
+          .map(([presetId, settings]) => [presetId, normalizeMixerSettings(settings)])
+          .filter(([presetId, settings]) => presetId && Object.keys(settings).length > 0)
+      );
+    } catch (_) {
+      return {};
+    }
+  });
+  const [isMixerDialogOpen, setIsMixerDialogOpen] = useState(false);
+  const [isNotationMapDialogOpen, setIsNotationMapDialogOpen] = useState(false);
   const [isSaveAsDialogOpen, setIsSaveAsDialogOpen] = useState(false);
   const [saveAsName, setSaveAsName] = useState("");
   const [presetNameInlineDraft, setPresetNameInlineDraft] = useState("");
@@ -4209,6 +4323,14 @@ export default function App() {
   );
 
   const [bpm, setBpm] = useState(120);
+  const [swing, setSwing] = useState(() => normalizeSwing(null));
+  const [metronomeSettings, setMetronomeSettings] = useState(() => normalizeMetronomeSettings(null));
+  const [beatBackingTrack, setBeatBackingTrack] = useState(null);
+  // Dynamics markings and hairpins of the current beat, by grid step.
+  const [dynamics, setDynamics] = useState([]);
+  const [hairpins, setHairpins] = useState([]);
+  const dynamicsRef = React.useRef(dynamics);
+  const hairpinsRef = React.useRef(hairpins);
   const [midiImportSnareGhostMax, setMidiImportSnareGhostMax] = useState(() => {
     try {
       const raw = Number(window.localStorage.getItem(MIDI_IMPORT_SNARE_GHOST_MAX_STORAGE_KEY));
@@ -4526,6 +4648,31 @@ export default function App() {
       return false;
     }
   });
+  const [speedTrainer, setSpeedTrainer] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(SPEED_TRAINER_STORAGE_KEY);
+      return normalizeSpeedTrainer(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return normalizeSpeedTrainer(null);
+    }
+  });
+  const [gapClick, setGapClick] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(GAP_CLICK_STORAGE_KEY);
+      return normalizeGapClick(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return normalizeGapClick(null);
+    }
+  });
+  const [arrangementBackingTracks, setArrangementBackingTracks] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(ARRANGEMENT_BACKING_TRACKS_STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : {};
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (_) {
+      return {};
+    }
+  });
   const [isBraveBrowser, setIsBraveBrowser] = useState(false);
   const [showBraveAudioNotice, setShowBraveAudioNotice] = useState(true);
   const [shareCopied, setShareCopied] = useState(false);
@@ -4665,6 +4812,7 @@ export default function App() {
   const sidebarSettingsMenuRef = React.useRef(null);
   const sidebarSettingsMenuButtonRef = React.useRef(null);
   const midiImportInputRef = React.useRef(null);
+  const musicXmlImportInputRef = React.useRef(null);
   const midiWindowDragDepthRef = React.useRef(0);
   const kitOrderListRef = React.useRef(null);
   const arrangementListRef = React.useRef(null);
@@ -6704,6 +6852,21 @@ export default function App() {
       );
     } catch (_) {}
   }, [metronomeCountInEnabled]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SPEED_TRAINER_STORAGE_KEY, JSON.stringify(speedTrainer));
+    } catch (_) {}
+  }, [speedTrainer]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(GAP_CLICK_STORAGE_KEY, JSON.stringify(gapClick));
+    } catch (_) {}
+  }, [gapClick]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(ARRANGEMENT_BACKING_TRACKS_STORAGE_KEY, JSON.stringify(arrangementBackingTracks));
+    } catch (_) {}
+  }, [arrangementBackingTracks]);
   useEffect(() => {
     try {
       window.localStorage.setItem(
@@ -7086,6 +7249,9 @@ useEffect(() => {
         isPrintDialogOpen ||
         isArrangementPrintDialogOpen ||
         isMidiDialogOpen ||
+        isAudioExportDialogOpen ||
+        isMixerDialogOpen ||
+        isNotationMapDialogOpen ||
         isLegalDialogOpen ||
         isPreferencesDialogOpen
       ) return;
@@ -7111,6 +7277,9 @@ useEffect(() => {
     isPrintDialogOpen,
     isArrangementPrintDialogOpen,
     isMidiDialogOpen,
+    isAudioExportDialogOpen,
+    isMixerDialogOpen,
+    isNotationMapDialogOpen,
     isLegalDialogOpen,
     isPreferencesDialogOpen,
   ]);
@@ -7355,6 +7524,39 @@ useEffect(() => {
     return () => window.removeEventListener("keydown", onKeyDown);
   }, [isMidiDialogOpen]);
 
+  useEffect(() => {
+    if (!isMixerDialogOpen) return;
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      setIsMixerDialogOpen(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isMixerDialogOpen]);
+
+  useEffect(() => {
+    if (!isNotationMapDialogOpen) return;
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      setIsNotationMapDialogOpen(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isNotationMapDialogOpen]);
+
+  useEffect(() => {
+    if (!isAudioExportDialogOpen || isAudioExportRendering) return;
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      e.preventDefault();
+      setIsAudioExportDialogOpen(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isAudioExportDialogOpen, isAudioExportRendering]);
+
   
   const [defaultLoopRepeats, setDefaultLoopRepeats] = useState(() => {
     try {
@@ -7547,10 +7749,13 @@ useEffect(() => {
   const [mergeNotes, setMergeNotes] = useState(true);
   const [dottedNotes, setDottedNotes] = useState(true);
   const [flatBeams, setFlatBeams] = useState(true);
+  const [twoVoiceNotation, setTwoVoiceNotation] = useState(false);
+  const [notationCounting, setNotationCounting] = useState("off");
   const [printTitle, setPrintTitle] = useState("");
   const [printComposer, setPrintComposer] = useState("");
   const [printWatermarkEnabled, setPrintWatermarkEnabled] = useState(true);
   const [printQrEnabled, setPrintQrEnabled] = useState(false);
+  const [printDrumKeyPlacement, setPrintDrumKeyPlacement] = useState("off");
   const [isNotationPngDialogOpen, setIsNotationPngDialogOpen] = useState(false);
   const [notationPngColor, setNotationPngColor] = useState("black");
   const beatNameInputRef = useRef(null);
@@ -7635,6 +7840,15 @@ useEffect(() => {
   const stepsPerBar = stepsPerBarByBar[0] ?? Math.max(1, Math.round((timeSig.n * resolution) / timeSig.d));
   const columns = barStepOffsets[barStepOffsets.length - 1] ?? 0;
 
+  useEffect(() => {
+    setDynamics((prev) => (prev.some((item) => item.step >= columns) ? normalizeDynamics(prev, columns) : prev));
+    setHairpins((prev) => (prev.some((item) => item.end > columns) ? normalizeHairpins(prev, columns) : prev));
+  }, [columns]);
+  const dynamicScales = React.useMemo(
+    () => getDynamicScaleByStep(dynamics, hairpins, columns),
+    [dynamics, hairpins, columns]
+  );
+
   useEffect(() => {
     setTupletOverridesByBar((prev) =>
       Array.from({ length: bars }, (_, barIdx) =>
@@ -7809,6 +8023,11 @@ useEffect(() => {
       }
       tupletBaselineGridRef.current = null;
       tupletBaselineSubsByBarRef.current = null;
+      if (dynamicsRef.current.length || hairpinsRef.current.length) {
+        pushGridHistory();
+        setDynamics([]);
+        setHairpins([]);
+      }
       return;
     }
     setBaseGridWithUndo(() => {
@@ -7842,7 +8061,11 @@ useEffect(() => {
     setWrappedSelectionCells(null);
   }, []);
 
-  const rankCell = React.useCallback((v) => (v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0), []);
+  const rankCell = React.useCallback(
+    (v) =>
+      isGraceNoteState(v) || isRollState(v) ? 4 : v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0,
+    []
+  );
   const cloneGridState = React.useCallback((g) => {
     const out = {};
     ALL_INSTRUMENTS.forEach((inst) => {
@@ -7957,6 +8180,9 @@ useEffect(() => {
       }
       if (matchesShortcut(e, "paste_selection")) {
         if (!gridClipboardRef.current) return;
+        // The system paste keys are left to the paste listener below the drum
+        // tab import, which checks for a pasted tab before pasting grid cells.
+        if ((e.metaKey || e.ctrlKey) && !e.altKey && !e.shiftKey && String(e.key).toLowerCase() === "v") return;
         e.preventDefault();
         pasteSelectionFromClipboard();
         return;
@@ -8243,6 +8469,11 @@ useEffect(() => {
     [remapNotationStickingSelectionBySubdivisions]
   );
 
+  const remapDynamicsForSubdivisions = React.useCallback((oldSubsByBar, nextSubsByBar) => {
+    const next = remapDynamicsBySubdivisions(dynamicsRef.current, hairpinsRef.current, oldSubsByBar, nextSubsByBar);
+    setDynamics(next.dynamics);
+    setHairpins(next.hairpins);
+  }, []);
   const handleResolutionChange = (newRes) => {
     tupletBaselineGridRef.current = null;
     tupletBaselineSubsByBarRef.current = null;
@@ -8265,6 +8496,7 @@ useEffect(() => {
           nextSubsByBar
         )
       );
+      remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
     }
     setTupletOverridesByBar(nextOverridesByBar);
     setResolution(newRes);
@@ -8294,6 +8526,7 @@ useEffect(() => {
           nextSubsByBar
         )
       );
+      remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
     }
     setTupletOverridesByBar(nextOverridesByBar);
     setTimeSig(newTS);
@@ -8330,8 +8563,9 @@ useEffect(() => {
         (baseGridRef.current?.[inst.id] || []).some((val) => val !== CELL.OFF)
       );
       const hasAnyNotationSelection = Object.values(notationStickingSelection || {}).some((value) => value === true);
+      const hasAnyDynamics = dynamicsRef.current.length > 0 || hairpinsRef.current.length > 0;
       if (keepTiming) {
-        if (!hasAnyGridContent && !hasAnyNotationSelection) {
+        if (!hasAnyGridContent && !hasAnyNotationSelection && !hasAnyDynamics) {
           tupletBaselineGridRef.current = null;
           tupletBaselineSubsByBarRef.current = null;
           setTupletOverridesByBar(nextOverridesByBar);
@@ -8362,6 +8596,7 @@ useEffect(() => {
             beatIdx
           )
         );
+        remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
       } else {
         tupletBaselineGridRef.current = null;
         tupletBaselineSubsByBarRef.current = null;
@@ -8379,6 +8614,7 @@ useEffect(() => {
       cloneGridState,
       remapGridQuarterBySubdivisions,
       remapNotationStickingSelectionQuarterBySubdivisions,
+      remapDynamicsForSubdivisions,
     ]
   );
   const resetTupletAt = React.useCallback(
@@ -8397,8 +8633,9 @@ useEffect(() => {
         (baseGridRef.current?.[inst.id] || []).some((val) => val !== CELL.OFF)
       );
       const hasAnyNotationSelection = Object.values(notationStickingSelection || {}).some((value) => value === true);
+      const hasAnyDynamics = dynamicsRef.current.length > 0 || hairpinsRef.current.length > 0;
       if (keepTiming) {
-        if (!hasAnyGridContent && !hasAnyNotationSelection) {
+        if (!hasAnyGridContent && !hasAnyNotationSelection && !hasAnyDynamics) {
           tupletBaselineGridRef.current = null;
           tupletBaselineSubsByBarRef.current = null;
           setTupletOverridesByBar(nextOverridesByBar);
@@ -8429,6 +8666,7 @@ useEffect(() => {
             beatIdx
           )
         );
+        remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
       } else {
         tupletBaselineGridRef.current = null;
         tupletBaselineSubsByBarRef.current = null;
@@ -8446,6 +8684,7 @@ useEffect(() => {
       cloneGridState,
       remapGridQuarterBySubdivisions,
       remapNotationStickingSelectionQuarterBySubdivisions,
+      remapDynamicsForSubdivisions,
     ]
   );
   const globalTupletValue = React.useMemo(() => {
@@ -8480,6 +8719,7 @@ useEffect(() => {
             nextSubsByBar
           )
         );
+        remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
       } else {
         tupletBaselineGridRef.current = null;
         tupletBaselineSubsByBarRef.current = null;
@@ -8494,6 +8734,7 @@ useEffect(() => {
       keepTiming,
       remapGridBySubdivisions,
       remapNotationStickingSelectionBySubdivisions,
+      remapDynamicsForSubdivisions,
     ]
   );
   const stepGlobalTupletValue = React.useCallback(
@@ -8609,6 +8850,10 @@ useEffect(() => {
   React.useEffect(() => {
     tupletOverridesRef.current = tupletOverridesByBar;
   }, [tupletOverridesByBar]);
+  React.useEffect(() => {
+    dynamicsRef.current = dynamics;
+    hairpinsRef.current = hairpins;
+  }, [dynamics, hairpins]);
 
   React.useEffect(() => {
     if (applyingTupletRemapRef.current) {
@@ -8666,9 +8911,11 @@ useEffect(() => {
     return (t || []).map((row) => [...row]);
   }, []);
   const snapshotEditorState = React.useCallback(
-    (gridState, tupletState) => ({
+    (gridState, tupletState, dynamicsState, hairpinState) => ({
       grid: snapshotGrid(gridState),
       tuplets: snapshotTuplets(tupletState),
+      dynamics: (dynamicsState || []).map((item) => ({ ...item })),
+      hairpins: (hairpinState || []).map((item) => ({ ...item })),
     }),
     [snapshotGrid, snapshotTuplets]
   );
@@ -8682,7 +8929,7 @@ useEffect(() => {
     pushUnifiedHistoryRef.current("editor");
     gridPastRef.current = [
       ...gridPastRef.current,
-      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current),
+      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current, dynamicsRef.current, hairpinsRef.current),
     ];
     // clear redo stack on new edit
     gridFutureRef.current = [];
@@ -8701,11 +8948,13 @@ useEffect(() => {
     const prev = gridPastRef.current[gridPastRef.current.length - 1];
     gridPastRef.current = gridPastRef.current.slice(0, -1);
     gridFutureRef.current = [
-      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current),
+      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current, dynamicsRef.current, hairpinsRef.current),
       ...gridFutureRef.current,
     ];
     setBaseGrid(prev?.grid || {});
     if (Array.isArray(prev?.tuplets)) setTupletOverridesByBar(prev.tuplets);
+    if (Array.isArray(prev?.dynamics)) setDynamics(prev.dynamics);
+    if (Array.isArray(prev?.hairpins)) setHairpins(prev.hairpins);
     syncHistoryState();
   }, [snapshotEditorState, syncHistoryState]);
 
@@ -8715,10 +8964,12 @@ useEffect(() => {
     gridFutureRef.current = gridFutureRef.current.slice(1);
     gridPastRef.current = [
       ...gridPastRef.current,
-      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current),
+      snapshotEditorState(baseGridRef.current, tupletOverridesRef.current, dynamicsRef.current, hairpinsRef.current),
     ];
     setBaseGrid(next?.grid || {});
     if (Array.isArray(next?.tuplets)) setTupletOverridesByBar(next.tuplets);
+    if (Array.isArray(next?.dynamics)) setDynamics(next.dynamics);
+    if (Array.isArray(next?.hairpins)) setHairpins(next.hairpins);
     syncHistoryState();
   }, [snapshotEditorState, syncHistoryState]);
 
@@ -8730,6 +8981,82 @@ useEffect(() => {
     [pushGridHistory]
   );
 
+  // Cells a roll edit applies to: hits on snare/tom rows in the selection, or
+  // the hovered cell when nothing is selected.
+  const getRollTargetCells = React.useCallback(() => {
+    const cells = [];
+    const addCell = (row, col) => {
+      const instId = instruments[row]?.id;
+      if (!ROLL_INSTRUMENT_IDS.has(instId)) return;
+      if ((baseGrid[instId]?.[col] ?? CELL.OFF) === CELL.OFF) return;
+      cells.push({ instId, col });
+    };
+    if (selection) {
+      for (let r = selection.rowStart; r <= selection.rowEnd; r++) {
+        for (let c = selection.start; c < selection.endExclusive; c++) addCell(r, c);
+      }
+    } else {
+      const hovered = hoveredGridCellRef.current;
+      if (hovered && Number.isFinite(hovered.row) && Number.isFinite(hovered.col)) addCell(hovered.row, hovered.col);
+    }
+    return cells;
+  }, [baseGrid, instruments, selection]);
+  const rollTargetCells = React.useMemo(() => (selection ? getRollTargetCells() : []), [getRollTargetCells, selection]);
+  const selectionRollState = React.useMemo(() => {
+    const first = rollTargetCells[0];
+    const state = first ? baseGrid[first.instId]?.[first.col] : null;
+    return isRollState(state) ? state : null;
+  }, [rollTargetCells, baseGrid]);
+  // All target hits move to the roll after the first one's, so a mixed selection
+  // ends up with one roll type.
+  const cycleRollOnTargets = React.useCallback(() => {
+    const cells = getRollTargetCells();
+    if (!cells.length) return false;
+    const firstState = baseGrid[cells[0].instId]?.[cells[0].col];
+    const nextState = getNextRollState(isRollState(firstState) ? firstState : null) || CELL.ON;
+    setBaseGridWithUndo((prev) => {
+      const next = { ...prev };
+      cells.forEach(({ instId, col }) => {
+        if (next[instId] === prev[instId]) next[instId] = [...(prev[instId] || [])];
+        next[instId][col] = nextState;
+      });
+      return next;
+    });
+    return true;
+  }, [getRollTargetCells, baseGrid, setBaseGridWithUndo]);
+  // A level goes on the first selected step, a hairpin spans the selected steps;
+  // "clear" removes both from the selected steps.
+  const applyDynamicsToSelection = React.useCallback(
+    (value) => {
+      if (!selection) return;
+      const start = selection.start;
+      const end = selection.endExclusive;
+      pushGridHistory();
+      if (value === "clear") {
+        setDynamics((prev) => prev.filter((item) => item.step < start || item.step >= end));
+        setHairpins((prev) => prev.filter((item) => item.end <= start || item.start >= end));
+        return;
+      }
+      if (HAIRPIN_TYPES.includes(value)) {
+        setHairpins((prev) => normalizeHairpins([...prev, { start, end, type: value }], columns));
+        return;
+      }
+      setDynamics((prev) => normalizeDynamics([...prev, { step: start, level: value }], columns));
+    },
+    [selection, columns, pushGridHistory]
+  );
+  useEffect(() => {
+    const onKey = (e) => {
+      const el = e.target;
+      const tag = (el?.tagName || "").toLowerCase();
+      if (tag === "input" || tag === "textarea" || el?.isContentEditable) return;
+      if (!matchesShortcut(e, "cycle_roll")) return;
+      if (cycleRollOnTargets()) e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [cycleRollOnTargets, matchesShortcut]);
+
   const cloneLocalBeatList = React.useCallback((beats) => {
     if (!Array.isArray(beats)) return [];
     return beats.map((beat) => {
@@ -8848,7 +9175,7 @@ useEffect(() => {
       return {
         kind,
         ...(includeEditor
-          ? { editor: snapshotEditorState(baseGridRef.current, tupletOverridesRef.current) }
+          ? { editor: snapshotEditorState(baseGridRef.current, tupletOverridesRef.current, dynamicsRef.current, hairpinsRef.current) }
           : {}),
         ...(includeLibrary ? { library: snapshotLibraryState() } : {}),
       };
@@ -8861,6 +9188,8 @@ useEffect(() => {
       if (snapshot.editor) {
         setBaseGrid(snapshot.editor.grid || {});
         if (Array.isArray(snapshot.editor.tuplets)) setTupletOverridesByBar(snapshot.editor.tuplets);
+        if (Array.isArray(snapshot.editor.dynamics)) setDynamics(snapshot.editor.dynamics);
+        if (Array.isArray(snapshot.editor.hairpins)) setHairpins(snapshot.editor.hairpins);
       }
       if (snapshot.library) applyLibraryState(snapshot.library);
     },
@@ -9211,7 +9540,7 @@ useEffect(() => {
           const idx = Number(event[0]);
           const code = Number(event[1]);
           if (!Number.isFinite(idx) || idx < 0 || idx >= columns) return;
-          const nextVal = code === 3 ? CELL.ACCENT : code === 2 ? CELL.GHOST : code === 1 ? CELL.ON : CELL.OFF;
+          const nextVal = getCellForPayloadCode(code);
           if (nextVal !== CELL.OFF) nextGrid[instId][Math.floor(idx)] = nextVal;
         });
       });
@@ -9223,6 +9552,8 @@ useEffect(() => {
       setBaseGrid(nextGrid);
       setStickingOverrides(shared.stickingOverrides || {});
       setNotationStickingSelection(shared.notationStickingSelection || {});
+      setDynamics(normalizeDynamics(shared.dynamics, columns));
+      setHairpins(normalizeHairpins(shared.hairpins, columns));
       syncHistoryState();
       syncUnifiedHistoryState();
       pendingSharedLoadRef.current = null;
@@ -9237,7 +9568,8 @@ useEffect(() => {
     if (timeSig.n !== example.timeSig.n || timeSig.d !== example.timeSig.d) return;
     if (!tupletsMatchFor(example.tupletsByBar)) return;
 
-    const rank = (v) => (v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0);
+    const rank = (v) =>
+      isGraceNoteState(v) || isRollState(v) ? 4 : v === CELL.ACCENT ? 3 : v === CELL.ON ? 2 : v === CELL.GHOST ? 1 : 0;
     const nextGrid = {};
     ALL_INSTRUMENTS.forEach((inst) => {
       nextGrid[inst.id] = Array(columns).fill(CELL.OFF);
@@ -9297,6 +9629,30 @@ useEffect(() => {
       window.localStorage.setItem(USER_PRESETS_STORAGE_KEY, JSON.stringify(savedPresets));
     } catch (_) {}
   }, [savedPresets]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(MIXER_BY_PRESET_STORAGE_KEY, JSON.stringify(mixerByPreset));
+    } catch (_) {}
+  }, [mixerByPreset]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(NOTATION_MAP_BY_PRESET_STORAGE_KEY, JSON.stringify(notationMapByPreset));
+    } catch (_) {}
+  }, [notationMapByPreset]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(DRUM_TAB_ALIASES_STORAGE_KEY, JSON.stringify(drumTabAliases));
+    } catch (_) {}
+  }, [drumTabAliases]);
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(MIDI_EXPORT_SETTINGS_STORAGE_KEY, JSON.stringify(midiExportSettings));
+    } catch (_) {}
+  }, [midiExportSettings]);
+  const midiExportNoteMap = React.useMemo(
+    () => resolveMidiExportNoteMap(midiExportSettings, ALL_INSTRUMENTS),
+    [midiExportSettings]
+  );
   useEffect(() => {
     try {
       if (authUser?.id) return;
@@ -9317,6 +9673,7 @@ useEffect(() => {
   const {
     getPresetIds,
     getPresetLabel,
+    selectedPreset,
     selectedPresetLabel,
     selectedSavedPreset,
     applyKitIds,
@@ -9366,6 +9723,51 @@ useEffect(() => {
     instrumentById: INSTRUMENT_BY_ID,
     cell: CELL,
   });
+  // Mix settings follow the kit preset; edited "preset*" kits share their base preset's mix.
+  const mixerPresetKey = selectedPreset || modifiedPresetBase || "custom";
+  const mixer = React.useMemo(
+    () => mixerByPreset[mixerPresetKey] || {},
+    [mixerByPreset, mixerPresetKey]
+  );
+  const updateMixerChannelForKit = React.useCallback((instId, updates) => {
+    setMixerByPreset((prev) => {
+      const nextSettings = updateMixerChannel(prev[mixerPresetKey], instId, updates);
+      const next = { ...prev };
+      if (Object.keys(nextSettings).length > 0) next[mixerPresetKey] = nextSettings;
+      else delete next[mixerPresetKey];
+      return next;
+    });
+  }, [mixerPresetKey]);
+  const resetMixerForKit = React.useCallback(() => {
+    setMixerByPreset((prev) => {
+      if (!prev[mixerPresetKey]) return prev;
+      const next = { ...prev };
+      delete next[mixerPresetKey];
+      return next;
+    });
+  }, [mixerPresetKey]);
+  // The notation map is kept per kit preset the same way. A map that comes with
+  // a shared link is only shown until the recipient saves or edits it, or opens
+  // one of their own beats or arrangements.
+  const [sharedNotationMapOverride, setSharedNotationMapOverride] = useState(null);
+  const notationMap = React.useMemo(
+    () => normalizeNotationMap(sharedNotationMapOverride || notationMapByPreset[mixerPresetKey]),
+    [sharedNotationMapOverride, notationMapByPreset, mixerPresetKey]
+  );
+  const setNotationMapForKit = React.useCallback((nextMap) => {
+    setSharedNotationMapOverride(null);
+    setNotationMapByPreset((prev) => {
+      const resolved = normalizeNotationMap(typeof nextMap === "function" ? nextMap(prev[mixerPresetKey]) : nextMap);
+      const next = { ...prev };
+      if (isDefaultNotationMap(resolved)) delete next[mixerPresetKey];
+      else next[mixerPresetKey] = resolved;
+      return next;
+    });
+  }, [mixerPresetKey]);
+  useEffect(() => {
+    if (!loadedLocalBeatId && !loadedArrangementId) return;
+    setSharedNotationMapOverride(null);
+  }, [loadedLocalBeatId, loadedArrangementId]);
   const applyGridSettingsPreset = React.useCallback((preset) => {
     if (!preset) return;
     const nextBars = Math.max(1, Number(preset.bars) || 1);
@@ -9404,6 +9806,7 @@ useEffect(() => {
         nextSubsByBar
       )
     );
+    remapDynamicsForSubdivisions(oldSubsByBar, nextSubsByBar);
     setBars(nextBars);
     setResolution(nextResolution);
     setTimeSig(nextTimeSig);
@@ -9416,6 +9819,7 @@ useEffect(() => {
     setBaseGridWithUndo,
     remapGridBySubdivisions,
     remapNotationStickingSelectionBySubdivisions,
+    remapDynamicsForSubdivisions,
   ]);
   const activeGridSettingsPreset = React.useMemo(() => {
     return (
@@ -11027,14 +11431,20 @@ useEffect(() => {
         showNotationSticking: row?.notationPrintStickingEffective === true,
       });
       const baseNotationState = buildNotationStateFromPayload(effectiveBeatPayload);
-      const notationState = expandNotationStateForRepeats(baseNotationState, row?.repeats);
+      const notationState = applyArrangementRowTypeToNotationState(
+        expandNotationStateForRepeats(baseNotationState, row?.repeats),
+        row?.rowType
+      );
       if (!notationState) return;
+      const sectionBars = Math.max(1, Number(row?.sectionBars) || 1);
+      const sheetBars = Math.max(1, Number(notationState.bars) || 1);
       const stickingAssignments = computeStickingAssignmentsForNotationState(notationState, {
         stickingHandedness,
         stickingLeadHand,
         stickingKeepQuarterLeadHand,
       });
-      const bpmNum = Number.isFinite(row?.beatBpm) ? Math.round(Number(row.beatBpm)) : null;
+      const rowTempo = getArrangementRowTempo(row, effectiveBeatPayload, null);
+      const bpmNum = rowTempo != null ? Math.round(rowTempo * 10) / 10 : null;
       const showTempoAtStart = bpmNum != null && (globalBarOffset === 0 || prevBpm !== bpmNum);
       const notationLabel = getArrangementNotationLabel(row);
       const effectiveBarsPerRow = row?.notationBarsPerRowCustom &&
@@ -11052,9 +11462,12 @@ useEffect(() => {
         name: row?.beat?.name || "Untitled Beat",
         repeats: Math.max(1, Number(row?.repeats) || 1),
         beatBars: Math.max(1, Number(row?.beatBars) || 1),
-        sectionBars: Math.max(1, Number(row?.sectionBars) || 1),
+        sectionBars,
+        sheetBars,
+        songStartBar: Math.max(1, Number(row?.startBarNumber) || 1) - 1,
         beatTimeSig: row?.beatTimeSig || "4/4",
         beatBpm: row?.beatBpm,
+        tempo: bpmNum,
         notation: notationState,
         stickingAssignments,
         startBarOffset: globalBarOffset,
@@ -11065,6 +11478,11 @@ useEffect(() => {
         notationDynamicSpacingOverride: row?.notationDynamicSpacingOverride ?? null,
         notationDynamicSpacing: row?.notationDynamicSpacingEffective === true,
         notationSpacingPreset: row?.notationSpacingPreset || "normal",
+        notationMeasureRepeats: normalizeMeasureRepeatMode(row?.notationMeasureRepeats),
+        notationCounting:
+          normalizeRowCountingStyle(row?.notationCounting) === "beat"
+            ? normalizeCountingStyle(effectiveBeatPayload?.notationCounting)
+            : row.notationCounting,
         notationMergeRestsCustom: row?.notationMergeRestsCustom === true,
         notationMergeRestsOverride: row?.notationMergeRestsOverride ?? null,
         notationMergeRests: row?.notationMergeRestsEffective === true,
@@ -11084,8 +11502,10 @@ useEffect(() => {
         notationBarsPerRowEffective: effectiveBarsPerRow,
         sectionMarkers: notationLabel ? [{ bar: 0, text: notationLabel }] : [],
         tempoMarkers: showTempoAtStart ? [{ bar: 0, text: `♩ = ${bpmNum}` }] : [],
+        navigationMarks: buildNavigationMarksByBar(row?.navigation, sheetBars),
+        barStyles: buildRowTypeBarStyles(row?.rowType, sheetBars, sectionBars),
       });
-      globalBarOffset += Math.max(1, Number(row?.sectionBars) || 1);
+      globalBarOffset += sheetBars;
       prevBpm = bpmNum;
     });
     return out;
@@ -11114,6 +11534,12 @@ useEffect(() => {
       const mergeNotesByBar = [];
       const dottedNotesByBar = [];
       const showNotationStickingByBar = [];
+      const barNavigation = [];
+      const measureRepeatModeByBar = [];
+      const countingStyleByBar = [];
+      const barStyleByBar = [];
+      const songBarByBar = [];
+      const songBarEndByBar = [];
       const exactBarsPerRow = [];
       let localBarCursor = 0;
       let carryBarsRemaining = 0;
@@ -11125,19 +11551,29 @@ useEffect(() => {
         (s.tempoMarkers || []).forEach((m) => {
           tempoMarkers.push({ bar: localBar + (Number(m?.bar) || 0), text: String(m?.text || "") });
         });
-        for (let i = 0; i < Math.max(1, Number(s?.sectionBars) || 1); i++) {
+        const sheetBars = Math.max(1, Number(s?.sheetBars) || 1);
+        for (let i = 0; i < sheetBars; i++) {
           dynamicSpacingByBar[localBar + i] = s?.notationDynamicSpacing === true;
           spacingPresetByBar[localBar + i] = s?.notationSpacingPreset || "normal";
           mergeRestsByBar[localBar + i] = s?.notationMergeRests === true;
           mergeNotesByBar[localBar + i] = s?.notationMergeNotes === true;
           dottedNotesByBar[localBar + i] = s?.notationDottedNotes === true;
           showNotationStickingByBar[localBar + i] = s?.notationPrintSticking === true;
+          barNavigation[localBar + i] = s?.navigationMarks?.[i] || null;
+          measureRepeatModeByBar[localBar + i] = s?.notationMeasureRepeats || "auto";
+          countingStyleByBar[localBar + i] = s?.notationCounting || "off";
+          barStyleByBar[localBar + i] = s?.barStyles?.[i] || null;
+          songBarByBar[localBar + i] = (Number(s?.songStartBar) || 0) + i;
+          songBarEndByBar[localBar + i] =
+            i === sheetBars - 1
+              ? (Number(s?.songStartBar) || 0) + Math.max(sheetBars, Number(s?.sectionBars) || 1)
+              : songBarByBar[localBar + i] + 1;
         }
         const forcedCount = Math.max(
           1,
           Math.min(4, Math.round(Number(s?.notationBarsPerRowEffective) || arrangementNotationBarsPerRow))
         );
-        let remainingSectionBars = Math.max(1, Number(s?.sectionBars) || 1);
+        let remainingSectionBars = sheetBars;
         while (remainingSectionBars > 0) {
           if (carryBarsRemaining > 0) {
             const consumed = Math.min(carryBarsRemaining, remainingSectionBars);
@@ -11172,6 +11608,12 @@ useEffect(() => {
         mergeNotesByBar,
         dottedNotesByBar,
         showNotationStickingByBar,
+        barNavigation,
+        measureRepeatModeByBar,
+        countingStyleByBar,
+        barStyleByBar,
+        songBarByBar,
+        songBarEndByBar,
         blockSections: current,
         stickingAssignments: computeStickingAssignmentsForNotationState(merged, {
           stickingHandedness,
@@ -11193,15 +11635,41 @@ useEffect(() => {
     stickingKeepQuarterLeadHand,
     arrangementNotationBarsPerRow,
   ]);
+  // Song bars (playback, selection) and sheet bars differ once a tacet row
+  // folds into a single multi-measure rest bar.
+  const arrangementSheetBarMap = React.useMemo(() => {
+    const songBarBySheetBar = [];
+    const sheetBarBySongBar = [];
+    arrangementNotationSections.forEach((section) => {
+      const sheetStart = Math.max(0, Number(section?.startBarOffset) || 0);
+      const songStart = Math.max(0, Number(section?.songStartBar) || 0);
+      const sheetBars = Math.max(1, Number(section?.sheetBars) || 1);
+      for (let i = 0; i < sheetBars; i++) songBarBySheetBar[sheetStart + i] = songStart + i;
+      for (let i = 0; i < Math.max(1, Number(section?.sectionBars) || 1); i++) {
+        sheetBarBySongBar[songStart + i] = sheetStart + Math.min(i, sheetBars - 1);
+      }
+    });
+    return { songBarBySheetBar, sheetBarBySongBar };
+  }, [arrangementNotationSections]);
+  const getArrangementSongBarForSheetBar = React.useCallback(
+    (sheetBar) => arrangementSheetBarMap.songBarBySheetBar[sheetBar] ?? sheetBar,
+    [arrangementSheetBarMap]
+  );
+  const getArrangementSheetBarForSongBar = React.useCallback(
+    (songBar) => arrangementSheetBarMap.sheetBarBySongBar[songBar] ?? songBar,
+    [arrangementSheetBarMap]
+  );
+  const arrangementRowOrder = React.useMemo(() => resolveArrangementRowOrder(arrangementRows), [arrangementRows]);
   const arrangementPlayableEntries = React.useMemo(() => {
     const out = [];
-    arrangementRows.forEach((row, rowIndex) => {
+    arrangementRowOrder.forEach((rowIndex) => {
+      const row = arrangementRows[rowIndex];
       if (!row?.beat?.payload) return;
       const count = Math.max(1, Number(row.repeats) || 1);
       for (let i = 0; i < count; i++) out.push({ rowIndex, row, repeatIndex: i });
     });
     return out;
-  }, [arrangementRows]);
+  }, [arrangementRows, arrangementRowOrder]);
   const normalizedArrangementSelection = React.useMemo(() => {
     if (!arrangementSelection) return null;
     const start = Math.max(0, Math.min(arrangementSelection.start, arrangementSelection.end));
@@ -11217,9 +11685,12 @@ useEffect(() => {
   }, [normalizedArrangementSelection]);
   const arrangementTotals = React.useMemo(() => {
     const totalBars = arrangementRows.reduce((sum, row) => sum + row.sectionBars, 0);
-    const totalSeconds = arrangementRows.reduce((sum, row) => sum + row.sectionSeconds, 0);
+    const totalSeconds = arrangementRowOrder.reduce(
+      (sum, rowIndex) => sum + (arrangementRows[rowIndex]?.sectionSeconds || 0),
+      0
+    );
     return { totalBars, totalSeconds };
-  }, [arrangementRows]);
+  }, [arrangementRows, arrangementRowOrder]);
   const normalizedArrangementBarSelection = React.useMemo(() => {
     if (!arrangementBarSelection) return null;
     const maxBar = Math.max(0, arrangementTotals.totalBars - 1);
@@ -11577,6 +12048,29 @@ useEffect(() => {
                         : null,
                   }
                 : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "swing")
+                ? {
+                    swingOverride:
+                      updates.swing && typeof updates.swing === "object"
+                        ? normalizeSwing(updates.swing)
+                        : null,
+                  }
+                : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "backingTrackStartSec")
+                ? { backingTrackStartSec: normalizeBackingTrackStartSec(updates.backingTrackStartSec) }
+                : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "navigation")
+                ? { navigation: normalizeRowNavigation({ ...(row.navigation || {}), ...(updates.navigation || {}) }) }
+                : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "notationMeasureRepeats")
+                ? { notationMeasureRepeats: normalizeMeasureRepeatMode(updates.notationMeasureRepeats) }
+                : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "notationCounting")
+                ? { notationCounting: normalizeRowCountingStyle(updates.notationCounting) }
+                : {}),
+              ...(Object.prototype.hasOwnProperty.call(updates || {}, "rowType")
+                ? { rowType: normalizeArrangementRowType(updates.rowType) }
+                : {}),
             }
           : row
       )
@@ -12162,26 +12656,33 @@ useEffect(() => {
     const overrideBpm = bpmOverride != null && Number.isFinite(Number(bpmOverride))
       ? clampBpm(Math.round(Number(bpmOverride)))
       : null;
+    if (overrideBpm != null && scaledImported.kind === "arrangement") {
+      // The override sets the first section's tempo; later tempo changes keep their ratio to it.
+      const firstBpm = Number(scaledImported.sections?.[0]?.bpm ?? scaledImported.sections?.[0]?.payload?.bpm);
+      const ratio = Number.isFinite(firstBpm) && firstBpm > 0 ? overrideBpm / firstBpm : null;
+      return {
+        ...scaledImported,
+        sections: (scaledImported.sections || []).map((section) => {
+          const sectionBpm = Number(section?.bpm ?? section?.payload?.bpm);
+          const nextBpm =
+            ratio != null && Number.isFinite(sectionBpm) ? roundTempoForImport(sectionBpm * ratio) : overrideBpm;
+          return {
+            ...section,
+            bpm: nextBpm,
+            payload: section?.payload ? { ...section.payload, bpm: nextBpm } : section.payload,
+          };
+        }),
+      };
+    }
     return overrideBpm == null
       ? scaledImported
-      : scaledImported.kind === "arrangement"
-        ? {
-            ...scaledImported,
-            sections: (scaledImported.sections || []).map((section) => ({
-              ...section,
-              bpm: overrideBpm,
-              payload: section?.payload
-                ? { ...section.payload, bpm: overrideBpm }
-                : section.payload,
-            })),
-          }
-        : {
-            ...scaledImported,
-            payload: scaledImported?.payload
-              ? { ...scaledImported.payload, bpm: overrideBpm }
-              : scaledImported.payload,
-          };
-  }, [applyImportedMidiTempoMultiplier, clampBpm]);
+      : {
+          ...scaledImported,
+          payload: scaledImported?.payload
+            ? { ...scaledImported.payload, bpm: overrideBpm }
+            : scaledImported.payload,
+        };
+  }, [applyImportedMidiTempoMultiplier, clampBpm, roundTempoForImport]);
   const getSuggestedImportedMidiBpm = React.useCallback((imported, fallbackBpm, tempoMultiplier = 1) => {
     const scaledImported = applyImportedMidiTempoMultiplier(imported, tempoMultiplier);
     const candidate =
@@ -12697,29 +13198,87 @@ useEffect(() => {
     },
     [buildPendingMidiImportMappingState, midiArrangementImportMode, midiImportSplitBars, midiImportVelocityThresholds]
   );
-  useEffect(() => {
-    const hasDraggedFiles = (event) =>
-      Array.from(event?.dataTransfer?.types || []).includes("Files");
-    const handleDragEnter = (event) => {
-      if (!hasDraggedFiles(event)) return;
-      midiWindowDragDepthRef.current += 1;
-      event.preventDefault();
-      setIsMidiWindowDragActive(true);
-    };
-    const handleDragOver = (event) => {
-      if (!hasDraggedFiles(event)) return;
-      event.preventDefault();
-      if (event.dataTransfer) event.dataTransfer.dropEffect = "copy";
-      if (!isMidiWindowDragActive) setIsMidiWindowDragActive(true);
-    };
-    const handleDragLeave = (event) => {
-      if (!hasDraggedFiles(event)) return;
-      event.preventDefault();
-      midiWindowDragDepthRef.current = Math.max(0, midiWindowDragDepthRef.current - 1);
-      if (midiWindowDragDepthRef.current === 0) {
-        setIsMidiWindowDragActive(false);
-      }
-    };
+  const handleMusicXmlImportFile = React.useCallback(
+    async (file) => {
+      if (!file) return;
+      const text = await file.text();
+      const imported = importDrumMusicXml({
+        text,
+        instruments: ALL_INSTRUMENTS,
+        notationMap,
+        arrangementSplitBars: midiImportSplitBars,
+      });
+      setPendingMusicXmlImport({
+        text,
+        fileName: file.name,
+        lastModified: file.lastModified || "",
+        importedKind: imported.kind,
+        mappingEntries: imported.mappingEntries || [],
+        instrumentAssignments: Object.fromEntries(
+          (imported.mappingEntries || []).map((entry) => [entry.sourceKey, entry.instrumentId || ""])
+        ),
+        arrangementImportMode: midiArrangementImportMode,
+        splitBars: midiImportSplitBars,
+      });
+      setIsShareActionsDialogOpen(false);
+    },
+    [midiArrangementImportMode, midiImportSplitBars, notationMap]
+  );
+  const confirmPendingMusicXmlImport = React.useCallback(() => {
+    if (!pendingMusicXmlImport?.text) return;
+    try {
+      const imported = importDrumMusicXml({
+        text: pendingMusicXmlImport.text,
+        instruments: ALL_INSTRUMENTS,
+        notationMap,
+        arrangementSplitBars: pendingMusicXmlImport.splitBars,
+        instrumentAssignments: pendingMusicXmlImport.instrumentAssignments || {},
+      });
+      if (!imported.usedInstrumentIds?.length) throw new Error("No mapped drum notes remain after import mapping.");
+      // A MusicXML import has no MIDI file to reopen in the MIDI import dialogs.
+      setLastMidiImportSession(null);
+      applyImportedMidiResult(
+        imported,
+        {
+          fileName: pendingMusicXmlImport.fileName,
+          lastModified: pendingMusicXmlImport.lastModified || "",
+        },
+        null,
+        {
+          arrangementImportMode: pendingMusicXmlImport.arrangementImportMode,
+          titleLine1: imported.title || "",
+          author: imported.composer || "",
+        }
+      );
+      setPendingMusicXmlImport(null);
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to import MusicXML");
+    }
+  }, [applyImportedMidiResult, notationMap, pendingMusicXmlImport]);
+  useEffect(() => {
+    const hasDraggedFiles = (event) =>
+      Array.from(event?.dataTransfer?.types || []).includes("Files");
+    const handleDragEnter = (event) => {
+      if (!hasDraggedFiles(event)) return;
+      midiWindowDragDepthRef.current += 1;
+      event.preventDefault();
+      setIsMidiWindowDragActive(true);
+    };
+    const handleDragOver = (event) => {
+      if (!hasDraggedFiles(event)) return;
+      event.preventDefault();
+      if (event.dataTransfer) event.dataTransfer.dropEffect = "copy";
+      if (!isMidiWindowDragActive) setIsMidiWindowDragActive(true);
+    };
+    const handleDragLeave = (event) => {
+      if (!hasDraggedFiles(event)) return;
+      event.preventDefault();
+      midiWindowDragDepthRef.current = Math.max(0, midiWindowDragDepthRef.current - 1);
+      if (midiWindowDragDepthRef.current === 0) {
+        setIsMidiWindowDragActive(false);
+      }
+    };
     const handleDrop = async (event) => {
       if (!hasDraggedFiles(event)) return;
       event.preventDefault();
@@ -12727,12 +13286,14 @@ useEffect(() => {
       setIsMidiWindowDragActive(false);
       const files = Array.from(event.dataTransfer?.files || []);
       const midiFile = files.find((file) => isMidiLikeFile(file));
-      if (!midiFile) return;
+      const musicXmlFile = midiFile ? null : files.find((file) => isMusicXmlLikeFile(file));
+      if (!midiFile && !musicXmlFile) return;
       try {
-        await handleMidiImportFile(midiFile);
+        if (midiFile) await handleMidiImportFile(midiFile);
+        else await handleMusicXmlImportFile(musicXmlFile);
       } catch (error) {
         console.error(error);
-        alert(error?.message || "Failed to import MIDI");
+        alert(error?.message || (midiFile ? "Failed to import MIDI" : "Failed to import MusicXML"));
       }
     };
     window.addEventListener("dragenter", handleDragEnter);
@@ -12745,7 +13306,7 @@ useEffect(() => {
       window.removeEventListener("dragleave", handleDragLeave);
       window.removeEventListener("drop", handleDrop);
     };
-  }, [handleMidiImportFile, isMidiWindowDragActive]);
+  }, [handleMidiImportFile, handleMusicXmlImportFile, isMidiWindowDragActive]);
   const confirmPendingMidiImportMapping = React.useCallback(() => {
     if (!pendingMidiImportMapping?.arrayBuffer) return;
     const imported = importDrumMidi({
@@ -13747,7 +14308,7 @@ useEffect(() => {
     if (!loopRule) return;
     const onKey = (e) => {
       if (e.key !== "Enter") return;
-      if (pendingPresetChange || isKitEditorOpen || isArrangementOpen || isPublicSubmitDialogOpen || isShareActionsDialogOpen || isPrintDialogOpen || isArrangementPrintDialogOpen || isMidiDialogOpen) return;
+      if (pendingPresetChange || isKitEditorOpen || isArrangementOpen || isPublicSubmitDialogOpen || isShareActionsDialogOpen || isPrintDialogOpen || isArrangementPrintDialogOpen || isMidiDialogOpen || isAudioExportDialogOpen) return;
       const el = e.target;
       const tag = (el?.tagName || "").toLowerCase();
       const isTyping = tag === "input" || tag === "textarea" || el?.isContentEditable;
@@ -13772,6 +14333,7 @@ useEffect(() => {
     isPrintDialogOpen,
     isArrangementPrintDialogOpen,
     isMidiDialogOpen,
+    isAudioExportDialogOpen,
   ]);
 
   const computedGrid = React.useMemo(() => {
@@ -14351,17 +14913,50 @@ useEffect(() => {
   const playbackRateLabel = React.useMemo(() => `x${playbackRate.toFixed(2)}`, [playbackRate]);
 
 
+  const soundKitState = useSoundKits();
+  const midiOutput = useMidiOutput({ instruments: ALL_INSTRUMENTS });
+  const [isMidiRecording, setIsMidiRecording] = useState(false);
+  const runSoundKitAction = React.useCallback(async (action, fallbackMessage) => {
+    try {
+      await action();
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || fallbackMessage);
+    }
+  }, []);
+  const arrangementBackingTrack = React.useMemo(
+    () => normalizeBackingTrackLink(arrangementBackingTracks[loadedArrangementId || "draft"]),
+    [arrangementBackingTracks, loadedArrangementId]
+  );
+  const gridBackingTrack = React.useMemo(
+    () => (beatBackingTrack && !isEmbedMode ? { ...beatBackingTrack, rate: playbackRate } : null),
+    [beatBackingTrack, isEmbedMode, playbackRate]
+  );
+  const backingTrackIds = React.useMemo(
+    () => (isEmbedMode ? [] : [beatBackingTrack?.trackId, arrangementBackingTrack?.trackId].filter(Boolean)),
+    [isEmbedMode, beatBackingTrack?.trackId, arrangementBackingTrack?.trackId]
+  );
   const playback = usePlayback({
     instruments,
     grid: computedGrid,
     columns,
+    dynamicScales,
     bpm: effectivePlaybackBpm,
     resolution,
     stepQuarterDurations,
     timeSig,
-    metronomeEnabled,
+    metronomeEnabled: metronomeEnabled || isMidiRecording,
     metronomeVolume,
+    metronome: metronomeSettings,
     drumVolume,
+    swing,
+    userSamples: soundKitState.userSamples,
+    mixer,
+    midiTarget: midiOutput.target,
+    speedTrainer: isEmbedMode ? null : speedTrainer,
+    gapClick: isEmbedMode ? null : gapClick,
+    backingTrack: gridBackingTrack,
+    backingTrackIds,
   });
   useEffect(() => {
     playheadRef.current = playback.playhead;
@@ -14387,12 +14982,13 @@ useEffect(() => {
     if (playback.isPlaying) {
       playback.stop();
     } else {
-      const countInBeatDurSec = (60 / effectivePlaybackBpm) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+      const countInBpm = speedTrainer.enabled && !isEmbedMode ? speedTrainer.startBpm : effectivePlaybackBpm;
+      const countInBeatDurSec = (60 / countInBpm) * (4 / Math.max(1, Number(timeSig?.d) || 4));
       const countInBeats = metronomeCountInEnabled ? Math.max(1, Number(timeSig?.n) || 4) : 0;
       playback.setPlayhead(0);
       playback.play({ startStep: 0, countInBeats, countInBeatDurSec });
     }
-  }, [playback.isPlaying, playback.play, playback.stop, playback.setPlayhead, effectivePlaybackBpm, timeSig, metronomeCountInEnabled]);
+  }, [playback.isPlaying, playback.play, playback.stop, playback.setPlayhead, effectivePlaybackBpm, speedTrainer, timeSig, metronomeCountInEnabled]);
   const activeArrangementPlaybackEntry = React.useMemo(() => {
     if (!arrangementPlaybackEnabled) return null;
     return arrangementPlayableEntries[arrangementPlaybackIndex] || null;
@@ -14519,7 +15115,21 @@ useEffect(() => {
               segment.barCount,
               showNotationSticking
             ),
+            barNavigation: (block.barNavigation || []).slice(segment.startBar, segment.startBar + segment.barCount),
+            measureRepeatModeByBar: (block.measureRepeatModeByBar || []).slice(
+              segment.startBar,
+              segment.startBar + segment.barCount
+            ),
+            countingStyleByBar: (block.countingStyleByBar || []).slice(segment.startBar, segment.startBar + segment.barCount),
+            barStyleByBar: (block.barStyleByBar || []).slice(segment.startBar, segment.startBar + segment.barCount),
+            barNumberByBar: (block.songBarByBar || [])
+              .slice(segment.startBar, segment.startBar + segment.barCount)
+              .map((songBar) => songBar + 1),
             startBarOffset: (block.startBarOffset || 0) + segment.startBar,
+            songStartBar: block.songBarByBar?.[segment.startBar] ?? (block.startBarOffset || 0) + segment.startBar,
+            songEndBar:
+              block.songBarEndByBar?.[segment.startBar + segment.barCount - 1] ??
+              (block.startBarOffset || 0) + segment.startBar + segment.barCount,
           };
         })
         .filter(Boolean);
@@ -14546,9 +15156,9 @@ useEffect(() => {
     }
     return arrangementSheetPages.findIndex((page) =>
       (Array.isArray(page?.segments) ? page.segments : []).some((segment) => {
-        const startBar = Number(segment?.startBarOffset) || 0;
-        const barCount = Math.max(1, Number(segment?.notation?.bars) || 0);
-        return activeArrangementGlobalBarIndex >= startBar && activeArrangementGlobalBarIndex < startBar + barCount;
+        const startBar = Number(segment?.songStartBar) || 0;
+        const endBar = Number(segment?.songEndBar) || startBar + 1;
+        return activeArrangementGlobalBarIndex >= startBar && activeArrangementGlobalBarIndex < endBar;
       })
     );
   }, [activeArrangementGlobalBarIndex, arrangementSheetPages]);
@@ -14921,8 +15531,11 @@ useEffect(() => {
       return steps[nextIdx];
     });
   }, []);
-  const arrangementCompiledPlayback = React.useMemo(() => {
-    const sourceEntries = (Array.isArray(arrangementPlayableEntries) ? arrangementPlayableEntries : []).map((entry, idx) => ({
+  const buildArrangementCompiledTimeline = React.useCallback((entries, {
+    includeMetronome = metronomeEnabled,
+    rate = playbackRate,
+  } = {}) => {
+    const sourceEntries = (Array.isArray(entries) ? entries : []).map((entry, idx) => ({
       ...entry,
       __queueIndex: idx,
     }));
@@ -14938,8 +15551,6 @@ useEffect(() => {
       if (!notationState) return;
       const stepQuarterDurations = buildStepQuarterDurationsFromNotationState(notationState);
       const entryTimeSig = payload?.timeSig || { n: 4, d: 4 };
-      const beatQuarterLength = 4 / Math.max(1, Number(entryTimeSig?.d) || 4);
-      const beatsPerBar = Math.max(1, Math.round(Number(entryTimeSig?.n) || 4));
       const beatBars = Math.max(1, Number(entry?.row?.beatBars) || 1);
       const repeatOffsetBars = Math.max(0, Number(entry?.repeatIndex) || 0) * beatBars;
       const globalBarBase =
@@ -14947,23 +15558,33 @@ useEffect(() => {
       const entryStartSec = timeSec;
       const entryBpm = clampBpm(
         Math.round(
-          (Math.max(20, Math.min(400, Number(entry?.row?.beatBpm || payload?.bpm || bpm) || bpm)) * playbackRate) * 100
+          getArrangementRowTempo(entry?.row, payload, bpm) * rate * 100
         ) / 100
       );
-      let quarterPos = 0;
+      const entrySwing = normalizeSwing(entry?.row?.swingOverride || payload?.swing);
+      const entryRowType = entry?.row?.rowType;
+      const entryBarClicks =
+        includeMetronome || isClickOnlyRowType(entryRowType)
+          ? getMetronomeBarClicks(payload?.metronome, entryTimeSig)
+          : [];
+      const entryPlaysHits = isWrittenBeatRowType(entryRowType);
+      const barStartSteps = new Set(notationState.barStepOffsets || [0]);
+      const entryInstrumentIds = (notationState.instruments || []).map((inst) => inst.id);
+      const entryDynamicScales = getDynamicScaleByStep(
+        notationState.dynamics,
+        notationState.hairpins,
+        stepQuarterDurations.length
+      );
+      let barQuarterPos = 0;
       for (let step = 0; step < stepQuarterDurations.length; step++) {
-        const beatPos = quarterPos / Math.max(1e-6, beatQuarterLength);
-        const nearestBeat = Math.round(beatPos);
-        if (metronomeEnabled && Math.abs(beatPos - nearestBeat) < 1e-6) {
-          const beatIndex = ((nearestBeat % beatsPerBar) + beatsPerBar) % beatsPerBar;
+        if (barStartSteps.has(step)) barQuarterPos = 0;
+        const swingOffsetSec =
+          (60 / entryBpm) * getSwingOffsetQuarters(barQuarterPos, stepQuarterDurations[step], entrySwing);
+        getMetronomeClicksInStep(entryBarClicks, barQuarterPos, stepQuarterDurations[step]).forEach((click) => {
           const globalBarIndex = globalBarBase + getBarIndexForStepFromPayload(payload, step);
           events.push({
-            timeSec,
-            hits: [{
-              instId: beatIndex === 0 ? "metronomeHi" : "metronomeLo",
-              state: "on",
-              gain: beatIndex === 0 ? 0.95 * metronomeVolume : 0.82 * metronomeVolume,
-            }],
+            timeSec: timeSec + (60 / entryBpm) * click.quarterDelta,
+            hits: [buildMetronomeClickHit(click.level, payload?.metronome, metronomeVolume)],
             meta: {
               mode: "arrangement-compiled",
               queueIndex: Number(entry?.__queueIndex ?? -1),
@@ -14973,19 +15594,29 @@ useEffect(() => {
               localStep: step,
             },
           });
-        }
+        });
         const hits = [];
-        (notationState.instruments || []).forEach((inst) => {
+        (entryPlaysHits ? notationState.instruments || [] : []).forEach((inst) => {
           const state = notationState.grid?.[inst.id]?.[step] ?? CELL.OFF;
           if (state === CELL.OFF) return;
+          const rollTiming = isRollState(state)
+            ? getRollTiming(notationState.grid, entryInstrumentIds, inst.id, step, stepQuarterDurations, entryTimeSig)
+            : null;
           hits.push({
             instId: inst.id,
-            state: state === CELL.ACCENT ? "accent" : state === CELL.GHOST ? "ghost" : "on",
+            state:
+              isGraceNoteState(state) || isRollState(state)
+                ? state
+                : state === CELL.ACCENT ? "accent" : state === CELL.GHOST ? "ghost" : "on",
+            ...(entryDynamicScales[step] !== 1 ? { dynamic: entryDynamicScales[step] } : {}),
+            ...(rollTiming
+              ? { roll: { durationSec: (60 / entryBpm) * rollTiming.quarters, tied: rollTiming.tied, bpm: entryBpm } }
+              : {}),
           });
         });
         const globalBarIndex = globalBarBase + getBarIndexForStepFromPayload(payload, step);
         events.push({
-          timeSec,
+          timeSec: timeSec + swingOffsetSec,
           stepIndex: step,
           hits,
           meta: {
@@ -15001,7 +15632,7 @@ useEffect(() => {
           barStartTimes.set(globalBarIndex, timeSec);
         }
         timeSec += (60 / entryBpm) * stepQuarterDurations[step];
-        quarterPos += stepQuarterDurations[step];
+        barQuarterPos += stepQuarterDurations[step];
       }
       boundaries.push({
         queueIndex: Number(entry?.__queueIndex ?? -1),
@@ -15009,13 +15640,21 @@ useEffect(() => {
         repeatIndex: Number(entry?.repeatIndex ?? 0),
         startSec: entryStartSec,
         endSec: timeSec,
+        backingTrackStartSec: entry?.row?.backingTrackStartSec ?? null,
       });
     });
+    return { events, boundaries, barStartTimes, totalDurationSec: timeSec };
+  }, [bpm, playbackRate, metronomeEnabled, metronomeVolume, buildEffectiveNotationPayloadFromBeat]);
+  const arrangementCompiledPlayback = React.useMemo(() => {
+    const { events, boundaries, barStartTimes, totalDurationSec: timeSec } =
+      buildArrangementCompiledTimeline(arrangementPlayableEntries);
     let playbackEvents = events;
     let playbackBoundaries = boundaries;
     let totalDurationSec = timeSec;
     let loop = false;
     let playbackBarStartTimes = barStartTimes;
+    const backingTrackSegments = buildArrangementBackingTrackSegments(boundaries, arrangementBackingTrack?.offsetSec);
+    let playbackBackingTrackSegments = backingTrackSegments;
     if (normalizedArrangementBarLoopSelection) {
       const startBar = normalizedArrangementBarLoopSelection.start;
       const endBar = normalizedArrangementBarLoopSelection.end;
@@ -15023,8 +15662,15 @@ useEffect(() => {
       const endTime =
         barStartTimes.get(endBar + 1) ??
         timeSec;
+      // Bars played more than once through repeats or jumps loop over their first pass only.
       playbackEvents = events
-        .filter((event) => event.meta?.globalBarIndex >= startBar && event.meta?.globalBarIndex <= endBar)
+        .filter(
+          (event) =>
+            event.meta?.globalBarIndex >= startBar &&
+            event.meta?.globalBarIndex <= endBar &&
+            event.timeSec >= startTime &&
+            event.timeSec < endTime
+        )
         .map((event) => ({ ...event, timeSec: Math.max(0, event.timeSec - startTime) }));
       const queueIndices = new Set(playbackEvents.map((event) => Number(event?.meta?.queueIndex)));
       playbackBoundaries = boundaries
@@ -15045,6 +15691,7 @@ useEffect(() => {
         playbackBarStartTimes.set(endBar + 1, Math.max(0, nextBarTime - startTime));
       }
       totalDurationSec = Math.max(0, endTime - startTime);
+      playbackBackingTrackSegments = getBackingTrackSegmentsFrom(backingTrackSegments, startTime, playbackRate);
       loop = true;
     } else if (arrangementPlaybackLoopRange) {
       playbackEvents = events.filter((event) => {
@@ -15085,6 +15732,7 @@ useEffect(() => {
         (boundaries[arrangementPlaybackLoopRange.end]?.endSec ?? timeSec) -
           (boundaries[arrangementPlaybackLoopRange.start]?.startSec ?? 0)
       );
+      playbackBackingTrackSegments = getBackingTrackSegmentsFrom(backingTrackSegments, startTime, playbackRate);
       loop = true;
     } else if (arrangementPlaybackLoopEnabled) {
       loop = true;
@@ -15095,8 +15743,17 @@ useEffect(() => {
       totalDurationSec,
       loop,
       barStartTimes: playbackBarStartTimes,
+      backingTrackSegments: playbackBackingTrackSegments,
     };
-  }, [arrangementPlayableEntries, arrangementPlaybackLoopRange, normalizedArrangementBarLoopSelection, arrangementPlaybackLoopEnabled, bpm, playbackRate, metronomeEnabled, metronomeVolume, buildEffectiveNotationPayloadFromBeat]);
+  }, [
+    arrangementPlayableEntries,
+    arrangementPlaybackLoopRange,
+    normalizedArrangementBarLoopSelection,
+    arrangementPlaybackLoopEnabled,
+    buildArrangementCompiledTimeline,
+    arrangementBackingTrack?.offsetSec,
+    playbackRate,
+  ]);
   useEffect(() => {
     arrangementPlaybackIndexRef.current = arrangementPlaybackIndex;
   }, [arrangementPlaybackIndex]);
@@ -15141,7 +15798,7 @@ useEffect(() => {
     const startTimeSig = startPayload?.timeSig || { n: 4, d: 4 };
     const startBpm = clampBpm(
       Math.round(
-        (Math.max(20, Math.min(400, Number(startEntry?.row?.beatBpm || startPayload?.bpm || bpm) || bpm)) * playbackRate) * 100
+        getArrangementRowTempo(startEntry?.row, startPayload, bpm) * playbackRate * 100
       ) / 100
     );
     const countInBeatDurSec = (60 / startBpm) * (4 / Math.max(1, Number(startTimeSig?.d) || 4));
@@ -15158,6 +15815,9 @@ useEffect(() => {
         loop: plan.loop === true,
         countInBeats,
         countInBeatDurSec,
+        backingTrack: arrangementBackingTrack
+          ? { ...arrangementBackingTrack, rate: playbackRate, segments: plan.backingTrackSegments }
+          : null,
       }).then(() => {
         arrangementStartedRef.current = true;
       }).catch(() => {
@@ -15182,6 +15842,7 @@ useEffect(() => {
     normalizedArrangementBarSelection,
     normalizedArrangementSelection,
     metronomeCountInEnabled,
+    arrangementBackingTrack,
   ]);
   const stopArrangementPlayback = React.useCallback(() => {
     playback.hardStop();
@@ -15200,6 +15861,125 @@ useEffect(() => {
     setArrangementPlaybackIndex(0);
     setArrangementNotationVirtualize(false);
   }, [playback.setStopAtTime]);
+  // Backing tracks: the file goes to IndexedDB and only its id is linked to the
+  // beat payload or, for arrangements, to the loaded arrangement id.
+  const attachBackingTrackFile = React.useCallback(async (file, applyLink) => {
+    try {
+      if (!playback.isReady) await playback.initSamples();
+      const record = await saveBackingTrackFile(file);
+      applyLink((prev) =>
+        normalizeBackingTrackLink({
+          trackId: record.id,
+          name: record.name,
+          offsetSec: prev?.offsetSec ?? 0,
+          gain: prev?.gain ?? DEFAULT_BACKING_TRACK_GAIN,
+        })
+      );
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to add backing track");
+    }
+  }, [playback.isReady, playback.initSamples]);
+  useEffect(() => {
+    if (!arrangementPlaybackEnabled || !arrangementBackingTrack) return;
+    playback.setBackingTrackGain(arrangementBackingTrack.gain);
+  }, [arrangementPlaybackEnabled, arrangementBackingTrack?.gain, playback.setBackingTrackGain]);
+  const updateBeatBackingTrack = React.useCallback((updater) => {
+    setBeatBackingTrack((prev) => normalizeBackingTrackLink(updater(prev)));
+  }, []);
+  const updateArrangementBackingTrack = React.useCallback((updater) => {
+    const key = loadedArrangementId || "draft";
+    setArrangementBackingTracks((prev) => {
+      const next = normalizeBackingTrackLink(updater(normalizeBackingTrackLink(prev[key])));
+      const out = { ...prev };
+      if (next) out[key] = next;
+      else delete out[key];
+      return out;
+    });
+  }, [loadedArrangementId]);
+  // MIDI input recording: hits are quantized to the nearest step of the
+  // looping grid and merged into the editor grid as one undo step per take.
+  const midiRecordTakeHasHitsRef = React.useRef(false);
+  const handleMidiRecordHit = React.useCallback(({ instId, state, timeStamp }) => {
+    const step = playback.getGridStepAtPerformanceTime(timeStamp);
+    if (!Number.isInteger(step) || step < 0 || step >= columns) return;
+    if (!kitInstrumentIds.includes(instId)) toggleInstrumentInKit(instId, true);
+    if (!midiRecordTakeHasHitsRef.current) {
+      midiRecordTakeHasHitsRef.current = true;
+      pushGridHistory();
+    }
+    const rank = {
+      [CELL.OFF]: 0,
+      [CELL.GHOST]: 1,
+      [CELL.ON]: 2,
+      [CELL.ACCENT]: 3,
+      [CELL.FLAM]: 4,
+      [CELL.DRAG]: 4,
+      [CELL.RUFF]: 4,
+      [CELL.BUZZ]: 4,
+      [CELL.TREMOLO8]: 4,
+      [CELL.TREMOLO16]: 4,
+      [CELL.TREMOLO32]: 4,
+    };
+    setBaseGrid((prev) => {
+      const row = Array.isArray(prev[instId]) ? [...prev[instId]] : Array(columns).fill(CELL.OFF);
+      if ((rank[row[step]] || 0) >= rank[state]) return prev;
+      row[step] = state;
+      return { ...prev, [instId]: row };
+    });
+  }, [playback.getGridStepAtPerformanceTime, columns, kitInstrumentIds, toggleInstrumentInKit, pushGridHistory]);
+  const midiInput = useMidiInput({
+    instruments: ALL_INSTRUMENTS,
+    mappingPresets: MIDI_IMPORT_MAPPING_PRESETS,
+    velocityThresholds: midiImportVelocityThresholds,
+    listening: isMidiRecording,
+    onHit: handleMidiRecordHit,
+  });
+  const toggleMidiRecording = React.useCallback(async () => {
+    if (isMidiRecording) {
+      playback.stop();
+      setIsMidiRecording(false);
+      return;
+    }
+    try {
+      await midiInput.connect();
+    } catch (_) {
+      return;
+    }
+    if (arrangementPlaybackUiActive) stopArrangementPlayback();
+    if (playback.isPlaying) playback.hardStop();
+    midiRecordTakeHasHitsRef.current = false;
+    setIsMidiRecording(true);
+    const countInBpm = speedTrainer.enabled ? speedTrainer.startBpm : effectivePlaybackBpm;
+    const countInBeatDurSec = (60 / countInBpm) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+    playback.setPlayhead(0);
+    playback.play({ startStep: 0, countInBeats: Math.max(1, Number(timeSig?.n) || 4), countInBeatDurSec });
+  }, [
+    isMidiRecording,
+    midiInput.connect,
+    arrangementPlaybackUiActive,
+    stopArrangementPlayback,
+    playback.isPlaying,
+    playback.hardStop,
+    playback.stop,
+    playback.play,
+    playback.setPlayhead,
+    effectivePlaybackBpm,
+    speedTrainer,
+    timeSig,
+  ]);
+  const wasPlayingDuringMidiRecordRef = React.useRef(false);
+  useEffect(() => {
+    if (!isMidiRecording) {
+      wasPlayingDuringMidiRecordRef.current = false;
+      return;
+    }
+    if (playback.isPlaying) {
+      wasPlayingDuringMidiRecordRef.current = true;
+      return;
+    }
+    if (wasPlayingDuringMidiRecordRef.current) setIsMidiRecording(false);
+  }, [isMidiRecording, playback.isPlaying]);
   useEffect(() => {
     if (!arrangementPlaybackEnabled) return;
     if (!arrangementCompiledPlayback?.boundaries?.length) {
@@ -15415,10 +16195,8 @@ useEffect(() => {
       const row = baseGrid[inst.id] || [];
       const events = [];
       for (let idx = 0; idx < Math.min(columns, row.length); idx++) {
-        const cell = row[idx];
-        if (cell === CELL.ACCENT) events.push([idx, 3]);
-        else if (cell === CELL.ON) events.push([idx, 1]);
-        else if (cell === CELL.GHOST) events.push([idx, 2]);
+        const code = getPayloadCodeForCell(row[idx]);
+        if (code) events.push([idx, code]);
       }
       if (events.length) grid[inst.id] = events;
     });
@@ -15455,6 +16233,14 @@ useEffect(() => {
       stickingKeepQuarterLeadHand: stickingKeepQuarterLeadHand !== false,
       showNotationSticking: showNotationSticking !== false,
       notationStickingView: notationStickingView === "split-rows" ? "split-rows" : "above",
+      ...(notationCounting !== "off" ? { notationCounting } : {}),
+      ...(isSwingActive(swing) ? { swing: normalizeSwing(swing) } : {}),
+      ...(!isDefaultMetronomeSettings(metronomeSettings)
+        ? { metronome: normalizeMetronomeSettings(metronomeSettings) }
+        : {}),
+      ...(beatBackingTrack ? { backingTrack: beatBackingTrack } : {}),
+      ...(dynamics.length ? { dynamics } : {}),
+      ...(hairpins.length ? { hairpins } : {}),
       ...(Object.keys(compactStickingOverrides).length > 0
         ? { stickingOverrides: compactStickingOverrides }
         : {}),
@@ -15474,6 +16260,11 @@ useEffect(() => {
     resolution,
     timeSig,
     bpm,
+    swing,
+    metronomeSettings,
+    beatBackingTrack,
+    dynamics,
+    hairpins,
     layout,
     normalizedTupletOverridesByBar,
     mergeRests,
@@ -15484,6 +16275,7 @@ useEffect(() => {
     stickingKeepQuarterLeadHand,
     showNotationSticking,
     notationStickingView,
+    notationCounting,
     stickingOverrides,
     notationStickingSelection,
   ]);
@@ -15726,8 +16518,7 @@ useEffect(() => {
             const idx = Number(event[0]);
             const code = Number(event[1]);
             if (!Number.isFinite(idx) || idx < 0 || idx >= nextColumns) return;
-            const nextVal =
-              code === 3 ? CELL.ACCENT : code === 2 ? CELL.GHOST : code === 1 ? CELL.ON : CELL.OFF;
+            const nextVal = getCellForPayloadCode(code);
             if (nextVal !== CELL.OFF) nextGrid[instId][Math.floor(idx)] = nextVal;
           });
         }
@@ -15784,6 +16575,7 @@ useEffect(() => {
         if (typeof payload.dottedNotes === "boolean") {
           setDottedNotes(payload.dottedNotes);
         }
+        setNotationCounting(normalizeCountingStyle(payload.notationCounting));
 
         const nextLayout = payload.layout;
         const layoutOptions = ["grid-top", "notation-top", "grid-right", "notation-right"];
@@ -15804,6 +16596,11 @@ useEffect(() => {
           setBpm(clampedBpm);
           setBpmDraft(String(clampedBpm));
         }
+        setSwing(normalizeSwing(payload.swing));
+        setMetronomeSettings(normalizeMetronomeSettings(payload.metronome));
+        setBeatBackingTrack(normalizeBackingTrackLink(payload.backingTrack));
+        setDynamics(normalizeDynamics(payload.dynamics));
+        setHairpins(normalizeHairpins(payload.hairpins));
         setModifiedPresetBase(null);
         setPendingPresetChange(null);
         setPendingRemoval(null);
@@ -16045,6 +16842,7 @@ useEffect(() => {
         : "";
     const effectiveSharedState = routeOptions.shareId ? resolvedSharedState : requestedSharedState;
     if (!effectiveSharedState || typeof effectiveSharedState !== "object") return;
+    setSharedNotationMapOverride(effectiveSharedState.notationMap || null);
     if (effectiveSharedState.kind === "arrangement") {
       applyImportedArrangementPayload(effectiveSharedState);
       return;
@@ -16067,10 +16865,9 @@ useEffect(() => {
       shareKind: effectiveSharedState.kind === "arrangement" ? "arrangement" : "beat",
     });
   }, [requestedSharedState, resolvedSharedState, routeOptions.shared, routeOptions.shareId, trackStatsEvent]);
-  const saveCurrentBeatLocal = React.useCallback(async (options = {}) => {
-    const shouldAutoRename = !(options && options.autoRename === false);
-    const excludeId = String(options?.excludeId || "").trim();
-    const name = getUniqueBeatName(beatNameDraft, excludeId ? { excludeId } : undefined);
+  // Stores a beat payload as a new library entry (cloud when signed in) in the
+  // selected folder and returns the entry, or null when saving failed.
+  const addBeatPayloadToLibrary = React.useCallback(async ({ payload: beatPayload, name, category, style }) => {
     const now = new Date().toISOString();
     const selectedParentId = selectedBeatLibraryContainerId !== "all" ? selectedBeatLibraryContainerId : null;
     const nextManualOrder =
@@ -16080,7 +16877,7 @@ useEffect(() => {
         return Math.max(max, Number(meta.manualOrder) || 0);
       }, 0) + 1;
     const payload = {
-      ...buildCurrentBeatPayload(),
+      ...beatPayload,
       libraryMeta: {
         parentId: selectedParentId,
         manualOrder: nextManualOrder,
@@ -16093,10 +16890,10 @@ useEffect(() => {
     const item = {
       id: `local-${Math.random().toString(36).slice(2, 10)}`,
       name,
-      category: beatCategoryDraft === "all" ? "Groove" : beatCategoryDraft,
-      style: beatStyleDraft === "all" ? undefined : beatStyleDraft.trim() || undefined,
-      timeSigCategory: `${timeSig.n}/${timeSig.d}`,
-      bpm,
+      category,
+      style,
+      timeSigCategory: `${Number(payload.timeSig?.n) || 4}/${Number(payload.timeSig?.d) || 4}`,
+      bpm: Number(payload.bpm) || bpm,
       createdAt: now,
       updatedAt: now,
       payload,
@@ -16131,17 +16928,31 @@ useEffect(() => {
       if (!nextItem) return null;
       setLocalBeatsWithUndo((prev) => [nextItem, ...prev].slice(0, 500));
       pendingBeatLibraryScrollTargetIdRef.current = `local:${String(nextItem.id)}`;
-      setLoadedLocalBeatId(nextItem.id);
-      setUnsavedBeatStripSnapshot(null);
-      setBeatNameDraft(String(nextItem.name || ""));
-      setIsCurrentBeatStripRenaming(false);
-      setCurrentBeatStripRenameWidth(null);
-      setPendingCurrentBeatStripAutoRename(shouldAutoRename);
       void refreshUsageLimits({ silent: true });
       return nextItem;
     }
     setLocalBeatsWithUndo((prev) => [item, ...prev].slice(0, 500));
     pendingBeatLibraryScrollTargetIdRef.current = `local:${String(item.id)}`;
+    return item;
+  }, [
+    authUser?.id,
+    selectedBeatLibraryContainerId,
+    bpm,
+    ensureCloudBeatQuotaAvailable,
+    refreshUsageLimits,
+    localBeats,
+    setLocalBeatsWithUndo,
+  ]);
+  const saveCurrentBeatLocal = React.useCallback(async (options = {}) => {
+    const shouldAutoRename = !(options && options.autoRename === false);
+    const excludeId = String(options?.excludeId || "").trim();
+    const item = await addBeatPayloadToLibrary({
+      payload: buildCurrentBeatPayload(),
+      name: getUniqueBeatName(beatNameDraft, excludeId ? { excludeId } : undefined),
+      category: beatCategoryDraft === "all" ? "Groove" : beatCategoryDraft,
+      style: beatStyleDraft === "all" ? undefined : beatStyleDraft.trim() || undefined,
+    });
+    if (!item) return null;
     setLoadedLocalBeatId(item.id);
     setUnsavedBeatStripSnapshot(null);
     setBeatNameDraft(String(item.name || ""));
@@ -16150,19 +16961,12 @@ useEffect(() => {
     setPendingCurrentBeatStripAutoRename(shouldAutoRename);
     return item;
   }, [
-    authUser?.id,
-    selectedBeatLibraryContainerId,
+    addBeatPayloadToLibrary,
     beatNameDraft,
     beatCategoryDraft,
     beatStyleDraft,
-    timeSig,
-    bpm,
     buildCurrentBeatPayload,
-    ensureCloudBeatQuotaAvailable,
-    refreshUsageLimits,
-    localBeats,
     getUniqueBeatName,
-    setLocalBeatsWithUndo,
   ]);
   const saveCurrentBeatAsNewAndAddToSheet = React.useCallback(async () => {
     const savedBeat = await saveCurrentBeatLocal({ autoRename: false });
@@ -16171,6 +16975,101 @@ useEffect(() => {
     setIsArrangementNotationOpen(true);
     setArrangementNotationRowMenuState(null);
   }, [arrangementAddBeat, saveCurrentBeatLocal]);
+  const drumTabExportText = React.useMemo(() => {
+    if (drumTabDialog?.mode !== "export") return "";
+    try {
+      return buildDrumTab({
+        notation: buildNotationStateFromPayload(buildCurrentBeatPayload()),
+        aliases: drumTabAliases,
+      });
+    } catch (e) {
+      console.error(e);
+      return "";
+    }
+  }, [buildCurrentBeatPayload, drumTabAliases, drumTabDialog?.mode]);
+  const drumTabImportUnknownLabels = React.useMemo(() => {
+    if (drumTabDialog?.mode !== "import") return [];
+    try {
+      return parseDrumTab(drumTabDialog.text, { aliases: drumTabAliases }).unknownLabels;
+    } catch (_) {
+      return [];
+    }
+  }, [drumTabAliases, drumTabDialog?.mode, drumTabDialog?.text]);
+  const openDrumTabImport = React.useCallback((text = "") => {
+    setDrumTabDialog({
+      mode: "import",
+      text,
+      timeSig: `${timeSig.n}/${timeSig.d}`,
+      target: "grid",
+    });
+  }, [timeSig]);
+  const pasteDrumTabFromClipboard = React.useCallback(async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      setDrumTabDialog((prev) => (prev ? { ...prev, text } : prev));
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to read the clipboard");
+    }
+  }, []);
+  const copyDrumTabExport = React.useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(drumTabExportText);
+      setDrumTabDialog((prev) => (prev ? { ...prev, copied: true } : prev));
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to copy drum tab");
+    }
+  }, [drumTabExportText]);
+  const confirmDrumTabImport = React.useCallback(async () => {
+    if (drumTabDialog?.mode !== "import") return;
+    try {
+      const [n, d] = String(drumTabDialog.timeSig || "4/4").split("/").map(Number);
+      const { payload, truncated } = parseDrumTab(drumTabDialog.text, {
+        aliases: drumTabAliases,
+        timeSig: { n, d },
+        bpm,
+      });
+      // A new library beat is saved straight from the tab; the grid and any
+      // unsaved work in it stay as they are.
+      if (drumTabDialog.target === "library") {
+        const item = await addBeatPayloadToLibrary({
+          payload,
+          name: getUniqueBeatName("Drum Tab"),
+          category: "Groove",
+        });
+        if (!item) return;
+      } else {
+        applyImportedBeatPayloadRef.current?.(payload, `drum-tab:${Date.now()}`);
+        setLoadedLocalBeatId(null);
+      }
+      setDrumTabDialog(null);
+      if (truncated) alert("The drum tab is longer than 64 bars; only the first 64 were imported.");
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to import drum tab");
+    }
+  }, [addBeatPayloadToLibrary, bpm, drumTabAliases, drumTabDialog, getUniqueBeatName]);
+  useEffect(() => {
+    // Pasting a text tab anywhere outside a text field opens the tab import;
+    // anything else pastes the copied grid cells, if there are any.
+    const onPaste = (e) => {
+      const el = e.target;
+      const tag = (el?.tagName || "").toLowerCase();
+      if (tag === "input" || tag === "textarea" || el?.isContentEditable) return;
+      const text = e.clipboardData?.getData("text/plain") || "";
+      if (looksLikeDrumTab(text, drumTabAliases)) {
+        e.preventDefault();
+        openDrumTabImport(text);
+        return;
+      }
+      if (!gridClipboardRef.current) return;
+      e.preventDefault();
+      pasteSelectionFromClipboard();
+    };
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  }, [drumTabAliases, openDrumTabImport, pasteSelectionFromClipboard]);
   const canAddCurrentBeatToSheetDirectly = React.useMemo(
     () =>
       Boolean(loadedLocalBeatId) &&
@@ -16779,6 +17678,19 @@ useEffect(() => {
             >
               Flat beams
             </button>
+            <button
+              type="button"
+              onClick={() => setTwoVoiceNotation((v) => !v)}
+              className={`w-full whitespace-nowrap touch-none select-none rounded border px-3 py-[5px] text-left text-sm ${
+                twoVoiceNotation
+                  ? "bg-neutral-800 border-neutral-700 text-white"
+                  : "bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
+              }`}
+              title="Write hands with stems up and feet with stems down (set per instrument in the notation map)"
+              aria-pressed={twoVoiceNotation}
+            >
+              Two voices
+            </button>
         </div>
       </div>
     ) : null;
@@ -16804,6 +17716,47 @@ useEffect(() => {
     </span>
   );
 
+  const cycleNotationCounting = (direction) =>
+    setNotationCounting((prev) => {
+      const idx = Math.max(0, COUNTING_STYLES.indexOf(prev));
+      return COUNTING_STYLES[(idx + direction + COUNTING_STYLES.length) % COUNTING_STYLES.length];
+    });
+  const renderCountingControl = () => (
+    <div className="flex w-full items-center justify-between gap-2">
+      <span className="text-sm text-neutral-300">Counts</span>
+      <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-800 bg-neutral-900/60">
+        <button
+          type="button"
+          onClick={() => cycleNotationCounting(-1)}
+          className="px-2 text-base leading-none text-neutral-500 hover:bg-neutral-800/50 active:bg-neutral-800"
+          title="Previous counting style"
+          aria-label="Previous counting style"
+        >
+          -
+        </button>
+        <button
+          type="button"
+          onClick={() => setNotationCounting((prev) => (prev === "off" ? "standard" : "off"))}
+          className={`min-w-[72px] px-3 py-1 flex items-center justify-center text-sm border-l border-r border-neutral-800 bg-neutral-900/60 hover:bg-neutral-800/50 ${
+            notationCounting === "off" ? "text-neutral-500" : "text-white"
+          }`}
+          title={`Counting printed under the notation: ${COUNTING_STYLE_LABELS[notationCounting]}`}
+        >
+          {COUNTING_STYLE_SHORT_LABELS[notationCounting]}
+        </button>
+        <button
+          type="button"
+          onClick={() => cycleNotationCounting(1)}
+          className="px-2 text-base leading-none text-neutral-500 hover:bg-neutral-800/50 active:bg-neutral-800"
+          title="Next counting style"
+          aria-label="Next counting style"
+        >
+          +
+        </button>
+      </div>
+    </div>
+  );
+
   const renderLoopOverlapStepper = () => (
     <div
       data-sidebar-chevron-control="loop"
@@ -17346,6 +18299,7 @@ useEffect(() => {
                           {renderStickingDisplayControl()}
                         </div>
                       ) : null}
+                      {renderCountingControl()}
                     </div>
 
                     <div className="flex items-center justify-between gap-2">
@@ -17392,6 +18346,45 @@ useEffect(() => {
                     </div>
 
                     <div className="flex items-center gap-2">
+                      {selection ? (
+                        <select
+                          value=""
+                          onChange={(e) => {
+                            if (e.target.value) applyDynamicsToSelection(e.target.value);
+                          }}
+                          className="h-8 bg-neutral-900 border border-neutral-800 rounded px-1 text-sm text-neutral-300"
+                          title="Add a dynamic on the first selected step or a hairpin across the selection"
+                          aria-label="Dynamics for selection"
+                        >
+                          <option value="">Dyn.</option>
+                          {DYNAMIC_LEVELS.map((level) => (
+                            <option key={`dynamic-${level}`} value={level}>
+                              {level}
+                            </option>
+                          ))}
+                          {HAIRPIN_TYPES.map((type) => (
+                            <option key={`hairpin-${type}`} value={type}>
+                              {HAIRPIN_LABELS[type]}
+                            </option>
+                          ))}
+                          <option value="clear">Clear dynamics</option>
+                        </select>
+                      ) : null}
+                      {rollTargetCells.length ? (
+                        <button
+                          type="button"
+                          onClick={() => cycleRollOnTargets()}
+                          className={`touch-none select-none inline-flex h-8 min-w-8 px-2 items-center justify-center rounded border text-sm ${
+                            selectionRollState
+                              ? "bg-neutral-800 border-neutral-700 text-white"
+                              : "bg-neutral-900 border-neutral-800 text-neutral-500 hover:bg-neutral-800/40"
+                          }`}
+                          title={`Roll: ${selectionRollState ? ROLL_LABELS[selectionRollState] : "none"} (click to cycle)`}
+                          aria-label="Cycle roll on selected notes"
+                        >
+                          {selectionRollState ? ROLL_SHORT_LABELS[selectionRollState] : "Roll"}
+                        </button>
+                      ) : null}
                       <button
                         type="button"
                         onClick={handleMainTrashClick}
@@ -17867,7 +18860,7 @@ useEffect(() => {
     try {
       if (hasSupabaseEnabled && supabase && authUser?.id) {
         const id = `pubbeat-${makeShortShareId()}`;
-        const beatPayload = buildCurrentBeatPayload();
+        const beatPayload = stripBackingTrackLinks(buildCurrentBeatPayload());
         const data = await publishPublicBeatRow({
           supabase,
           ownerUserId: authUser.id,
@@ -17889,7 +18882,7 @@ useEffect(() => {
         style: styleInput === "all" ? undefined : styleInput || undefined,
         timeSigCategory: `${timeSig.n}/${timeSig.d}`,
         bpm,
-        payload: buildCurrentBeatPayload(),
+        payload: stripBackingTrackLinks(buildCurrentBeatPayload()),
       });
       setPublicBeats((prev) => [beat, ...prev].filter(Boolean));
       return true;
@@ -18060,7 +19053,7 @@ useEffect(() => {
       setPublicLibraryError("Admin login required.");
       return;
     }
-    const arrangementPayload = buildCurrentArrangementSharePayload();
+    const arrangementPayload = stripBackingTrackLinks(buildCurrentArrangementSharePayload());
     const normalizedItems = normalizeArrangementItems(arrangementPayload?.items);
     if (!normalizedItems.length) {
       setPublicLibraryError("Arrangement is empty.");
@@ -18183,7 +19176,11 @@ useEffect(() => {
 
   const createShareLink = React.useCallback(async (mode = "beat", options = {}) => {
     const { requireShort = false, forceLong = false } = options || {};
-    const payload = mode === "arrangement" ? buildCurrentArrangementSharePayload() : buildCurrentBeatPayload();
+    const basePayload = stripBackingTrackLinks(
+      mode === "arrangement" ? buildCurrentArrangementSharePayload() : buildCurrentBeatPayload()
+    );
+    const payload =
+      basePayload && !isDefaultNotationMap(notationMap) ? { ...basePayload, notationMap } : basePayload;
     if (!payload || (mode === "arrangement" && (!Array.isArray(payload.items) || payload.items.length < 1))) {
       throw new Error("Failed to create share link");
     }
@@ -18267,6 +19264,7 @@ useEffect(() => {
     buildCurrentArrangementSharePayload,
     ensureShortShareQuotaAvailable,
     hasSupabaseEnabled,
+    notationMap,
     refreshUsageLimits,
     supabase,
     trackStatsEvent,
@@ -18276,6 +19274,14 @@ useEffect(() => {
       const qrText = printQrEnabled
         ? (await createShareLink("beat", { requireShort: true })).text
         : "";
+      const drumKeySvg =
+        printDrumKeyPlacement !== "off"
+          ? buildDrumKeySvg({
+              instruments,
+              usage: collectDrumKeyUsage({ instruments, grid: computedGrid }),
+              notationMap,
+            })
+          : null;
       await exportNotationPdf(notationExportRef.current, {
         title: printTitle.trim() || "Drum Notation",
         scoreTitle: printTitle.trim(),
@@ -18283,12 +19289,18 @@ useEffect(() => {
         watermark: printWatermarkEnabled,
         includeSticking: showNotationSticking,
         qrText,
+        drumKeySvg,
+        drumKeyPlacement: printDrumKeyPlacement,
       });
     } catch (error) {
       alert(error?.message || "Failed to export PDF");
     }
   }, [
+    computedGrid,
     createShareLink,
+    instruments,
+    notationMap,
+    printDrumKeyPlacement,
     printQrEnabled,
     printTitle,
     printComposer,
@@ -18335,6 +19347,14 @@ useEffect(() => {
         arrangementNotationExportRef.current ||
         arrangementNotationVisiblePagesRef.current;
       const arrangementName = arrangementDisplayName || "Arrangement";
+      const drumKeySvg =
+        arrangementPdfDrumKeyPlacement !== "off"
+          ? buildDrumKeySvg({
+              instruments: ALL_INSTRUMENTS,
+              usage: collectDrumKeyUsage(arrangementNotationBlocks),
+              notationMap,
+            })
+          : null;
       await exportArrangementPdf(exportSource, {
         title: arrangementName || "arrangement-sheet",
         titleLine1: arrangementTitleLine1Draft.trim() || arrangementName || "Arrangement",
@@ -18342,6 +19362,8 @@ useEffect(() => {
         composer: arrangementComposerDraft.trim(),
         qrText,
         watermark: arrangementPdfWatermarkEnabled,
+        drumKeySvg,
+        drumKeyPlacement: arrangementPdfDrumKeyPlacement,
       });
     } catch (err) {
       console.error(err);
@@ -18352,9 +19374,12 @@ useEffect(() => {
     arrangementTitleLine1Draft,
     arrangementTitleLine2Draft,
     arrangementComposerDraft,
+    arrangementNotationBlocks,
+    arrangementPdfDrumKeyPlacement,
     arrangementPdfQrEnabled,
     arrangementPdfWatermarkEnabled,
     createShareLink,
+    notationMap,
   ]);
   const handleArrangementPrintSubmit = React.useCallback(async () => {
     await handleArrangementPdfExport();
@@ -18362,10 +19387,75 @@ useEffect(() => {
   }, [handleArrangementPdfExport]);
   const handleMidiExportSubmit = React.useCallback(() => {
     try {
-      if (midiExportMode === "arrangement") {
+      if (midiExportFormat === "musicxml" && midiExportMode === "arrangement") {
+        const merged = mergeNotationStates(arrangementNotationSections.map((s) => s.notation));
+        if (!merged) throw new Error("Arrangement has no notation to export.");
+        const sectionMarkers = [];
+        const tempoMarkers = [];
+        const showStickingByBar = [];
+        const barStyleByBar = [];
+        const navigationByBar = [];
+        arrangementNotationSections.forEach((s) => {
+          const startBar = s.startBarOffset || 0;
+          (s.sectionMarkers || []).forEach((m) => {
+            sectionMarkers.push({ bar: startBar + (Number(m?.bar) || 0), text: m?.text });
+          });
+          if ((s.tempoMarkers || []).length && s.tempo != null) {
+            tempoMarkers.push({ bar: startBar, bpm: s.tempo });
+          }
+          for (let i = 0; i < Math.max(1, Number(s.sheetBars) || 1); i++) {
+            showStickingByBar[startBar + i] = s.notationPrintSticking === true;
+            barStyleByBar[startBar + i] = s.barStyles?.[i] || null;
+            navigationByBar[startBar + i] = s.navigationMarks?.[i] || null;
+          }
+        });
+        exportMusicXml({
+          notation: merged,
+          notationMap,
+          stickingAssignmentsByStep: computeStickingAssignmentsForNotationState(merged, {
+            stickingHandedness,
+            stickingLeadHand,
+            stickingKeepQuarterLeadHand,
+          }),
+          notationStickingSelection: merged.notationStickingSelection || {},
+          showStickingByBar,
+          sectionMarkers,
+          tempoMarkers,
+          barStyleByBar,
+          navigationByBar,
+          title: printTitle.trim(),
+          composer: printComposer.trim(),
+          filename: printTitle.trim() || arrangementDisplayName || "Drum Arrangement",
+        });
+      } else if (midiExportFormat === "musicxml") {
+        exportMusicXml({
+          notation: buildNotationStateFromPayload(buildCurrentBeatPayload()),
+          notationMap,
+          stickingAssignmentsByStep,
+          notationStickingSelection,
+          showSticking: showNotationSticking,
+          tempoMarkers: [{ bar: 0, bpm }],
+          title: printTitle.trim(),
+          composer: printComposer.trim(),
+          filename: printTitle.trim() || "Drum Notation",
+        });
+      } else if (midiExportMode === "arrangement") {
         exportArrangementMidi({
-          rows: arrangementRows,
+          rows: arrangementRowOrder.map((rowIndex) => {
+            const row = arrangementRows[rowIndex];
+            if (!midiExportSettings.stickingLyrics || !row?.beat?.payload) return row;
+            return {
+              ...row,
+              stickingAssignmentsByStep: computeStickingAssignmentsForNotationState(
+                buildNotationStateFromPayload(row.beat.payload),
+                { stickingHandedness, stickingLeadHand, stickingKeepQuarterLeadHand }
+              ),
+            };
+          }),
           instruments: ALL_INSTRUMENTS,
+          noteMap: midiExportNoteMap,
+          velocities: midiExportSettings.velocities,
+          multiTrack: midiExportSettings.multiTrack,
           title: printTitle.trim(),
           composer: printComposer.trim(),
           filename: printTitle.trim() || arrangementDisplayName || "Drum Arrangement",
@@ -18379,7 +19469,12 @@ useEffect(() => {
           bpm,
           timeSig,
           stepQuarterDurations,
+          swing,
           payload: buildCurrentBeatPayload(),
+          noteMap: midiExportNoteMap,
+          velocities: midiExportSettings.velocities,
+          multiTrack: midiExportSettings.multiTrack,
+          stickingAssignmentsByStep: midiExportSettings.stickingLyrics ? stickingAssignmentsByStep : null,
           title: printTitle.trim(),
           composer: printComposer.trim(),
           filename: printTitle.trim() || "Drum Notation",
@@ -18388,21 +19483,120 @@ useEffect(() => {
       setIsMidiDialogOpen(false);
     } catch (e) {
       console.error(e);
-      alert(e?.message || "Failed to export MIDI");
+      alert(e?.message || (midiExportFormat === "musicxml" ? "Failed to export MusicXML" : "Failed to export MIDI"));
     }
   }, [
     arrangementDisplayName,
+    arrangementNotationSections,
+    arrangementRowOrder,
     arrangementRows,
     bpm,
     buildCurrentBeatPayload,
     columns,
     computedGrid,
     instruments,
+    midiExportFormat,
     midiExportMode,
+    midiExportNoteMap,
+    midiExportSettings,
+    notationMap,
+    notationStickingSelection,
     printComposer,
     printTitle,
     resolution,
+    showNotationSticking,
     stepQuarterDurations,
+    stickingAssignmentsByStep,
+    stickingHandedness,
+    stickingKeepQuarterLeadHand,
+    stickingLeadHand,
+    swing,
+    timeSig,
+  ]);
+  const handleAudioExportSubmit = React.useCallback(async () => {
+    if (isAudioExportRendering) return;
+    setIsAudioExportRendering(true);
+    try {
+      if (!playback.isReady) await playback.initSamples();
+      let timeline;
+      let countInTimeSig = timeSig;
+      let countInBpm = bpm;
+      let countInMetronome = metronomeSettings;
+      if (audioExportMode === "arrangement") {
+        const compiled = buildArrangementCompiledTimeline(arrangementPlayableEntries, {
+          includeMetronome: audioExportMetronomeEnabled,
+          rate: 1,
+        });
+        if (!compiled.events.length) throw new Error("Arrangement has no playable rows.");
+        timeline = { events: compiled.events, durationSec: compiled.totalDurationSec };
+        const firstEntry = arrangementPlayableEntries[0];
+        const firstPayload = buildEffectiveNotationPayloadFromBeat(firstEntry?.row?.beat);
+        countInTimeSig = firstPayload?.timeSig || { n: 4, d: 4 };
+        countInMetronome = firstPayload?.metronome;
+        countInBpm = clampBpm(getArrangementRowTempo(firstEntry?.row, firstPayload, bpm));
+      } else {
+        timeline = buildGridRenderEvents({
+          grid: computedGrid,
+          instruments,
+          stepQuarterDurations,
+          bpm,
+          timeSig,
+          swing,
+          dynamicScales,
+          metronomeEnabled: audioExportMetronomeEnabled,
+          metronome: metronomeSettings,
+          metronomeVolume,
+        });
+      }
+      const repeated = repeatRenderEvents(timeline.events, timeline.durationSec, audioExportRepeats);
+      const rendered = await renderEventsToAudioBuffer({
+        events: repeated.events,
+        durationSec: repeated.durationSec,
+        buffers: playback.getBuffers(),
+        stem: audioExportStem,
+        drumVolume,
+        metronomeVolume,
+        mixer,
+        countInBeats: audioExportCountInEnabled ? Math.max(1, Number(countInTimeSig?.n) || 4) : 0,
+        countInBeatDurSec: (60 / countInBpm) * (4 / Math.max(1, Number(countInTimeSig?.d) || 4)),
+        metronome: countInMetronome,
+      });
+      const baseName =
+        printTitle.trim() ||
+        (audioExportMode === "arrangement" ? arrangementDisplayName || "Drum Arrangement" : "Drum Notation");
+      downloadWav(rendered, audioExportStem === "mix" ? baseName : `${baseName} (${audioExportStem})`);
+      setIsAudioExportDialogOpen(false);
+    } catch (e) {
+      console.error(e);
+      alert(e?.message || "Failed to export audio");
+    } finally {
+      setIsAudioExportRendering(false);
+    }
+  }, [
+    arrangementDisplayName,
+    arrangementPlayableEntries,
+    audioExportCountInEnabled,
+    audioExportMetronomeEnabled,
+    audioExportMode,
+    audioExportRepeats,
+    audioExportStem,
+    bpm,
+    buildArrangementCompiledTimeline,
+    buildEffectiveNotationPayloadFromBeat,
+    computedGrid,
+    drumVolume,
+    dynamicScales,
+    instruments,
+    isAudioExportRendering,
+    metronomeSettings,
+    metronomeVolume,
+    mixer,
+    playback.getBuffers,
+    playback.initSamples,
+    playback.isReady,
+    printTitle,
+    stepQuarterDurations,
+    swing,
     timeSig,
   ]);
 
@@ -18540,10 +19734,8 @@ useEffect(() => {
               {...(!exportMode
                 ? {
                     "data-arr-notation-row-target": "1",
-                    "data-arr-notation-start": String(segment.startBarOffset || 0),
-                    "data-arr-notation-end": String(
-                      (segment.startBarOffset || 0) + Math.max(1, Number(segment.notation?.bars) || 0)
-                    ),
+                    "data-arr-notation-start": String(segment.songStartBar || 0),
+                    "data-arr-notation-end": String(segment.songEndBar || 0),
                   }
                 : {})}
             >
@@ -18555,6 +19747,7 @@ useEffect(() => {
                   showNotationSticking={showNotationSticking}
                   notationStickingSelection={segment.notation.notationStickingSelection || {}}
                   notationStickingView={notationStickingView}
+                  notationMap={notationMap}
                   resolution={segment.notation.resolution}
                   bars={segment.notation.bars}
                   barsPerLine={segment.barsPerLine || 4}
@@ -18572,18 +19765,26 @@ useEffect(() => {
                   mergeNotes={mergeNotes}
                   dottedNotes={dottedNotes}
                   flatBeams={flatBeams}
+                  twoVoiceNotation={twoVoiceNotation}
                   justifySystems={true}
                   targetContentWidth={770}
                   sectionMarkers={segment.sectionMarkers || []}
                   tempoMarkers={segment.tempoMarkers || []}
+                  dynamics={segment.notation.dynamics || []}
+                  hairpins={segment.notation.hairpins || []}
                   dynamicSpacingByBar={segment.dynamicSpacingByBar || null}
                   spacingPresetByBar={segment.spacingPresetByBar || null}
                   mergeRestsByBar={segment.mergeRestsByBar || null}
                   mergeNotesByBar={segment.mergeNotesByBar || null}
                   dottedNotesByBar={segment.dottedNotesByBar || null}
                   showNotationStickingByBar={segment.showNotationStickingByBar || null}
+                  barNavigation={segment.barNavigation || null}
+                  measureRepeatModeByBar={segment.measureRepeatModeByBar || null}
+                  countingStyleByBar={segment.countingStyleByBar || null}
+                  barStyleByBar={segment.barStyleByBar || null}
                   showSystemBarNumbers={true}
                   barNumberOffset={segment.startBarOffset || 0}
+                  barNumberByBar={segment.barNumberByBar || null}
                   enableMeasureRepeats={true}
                   theme={dark ? "dark" : "light"}
                   selectedBarIndices={
@@ -18592,7 +19793,7 @@ useEffect(() => {
                           { length: Math.max(1, Number(segment.notation?.bars) || 0) },
                           (_, idx) => idx
                         ).filter((idx) => {
-                          const globalBar = (segment.startBarOffset || 0) + idx;
+                          const globalBar = getArrangementSongBarForSheetBar((segment.startBarOffset || 0) + idx);
                           return (
                             globalBar >= normalizedArrangementBarSelection.start &&
                             globalBar <= normalizedArrangementBarSelection.end
@@ -18606,7 +19807,7 @@ useEffect(() => {
                           { length: Math.max(1, Number(segment.notation?.bars) || 0) },
                           (_, idx) => idx
                         ).filter((idx) => {
-                          const globalBar = (segment.startBarOffset || 0) + idx;
+                          const globalBar = getArrangementSongBarForSheetBar((segment.startBarOffset || 0) + idx);
                           return (
                             globalBar >= currentArrangementEditorBarRange.start &&
                             globalBar <= currentArrangementEditorBarRange.end
@@ -18620,13 +19821,13 @@ useEffect(() => {
                       : (localBarIndex, event) =>
                           (event?.pointerType && event.pointerType !== "mouse")
                             ? handleArrangementNotationBarTouchSelect(
-                                (segment.startBarOffset || 0) + localBarIndex,
+                                getArrangementSongBarForSheetBar((segment.startBarOffset || 0) + localBarIndex),
                                 event.pointerId,
                                 event.clientX,
                                 event.clientY
                               )
                             : handleArrangementNotationBarSelect(
-                                (segment.startBarOffset || 0) + localBarIndex,
+                                getArrangementSongBarForSheetBar((segment.startBarOffset || 0) + localBarIndex),
                                 !!event?.shiftKey
                               )
                   }
@@ -18635,7 +19836,7 @@ useEffect(() => {
                       ? null
                       : (localBarIndex, event) =>
                           openArrangementNotationRowMenuAtBar(
-                            (segment.startBarOffset || 0) + localBarIndex,
+                            getArrangementSongBarForSheetBar((segment.startBarOffset || 0) + localBarIndex),
                             event.clientX,
                             event.clientY
                           )
@@ -18643,10 +19844,9 @@ useEffect(() => {
                   activeBarIndices={
                     exportMode
                       ? []
-                      : activeArrangementGlobalBarIndex >= (segment.startBarOffset || 0) &&
-                          activeArrangementGlobalBarIndex <
-                            (segment.startBarOffset || 0) + (segment.notation?.bars || 0)
-                        ? [activeArrangementGlobalBarIndex - (segment.startBarOffset || 0)]
+                      : activeArrangementGlobalBarIndex >= (segment.songStartBar || 0) &&
+                          activeArrangementGlobalBarIndex < (segment.songEndBar || 0)
+                        ? [getArrangementSheetBarForSongBar(activeArrangementGlobalBarIndex) - (segment.startBarOffset || 0)]
                         : []
                   }
                 />
@@ -19015,17 +20215,28 @@ useEffect(() => {
     setBaseGridWithUndo((prev) => {
       const next = { ...prev };
       const current = prev[inst][idx];
-      if (forceValue && (forceValue === CELL.ON || forceValue === CELL.GHOST || forceValue === CELL.ACCENT)) {
+      if (
+        forceValue &&
+        (forceValue === CELL.ON ||
+          forceValue === CELL.GHOST ||
+          forceValue === CELL.ACCENT ||
+          isGraceNoteState(forceValue) ||
+          isRollState(forceValue))
+      ) {
         next[inst] = [...prev[inst]];
         next[inst][idx] = forceValue;
         return next;
       }
 
-      // Only toggle ghost on active cells.
+      // Only toggle ghost on active cells. Snare and toms go on through flam, drag and ruff.
       if (current === CELL.OFF) return prev;
+      const graceAllowed = GRACE_NOTE_INSTRUMENT_IDS.has(inst);
       const nextVal =
         current === CELL.ON ? CELL.GHOST :
         current === CELL.GHOST ? CELL.ACCENT :
+        current === CELL.ACCENT && graceAllowed ? CELL.FLAM :
+        current === CELL.FLAM ? CELL.DRAG :
+        current === CELL.DRAG ? CELL.RUFF :
         CELL.ON;
 
       next[inst] = [...prev[inst]];
@@ -20140,6 +21351,7 @@ useEffect(() => {
                   {renderStickingDisplayControl()}
                 </div>
               ) : null}
+              {renderCountingControl()}
             </div>
 
             <div className="flex items-center gap-2">
@@ -20186,6 +21398,45 @@ useEffect(() => {
             </div>
 
             <div className="flex items-center gap-2">
+              {selection ? (
+                <select
+                  value=""
+                  onChange={(e) => {
+                    if (e.target.value) applyDynamicsToSelection(e.target.value);
+                  }}
+                  className="h-8 bg-neutral-900 border border-neutral-800 rounded px-1 text-sm text-neutral-300"
+                  title="Add a dynamic on the first selected step or a hairpin across the selection"
+                  aria-label="Dynamics for selection"
+                >
+                  <option value="">Dyn.</option>
+                  {DYNAMIC_LEVELS.map((level) => (
+                    <option key={`dynamic-${level}`} value={level}>
+                      {level}
+                    </option>
+                  ))}
+                  {HAIRPIN_TYPES.map((type) => (
+                    <option key={`hairpin-${type}`} value={type}>
+                      {HAIRPIN_LABELS[type]}
+                    </option>
+                  ))}
+                  <option value="clear">Clear dynamics</option>
+                </select>
+              ) : null}
+              {rollTargetCells.length ? (
+                <button
+                  type="button"
+                  onClick={() => cycleRollOnTargets()}
+                  className={`touch-none select-none inline-flex h-8 min-w-8 px-2 items-center justify-center rounded border text-sm ${
+                    selectionRollState
+                      ? "bg-neutral-800 border-neutral-700 text-white"
+                      : "bg-neutral-900 border-neutral-800 text-neutral-500 hover:bg-neutral-800/40"
+                  }`}
+                  title={`Roll: ${selectionRollState ? ROLL_LABELS[selectionRollState] : "none"} (click to cycle)`}
+                  aria-label="Cycle roll on selected notes"
+                >
+                  {selectionRollState ? ROLL_SHORT_LABELS[selectionRollState] : "Roll"}
+                </button>
+              ) : null}
               <button
                 type="button"
                 onClick={handleMainTrashClick}
@@ -20343,6 +21594,10 @@ useEffect(() => {
         playbackUsesArrangement={arrangementHeaderUsesArrangementPlayback}
         playbackActive={arrangementHeaderPlaybackActive}
         onTogglePlayback={() => {
+          if (isMidiRecording) {
+            toggleMidiRecording();
+            return;
+          }
           if (arrangementHeaderUsesArrangementPlayback) {
             if (arrangementPlaybackUiActive) stopArrangementPlayback();
             else startArrangementPlayback();
@@ -20350,7 +21605,12 @@ useEffect(() => {
           }
           togglePlaybackFromBeginning();
         }}
+        midiRecordAvailable={midiInput.isSupported}
+        midiRecordActive={isMidiRecording}
+        onToggleMidiRecord={toggleMidiRecording}
         bpm={bpm}
+        speedTrainerBpm={playback.speedTrainerBpm}
+        speedTrainerTargetBpm={speedTrainer.targetBpm}
         onBpmStepStart={startBpmRepeat}
         onBpmStepStop={stopBpmRepeat}
         onBpmScrubPointerDown={handleBpmScrubPointerDown}
@@ -20428,6 +21688,7 @@ useEffect(() => {
               showNotationSticking={showNotationSticking}
               notationStickingSelection={notationStickingSelection}
               notationStickingView={notationStickingView}
+              notationMap={notationMap}
               resolution={resolution}
               bars={bars}
               barsPerLine={barsPerLine}
@@ -20439,6 +21700,10 @@ useEffect(() => {
               mergeNotes={mergeNotes}
               dottedNotes={dottedNotes}
               flatBeams={flatBeams}
+              twoVoiceNotation={twoVoiceNotation}
+              countingStyle={notationCounting}
+              dynamics={dynamics}
+              hairpins={hairpins}
             />
           </div>
         ) : layout === "notation-right" || layout === "notation-top" ? (
@@ -20452,6 +21717,7 @@ useEffect(() => {
                   showNotationSticking={showNotationSticking}
                   notationStickingSelection={notationStickingSelection}
                   notationStickingView={notationStickingView}
+                  notationMap={notationMap}
                   resolution={resolution}
                   bars={bars}
                   barsPerLine={barsPerLine}
@@ -20463,6 +21729,11 @@ useEffect(() => {
                   mergeNotes={mergeNotes}
                   dottedNotes={dottedNotes}
                   flatBeams={flatBeams}
+                  twoVoiceNotation={twoVoiceNotation}
+                  countingStyle={notationCounting}
+                  dynamics={dynamics}
+                  hairpins={hairpins}
+                  silentBarIndices={playback.gapMutedBars}
                 />
               </div>
             </div>
@@ -20503,6 +21774,7 @@ useEffect(() => {
                 setLoopRule={setLoopRule}
                 wrappedSelectionCells={wrappedSelectionCells}
                 playhead={playback.playhead}
+                silentBarIndices={playback.gapMutedBars}
                 moveSelectionByDelta={moveSelectionByDelta}
                 playabilityWarningsEnabled={playabilityWarningsEnabled}
                 playabilityWarningStepSet={playabilityWarningStepSet}
@@ -20560,6 +21832,7 @@ useEffect(() => {
                 setLoopRule={setLoopRule}
                 wrappedSelectionCells={wrappedSelectionCells}
                 playhead={playback.playhead}
+                silentBarIndices={playback.gapMutedBars}
                 moveSelectionByDelta={moveSelectionByDelta}
                 playabilityWarningsEnabled={playabilityWarningsEnabled}
                 playabilityWarningStepSet={playabilityWarningStepSet}
@@ -20598,6 +21871,7 @@ useEffect(() => {
                   showNotationSticking={showNotationSticking}
                   notationStickingSelection={notationStickingSelection}
                   notationStickingView={notationStickingView}
+                  notationMap={notationMap}
                   resolution={resolution}
                   bars={bars}
                   barsPerLine={barsPerLine}
@@ -20609,6 +21883,11 @@ useEffect(() => {
                   mergeNotes={mergeNotes}
                   dottedNotes={dottedNotes}
                   flatBeams={flatBeams}
+                  twoVoiceNotation={twoVoiceNotation}
+                  countingStyle={notationCounting}
+                  dynamics={dynamics}
+                  hairpins={hairpins}
+                  silentBarIndices={playback.gapMutedBars}
                 />
               </div>
             </div>
@@ -20813,16 +22092,65 @@ useEffect(() => {
         onPlaybackRateReset={() => setPlaybackRate((prev) => (Math.abs(prev - 1) < 0.001 ? prev : 1))}
         onPlaybackRateIncrease={() => setPlaybackRate((prev) => clampPlaybackRate(prev + 0.05))}
         onPlaybackRateScrubPointerDown={handlePlaybackRateScrubPointerDown}
+        swing={swing}
+        onSwingChange={(next) => setSwing(normalizeSwing(next))}
+        speedTrainer={speedTrainer}
+        onSpeedTrainerChange={(updates) => setSpeedTrainer((prev) => normalizeSpeedTrainer({ ...prev, ...updates }))}
+        gapClick={gapClick}
+        onGapClickChange={(updates) => setGapClick((prev) => normalizeGapClick({ ...prev, ...updates }))}
         metronomeEnabled={metronomeEnabled}
         onToggleMetronome={() => setMetronomeEnabled((v) => !v)}
         metronomeCountInEnabled={metronomeCountInEnabled}
         onToggleMetronomeCountIn={() => setMetronomeCountInEnabled((v) => !v)}
+        metronomeSettings={metronomeSettings}
+        onMetronomeSettingsChange={(updates) =>
+          setMetronomeSettings((prev) => normalizeMetronomeSettings({ ...prev, ...(updates || {}) }))
+        }
+        timeSig={timeSig}
         drumVolume={drumVolume}
         onDrumVolumeChange={setDrumVolume}
+        onOpenMixer={() => {
+          setIsTransportMenuOpen(false);
+          setIsMixerDialogOpen(true);
+        }}
+        backingTrack={beatBackingTrack}
+        backingTrackInfo={beatBackingTrack ? playback.backingTrackInfo[beatBackingTrack.trackId] : null}
+        onBackingTrackAttach={(file) => attachBackingTrackFile(file, updateBeatBackingTrack)}
+        onBackingTrackChange={(updates) => updateBeatBackingTrack((prev) => (prev ? { ...prev, ...updates } : prev))}
+        onBackingTrackRemove={() => updateBeatBackingTrack(() => null)}
+        midiOutput={midiOutput}
+        onMidiOutputEnabledChange={midiOutput.setEnabled}
+        onMidiOutputSettingsChange={midiOutput.updateSettings}
+        midiInput={midiInput}
+        midiInputMappingPresets={MIDI_IMPORT_MAPPING_PRESETS}
+        onMidiInputConnect={() => midiInput.connect().catch(() => {})}
+        onMidiInputSettingsChange={midiInput.updateSettings}
         metronomeVolume={metronomeVolume}
         onMetronomeVolumeChange={setMetronomeVolume}
       />
 
+      <MixerDialog
+        isOpen={isMixerDialogOpen}
+        instruments={instruments}
+        mixer={mixer}
+        presetLabel={selectedPresetLabel}
+        onChannelChange={updateMixerChannelForKit}
+        onReset={resetMixerForKit}
+        onClose={() => setIsMixerDialogOpen(false)}
+      />
+
+      <NotationMapDialog
+        isOpen={isNotationMapDialogOpen}
+        instruments={instruments}
+        notationMap={notationMap}
+        presetLabel={selectedPresetLabel}
+        isSharedMap={!!sharedNotationMapOverride}
+        onChange={setNotationMapForKit}
+        onSaveSharedMap={() => setNotationMapForKit(notationMap)}
+        onDiscardSharedMap={() => setSharedNotationMapOverride(null)}
+        onClose={() => setIsNotationMapDialogOpen(false)}
+      />
+
       <ArrangementPanelShell
         isOpen={isArrangementOpen}
         hidden={hideFloatingArrangementWindow}
@@ -21520,6 +22848,15 @@ useEffect(() => {
               onIncreasePreviewScale={() => stepArrangementNotationPreviewScale(1)}
               canExportPdf={arrangementSheetPages.length > 0}
               onOpenPdfExport={() => setIsArrangementPrintDialogOpen(true)}
+              backingTrack={arrangementBackingTrack}
+              backingTrackInfo={
+                arrangementBackingTrack ? playback.backingTrackInfo[arrangementBackingTrack.trackId] : null
+              }
+              onBackingTrackAttach={(file) => attachBackingTrackFile(file, updateArrangementBackingTrack)}
+              onBackingTrackChange={(updates) =>
+                updateArrangementBackingTrack((prev) => (prev ? { ...prev, ...updates } : prev))
+              }
+              onBackingTrackRemove={() => updateArrangementBackingTrack(() => null)}
             />
           }
         >
@@ -21551,6 +22888,7 @@ useEffect(() => {
                 getNotationPrintStickingModeFromPayload={getNotationPrintStickingModeFromPayload}
                 onClose={() => setArrangementNotationRowMenuState(null)}
                 onUpdateRowNotationOptions={arrangementUpdateRowNotationOptions}
+                backingTrackAttached={!!arrangementBackingTrack}
               />
             </ArrangementSheetPreview>
         </ArrangementSheetPanel>
@@ -21598,6 +22936,26 @@ useEffect(() => {
         availableInstrumentButtonWidthCh={availableInstrumentButtonWidthCh}
         onToggleInstrumentInKit={toggleInstrumentInKit}
         onRequestRemoveInstrument={requestRemoveInstrument}
+        onOpenNotationMap={() => {
+          setIsKitEditorOpen(false);
+          setPendingRemoval(null);
+          setIsNotationMapDialogOpen(true);
+        }}
+        soundKitPanelProps={{
+          sampleKeys: Object.keys(SAMPLE_MAP),
+          activeSoundKit: soundKitState.activeSoundKit,
+          onStepSoundKit: soundKitState.stepSoundKit,
+          onCreateSoundKit: () =>
+            runSoundKitAction(() => soundKitState.createSoundKit(), "Failed to create sound kit"),
+          onRenameSoundKit: (label) =>
+            runSoundKitAction(() => soundKitState.renameActiveSoundKit(label), "Failed to rename sound kit"),
+          onDeleteSoundKit: () =>
+            runSoundKitAction(() => soundKitState.deleteActiveSoundKit(), "Failed to delete sound kit"),
+          onReplaceSample: (sampleKey, file) =>
+            runSoundKitAction(() => soundKitState.replaceSample(sampleKey, file), "Failed to load sample"),
+          onResetSample: (sampleKey) =>
+            runSoundKitAction(() => soundKitState.resetSample(sampleKey), "Failed to reset sample"),
+        }}
         onClose={() => {
           setIsKitEditorOpen(false);
           setPendingRemoval(null);
@@ -21640,6 +22998,23 @@ useEffect(() => {
           }
         }}
       />
+      <input
+        ref={musicXmlImportInputRef}
+        type="file"
+        accept=".musicxml,.xml,application/vnd.recordare.musicxml+xml"
+        className="hidden"
+        onChange={async (e) => {
+          const file = e.target.files?.[0];
+          e.target.value = "";
+          if (!file) return;
+          try {
+            await handleMusicXmlImportFile(file);
+          } catch (err) {
+            console.error(err);
+            alert(err?.message || "Failed to import MusicXML");
+          }
+        }}
+      />
       <ShareActionsDialog
         isOpen={isShareActionsDialogOpen}
         menuRef={fileMenuRef}
@@ -21674,8 +23049,26 @@ useEffect(() => {
         onBeatMidi={() => {
           setIsShareActionsDialogOpen(false);
           setMidiExportMode("beat");
+          setMidiExportFormat("midi");
+          setIsMidiDialogOpen(true);
+        }}
+        onBeatMusicXml={() => {
+          setIsShareActionsDialogOpen(false);
+          setMidiExportMode("beat");
+          setMidiExportFormat("musicxml");
           setIsMidiDialogOpen(true);
         }}
+        onBeatDrumTab={() => {
+          setIsShareActionsDialogOpen(false);
+          setDrumTabDialog({ mode: "export" });
+        }}
+        onBeatAudio={() => {
+          setIsShareActionsDialogOpen(false);
+          setAudioExportMode("beat");
+          setAudioExportMetronomeEnabled(metronomeEnabled);
+          setAudioExportCountInEnabled(metronomeCountInEnabled);
+          setIsAudioExportDialogOpen(true);
+        }}
         onArrangementPdf={() => {
           setIsShareActionsDialogOpen(false);
           setIsArrangementPrintDialogOpen(true);
@@ -21685,12 +23078,37 @@ useEffect(() => {
           setPrintTitle(arrangementDisplayName || "Arrangement");
           setPrintComposer(arrangementComposerDraft.trim());
           setMidiExportMode("arrangement");
+          setMidiExportFormat("midi");
           setIsMidiDialogOpen(true);
         }}
+        onArrangementMusicXml={() => {
+          setIsShareActionsDialogOpen(false);
+          setPrintTitle(arrangementDisplayName || "Arrangement");
+          setPrintComposer(arrangementComposerDraft.trim());
+          setMidiExportMode("arrangement");
+          setMidiExportFormat("musicxml");
+          setIsMidiDialogOpen(true);
+        }}
+        onArrangementAudio={() => {
+          setIsShareActionsDialogOpen(false);
+          setPrintTitle(arrangementDisplayName || "Arrangement");
+          setAudioExportMode("arrangement");
+          setAudioExportMetronomeEnabled(metronomeEnabled);
+          setAudioExportCountInEnabled(metronomeCountInEnabled);
+          setIsAudioExportDialogOpen(true);
+        }}
         onMidiImport={() => {
           setIsShareActionsDialogOpen(false);
           midiImportInputRef.current?.click();
         }}
+        onMusicXmlImport={() => {
+          setIsShareActionsDialogOpen(false);
+          musicXmlImportInputRef.current?.click();
+        }}
+        onDrumTabImport={() => {
+          setIsShareActionsDialogOpen(false);
+          openDrumTabImport();
+        }}
         onEditMidiImport={reopenLastMidiImportSettings}
         onEditMidiMapping={reopenLastMidiImportMapping}
       />
@@ -21707,6 +23125,8 @@ useEffect(() => {
         onToggleWatermark={() => setPrintWatermarkEnabled((v) => !v)}
         qrEnabled={printQrEnabled}
         onToggleQr={() => setPrintQrEnabled((v) => !v)}
+        drumKeyPlacement={printDrumKeyPlacement}
+        onDrumKeyPlacementChange={setPrintDrumKeyPlacement}
         onCancel={() => setIsPrintDialogOpen(false)}
         onPrint={handlePrintSubmit}
       />
@@ -21731,10 +23151,54 @@ useEffect(() => {
         onToggleWatermark={() => setArrangementPdfWatermarkEnabled((v) => !v)}
         qrEnabled={arrangementPdfQrEnabled}
         onToggleQr={() => setArrangementPdfQrEnabled((v) => !v)}
+        drumKeyPlacement={arrangementPdfDrumKeyPlacement}
+        onDrumKeyPlacementChange={setArrangementPdfDrumKeyPlacement}
         onCancel={() => setIsArrangementPrintDialogOpen(false)}
         onPrint={handleArrangementPrintSubmit}
       />
 
+      <DrumTabDialog
+        state={
+          drumTabDialog?.mode === "export"
+            ? { ...drumTabDialog, text: drumTabExportText }
+            : drumTabDialog && { ...drumTabDialog, unknownLabels: drumTabImportUnknownLabels }
+        }
+        aliases={drumTabAliases}
+        instruments={ALL_INSTRUMENTS}
+        onTextChange={(text) => setDrumTabDialog((prev) => (prev ? { ...prev, text } : prev))}
+        onTimeSigChange={(value) => setDrumTabDialog((prev) => (prev ? { ...prev, timeSig: value } : prev))}
+        onTargetChange={(value) => setDrumTabDialog((prev) => (prev ? { ...prev, target: value } : prev))}
+        onAliasesChange={(instId, labels) =>
+          setDrumTabAliases((prev) => normalizeDrumTabAliases({ ...prev, [instId]: labels }))
+        }
+        onResetAliases={() => setDrumTabAliases(normalizeDrumTabAliases(null))}
+        onPasteFromClipboard={pasteDrumTabFromClipboard}
+        onCopy={copyDrumTabExport}
+        onCancel={() => setDrumTabDialog(null)}
+        onImport={confirmDrumTabImport}
+      />
+      <MusicXmlImportMappingDialog
+        mapping={pendingMusicXmlImport}
+        instruments={ALL_INSTRUMENTS}
+        normalizeArrangementImportMode={normalizeMidiArrangementImportMode}
+        onCancel={() => setPendingMusicXmlImport(null)}
+        onConfirm={confirmPendingMusicXmlImport}
+        onAssignmentChange={(sourceKey, nextValue) =>
+          setPendingMusicXmlImport((prev) =>
+            prev
+              ? { ...prev, instrumentAssignments: { ...(prev.instrumentAssignments || {}), [sourceKey]: nextValue } }
+              : prev
+          )
+        }
+        onArrangementImportModeChange={(value) => {
+          const nextValue = normalizeMidiArrangementImportMode(value);
+          setMidiArrangementImportMode(nextValue);
+          setPendingMusicXmlImport((prev) => (prev ? { ...prev, arrangementImportMode: nextValue } : prev));
+        }}
+        onSplitBarsChange={(splitBars) =>
+          setPendingMusicXmlImport((prev) => (prev ? { ...prev, splitBars } : prev))
+        }
+      />
       <MidiImportMappingDialog
         mapping={pendingMidiImportMapping}
         presets={MIDI_IMPORT_MAPPING_PRESETS}
@@ -21837,14 +23301,41 @@ useEffect(() => {
       <MidiExportDialog
         isOpen={isMidiDialogOpen}
         mode={midiExportMode}
+        format={midiExportFormat}
         title={printTitle}
         onTitleChange={setPrintTitle}
         composer={printComposer}
         onComposerChange={setPrintComposer}
+        midiSettings={midiExportSettings}
+        midiInstruments={ALL_INSTRUMENTS}
+        midiNoteMap={midiExportNoteMap}
+        onMidiSettingsChange={(patch) =>
+          setMidiExportSettings((prev) => normalizeMidiExportSettings({ ...prev, ...patch }))
+        }
         onCancel={() => setIsMidiDialogOpen(false)}
         onExport={handleMidiExportSubmit}
       />
 
+      <AudioExportDialog
+        isOpen={isAudioExportDialogOpen}
+        mode={audioExportMode}
+        title={printTitle}
+        onTitleChange={setPrintTitle}
+        repeats={audioExportRepeats}
+        onRepeatsChange={setAudioExportRepeats}
+        countInEnabled={audioExportCountInEnabled}
+        onToggleCountIn={() => setAudioExportCountInEnabled((prev) => !prev)}
+        metronomeEnabled={audioExportMetronomeEnabled}
+        onToggleMetronome={() => setAudioExportMetronomeEnabled((prev) => !prev)}
+        stem={audioExportStem}
+        onStemChange={setAudioExportStem}
+        isRendering={isAudioExportRendering}
+        onCancel={() => {
+          if (!isAudioExportRendering) setIsAudioExportDialogOpen(false);
+        }}
+        onExport={handleAudioExportSubmit}
+      />
+
       <LegalDialog
         isOpen={isLegalDialogOpen}
         legalTab={legalTab}
@@ -22089,7 +23580,8 @@ const SortableArrangementRow = React.memo(function SortableArrangementRow({
           </div>
           <div className="text-xs text-neutral-400 truncate">
             {`${row.sectionBars} ${row.sectionBars === 1 ? "bar" : "bars"} (${row.repeats}x ${row.beatBars} ${row.beatBars === 1 ? "bar" : "bars"}) · ${row.beatTimeSig}` +
-              (Number.isFinite(row.beatBpm) ? ` · ${row.beatBpm} BPM` : "")}
+              (Number.isFinite(row.beatBpm) ? ` · ${row.beatBpm} BPM` : "") +
+              (isWrittenBeatRowType(row.rowType) ? "" : ` · ${ARRANGEMENT_ROW_TYPE_SHORT_LABELS[row.rowType]}`)}
           </div>
         </div>
         <div className="flex items-center gap-1">
@@ -22168,7 +23660,8 @@ const ReadonlyArrangementRow = React.memo(function ReadonlyArrangementRow({
           </div>
           <div className="text-xs text-neutral-400 truncate">
             {`${row.sectionBars} ${row.sectionBars === 1 ? "bar" : "bars"} (${row.repeats}x ${row.beatBars} ${row.beatBars === 1 ? "bar" : "bars"}) · ${row.beatTimeSig}` +
-              (Number.isFinite(row.beatBpm) ? ` · ${row.beatBpm} BPM` : "")}
+              (Number.isFinite(row.beatBpm) ? ` · ${row.beatBpm} BPM` : "") +
+              (isWrittenBeatRowType(row.rowType) ? "" : ` · ${ARRANGEMENT_ROW_TYPE_SHORT_LABELS[row.rowType]}`)}
           </div>
         </div>
         <div className="flex items-center gap-1">
@@ -22239,19 +23732,30 @@ const MemoNotation = React.memo(Notation, (prev, next) => {
     prev.mergeNotes === next.mergeNotes &&
     prev.dottedNotes === next.dottedNotes &&
     prev.flatBeams === next.flatBeams &&
+    prev.twoVoiceNotation === next.twoVoiceNotation &&
     prev.justifySystems === next.justifySystems &&
     prev.targetContentWidth === next.targetContentWidth &&
     areNumberArraysEqual(prev.activeBarIndices, next.activeBarIndices) &&
     areNumberArraysEqual(prev.editorBarIndices, next.editorBarIndices) &&
     areNumberArraysEqual(prev.selectedBarIndices, next.selectedBarIndices) &&
+    areNumberArraysEqual(prev.silentBarIndices, next.silentBarIndices) &&
     prev.sectionMarkers === next.sectionMarkers &&
     prev.tempoMarkers === next.tempoMarkers &&
+    prev.dynamics === next.dynamics &&
+    prev.hairpins === next.hairpins &&
     prev.dynamicSpacingByBar === next.dynamicSpacingByBar &&
     prev.spacingPresetByBar === next.spacingPresetByBar &&
     prev.mergeRestsByBar === next.mergeRestsByBar &&
     prev.mergeNotesByBar === next.mergeNotesByBar &&
     prev.dottedNotesByBar === next.dottedNotesByBar &&
     prev.showNotationStickingByBar === next.showNotationStickingByBar &&
+    prev.barNavigation === next.barNavigation &&
+    prev.measureRepeatModeByBar === next.measureRepeatModeByBar &&
+    prev.countingStyle === next.countingStyle &&
+    prev.countingStyleByBar === next.countingStyleByBar &&
+    prev.barStyleByBar === next.barStyleByBar &&
+    prev.barNumberByBar === next.barNumberByBar &&
+    prev.notationMap === next.notationMap &&
     prev.showSystemBarNumbers === next.showSystemBarNumbers &&
     prev.barNumberOffset === next.barNumberOffset &&
     prev.enableMeasureRepeats === next.enableMeasureRepeats &&
@@ -0,0 +1,96 @@
+// A backing-track link ties a stored audio file to a beat or arrangement:
+// { trackId, name, offsetSec, gain }. `offsetSec` is where bar 1 falls in the
+// recording; a negative value delays the recording instead.
+export const DEFAULT_BACKING_TRACK_GAIN = 0.8;
+export const BACKING_TRACK_MIN_OFFSET_SEC = -10;
+const MAX_OFFSET_SEC = 3600;
+
+function clampSec(value, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Math.round(Math.max(min, Math.min(max, n)) * 1000) / 1000;
+}
+
+export function normalizeBackingTrackLink(raw) {
+  const trackId = String(raw?.trackId || "").trim();
+  if (!trackId) return null;
+  const gain = Number(raw?.gain);
+  return {
+    trackId,
+    name: String(raw?.name || "").trim() || "Backing track",
+    offsetSec: clampSec(raw?.offsetSec, BACKING_TRACK_MIN_OFFSET_SEC, MAX_OFFSET_SEC) ?? 0,
+    gain: Number.isFinite(gain) ? Math.max(0, Math.min(1, gain)) : DEFAULT_BACKING_TRACK_GAIN,
+  };
+}
+
+// Track ids only resolve on the device that stored the file, so payloads that
+// leave it (share links, published beats and arrangements) go without the link,
+// including the beats embedded in an arrangement.
+export function stripBackingTrackLinks(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const { backingTrack: _, ...rest } = payload;
+  if (!Array.isArray(rest.beats)) return rest;
+  return {
+    ...rest,
+    beats: rest.beats.map((beat) => (beat?.payload ? { ...beat, payload: stripBackingTrackLinks(beat.payload) } : beat)),
+  };
+}
+
+// Start points of arrangement sections are plain seconds into the recording.
+export function normalizeBackingTrackStartSec(value) {
+  if (value == null || value === "") return null;
+  return clampSec(value, 0, MAX_OFFSET_SEC);
+}
+
+// "1:23.45" or "83.45" -> seconds.
+export function parseTrackTime(text) {
+  const parts = String(text || "").trim().split(":");
+  if (!parts[0] && parts.length === 1) return null;
+  if (parts.length > 2) return null;
+  const seconds = Number(parts[parts.length - 1]);
+  const minutes = parts.length === 2 ? Number(parts[0] || 0) : 0;
+  if (!Number.isFinite(seconds) || !Number.isFinite(minutes)) return null;
+  return minutes * 60 + seconds;
+}
+
+export function formatTrackTime(sec) {
+  const n = Number(sec);
+  if (!Number.isFinite(n)) return "";
+  const sign = n < 0 ? "-" : "";
+  const abs = Math.abs(n);
+  const minutes = Math.floor(abs / 60);
+  const seconds = (abs - minutes * 60).toFixed(2).padStart(5, "0");
+  return `${sign}${minutes}:${seconds}`;
+}
+
+// Segments say where the recording should be at a point of the playback
+// timeline: [{ atSec, offsetSec }]. Between segments the recording runs on at
+// `rate` (the playback-rate multiplier) so it stays with the chart.
+export function buildArrangementBackingTrackSegments(boundaries, offsetSec = 0) {
+  const segments = [{ atSec: 0, offsetSec: Number(offsetSec) || 0 }];
+  (Array.isArray(boundaries) ? boundaries : []).forEach((entry) => {
+    const startSec = normalizeBackingTrackStartSec(entry?.backingTrackStartSec);
+    if (startSec == null || Number(entry?.repeatIndex) > 0) return;
+    const atSec = Math.max(0, Number(entry?.startSec) || 0);
+    if (atSec < 1e-6) segments[0] = { atSec: 0, offsetSec: startSec };
+    else segments.push({ atSec, offsetSec: startSec });
+  });
+  return segments.sort((a, b) => a.atSec - b.atSec);
+}
+
+// Re-bases segments so the timeline starts at `fromSec`; the segment playing at
+// that point is advanced to where the recording would be by then.
+export function getBackingTrackSegmentsFrom(segments, fromSec = 0, rate = 1) {
+  const list = (Array.isArray(segments) ? segments : []).filter((seg) => Number.isFinite(seg?.atSec));
+  if (!list.length) return [];
+  const from = Math.max(0, Number(fromSec) || 0);
+  let activeIndex = 0;
+  list.forEach((seg, i) => {
+    if (seg.atSec <= from + 1e-6) activeIndex = i;
+  });
+  const active = list[activeIndex];
+  return [
+    { atSec: 0, offsetSec: active.offsetSec + Math.max(0, from - active.atSec) * rate },
+    ...list.slice(activeIndex + 1).map((seg) => ({ atSec: seg.atSec - from, offsetSec: seg.offsetSec })),
+  ];
+}
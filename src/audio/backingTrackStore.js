@@ -0,0 +1,42 @@
+import { createIndexedDbStore } from "./indexedDbStore";
+
+// IndexedDB persistence for backing-track audio files. A track is
+// { id, name, type, data: ArrayBuffer, updatedAt }. Files never leave the device;
+// beats and arrangements only keep the id, and drop it when shared (see
+// stripBackingTrackLinks).
+const runRequest = createIndexedDbStore({
+  dbName: "drum-grid-backing-tracks",
+  storeName: "tracks",
+  label: "Backing track storage",
+});
+
+// The same file picked twice maps to the same id, so re-attaching it does not
+// store a second copy.
+function buildTrackId(file) {
+  const key = `${file?.name || ""}|${file?.size || 0}|${file?.lastModified || 0}`;
+  let hash = 2166136261;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return `track-${(hash >>> 0).toString(16).padStart(8, "0")}`;
+}
+
+export async function saveBackingTrackFile(file) {
+  if (!file || typeof file.arrayBuffer !== "function") throw new Error("Choose an audio file.");
+  const data = await file.arrayBuffer();
+  const record = {
+    id: buildTrackId(file),
+    name: String(file.name || "Backing track"),
+    type: String(file.type || ""),
+    data,
+    updatedAt: Date.now(),
+  };
+  await runRequest("readwrite", (store) => store.put(record));
+  return record;
+}
+
+export async function getBackingTrackFile(id) {
+  const record = await runRequest("readonly", (store) => store.get(String(id || "")));
+  return record?.data instanceof ArrayBuffer ? record : null;
+}
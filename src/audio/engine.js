@@ -1,19 +1,114 @@
+import { getSwingOffsetQuarters, isSwingActive, normalizeSwing } from "../utils/swing";
+import { createChannelStrip, getChannelIdForSample, getEffectiveChannelGain, normalizeMixerSettings } from "./mixer";
+import { sendMidiAllNotesOff, sendMidiHit } from "./midiOutput";
+import { MIDI_HIT_VELOCITIES } from "../utils/midiExportMapping";
+import { getSpeedTrainerBpm } from "../utils/speedTrainer";
+import { gapClickMutesClick, gapClickMutesDrums, isGapBarMuted } from "../utils/gapClick";
+import {
+  buildMetronomeClickHit,
+  getMetronomeBarClicks,
+  getMetronomeClicksInStep,
+  isSynthMetronomeSound,
+  normalizeMetronomeSettings,
+  playSynthClick,
+} from "./metronome";
+import { getBackingTrackSegmentsFrom } from "./backingTrack";
+import { getGraceStrokeLeadsSec, isGraceNoteState } from "../utils/graceNotes";
+import { buildRollStrokes, getRollTiming, isRollState } from "../utils/rolls";
+import { scaleMidiVelocity } from "../utils/dynamics";
+
+export const METRONOME_INSTRUMENT_IDS = new Set(["metronomeHi", "metronomeLo"]);
+const TOM_INSTRUMENT_IDS = new Set(["tom1", "tom2", "floorTom"]);
+
+// Maps a hit to the buffer and gain it plays with. Shared by live playback and
+// offline rendering so both sound the same.
+// Metronome hits with a synthesized `sound` carry `synth` instead of needing a buffer.
+export function resolveHitVoice(
+  instId,
+  state,
+  { buffers = {}, explicitGain = null, metronomeVolume = 1, sound = null } = {}
+) {
+  if (!instId || !state || state === "off") return null;
+  if (METRONOME_INSTRUMENT_IDS.has(instId)) {
+    return {
+      bufferId: instId,
+      gain: explicitGain ?? ((instId === "metronomeHi" ? 0.95 : 0.82) * Math.max(0, Math.min(1, metronomeVolume))),
+      metronome: true,
+      synth: isSynthMetronomeSound(sound) ? sound : null,
+    };
+  }
+  if (state === "ghost") {
+    if (instId === "snare" && buffers.snare_ghost) return { bufferId: "snare_ghost", gain: 0.6 };
+    if (instId === "hihat") return { bufferId: instId, gain: 0.3, chokesOpenHats: true };
+    if (TOM_INSTRUMENT_IDS.has(instId)) return { bufferId: instId, gain: 0.15 };
+    return { bufferId: instId, gain: 0.1 };
+  }
+  // Grace strokes sit between a ghost note and a normal hit.
+  if (state === "grace") {
+    if (instId === "snare" && buffers.snare_ghost) return { bufferId: "snare_ghost", gain: 0.8 };
+    return { bufferId: instId, gain: 0.35 };
+  }
+  // Inner strokes of a roll; the snare alternates with its ghost sample.
+  if (state === "roll" || state === "rollGhost") {
+    const useGhostSample = state === "rollGhost" && instId === "snare" && buffers.snare_ghost;
+    return { bufferId: useGhostSample ? "snare_ghost" : instId, gain: explicitGain ?? 0.55 };
+  }
+  if (instId === "hihatOpen") return { bufferId: instId, gain: explicitGain ?? 0.9, opensHat: true };
+  return {
+    bufferId: instId,
+    gain: explicitGain ?? (state === "accent" ? 1 : 0.9),
+    chokesOpenHats: instId === "hihat" || instId === "hihatFoot",
+  };
+}
+
+// Quick fade so a choked open hi-hat does not click.
+export function fadeOutVoices(voices, time) {
+  (Array.isArray(voices) ? voices : []).forEach((h) => {
+    if (!h?.src || !h?.gain) return;
+    try {
+      const g = h.gain.gain;
+      g.setValueAtTime(g.value, time);
+      g.linearRampToValueAtTime(0.0001, time + 0.01);
+      h.src.stop(time + 0.012);
+    } catch (e) {}
+  });
+}
+
 export function makeAudioEngine() {
   let audioCtx = null;
   let master = null;
   let drumsBus = null;
   let metronomeBus = null;
+  let backingTrackBus = null;
 
   // Transport
   let isPlaying = false;
   let bpm = 120;
+  let baseBpm = 120; // tempo from the transport; `bpm` differs while the speed trainer ramps
   let resolution = 16;
   let transportColumns = 32;
   let stepQuarterDurations = [];
   let timeSig = { n: 4, d: 4 };
   let metronomeEnabled = false;
   let metronomeVolume = 0.5;
+  let metronome = normalizeMetronomeSettings(null);
   let drumVolume = 0.9;
+  let swing = normalizeSwing(null);
+  let mixer = {};
+  const channelStrips = new Map(); // channelId -> strip
+  let midiTarget = null; // { output, channel, latencyMs, notes: { instId: midiNote } }
+  let speedTrainer = null; // normalized settings while enabled
+  let speedTrainerLoopCount = 0;
+  let onSpeedTrainerTempo = null; // (bpm | null) => void
+  let gapClick = null; // normalized settings while enabled
+  let gapBarNumber = -1; // bars started since play
+  let gapCurrentBar = -1; // bar index (within the loop) of the last scheduled step
+  let gapBarMuted = false;
+  const gapMutedBars = new Set();
+  let onGapBarsChange = null; // (mutedBarIndexes) => void
+  const backingTrackBuffers = new Map(); // trackId -> AudioBuffer
+  const backingTrackSources = new Set();
+  let gridBackingTrack = null; // { trackId, offsetSec, gain, rate } used by `play`
 
   // Scheduler state
   let currentStep = 0;
@@ -30,6 +125,7 @@ export function makeAudioEngine() {
   let compiledDurationSec = 0;
   let compiledStartOffsetSec = 0;
   let compiledLoopIteration = 0;
+  let compiledBackingTrack = null; // { trackId, gain, rate, segments }
   let playStartTime = 0;
   let gridLoopStartTime = 0;
   let gridLoopIteration = 0;
@@ -50,8 +146,11 @@ export function makeAudioEngine() {
     drumsBus.gain.value = drumVolume;
     metronomeBus = audioCtx.createGain();
     metronomeBus.gain.value = 1;
+    backingTrackBus = audioCtx.createGain();
+    backingTrackBus.gain.value = 0;
     drumsBus.connect(master);
     metronomeBus.connect(master);
+    backingTrackBus.connect(master);
     master.connect(audioCtx.destination);
   }
 
@@ -89,6 +188,91 @@ export function makeAudioEngine() {
     buffers = next || {};
   }
 
+  function getBuffers() {
+    return buffers;
+  }
+
+  function setMixer(next) {
+    mixer = normalizeMixerSettings(next);
+    channelStrips.forEach((strip, channelId) => strip.apply(mixer, channelId));
+  }
+
+  // Drum hits go to the MIDI port instead of the sample player while a target is
+  // set; the click keeps playing through the speakers.
+  function setMidiTarget(next) {
+    const prev = midiTarget;
+    midiTarget = next?.output && typeof next.output.send === "function"
+      ? {
+          output: next.output,
+          channel: Math.max(1, Math.min(16, Math.round(Number(next.channel) || 10))),
+          latencyMs: Number(next.latencyMs) || 0,
+          notes: next.notes || {},
+        }
+      : null;
+    if (prev && (prev.output !== midiTarget?.output || prev.channel !== midiTarget?.channel)) {
+      sendMidiAllNotesOff(prev.output, prev.channel);
+    }
+  }
+
+  function audioTimeToPerformanceMs(time) {
+    const stamp = audioCtx?.getOutputTimestamp?.();
+    if (Number.isFinite(stamp?.contextTime) && Number.isFinite(stamp?.performanceTime) && stamp.performanceTime > 0) {
+      return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    }
+    return performance.now() + (time - (audioCtx?.currentTime ?? 0)) * 1000;
+  }
+
+  // `dynamic` is the dynamics-marking scale for the hit (1 = as written).
+  function playHit(instId, state, time, { explicitGain = null, sound = null, roll = null, dynamic = 1 } = {}) {
+    if (!instId || !state || state === "off") return;
+    // Rolls: a run of strokes over the roll's length ({ durationSec, tied, bpm }).
+    if (isRollState(state)) {
+      buildRollStrokes(state, roll?.durationSec ?? 0, roll?.bpm ?? bpm, { tied: !!roll?.tied }).forEach((stroke) => {
+        if (stroke.gain == null) playHit(instId, "on", time + stroke.offsetSec, { explicitGain, sound, dynamic });
+        else {
+          playHit(instId, stroke.ghost ? "rollGhost" : "roll", time + stroke.offsetSec, {
+            explicitGain: stroke.gain,
+            dynamic,
+          });
+        }
+      });
+      return;
+    }
+    // Flams, drags and ruffs: soft strokes just ahead of a normal main hit.
+    if (isGraceNoteState(state)) {
+      const earliest = audioCtx?.currentTime ?? 0;
+      getGraceStrokeLeadsSec(state).forEach((leadSec) => {
+        playHit(instId, "grace", Math.max(earliest, time - leadSec), { dynamic });
+      });
+      playHit(instId, "on", time, { explicitGain, sound, dynamic });
+      return;
+    }
+    if (midiTarget && !METRONOME_INSTRUMENT_IDS.has(instId)) {
+      if (getEffectiveChannelGain(mixer, instId) <= 0) return;
+      sendMidiHit(midiTarget.output, {
+        note: Number(midiTarget.notes[instId]),
+        velocity: scaleMidiVelocity(MIDI_HIT_VELOCITIES[state] ?? MIDI_HIT_VELOCITIES.on, dynamic),
+        channel: midiTarget.channel,
+        timestampMs: audioTimeToPerformanceMs(time) + midiTarget.latencyMs,
+      });
+      return;
+    }
+    const voice = resolveHitVoice(instId, state, { buffers, explicitGain, metronomeVolume, sound });
+    playVoice(voice && dynamic !== 1 ? { ...voice, gain: voice.gain * dynamic } : voice, time);
+  }
+
+  function getOutputForSample(sampleId) {
+    if (METRONOME_INSTRUMENT_IDS.has(sampleId)) return metronomeBus;
+    const channelId = getChannelIdForSample(sampleId);
+    let strip = channelStrips.get(channelId);
+    if (!strip) {
+      strip = createChannelStrip(audioCtx, drumsBus);
+      strip.apply(mixer, channelId);
+      channelStrips.set(channelId, strip);
+    }
+    return strip.input;
+  }
+
   function setTransport({
     nextBpm,
     nextResolution,
@@ -97,14 +281,19 @@ export function makeAudioEngine() {
     nextTimeSig,
     nextMetronomeEnabled,
     nextMetronomeVolume,
+    nextMetronome,
     nextDrumVolume,
+    nextSwing,
   }) {
     const transportTimingChanged =
       typeof nextBpm === "number" ||
       typeof nextResolution === "number" ||
       (Array.isArray(nextStepQuarterDurations) && nextStepQuarterDurations.length > 0) ||
       (typeof nextColumns === "number" && Number.isFinite(nextColumns) && nextColumns > 0);
-    if (typeof nextBpm === "number") bpm = nextBpm;
+    if (typeof nextBpm === "number") {
+      baseBpm = nextBpm;
+      if (!isSpeedTrainerRunning()) bpm = nextBpm;
+    }
     if (typeof nextResolution === "number") resolution = nextResolution;
     if (nextTimeSig && typeof nextTimeSig === "object") {
       timeSig = {
@@ -116,10 +305,12 @@ export function makeAudioEngine() {
     if (typeof nextMetronomeVolume === "number" && Number.isFinite(nextMetronomeVolume)) {
       metronomeVolume = Math.max(0, Math.min(1, nextMetronomeVolume));
     }
+    if (nextMetronome && typeof nextMetronome === "object") metronome = normalizeMetronomeSettings(nextMetronome);
     if (typeof nextDrumVolume === "number" && Number.isFinite(nextDrumVolume)) {
       drumVolume = Math.max(0, Math.min(1, nextDrumVolume));
       if (drumsBus) drumsBus.gain.value = drumVolume;
     }
+    if (nextSwing && typeof nextSwing === "object") swing = normalizeSwing(nextSwing);
     const prevStepQuarterDurations = stepQuarterDurations;
     if (Array.isArray(nextStepQuarterDurations) && nextStepQuarterDurations.length > 0) {
       stepQuarterDurations = nextStepQuarterDurations.map((v) =>
@@ -175,6 +366,29 @@ export function makeAudioEngine() {
     }
   }
 
+  function isSpeedTrainerRunning() {
+    return !!speedTrainer && isPlaying && playMode === "grid";
+  }
+
+  // Only touches the tempo at loop boundaries (or on start/stop), so the loop
+  // timing is re-based from the next downbeat.
+  function applySpeedTrainerTempo() {
+    const running = isSpeedTrainerRunning();
+    const nextBpm = running ? getSpeedTrainerBpm(speedTrainer, speedTrainerLoopCount) : baseBpm;
+    if (nextBpm !== bpm) {
+      bpm = nextBpm;
+      if (isPlaying && playMode === "grid") realignGridLoopTiming();
+    }
+    if (onSpeedTrainerTempo) onSpeedTrainerTempo(running ? bpm : null);
+  }
+
+  function setSpeedTrainer(settings) {
+    const wasEnabled = !!speedTrainer;
+    speedTrainer = settings?.enabled ? { ...settings } : null;
+    if (speedTrainer && !wasEnabled) speedTrainerLoopCount = 0;
+    applySpeedTrainerTempo();
+  }
+
   function secondsPerStep() {
     // BPM is quarter-notes per minute
     return (60 / bpm) * (4 / resolution);
@@ -200,6 +414,43 @@ export function makeAudioEngine() {
     return secondsBeforeStep(Math.max(1, Math.floor(Number(columns) || 1)), columns);
   }
 
+  function performanceMsToAudioTime(timestampMs) {
+    const stamp = audioCtx?.getOutputTimestamp?.();
+    if (Number.isFinite(stamp?.contextTime) && Number.isFinite(stamp?.performanceTime) && stamp.performanceTime > 0) {
+      return stamp.contextTime + (timestampMs - stamp.performanceTime) / 1000;
+    }
+    return (audioCtx?.currentTime ?? 0) - (performance.now() - timestampMs) / 1000;
+  }
+
+  // Nearest grid step (swing included) for a live hit played along with the loop.
+  // The player reacts to what they hear, so the output latency is taken off first.
+  function getGridStepAtPerformanceTime(timestampMs) {
+    if (!audioCtx || !isPlaying || playMode !== "grid") return null;
+    const columns = Math.max(1, transportColumns);
+    const loopDurationSec = secondsForLoop(columns);
+    if (!(loopDurationSec > 0)) return null;
+    const outputLatencySec = Number(audioCtx.outputLatency) || Number(audioCtx.baseLatency) || 0;
+    const time = performanceMsToAudioTime(timestampMs) - outputLatencySec;
+    // Hits during the count-in only count when they anticipate the first downbeat.
+    if (time < playStartTime - secondsForStep(0) / 2) return null;
+    const pos = (((time - gridLoopStartTime) % loopDurationSec) + loopDurationSec) % loopDurationSec;
+    let bestStep = 0;
+    let bestDistance = Infinity;
+    let stepStart = 0;
+    for (let step = 0; step < columns; step++) {
+      const hitTime = stepStart + swingOffsetSecForStep(step);
+      const distance = Math.min(Math.abs(pos - hitTime), Math.abs(pos - hitTime - loopDurationSec));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestStep = step;
+      }
+      stepStart += secondsForStep(step);
+    }
+    // Late hits just past the loop end belong to the next downbeat.
+    if (loopDurationSec - pos < bestDistance) bestStep = 0;
+    return bestStep;
+  }
+
   function realignGridLoopTiming() {
     if (!audioCtx) return;
     const safeColumns = Math.max(1, transportColumns);
@@ -212,11 +463,9 @@ export function makeAudioEngine() {
     gridLoopIteration = 0;
   }
 
-  function triggerMetronome(time, accented = false) {
-    const instId = accented ? "metronomeHi" : "metronomeLo";
-    if (!buffers[instId]) return;
-    const baseGain = accented ? 0.95 : 0.82;
-    trigger(instId, time, baseGain * Math.max(0, Math.min(1, metronomeVolume)));
+  function triggerMetronome(time, level = 2) {
+    const hit = buildMetronomeClickHit(level, metronome, metronomeVolume);
+    playHit(hit.instId, hit.state, time, { explicitGain: hit.gain, sound: hit.sound });
   }
 
   function scheduleCountIn(countInBeats = 0, beatDurSec = 0) {
@@ -225,7 +474,7 @@ export function makeAudioEngine() {
     if (beats < 1 || duration <= 0) return 0;
     const startTime = audioCtx.currentTime + 0.03;
     for (let beat = 0; beat < beats; beat++) {
-      triggerMetronome(startTime + beat * duration, beat === 0);
+      triggerMetronome(startTime + beat * duration, beat === 0 ? 3 : 2);
     }
     return beats * duration;
   }
@@ -239,16 +488,123 @@ export function makeAudioEngine() {
     return stepIndex * (1 / Math.max(1, resolution / 4));
   }
 
+  function getStepQuarterLength(stepIndex) {
+    if (Array.isArray(stepQuarterDurations) && stepQuarterDurations.length === transportColumns) {
+      return stepQuarterDurations[stepIndex] ?? (1 / Math.max(1, resolution / 4));
+    }
+    return 1 / Math.max(1, resolution / 4);
+  }
+
+  function swingOffsetSecForStep(stepIndex) {
+    if (!isSwingActive(swing)) return 0;
+    const barQuarterLength =
+      Math.max(1, Math.round(Number(timeSig?.n) || 4)) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+    const quarterPos = getQuarterPositionBeforeStep(stepIndex);
+    const barStart = Math.floor(quarterPos / barQuarterLength + 1e-9) * barQuarterLength;
+    return (60 / bpm) * getSwingOffsetQuarters(quarterPos - barStart, getStepQuarterLength(stepIndex), swing);
+  }
+
+  function getBarIndexForStep(stepIndex) {
+    const barQuarterLength =
+      Math.max(1, Math.round(Number(timeSig?.n) || 4)) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+    return Math.floor(getQuarterPositionBeforeStep(stepIndex) / barQuarterLength + 1e-9);
+  }
+
+  function notifyGapBars() {
+    if (onGapBarsChange) onGapBarsChange([...gapMutedBars].sort((a, b) => a - b));
+  }
+
+  function resetGapBars() {
+    gapBarNumber = -1;
+    gapCurrentBar = -1;
+    gapBarMuted = false;
+    if (!gapMutedBars.size) return;
+    gapMutedBars.clear();
+    notifyGapBars();
+  }
+
+  // Decides once per bar whether the gap-click exercise silences it.
+  function advanceGapBar(stepIndex) {
+    const barIndex = getBarIndexForStep(stepIndex);
+    if (barIndex === gapCurrentBar && stepIndex !== 0) return;
+    gapCurrentBar = barIndex;
+    gapBarNumber += 1;
+    gapBarMuted = !!gapClick && isGapBarMuted(gapClick, gapBarNumber);
+    if (gapBarMuted === gapMutedBars.has(barIndex)) return;
+    if (gapBarMuted) gapMutedBars.add(barIndex);
+    else gapMutedBars.delete(barIndex);
+    notifyGapBars();
+  }
+
+  function setGapClick(settings) {
+    gapClick = settings?.enabled ? { ...settings } : null;
+    if (!gapClick) resetGapBars();
+  }
+
+  function setBackingTrackBuffer(trackId, buffer) {
+    if (!trackId) return;
+    if (buffer) backingTrackBuffers.set(trackId, buffer);
+    else backingTrackBuffers.delete(trackId);
+  }
+
+  function setGridBackingTrack(settings) {
+    gridBackingTrack = settings?.trackId ? { ...settings } : null;
+    if (isPlaying && playMode === "grid") setBackingTrackGain(gridBackingTrack ? gridBackingTrack.gain : 0);
+  }
+
+  function setBackingTrackGain(gain) {
+    if (backingTrackBus) backingTrackBus.gain.value = Math.max(0, Math.min(1, Number(gain) || 0));
+  }
+
+  // Schedules the recording so that timeline second `fromSec` plays at
+  // `originTime`; `untilSec` (relative to `fromSec`) cuts it off at a loop end.
+  function startBackingTrack(track, originTime, fromSec = 0, untilSec = null) {
+    const buffer = track?.trackId ? backingTrackBuffers.get(track.trackId) : null;
+    if (!buffer || !audioCtx || !backingTrackBus) return;
+    const rate = Number(track.rate) > 0 ? Number(track.rate) : 1;
+    setBackingTrackGain(track.gain);
+    const segments = getBackingTrackSegmentsFrom(track.segments, fromSec, rate);
+    segments.forEach((seg, i) => {
+      let startTime = originTime + seg.atSec;
+      let offset = seg.offsetSec;
+      if (offset < 0) {
+        startTime -= offset / rate;
+        offset = 0;
+      }
+      const next = segments[i + 1];
+      const endTime = next ? originTime + next.atSec : untilSec != null ? originTime + untilSec : null;
+      if ((endTime != null && startTime >= endTime) || offset >= buffer.duration) return;
+      const src = audioCtx.createBufferSource();
+      src.buffer = buffer;
+      src.playbackRate.value = rate;
+      src.connect(backingTrackBus);
+      src.start(startTime, offset);
+      if (endTime != null) src.stop(endTime);
+      backingTrackSources.add(src);
+      src.onended = () => backingTrackSources.delete(src);
+    });
+  }
+
+  function stopBackingTrack() {
+    backingTrackSources.forEach((src) => {
+      try { src.stop(0); } catch (e) {}
+    });
+    backingTrackSources.clear();
+  }
+
   function scheduleMetronomeForGridStep(stepIndex, time) {
     if (!metronomeEnabled) return;
-    const beatQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
-    const beatsPerBar = Math.max(1, Math.round(Number(timeSig?.n) || 4));
+    if (gapBarMuted && gapClickMutesClick(gapClick)) return;
+    const barQuarterLength =
+      Math.max(1, Math.round(Number(timeSig?.n) || 4)) * (4 / Math.max(1, Number(timeSig?.d) || 4));
     const quarterPos = getQuarterPositionBeforeStep(stepIndex);
-    const beatPos = quarterPos / Math.max(1e-6, beatQuarterLength);
-    const nearestBeat = Math.round(beatPos);
-    if (Math.abs(beatPos - nearestBeat) > 1e-6) return;
-    const beatIndex = ((nearestBeat % beatsPerBar) + beatsPerBar) % beatsPerBar;
-    triggerMetronome(time, beatIndex === 0);
+    const barStart = Math.floor(quarterPos / barQuarterLength + 1e-9) * barQuarterLength;
+    const clicks = getMetronomeClicksInStep(
+      getMetronomeBarClicks(metronome, timeSig),
+      quarterPos - barStart,
+      getStepQuarterLength(stepIndex)
+    );
+    clicks.forEach((click) => triggerMetronome(time + (60 / bpm) * click.quarterDelta, click.level));
   }
 
   
@@ -267,7 +623,7 @@ export function makeAudioEngine() {
 
     const gain = audioCtx.createGain();
     gain.gain.value = Math.max(0, Math.min(1, gainValue));
-    const outputBus = instId === "metronomeHi" || instId === "metronomeLo" ? metronomeBus : drumsBus;
+    const outputBus = getOutputForSample(instId);
 
     src.connect(gain);
     gain.connect(outputBus);
@@ -281,15 +637,7 @@ export function makeAudioEngine() {
     if (!openHats.length) return;
     const hats = openHats;
     openHats = [];
-    hats.forEach((h) => {
-      if (!h?.src || !h?.gain) return;
-      try {
-        const g = h.gain.gain;
-        g.setValueAtTime(g.value, time);
-        g.linearRampToValueAtTime(0.0001, time + 0.01);
-        h.src.stop(time + 0.012);
-      } catch (e) {}
-    });
+    fadeOutVoices(hats, time);
   }
 
 function trigger(instId, time, gainValue = 1) {
@@ -307,7 +655,7 @@ function trigger(instId, time, gainValue = 1) {
 
     const gain = audioCtx.createGain();
     gain.gain.value = Math.max(0, Math.min(1, gainValue));
-    const outputBus = instId === "metronomeHi" || instId === "metronomeLo" ? metronomeBus : drumsBus;
+    const outputBus = getOutputForSample(instId);
 
     src.connect(gain);
     gain.connect(outputBus);
@@ -316,76 +664,67 @@ function trigger(instId, time, gainValue = 1) {
     return src;
   }
 
-  function scheduleStep(grid, instruments, stepIndex, time) {
-    scheduleMetronomeForGridStep(stepIndex, time);
-    for (const inst of instruments) {
-      const state = grid[inst.id]?.[stepIndex] ?? "off";
-      if (state === "off") continue;
-
-      // Ghost notes: instrument-specific gain
-      if (state === "ghost") {
-        if (inst.id === "snare" && buffers["snare_ghost"]) {
-          trigger("snare_ghost", time, 0.6);
-        } else if (inst.id === "hihat") {
-          chokeOpenHats(time);
-          trigger(inst.id, time, 0.3);
-        } else if (inst.id === "tom1" || inst.id === "tom2" || inst.id === "floorTom") {
-          trigger(inst.id, time, 0.15);
-        } else {
-          // fallback ghost gain
-          trigger(inst.id, time, 0.1);
-        }
-        continue;
-      }
-
-      // Normal hit
-      if (inst.id === "hihat" || inst.id === "hihatFoot") {
-        chokeOpenHats(time);
-      }
-      if (inst.id === "hihatOpen") {
-        {
-          const h = triggerWithGain(inst.id, time, 0.9);
-          if (h) openHats.push(h);
-        }
-      } else {
-        trigger(inst.id, time, 0.9);
+  function getGridRoll(grid, instruments, instId, stepIndex) {
+    const durations =
+      Array.isArray(stepQuarterDurations) && stepQuarterDurations.length === transportColumns
+        ? stepQuarterDurations
+        : Array.from({ length: transportColumns }, (_, i) => getStepQuarterLength(i));
+    const timing = getRollTiming(grid, instruments.map((inst) => inst.id), instId, stepIndex, durations, timeSig);
+    return timing ? { durationSec: (60 / bpm) * timing.quarters, tied: timing.tied, bpm } : null;
+  }
+
+  function scheduleStep(grid, instruments, stepIndex, stepTime, dynamicScales = null) {
+    advanceGapBar(stepIndex);
+    scheduleMetronomeForGridStep(stepIndex, stepTime);
+    // Swing only moves the drum hits; the click stays on the straight beat.
+    const time = stepTime + swingOffsetSecForStep(stepIndex);
+    if (!(gapBarMuted && gapClickMutesDrums(gapClick))) {
+      for (const inst of instruments) {
+        const state = grid[inst.id]?.[stepIndex] ?? "off";
+        playHit(inst.id, state, time, {
+          roll: isRollState(state) ? getGridRoll(grid, instruments, inst.id, stepIndex) : null,
+          dynamic: dynamicScales?.[stepIndex] ?? 1,
+        });
       }
     }
     if (onStep) onStep(stepIndex, null);
   }
 
+  function playVoice(voice, time) {
+    if (!voice) return;
+    if (voice.synth) {
+      if (!audioCtx || !metronomeBus) return;
+      const h = playSynthClick(audioCtx, metronomeBus, {
+        sound: voice.synth,
+        accented: voice.bufferId === "metronomeHi",
+        time,
+        gain: voice.gain,
+      });
+      if (!h) return;
+      activeSources.add(h.src);
+      h.src.onended = () => activeSources.delete(h.src);
+      return;
+    }
+    if (voice.chokesOpenHats) chokeOpenHats(time);
+    if (voice.opensHat) {
+      const h = triggerWithGain(voice.bufferId, time, voice.gain);
+      if (h) openHats.push(h);
+      return;
+    }
+    trigger(voice.bufferId, time, voice.gain);
+  }
+
   function scheduleCompiledEvent(event, time) {
     if (!event) return;
     const hits = Array.isArray(event.hits) ? event.hits : [];
     for (const hit of hits) {
-      const instId = hit?.instId;
-      const state = hit?.state ?? "off";
       const explicitGain = Number.isFinite(hit?.gain) ? Math.max(0, Math.min(1, Number(hit.gain))) : null;
-      if (!instId || state === "off") continue;
-      if (instId === "metronomeHi" || instId === "metronomeLo") {
-        trigger(instId, time, explicitGain ?? ((instId === "metronomeHi" ? 0.95 : 0.82) * Math.max(0, Math.min(1, metronomeVolume))));
-        continue;
-      }
-      if (state === "ghost") {
-        if (instId === "snare" && buffers["snare_ghost"]) {
-          trigger("snare_ghost", time, 0.6);
-        } else if (instId === "hihat") {
-          chokeOpenHats(time);
-          trigger(instId, time, 0.3);
-        } else if (instId === "tom1" || instId === "tom2" || instId === "floorTom") {
-          trigger(instId, time, 0.15);
-        } else {
-          trigger(instId, time, 0.1);
-        }
-        continue;
-      }
-      if (instId === "hihat" || instId === "hihatFoot") chokeOpenHats(time);
-      if (instId === "hihatOpen") {
-        const h = triggerWithGain(instId, time, explicitGain ?? 0.9);
-        if (h) openHats.push(h);
-      } else {
-        trigger(instId, time, explicitGain ?? (state === "accent" ? 1 : 0.9));
-      }
+      playHit(hit?.instId, hit?.state ?? "off", time, {
+        explicitGain,
+        sound: hit?.sound ?? null,
+        roll: hit?.roll ?? null,
+        dynamic: hit?.dynamic ?? 1,
+      });
     }
     if (event.meta && onStep) onStep(event.stepIndex ?? 0, event.meta);
   }
@@ -399,6 +738,9 @@ function trigger(instId, time, gainValue = 1) {
     currentStep = 0;
     nextNoteTime = 0;
     stopAtTime = null;
+    applySpeedTrainerTempo();
+    resetGapBars();
+    stopBackingTrack();
     if (onEnded) onEnded();
   }
 
@@ -416,6 +758,12 @@ function trigger(instId, time, gainValue = 1) {
           if (!compiledLoop) break;
           compiledCursor = 0;
           compiledLoopIteration += 1;
+          startBackingTrack(
+            compiledBackingTrack,
+            playStartTime + compiledLoopIteration * compiledDurationSec,
+            0,
+            compiledDurationSec
+          );
         }
         const event = compiledEvents[compiledCursor];
         const eventTimeSec =
@@ -426,14 +774,14 @@ function trigger(instId, time, gainValue = 1) {
         compiledCursor += 1;
       }
     } else {
-      const { grid, instruments, columns } = getGridSnapshot();
+      const { grid, instruments, columns, dynamicScales } = getGridSnapshot();
       const loopColumns = Math.max(1, Math.min(Math.floor(Number(columns) || 1), transportColumns));
-      const loopDurationSec = secondsForLoop(loopColumns);
+      let loopDurationSec = secondsForLoop(loopColumns);
       while (nextNoteTime < audioCtx.currentTime + scheduleAheadTimeSec) {
         if (stopAtTime != null && nextNoteTime >= stopAtTime - 1e-6) {
           break;
         }
-        scheduleStep(grid, instruments, currentStep, nextNoteTime);
+        scheduleStep(grid, instruments, currentStep, nextNoteTime, dynamicScales);
 
         nextNoteTime += secondsForStep(currentStep);
         currentStep += 1;
@@ -443,6 +791,11 @@ function trigger(instId, time, gainValue = 1) {
           if (loopDurationSec > 0) {
             nextNoteTime = gridLoopStartTime + gridLoopIteration * loopDurationSec;
           }
+          if (speedTrainer) {
+            speedTrainerLoopCount += 1;
+            applySpeedTrainerTempo();
+            loopDurationSec = secondsForLoop(loopColumns);
+          }
         }
       }
     }
@@ -467,21 +820,39 @@ function trigger(instId, time, gainValue = 1) {
     const maxStep = Math.max(0, (snap.columns ?? 1) - 1);
     transportColumns = Math.max(1, snap.columns ?? 1);
     currentStep = Math.max(0, Math.min(maxStep, startStep));
+    speedTrainerLoopCount = 0;
+    if (speedTrainer) bpm = getSpeedTrainerBpm(speedTrainer, 0);
+    resetGapBars();
     const countInDurationSec = scheduleCountIn(countInBeats, countInBeatDurSec);
     playStartTime = audioCtx.currentTime + 0.03 + countInDurationSec;
     gridLoopStartTime = playStartTime - secondsBeforeStep(currentStep, transportColumns);
     gridLoopIteration = 0;
     nextNoteTime = playStartTime;
     stopAtTime = null;
+    if (gridBackingTrack) {
+      startBackingTrack(
+        { ...gridBackingTrack, segments: [{ atSec: 0, offsetSec: gridBackingTrack.offsetSec }] },
+        playStartTime,
+        secondsBeforeStep(currentStep, transportColumns)
+      );
+    }
 
     isPlaying = true;
+    if (speedTrainer && onSpeedTrainerTempo) onSpeedTrainerTempo(bpm);
     timerId = window.setInterval(() => scheduler(getGridSnapshot), lookaheadMs);
     return playStartTime;
   }
 
   async function playCompiled(
     events,
-    { startAtSec = 0, totalDurationSec = 0, loop = false, countInBeats = 0, countInBeatDurSec = 0 } = {}
+    {
+      startAtSec = 0,
+      totalDurationSec = 0,
+      loop = false,
+      countInBeats = 0,
+      countInBeatDurSec = 0,
+      backingTrack = null,
+    } = {}
   ) {
     await resumeIfNeeded();
     if (isPlaying) return null;
@@ -505,6 +876,13 @@ function trigger(instId, time, gainValue = 1) {
     }
     nextNoteTime = 0;
     stopAtTime = compiledLoop ? null : playStartTime + compiledDurationSec;
+    compiledBackingTrack = backingTrack?.trackId ? { ...backingTrack } : null;
+    startBackingTrack(
+      compiledBackingTrack,
+      playStartTime + compiledStartOffsetSec,
+      compiledStartOffsetSec,
+      Math.max(0, compiledDurationSec - compiledStartOffsetSec)
+    );
 
     isPlaying = true;
     timerId = window.setInterval(() => scheduler(() => ({ grid: {}, instruments: [], columns: 1 })), lookaheadMs);
@@ -530,6 +908,9 @@ function trigger(instId, time, gainValue = 1) {
     gridLoopIteration = 0;
     compiledLoopIteration = 0;
     stopAtTime = null;
+    applySpeedTrainerTempo();
+    resetGapBars();
+    stopBackingTrack();
   }
 
   function hardStop() {
@@ -541,6 +922,10 @@ function trigger(instId, time, gainValue = 1) {
     });
     activeSources.clear();
     openHats = [];
+    if (midiTarget) {
+      try { midiTarget.output.clear?.(); } catch (e) {}
+      sendMidiAllNotesOff(midiTarget.output, midiTarget.channel);
+    }
 
     // Ensure no scheduled natural-end callback lingers.
     stopAtTime = null;
@@ -554,6 +939,14 @@ function trigger(instId, time, gainValue = 1) {
     onEnded = fn;
   }
 
+  function setOnSpeedTrainerTempo(fn) {
+    onSpeedTrainerTempo = fn;
+  }
+
+  function setOnGapBarsChange(fn) {
+    onGapBarsChange = fn;
+  }
+
   function getCurrentTime() {
     if (!audioCtx) return 0;
     return audioCtx.currentTime;
@@ -594,9 +987,20 @@ function trigger(instId, time, gainValue = 1) {
     resumeIfNeeded,
     unlock,
     setBuffers,
+    getBuffers,
+    setMixer,
+    setMidiTarget,
+    setSpeedTrainer,
+    setGapClick,
+    setBackingTrackBuffer,
+    setGridBackingTrack,
+    setBackingTrackGain,
+    getGridStepAtPerformanceTime,
     setTransport,
     setOnStep,
     setOnEnded,
+    setOnSpeedTrainerTempo,
+    setOnGapBarsChange,
     getCurrentTime,
     getScheduleAheadTimeSec,
     setCurrentStep,
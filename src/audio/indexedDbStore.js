@@ -0,0 +1,43 @@
+// One IndexedDB object store keyed by "id", opened lazily on first use.
+// `label` names the storage in error messages ("Sound kit storage").
+export function createIndexedDbStore({ dbName, storeName, label, version = 1 }) {
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof window === "undefined" || !window.indexedDB) {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+      const req = window.indexedDB.open(dbName, version);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error(`Failed to open ${label.toLowerCase()}.`));
+    }).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+    return dbPromise;
+  }
+
+  // Runs one request in its own transaction and resolves with its result once
+  // the transaction commits.
+  return function runRequest(mode, makeRequest) {
+    return openDb().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const req = makeRequest(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(req.result);
+          tx.onerror = () => reject(tx.error || req.error || new Error(`${label} failed.`));
+          tx.onabort = () => reject(tx.error || new Error(`${label} was aborted.`));
+        })
+    );
+  };
+}
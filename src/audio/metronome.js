@@ -0,0 +1,179 @@
+// Click settings stored per beat: { sound, subdivision, grouping, accents, backbeat }.
+// `subdivision` is clicks per quarter note, `grouping` splits the bar's pulses
+// (e.g. [2, 2, 3] for 7/8) and `accents` holds one level per pulse.
+export const METRONOME_SOUNDS = [
+  { id: "clave", label: "Clave" },
+  { id: "beep", label: "Beep" },
+  { id: "tick", label: "Tick" },
+  { id: "wood", label: "Wood" },
+];
+export const METRONOME_SUBDIVISIONS = [
+  { value: 1, label: "Beats" },
+  { value: 2, label: "8ths" },
+  { value: 3, label: "Triplets" },
+  { value: 4, label: "16ths" },
+];
+// 3 = bar accent, 2 = beat, 1 = soft (subdivisions, inner group pulses), 0 = silent.
+export const METRONOME_LEVELS = [3, 2, 1, 0];
+export const DEFAULT_METRONOME_SETTINGS = {
+  sound: "clave",
+  subdivision: 1,
+  grouping: null,
+  accents: null,
+  backbeat: false,
+};
+
+const LEVEL_GAINS = { 3: 0.95, 2: 0.82, 1: 0.5 };
+const MAX_PULSES = 32;
+
+// Oscillator clicks that need no sample file; accented clicks play higher.
+const SYNTH_CLICK_VOICES = {
+  beep: { type: "sine", freq: 880, accentFreq: 1760, decaySec: 0.07 },
+  tick: { type: "square", freq: 2200, accentFreq: 3300, decaySec: 0.015 },
+  wood: { type: "triangle", freq: 720, accentFreq: 1080, decaySec: 0.045 },
+};
+
+function normalizeIntList(raw, min, max) {
+  if (!Array.isArray(raw) || !raw.length || raw.length > MAX_PULSES) return null;
+  const list = raw.map((v) => Math.round(Number(v)));
+  return list.every((v) => Number.isFinite(v) && v >= min && v <= max) ? list : null;
+}
+
+export function normalizeMetronomeSettings(raw) {
+  if (!raw || typeof raw !== "object") return { ...DEFAULT_METRONOME_SETTINGS };
+  const subdivision = Number(raw.subdivision);
+  return {
+    sound: METRONOME_SOUNDS.some((s) => s.id === raw.sound) ? raw.sound : DEFAULT_METRONOME_SETTINGS.sound,
+    subdivision: METRONOME_SUBDIVISIONS.some((s) => s.value === subdivision) ? subdivision : 1,
+    grouping: normalizeIntList(raw.grouping, 1, 9),
+    accents: normalizeIntList(raw.accents, 0, 3),
+    backbeat: raw.backbeat === true,
+  };
+}
+
+export function isDefaultMetronomeSettings(settings) {
+  const s = normalizeMetronomeSettings(settings);
+  return (
+    s.sound === DEFAULT_METRONOME_SETTINGS.sound &&
+    s.subdivision === 1 &&
+    !s.grouping &&
+    !s.accents &&
+    !s.backbeat
+  );
+}
+
+export function isSynthMetronomeSound(sound) {
+  return !!SYNTH_CLICK_VOICES[sound];
+}
+
+// "2+2+3" -> [2, 2, 3]. Returns null for anything that is not a list of
+// positive group sizes.
+export function parseBeatGrouping(text) {
+  const parts = String(text || "").split(/[+\s,]+/).filter(Boolean);
+  if (!parts.length) return null;
+  return normalizeIntList(parts, 1, 9);
+}
+
+export function formatBeatGrouping(grouping) {
+  return Array.isArray(grouping) ? grouping.join("+") : "";
+}
+
+function getPulsesPerBar(timeSig) {
+  return Math.max(1, Math.min(MAX_PULSES, Math.round(Number(timeSig?.n) || 4)));
+}
+
+// Grouping and accents only apply while they fit the bar, so a beat that changes
+// meter falls back to plain counting instead of clicking in the wrong places.
+export function getMetronomeGroupingForTimeSig(settings, timeSig) {
+  const grouping = normalizeMetronomeSettings(settings).grouping;
+  if (!grouping) return null;
+  return grouping.reduce((sum, v) => sum + v, 0) === getPulsesPerBar(timeSig) ? grouping : null;
+}
+
+export function getDefaultMetronomePulseLevels(settings, timeSig) {
+  const pulses = getPulsesPerBar(timeSig);
+  const grouping = getMetronomeGroupingForTimeSig(settings, timeSig);
+  const groupStarts = new Set();
+  let pos = 0;
+  (grouping || []).forEach((size) => {
+    groupStarts.add(pos);
+    pos += size;
+  });
+  return Array.from({ length: pulses }, (_, i) => {
+    if (i === 0) return 3;
+    if (!grouping) return 2;
+    return groupStarts.has(i) ? 2 : 1;
+  });
+}
+
+export function getMetronomePulseLevels(settings, timeSig) {
+  const s = normalizeMetronomeSettings(settings);
+  const pulses = getPulsesPerBar(timeSig);
+  if (s.backbeat) return Array.from({ length: pulses }, (_, i) => (i % 2 === 1 ? 2 : 0));
+  if (s.accents && s.accents.length === pulses) return s.accents;
+  return getDefaultMetronomePulseLevels(s, timeSig);
+}
+
+// Every click of one bar as { quarterOffset, level }, measured from the downbeat.
+// Pulses follow the time signature's denominator; subdivisions fill the gaps
+// between them at level 1. "2 and 4" mode clicks the backbeats only.
+export function getMetronomeBarClicks(settings, timeSig) {
+  const s = normalizeMetronomeSettings(settings);
+  const pulseQuarterLength = 4 / Math.max(1, Number(timeSig?.d) || 4);
+  const levels = getMetronomePulseLevels(s, timeSig);
+  const barQuarterLength = levels.length * pulseQuarterLength;
+  const clicks = [];
+  levels.forEach((level, i) => {
+    if (level > 0) clicks.push({ quarterOffset: i * pulseQuarterLength, level });
+  });
+  if (!s.backbeat && s.subdivision > 1) {
+    for (let k = 1; k / s.subdivision < barQuarterLength - 1e-9; k++) {
+      const quarterOffset = k / s.subdivision;
+      const pulsePos = quarterOffset / pulseQuarterLength;
+      if (Math.abs(pulsePos - Math.round(pulsePos)) < 1e-6) continue;
+      clicks.push({ quarterOffset, level: 1 });
+    }
+  }
+  return clicks.sort((a, b) => a.quarterOffset - b.quarterOffset);
+}
+
+// Clicks that fall inside a step starting at `quarterPosInBar`, with their
+// distance from the step start in quarters.
+export function getMetronomeClicksInStep(barClicks, quarterPosInBar, stepQuarterLength) {
+  const start = Number(quarterPosInBar) || 0;
+  const end = start + Math.max(0, Number(stepQuarterLength) || 0);
+  return (Array.isArray(barClicks) ? barClicks : [])
+    .filter((click) => click.quarterOffset >= start - 1e-6 && click.quarterOffset < end - 1e-6)
+    .map((click) => ({ quarterDelta: Math.max(0, click.quarterOffset - start), level: click.level }));
+}
+
+// Compiled-style hit for one click; `sound` travels with the hit so arrangement
+// rows keep their own click sound.
+export function buildMetronomeClickHit(level, settings, metronomeVolume = 1) {
+  const volume = Math.max(0, Math.min(1, Number(metronomeVolume) || 0));
+  return {
+    instId: level >= 3 ? "metronomeHi" : "metronomeLo",
+    state: "on",
+    gain: (LEVEL_GAINS[level] ?? LEVEL_GAINS[2]) * volume,
+    sound: normalizeMetronomeSettings(settings).sound,
+  };
+}
+
+// Works with both AudioContext and OfflineAudioContext.
+export function playSynthClick(ctx, destination, { sound, accented = false, time = 0, gain = 1 }) {
+  const voice = SYNTH_CLICK_VOICES[sound];
+  if (!ctx || !destination || !voice) return null;
+  const osc = ctx.createOscillator();
+  osc.type = voice.type;
+  osc.frequency.value = accented ? voice.accentFreq : voice.freq;
+  const env = ctx.createGain();
+  const peak = Math.max(0.0001, Math.min(1, Number(gain) || 0));
+  env.gain.setValueAtTime(0.0001, time);
+  env.gain.exponentialRampToValueAtTime(peak, time + 0.002);
+  env.gain.exponentialRampToValueAtTime(0.0001, time + voice.decaySec);
+  osc.connect(env);
+  env.connect(destination);
+  osc.start(time);
+  osc.stop(time + voice.decaySec + 0.01);
+  return { src: osc, gain: env };
+}
@@ -0,0 +1,41 @@
+// Web MIDI input for live recording. Access is requested through the same
+// helpers as MIDI output; "all" listens on every connected input.
+export const MIDI_INPUT_ALL_PORTS = "all";
+
+export function listMidiInputs(access) {
+  const out = [];
+  access?.inputs?.forEach?.((port) => {
+    if (!port?.id) return;
+    out.push({ id: String(port.id), name: String(port.name || port.id) });
+  });
+  return out;
+}
+
+export function getMidiInputsForSelection(access, portId) {
+  const out = [];
+  access?.inputs?.forEach?.((port) => {
+    if (!port) return;
+    if (portId && portId !== MIDI_INPUT_ALL_PORTS && String(port.id) !== portId) return;
+    out.push(port);
+  });
+  return out;
+}
+
+export function normalizeMidiInputSettings(raw, mappingPresetIds = []) {
+  const mappingPresetId = String(raw?.mappingPresetId || "");
+  return {
+    portId: raw?.portId ? String(raw.portId) : MIDI_INPUT_ALL_PORTS,
+    mappingPresetId: mappingPresetIds.includes(mappingPresetId)
+      ? mappingPresetId
+      : mappingPresetIds[0] || "manual",
+  };
+}
+
+// Note-on with velocity 0 is a note-off by convention, so it is ignored too.
+export function parseMidiNoteOn(data) {
+  if (!data || data.length < 3) return null;
+  if ((data[0] & 0xf0) !== 0x90) return null;
+  const velocity = data[2] & 0x7f;
+  if (velocity < 1) return null;
+  return { note: data[1] & 0x7f, velocity, channel: (data[0] & 0x0f) + 1 };
+}
@@ -0,0 +1,64 @@
+// Web MIDI output target. The engine only needs an object with
+// `send(data, timestamp)`, so a mocked MIDIOutput works the same as a real port.
+export const MIDI_NOTE_LENGTH_SEC = 0.05;
+export const MIDI_LATENCY_MIN_MS = -200;
+export const MIDI_LATENCY_MAX_MS = 500;
+
+export function isWebMidiSupported() {
+  return typeof navigator !== "undefined" && typeof navigator.requestMIDIAccess === "function";
+}
+
+export async function requestMidiAccess() {
+  if (!isWebMidiSupported()) throw new Error("Web MIDI is not supported in this browser.");
+  return navigator.requestMIDIAccess({ sysex: false });
+}
+
+export function listMidiOutputs(access) {
+  const out = [];
+  access?.outputs?.forEach?.((port) => {
+    if (!port?.id) return;
+    out.push({ id: String(port.id), name: String(port.name || port.id) });
+  });
+  return out;
+}
+
+export function getMidiOutputById(access, id) {
+  if (!access?.outputs || !id) return null;
+  return access.outputs.get?.(id) || null;
+}
+
+export function normalizeMidiOutputSettings(raw) {
+  const channel = Math.round(Number(raw?.channel));
+  const latencyMs = Math.round(Number(raw?.latencyMs));
+  return {
+    enabled: raw?.enabled === true,
+    portId: raw?.portId ? String(raw.portId) : null,
+    channel: Number.isFinite(channel) ? Math.max(1, Math.min(16, channel)) : 10,
+    latencyMs: Number.isFinite(latencyMs)
+      ? Math.max(MIDI_LATENCY_MIN_MS, Math.min(MIDI_LATENCY_MAX_MS, latencyMs))
+      : 0,
+  };
+}
+
+// Schedules a note-on/off pair. `timestampMs` is on the performance.now() clock.
+export function sendMidiHit(output, { note, velocity, channel = 10, timestampMs, lengthSec = MIDI_NOTE_LENGTH_SEC }) {
+  if (!output || typeof output.send !== "function") return;
+  if (!Number.isFinite(note)) return;
+  const status = (Math.max(1, Math.min(16, channel)) - 1) & 0x0f;
+  const at = Math.max(0, Number(timestampMs) || 0);
+  try {
+    output.send([0x90 | status, note & 0x7f, Math.max(1, Math.min(127, velocity)) & 0x7f], at);
+    output.send([0x80 | status, note & 0x7f, 0], at + lengthSec * 1000);
+  } catch (e) {
+    console.warn("[midi] Failed to send MIDI message:", e);
+  }
+}
+
+// Silences anything still sounding (All Notes Off on the channel).
+export function sendMidiAllNotesOff(output, channel = 10) {
+  if (!output || typeof output.send !== "function") return;
+  const status = (Math.max(1, Math.min(16, channel)) - 1) & 0x0f;
+  try {
+    output.send([0xb0 | status, 123, 0]);
+  } catch (_) {}
+}
@@ -0,0 +1,84 @@
+// Per-instrument mix settings: { [instId]: { volume, pan, mute, solo } }.
+// Channels left at their defaults are dropped so stored settings stay small.
+export const DEFAULT_CHANNEL = { volume: 1, pan: 0, mute: false, solo: false };
+
+// Samples that play through another instrument's channel strip.
+const SAMPLE_CHANNEL_ALIASES = { snare_ghost: "snare" };
+
+export function getChannelIdForSample(sampleId) {
+  return SAMPLE_CHANNEL_ALIASES[sampleId] || sampleId;
+}
+
+function normalizeChannel(raw) {
+  const volume = Number(raw?.volume);
+  const pan = Number(raw?.pan);
+  return {
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : DEFAULT_CHANNEL.volume,
+    pan: Number.isFinite(pan) ? Math.max(-1, Math.min(1, Math.round(pan * 100) / 100)) : DEFAULT_CHANNEL.pan,
+    mute: raw?.mute === true,
+    solo: raw?.solo === true,
+  };
+}
+
+function isDefaultChannel(channel) {
+  return (
+    channel.volume === DEFAULT_CHANNEL.volume &&
+    channel.pan === DEFAULT_CHANNEL.pan &&
+    !channel.mute &&
+    !channel.solo
+  );
+}
+
+export function normalizeMixerSettings(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  Object.entries(raw).forEach(([instId, value]) => {
+    if (!instId) return;
+    const channel = normalizeChannel(value);
+    if (!isDefaultChannel(channel)) out[instId] = channel;
+  });
+  return out;
+}
+
+export function getMixerChannel(settings, instId) {
+  return settings?.[instId] ? normalizeChannel(settings[instId]) : { ...DEFAULT_CHANNEL };
+}
+
+export function updateMixerChannel(settings, instId, updates) {
+  return normalizeMixerSettings({
+    ...(settings || {}),
+    [instId]: { ...getMixerChannel(settings, instId), ...(updates || {}) },
+  });
+}
+
+export function hasSoloedChannel(settings) {
+  return Object.values(settings || {}).some((channel) => channel?.solo === true);
+}
+
+// Gain a channel actually plays at once mute and solo are taken into account.
+export function getEffectiveChannelGain(settings, instId) {
+  const channel = getMixerChannel(settings, instId);
+  if (channel.mute) return 0;
+  if (hasSoloedChannel(settings) && !channel.solo) return 0;
+  return channel.volume;
+}
+
+// GainNode -> StereoPannerNode into `destination`. Older Safari has no
+// StereoPannerNode, so pan is skipped there.
+export function createChannelStrip(ctx, destination) {
+  const gain = ctx.createGain();
+  const panner = typeof ctx.createStereoPanner === "function" ? ctx.createStereoPanner() : null;
+  if (panner) {
+    gain.connect(panner);
+    panner.connect(destination);
+  } else {
+    gain.connect(destination);
+  }
+  return {
+    input: gain,
+    apply(settings, channelId) {
+      gain.gain.value = getEffectiveChannelGain(settings, channelId);
+      if (panner) panner.pan.value = getMixerChannel(settings, channelId).pan;
+    },
+  };
+}
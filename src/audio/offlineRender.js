@@ -0,0 +1,211 @@
+import { fadeOutVoices, METRONOME_INSTRUMENT_IDS, resolveHitVoice } from "./engine";
+import { getGraceStrokeLeadsSec, isGraceNoteState } from "../utils/graceNotes";
+import { buildRollStrokes, getRollTiming, isRollState } from "../utils/rolls";
+import { getSwingOffsetQuarters, normalizeSwing } from "../utils/swing";
+import { createChannelStrip, getChannelIdForSample, normalizeMixerSettings } from "./mixer";
+import {
+  buildMetronomeClickHit,
+  getMetronomeBarClicks,
+  getMetronomeClicksInStep,
+  normalizeMetronomeSettings,
+  playSynthClick,
+} from "./metronome";
+
+const RENDER_SAMPLE_RATE = 44100;
+const RENDER_TAIL_SEC = 2;
+
+// Builds compiled-style events ({ timeSec, hits }) for one pass of a grid, the
+// same shape `playCompiled` consumes.
+export function buildGridRenderEvents({
+  grid,
+  instruments,
+  stepQuarterDurations,
+  bpm,
+  timeSig,
+  swing = null,
+  dynamicScales = null,
+  metronomeEnabled = false,
+  metronome = null,
+  metronomeVolume = 0.5,
+}) {
+  const durations = Array.isArray(stepQuarterDurations) ? stepQuarterDurations : [];
+  const safeBpm = Math.max(1, Number(bpm) || 120);
+  const barQuarterLength =
+    Math.max(1, Math.round(Number(timeSig?.n) || 4)) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+  const normalizedSwing = normalizeSwing(swing);
+  const barClicks = metronomeEnabled ? getMetronomeBarClicks(metronome, timeSig) : [];
+  const events = [];
+  let timeSec = 0;
+  let quarterPos = 0;
+  for (let step = 0; step < durations.length; step++) {
+    const q = Math.max(0, Number(durations[step]) || 0);
+    const barStart = Math.floor(quarterPos / barQuarterLength + 1e-9) * barQuarterLength;
+    getMetronomeClicksInStep(barClicks, quarterPos - barStart, q).forEach((click) => {
+      events.push({
+        timeSec: timeSec + (60 / safeBpm) * click.quarterDelta,
+        hits: [buildMetronomeClickHit(click.level, metronome, metronomeVolume)],
+      });
+    });
+    const hits = [];
+    const instrumentList = Array.isArray(instruments) ? instruments : [];
+    instrumentList.forEach((inst) => {
+      const state = grid?.[inst.id]?.[step] ?? "off";
+      if (state === "off") return;
+      const rollTiming = isRollState(state)
+        ? getRollTiming(grid, instrumentList.map((item) => item.id), inst.id, step, durations, timeSig)
+        : null;
+      hits.push({
+        instId: inst.id,
+        state,
+        ...(Number.isFinite(dynamicScales?.[step]) && dynamicScales[step] !== 1 ? { dynamic: dynamicScales[step] } : {}),
+        ...(rollTiming
+          ? { roll: { durationSec: (60 / safeBpm) * rollTiming.quarters, tied: rollTiming.tied, bpm: safeBpm } }
+          : {}),
+      });
+    });
+    if (hits.length) {
+      const swingOffsetSec = (60 / safeBpm) * getSwingOffsetQuarters(quarterPos - barStart, q, normalizedSwing);
+      events.push({ timeSec: timeSec + swingOffsetSec, hits });
+    }
+    timeSec += (60 / safeBpm) * q;
+    quarterPos += q;
+  }
+  return { events, durationSec: timeSec };
+}
+
+export function repeatRenderEvents(events, durationSec, repeats = 1) {
+  const count = Math.max(1, Math.floor(Number(repeats) || 1));
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    (Array.isArray(events) ? events : []).forEach((event) => {
+      out.push({ ...event, timeSec: (Number(event?.timeSec) || 0) + i * durationSec });
+    });
+  }
+  return { events: out, durationSec: durationSec * count };
+}
+
+// Renders events through an OfflineAudioContext with the same voices, choke
+// behaviour and bus gains as live playback.
+// stem: "mix" | "drums" | "click"
+export async function renderEventsToAudioBuffer({
+  events,
+  durationSec,
+  buffers,
+  stem = "mix",
+  drumVolume = 1,
+  metronomeVolume = 0.5,
+  mixer = null,
+  countInBeats = 0,
+  countInBeatDurSec = 0,
+  metronome = null,
+  sampleRate = RENDER_SAMPLE_RATE,
+}) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) throw new Error("Offline audio rendering is not supported in this browser.");
+  const safeBuffers = buffers && typeof buffers === "object" ? buffers : {};
+  if (!Object.keys(safeBuffers).length) throw new Error("Drum samples are not loaded yet.");
+
+  const countInSec =
+    Math.max(0, Math.floor(Number(countInBeats) || 0)) * Math.max(0, Number(countInBeatDurSec) || 0);
+  const totalSec = countInSec + Math.max(0, Number(durationSec) || 0) + RENDER_TAIL_SEC;
+  const ctx = new OfflineContext(2, Math.max(1, Math.ceil(totalSec * sampleRate)), sampleRate);
+  const drumsBus = ctx.createGain();
+  drumsBus.gain.value = Math.max(0, Math.min(1, Number(drumVolume) || 0));
+  const metronomeBus = ctx.createGain();
+  metronomeBus.gain.value = 1;
+  drumsBus.connect(ctx.destination);
+  metronomeBus.connect(ctx.destination);
+
+  const includeDrums = stem !== "click";
+  const includeClick = stem !== "drums";
+  let openHats = [];
+  const mixerSettings = normalizeMixerSettings(mixer);
+  const channelStrips = new Map();
+  const getOutput = (voice) => {
+    if (voice.metronome) return metronomeBus;
+    const channelId = getChannelIdForSample(voice.bufferId);
+    let strip = channelStrips.get(channelId);
+    if (!strip) {
+      strip = createChannelStrip(ctx, drumsBus);
+      strip.apply(mixerSettings, channelId);
+      channelStrips.set(channelId, strip);
+    }
+    return strip.input;
+  };
+
+  const start = (voice, time) => {
+    if (voice.synth) {
+      return playSynthClick(ctx, metronomeBus, {
+        sound: voice.synth,
+        accented: voice.bufferId === "metronomeHi",
+        time,
+        gain: voice.gain,
+      });
+    }
+    const buf = safeBuffers[voice.bufferId];
+    if (!buf) return null;
+    const src = ctx.createBufferSource();
+    src.buffer = buf;
+    const gain = ctx.createGain();
+    gain.gain.value = Math.max(0, Math.min(1, voice.gain));
+    src.connect(gain);
+    gain.connect(getOutput(voice));
+    src.start(time);
+    return { src, gain };
+  };
+
+  if (includeClick && countInSec > 0) {
+    for (let beat = 0; beat < countInBeats; beat++) {
+      const voice = resolveHitVoice(beat === 0 ? "metronomeHi" : "metronomeLo", "on", {
+        metronomeVolume,
+        sound: normalizeMetronomeSettings(metronome).sound,
+      });
+      start(voice, beat * countInBeatDurSec);
+    }
+  }
+
+  const sorted = (Array.isArray(events) ? events : [])
+    .map((event) => ({ ...event, timeSec: Math.max(0, Number(event?.timeSec) || 0) }))
+    .sort((a, b) => a.timeSec - b.timeSec);
+  sorted.forEach((event) => {
+    const time = countInSec + event.timeSec;
+    (Array.isArray(event.hits) ? event.hits : []).forEach((hit) => {
+      const isClick = METRONOME_INSTRUMENT_IDS.has(hit?.instId);
+      if (isClick ? !includeClick : !includeDrums) return;
+      const explicitGain = Number.isFinite(hit?.gain) ? Math.max(0, Math.min(1, Number(hit.gain))) : null;
+      const dynamic = Number.isFinite(hit?.dynamic) ? Number(hit.dynamic) : 1;
+      const withDynamic = (voice) => (voice && dynamic !== 1 ? { ...voice, gain: voice.gain * dynamic } : voice);
+      if (isRollState(hit?.state)) {
+        buildRollStrokes(hit.state, hit.roll?.durationSec ?? 0, hit.roll?.bpm, { tied: !!hit.roll?.tied }).forEach((stroke) => {
+          const voice = resolveHitVoice(hit.instId, stroke.gain == null ? "on" : stroke.ghost ? "rollGhost" : "roll", {
+            buffers: safeBuffers,
+            explicitGain: stroke.gain ?? explicitGain,
+          });
+          if (voice) start(withDynamic(voice), time + stroke.offsetSec);
+        });
+        return;
+      }
+      const graceState = isGraceNoteState(hit?.state);
+      if (graceState) {
+        getGraceStrokeLeadsSec(hit.state).forEach((leadSec) => {
+          start(withDynamic(resolveHitVoice(hit.instId, "grace", { buffers: safeBuffers })), Math.max(0, time - leadSec));
+        });
+      }
+      const voice = withDynamic(resolveHitVoice(hit?.instId, graceState ? "on" : hit?.state ?? "off", {
+        buffers: safeBuffers,
+        explicitGain,
+        metronomeVolume,
+        sound: hit?.sound ?? null,
+      }));
+      if (!voice) return;
+      if (voice.chokesOpenHats && openHats.length) {
+        fadeOutVoices(openHats, time);
+        openHats = [];
+      }
+      const started = start(voice, time);
+      if (started && voice.opensHat) openHats.push(started);
+    });
+  });
+
+  return ctx.startRendering();
+}
@@ -37,6 +37,11 @@ function trimLeadingSilence(audioCtx, buffer, { threshold = 0.001, maxTrimSec =
   return trimmed;
 }
 
+export async function decodeSample(audioCtx, arrayBuf) {
+  const buffer = await audioCtx.decodeAudioData(arrayBuf);
+  return trimLeadingSilence(audioCtx, buffer);
+}
+
 export async function loadSamples(audioCtx, sampleMap) {
   // Load samples defensively.
   // If a sample is missing (404) or fails to decode, we skip it instead of
@@ -52,9 +57,7 @@ export async function loadSamples(audioCtx, sampleMap) {
 
         const arrayBuf = await res.arrayBuffer();
         // If the server returned HTML (e.g., a 404 page), decodeAudioData will throw.
-        let buffer = await audioCtx.decodeAudioData(arrayBuf);
-        buffer = trimLeadingSilence(audioCtx, buffer);
-        return [instId, buffer];
+        return [instId, await decodeSample(audioCtx, arrayBuf)];
       } catch (e) {
         console.warn(`[audio] Failed to load/decode ${url}:`, e);
         return null;
@@ -65,3 +68,20 @@ export async function loadSamples(audioCtx, sampleMap) {
   const entries = results.filter(Boolean);
   return Object.fromEntries(entries);
 }
+
+// User sound kit samples ({ [sampleKey]: { data: ArrayBuffer } }) decoded the same
+// way as the bundled files. Data is copied because decodeAudioData detaches it.
+export async function loadUserSamples(audioCtx, samples) {
+  const results = await Promise.all(
+    Object.entries(samples || {}).map(async ([sampleKey, sample]) => {
+      if (!(sample?.data instanceof ArrayBuffer)) return null;
+      try {
+        return [sampleKey, await decodeSample(audioCtx, sample.data.slice(0))];
+      } catch (e) {
+        console.warn(`[audio] Failed to decode user sample for ${sampleKey}:`, e);
+        return null;
+      }
+    })
+  );
+  return Object.fromEntries(results.filter(Boolean));
+}
@@ -0,0 +1,50 @@
+import { createIndexedDbStore } from "./indexedDbStore";
+
+// IndexedDB persistence for user sound kits. A kit is
+// { id, label, samples: { [sampleKey]: { name, type, data: ArrayBuffer } }, updatedAt }
+// where sampleKey is any key of SAMPLE_MAP.
+const runRequest = createIndexedDbStore({
+  dbName: "drum-grid-sound-kits",
+  storeName: "kits",
+  label: "Sound kit storage",
+});
+
+function normalizeSoundKit(raw) {
+  const id = String(raw?.id || "").trim();
+  if (!id) return null;
+  const samples = {};
+  Object.entries(raw?.samples && typeof raw.samples === "object" ? raw.samples : {}).forEach(([key, sample]) => {
+    if (!(sample?.data instanceof ArrayBuffer)) return;
+    samples[key] = {
+      name: String(sample.name || key),
+      type: String(sample.type || ""),
+      data: sample.data,
+    };
+  });
+  return {
+    id,
+    label: String(raw?.label || "").trim() || "Sound kit",
+    samples,
+    updatedAt: Number(raw?.updatedAt) || 0,
+  };
+}
+
+export async function listSoundKits() {
+  const rows = await runRequest("readonly", (store) => store.getAll());
+  return (Array.isArray(rows) ? rows : [])
+    .map(normalizeSoundKit)
+    .filter(Boolean)
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+export async function saveSoundKit(kit) {
+  const normalized = normalizeSoundKit(kit);
+  if (!normalized) throw new Error("Sound kit is missing an id.");
+  const next = { ...normalized, updatedAt: Date.now() };
+  await runRequest("readwrite", (store) => store.put(next));
+  return next;
+}
+
+export async function deleteSoundKit(id) {
+  await runRequest("readwrite", (store) => store.delete(String(id || "")));
+}
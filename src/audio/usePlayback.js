@@ -1,20 +1,31 @@
 import { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import { makeAudioEngine } from "./engine";
-import { loadSamples } from "./sampleLoader";
+import { loadSamples, loadUserSamples } from "./sampleLoader";
 import { SAMPLE_MAP } from "./sampleMap";
 import { primeIOSAudioSync } from "./iosPrime";
+import { getBackingTrackFile } from "./backingTrackStore";
 
 export function usePlayback({
   instruments,
   grid,
   columns,
+  dynamicScales,
   bpm,
   resolution,
   stepQuarterDurations,
   timeSig,
   metronomeEnabled,
   metronomeVolume,
+  metronome,
   drumVolume,
+  swing,
+  userSamples,
+  mixer,
+  midiTarget,
+  speedTrainer,
+  gapClick,
+  backingTrack,
+  backingTrackIds,
 }) {
   const engine = useMemo(() => makeAudioEngine(), []);
   const [isReady, setIsReady] = useState(false);
@@ -25,14 +36,24 @@ export function usePlayback({
   const [startupLagMs, setStartupLagMs] = useState(0);
   const [slowStartDetected, setSlowStartDetected] = useState(false);
   const [endedNaturallyAt, setEndedNaturallyAt] = useState(0);
+  const [speedTrainerBpm, setSpeedTrainerBpm] = useState(null);
+  const [gapMutedBars, setGapMutedBars] = useState([]);
+  // trackId -> { durationSec } once decoded, or { missing: true } when the file
+  // is not stored on this device.
+  const [backingTrackInfo, setBackingTrackInfo] = useState({});
 
-  const snapRef = useRef({ instruments, grid, columns, stepQuarterDurations });
+  const snapRef = useRef({ instruments, grid, columns, stepQuarterDurations, dynamicScales });
+  const bundledBuffersRef = useRef(null);
+  const userSamplesRef = useRef(userSamples);
+  const userSamplesLoadIdRef = useRef(0);
   const pendingPlayStartTsRef = useRef(null);
   const firstStepSeenForPlayRef = useRef(false);
+  const backingTrackLoadsRef = useRef(new Map()); // trackId -> Promise
+  const backingTrackIdsKey = (Array.isArray(backingTrackIds) ? backingTrackIds : []).filter(Boolean).join("|");
 
   useEffect(() => {
-    snapRef.current = { instruments, grid, columns, stepQuarterDurations };
-  }, [instruments, grid, columns, stepQuarterDurations]);
+    snapRef.current = { instruments, grid, columns, stepQuarterDurations, dynamicScales };
+  }, [instruments, grid, columns, stepQuarterDurations, dynamicScales]);
 
   useEffect(() => {
     engine.setTransport({
@@ -43,9 +64,94 @@ export function usePlayback({
       nextTimeSig: timeSig,
       nextMetronomeEnabled: metronomeEnabled,
       nextMetronomeVolume: metronomeVolume,
+      nextMetronome: metronome,
       nextDrumVolume: drumVolume,
+      nextSwing: swing,
     });
-  }, [engine, bpm, resolution, columns, stepQuarterDurations, timeSig, metronomeEnabled, metronomeVolume, drumVolume]);
+  }, [
+    engine,
+    bpm,
+    resolution,
+    columns,
+    stepQuarterDurations,
+    timeSig,
+    metronomeEnabled,
+    metronomeVolume,
+    metronome,
+    drumVolume,
+    swing,
+  ]);
+
+  useEffect(() => {
+    engine.setMixer(mixer);
+  }, [engine, mixer]);
+
+  useEffect(() => {
+    engine.setMidiTarget(midiTarget);
+  }, [engine, midiTarget]);
+
+  useEffect(() => {
+    engine.setOnSpeedTrainerTempo(setSpeedTrainerBpm);
+  }, [engine]);
+
+  useEffect(() => {
+    engine.setSpeedTrainer(speedTrainer);
+  }, [engine, speedTrainer]);
+
+  useEffect(() => {
+    engine.setOnGapBarsChange(setGapMutedBars);
+  }, [engine]);
+
+  useEffect(() => {
+    engine.setGapClick(gapClick);
+  }, [engine, gapClick]);
+
+  useEffect(() => {
+    engine.setGridBackingTrack(backingTrack);
+  }, [engine, backingTrack]);
+
+  // Decoding needs the AudioContext, so tracks load once samples are ready and
+  // `play` waits for any decode still in flight.
+  const loadBackingTracks = useCallback(() => {
+    const ctx = engine.getContext();
+    if (!ctx) return Promise.resolve();
+    const loads = backingTrackLoadsRef.current;
+    const ids = backingTrackIdsKey ? backingTrackIdsKey.split("|") : [];
+    ids.forEach((trackId) => {
+      if (loads.has(trackId)) return;
+      const load = getBackingTrackFile(trackId)
+        .then(async (record) => {
+          if (!record) {
+            loads.delete(trackId);
+            setBackingTrackInfo((prev) => ({ ...prev, [trackId]: { missing: true } }));
+            return;
+          }
+          const buffer = await ctx.decodeAudioData(record.data.slice(0));
+          engine.setBackingTrackBuffer(trackId, buffer);
+          setBackingTrackInfo((prev) => ({ ...prev, [trackId]: { durationSec: buffer.duration } }));
+        })
+        .catch(() => {
+          loads.delete(trackId);
+          setBackingTrackInfo((prev) => ({ ...prev, [trackId]: { missing: true } }));
+        });
+      loads.set(trackId, load);
+    });
+    return Promise.all(ids.map((trackId) => loads.get(trackId)));
+  }, [engine, backingTrackIdsKey]);
+
+  useEffect(() => {
+    if (isReady) loadBackingTracks();
+  }, [isReady, loadBackingTracks]);
+
+  useEffect(() => {
+    userSamplesRef.current = userSamples;
+    if (!bundledBuffersRef.current) return;
+    const loadId = ++userSamplesLoadIdRef.current;
+    loadUserSamples(engine.getContext(), userSamples).then((overrides) => {
+      if (loadId !== userSamplesLoadIdRef.current) return;
+      engine.setBuffers({ ...bundledBuffersRef.current, ...overrides });
+    });
+  }, [engine, userSamples]);
 
   useEffect(() => {
     engine.setOnStep((step, meta) => {
@@ -78,7 +184,10 @@ export function usePlayback({
       await engine.resumeIfNeeded();
       const ctx = engine.getContext();
       const buffers = await loadSamples(ctx, SAMPLE_MAP);
-      engine.setBuffers(buffers);
+      bundledBuffersRef.current = buffers;
+      const loadId = ++userSamplesLoadIdRef.current;
+      const overrides = await loadUserSamples(ctx, userSamplesRef.current);
+      if (loadId === userSamplesLoadIdRef.current) engine.setBuffers({ ...buffers, ...overrides });
       setIsReady(true);
     } catch (e) {
       const msg = e?.message || String(e);
@@ -103,6 +212,7 @@ export function usePlayback({
         if (!isReady) {
           await initSamples();
         }
+        await loadBackingTracks();
 
         const startStep =
           typeof opts.startStep === "number" ? opts.startStep : playhead;
@@ -138,7 +248,7 @@ export function usePlayback({
         throw e;
       }
     },
-    [engine, initSamples, isReady, playhead]
+    [engine, initSamples, isReady, playhead, loadBackingTracks]
   );
 
   const stop = useCallback(() => {
@@ -169,6 +279,7 @@ export function usePlayback({
       loop = false,
       countInBeats = 0,
       countInBeatDurSec = 0,
+      backingTrack: compiledBackingTrack = null,
       } = {}) => {
       try {
         primeIOSAudioSync();
@@ -182,6 +293,7 @@ export function usePlayback({
         if (!isReady) {
           await initSamples();
         }
+        await loadBackingTracks();
         let startedAt;
         try {
           await engine.resumeIfNeeded();
@@ -191,6 +303,7 @@ export function usePlayback({
             loop,
             countInBeats,
             countInBeatDurSec,
+            backingTrack: compiledBackingTrack,
           });
         } catch (err) {
           await engine.unlock();
@@ -201,6 +314,7 @@ export function usePlayback({
             loop,
             countInBeats,
             countInBeatDurSec,
+            backingTrack: compiledBackingTrack,
           });
         }
         setIsPlaying(true);
@@ -214,7 +328,7 @@ export function usePlayback({
         throw e;
       }
     },
-    [engine, initSamples, isReady]
+    [engine, initSamples, isReady, loadBackingTracks]
   );
   const setStopAtTime = useCallback((timeSec = null) => {
     engine.setStopAtTime(timeSec);
@@ -223,13 +337,22 @@ export function usePlayback({
     engine.setCompiledLoop(enabled);
   }, [engine]);
   const getAudioTime = useCallback(() => engine.getCurrentTime(), [engine]);
+  const getBuffers = useCallback(() => engine.getBuffers(), [engine]);
+  const getGridStepAtPerformanceTime = useCallback(
+    (timestampMs) => engine.getGridStepAtPerformanceTime(timestampMs),
+    [engine]
+  );
   const getScheduleAheadTimeSec = useCallback(() => engine.getScheduleAheadTimeSec(), [engine]);
+  const setBackingTrackGain = useCallback((gain) => engine.setBackingTrackGain(gain), [engine]);
 
   return {
     isReady,
     isPlaying,
     playhead,
     stepMeta,
+    speedTrainerBpm,
+    gapMutedBars,
+    backingTrackInfo,
     error,
     startupLagMs,
     slowStartDetected,
@@ -244,6 +367,9 @@ export function usePlayback({
     setStopAtTime,
     setCompiledLoop,
     getAudioTime,
+    getBuffers,
+    getGridStepAtPerformanceTime,
     getScheduleAheadTimeSec,
+    setBackingTrackGain,
   };
 }
@@ -106,6 +106,14 @@ function StopIcon() {
   );
 }
 
+function RecordIcon() {
+  return (
+    <svg viewBox="0 0 16 16" className="h-[0.85rem] w-[0.85rem] fill-current" aria-hidden="true">
+      <circle cx="8" cy="8" r="5.5" />
+    </svg>
+  );
+}
+
 function UserIcon() {
   return (
     <svg viewBox="0 0 16 16" className="h-4 w-4 fill-none stroke-current" aria-hidden="true">
@@ -140,7 +148,12 @@ export default function AppHeader({
   playbackUsesArrangement,
   playbackActive,
   onTogglePlayback,
+  midiRecordAvailable,
+  midiRecordActive,
+  onToggleMidiRecord,
   bpm,
+  speedTrainerBpm,
+  speedTrainerTargetBpm,
   onBpmStepStart,
   onBpmStepStop,
   onBpmScrubPointerDown,
@@ -182,6 +195,8 @@ export default function AppHeader({
             ? "bg-neutral-900 border-neutral-800 text-neutral-300 hover:bg-neutral-800/60"
             : "bg-black border-neutral-900 text-neutral-400 hover:bg-neutral-950/80 hover:text-neutral-300"
     }`;
+  const speedTrainerRunning = Number.isFinite(speedTrainerBpm);
+  const liveBpm = speedTrainerRunning ? speedTrainerBpm : bpm;
 
   return (
     <>
@@ -227,7 +242,7 @@ export default function AppHeader({
                   className="touch-none cursor-ns-resize select-none"
                   title="Drag up/down to change BPM"
                 >
-                  {bpm}
+                  {liveBpm}
                 </div>
               </div>
               <button
@@ -281,16 +296,38 @@ export default function AppHeader({
             >
               {playbackActive ? <StopIcon /> : <PlayIcon />}
             </button>
+            {midiRecordAvailable ? (
+              <button
+                type="button"
+                onClick={onToggleMidiRecord}
+                className={`touch-none select-none inline-flex h-[2.125rem] w-[2.125rem] items-center justify-center rounded border outline-none focus:outline-none focus-visible:outline-none ${
+                  midiRecordActive
+                    ? "border-red-700 bg-red-950/60 text-red-400"
+                    : "bg-black border-neutral-900 text-neutral-500 hover:bg-neutral-950/80 hover:text-red-400"
+                }`}
+                title={midiRecordActive ? "Stop MIDI recording" : "Record from MIDI input (with count-in)"}
+                aria-label={midiRecordActive ? "Stop MIDI recording" : "Record from MIDI input"}
+                aria-pressed={midiRecordActive}
+              >
+                <RecordIcon />
+              </button>
+            ) : null}
             <button
               ref={transportMenuButtonRef}
               type="button"
               onPointerDown={onBpmScrubPointerDown}
               onClick={onToggleTransportMenu}
-              className="touch-none select-none whitespace-nowrap rounded border border-neutral-900 bg-black px-3 py-1.5 text-sm text-neutral-400 outline-none hover:bg-neutral-950/80 hover:text-neutral-300 focus:outline-none focus-visible:outline-none cursor-ns-resize"
-              title="Open tempo controls or drag up/down to change BPM"
-              aria-label={`Open tempo controls or drag to change BPM (${bpm} BPM)`}
+              className={`touch-none select-none whitespace-nowrap rounded border border-neutral-900 bg-black px-3 py-1.5 text-sm tabular-nums outline-none hover:bg-neutral-950/80 focus:outline-none focus-visible:outline-none cursor-ns-resize ${
+                speedTrainerRunning ? "text-amber-300 hover:text-amber-200" : "text-neutral-400 hover:text-neutral-300"
+              }`}
+              title={
+                speedTrainerRunning
+                  ? `Speed trainer: ${speedTrainerBpm} of ${speedTrainerTargetBpm} BPM`
+                  : "Open tempo controls or drag up/down to change BPM"
+              }
+              aria-label={`Open tempo controls or drag to change BPM (${liveBpm} BPM)`}
             >
-              {`${bpm} BPM`}
+              {`${liveBpm} BPM`}
             </button>
           </div>
           <div className="min-w-4 flex-1" />
@@ -1,4 +1,16 @@
 import React from "react";
+import { SWING_PRESET_AMOUNTS, formatSwingLabel, normalizeSwing } from "../utils/swing";
+import { formatTrackTime, parseTrackTime } from "../audio/backingTrack";
+import {
+  MAX_ENDING_NUMBER,
+  MAX_REPEAT_TIMES,
+  NAVIGATION_JUMPS,
+  NAVIGATION_JUMP_LABELS,
+  normalizeRowNavigation,
+} from "../utils/arrangementNavigation";
+import { ARRANGEMENT_ROW_TYPES, ARRANGEMENT_ROW_TYPE_LABELS, normalizeArrangementRowType } from "../utils/arrangementRowTypes";
+import { MEASURE_REPEAT_MODES, MEASURE_REPEAT_MODE_LABELS, normalizeMeasureRepeatMode } from "../utils/measureRepeats";
+import { COUNTING_STYLES, COUNTING_STYLE_LABELS, normalizeRowCountingStyle } from "../utils/countingSyllables";
 
 export default function ArrangementRowNotationMenu({
   row,
@@ -20,6 +32,13 @@ export default function ArrangementRowNotationMenu({
   onSetNotationMergeNotes,
   onSetNotationDottedNotes,
   onSetNotationPrintSticking,
+  onSetSwing,
+  onSetNotationMeasureRepeats,
+  onSetNotationCounting,
+  onSetNavigation,
+  onSetRowType,
+  backingTrackAttached = false,
+  onSetBackingTrackStart,
 }) {
   const menuRef = React.useRef(null);
   const [menuStyle, setMenuStyle] = React.useState(() => ({
@@ -27,11 +46,22 @@ export default function ArrangementRowNotationMenu({
     left: `${position.left}px`,
   }));
   const [customTextDraft, setCustomTextDraft] = React.useState(String(row?.notationCustomText || ""));
+  const [trackStartDraft, setTrackStartDraft] = React.useState(formatTrackTime(row?.backingTrackStartSec));
 
   React.useEffect(() => {
     setCustomTextDraft(String(row?.notationCustomText || ""));
   }, [row?.notationCustomText]);
 
+  React.useEffect(() => {
+    setTrackStartDraft(formatTrackTime(row?.backingTrackStartSec));
+  }, [row?.backingTrackStartSec]);
+
+  const commitTrackStart = () => {
+    const next = parseTrackTime(trackStartDraft);
+    setTrackStartDraft(formatTrackTime(next));
+    if (next !== (row?.backingTrackStartSec ?? null)) onSetBackingTrackStart?.(next);
+  };
+
   React.useLayoutEffect(() => {
     const menu = menuRef.current;
     if (!(menu instanceof HTMLElement) || typeof window === "undefined") {
@@ -127,6 +157,26 @@ export default function ArrangementRowNotationMenu({
           : globalNotationPrintStickingMode === "off"
             ? "off"
             : "custom";
+  const hasSwingOverride = Boolean(row?.swingOverride);
+  const effectiveSwing = normalizeSwing(row?.swingOverride || row?.beat?.payload?.swing);
+  const stepSwingAmount = (delta) => {
+    const currentIndex = SWING_PRESET_AMOUNTS.reduce(
+      (bestIdx, amount, idx) =>
+        Math.abs(amount - effectiveSwing.amount) < Math.abs(SWING_PRESET_AMOUNTS[bestIdx] - effectiveSwing.amount)
+          ? idx
+          : bestIdx,
+      0
+    );
+    const nextIndex = Math.max(0, Math.min(SWING_PRESET_AMOUNTS.length - 1, currentIndex + delta));
+    onSetSwing?.({ ...effectiveSwing, amount: SWING_PRESET_AMOUNTS[nextIndex] });
+  };
+  const navigation = normalizeRowNavigation(row?.navigation) || {};
+  const navigationToggleClass = (active) =>
+    `rounded border px-1.5 py-1 text-[11px] ${
+      active
+        ? "border-neutral-700 text-white bg-neutral-800"
+        : "border-neutral-800 text-neutral-400 bg-neutral-900 hover:bg-neutral-800/60"
+    }`;
   const cyclePrintStickingMode = React.useCallback((delta) => {
     const modes = ["off", "all", "custom"];
     const currentIndex = Math.max(0, modes.indexOf(effectivePrintStickingMode));
@@ -183,6 +233,21 @@ export default function ArrangementRowNotationMenu({
       >
         Show beat name
       </button>
+      <label className="mt-2 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+        <span>Written as</span>
+        <select
+          value={normalizeArrangementRowType(row?.rowType)}
+          onChange={(e) => onSetRowType?.(e.target.value)}
+          className="bg-neutral-800 border border-neutral-700 rounded px-1 py-1 text-[11px] text-white"
+          title="Slashes and cues play only the click; tacet stays silent"
+        >
+          {ARRANGEMENT_ROW_TYPES.map((rowType) => (
+            <option key={rowType} value={rowType}>
+              {ARRANGEMENT_ROW_TYPE_LABELS[rowType]}
+            </option>
+          ))}
+        </select>
+      </label>
       <button
         type="button"
         onClick={() => onSetNotationDynamicSpacing?.(!effectiveDynamicSpacing)}
@@ -245,6 +310,21 @@ export default function ArrangementRowNotationMenu({
         hasOverride={row?.notationDottedNotesCustom === true}
         onChange={onSetNotationDottedNotes}
       />
+      <label className="mt-2 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+        <span>Measure repeats</span>
+        <select
+          value={normalizeMeasureRepeatMode(row?.notationMeasureRepeats)}
+          onChange={(e) => onSetNotationMeasureRepeats?.(e.target.value)}
+          className="bg-neutral-800 border border-neutral-700 rounded px-1 py-1 text-[11px] text-white"
+          title="Write matching bars in this section as 1-, 2- or 4-bar repeat signs"
+        >
+          {MEASURE_REPEAT_MODES.map((mode) => (
+            <option key={mode} value={mode}>
+              {MEASURE_REPEAT_MODE_LABELS[mode]}
+            </option>
+          ))}
+        </select>
+      </label>
       <div className="mt-2 flex items-center justify-between gap-2">
         <span className="text-[11px] text-neutral-400">Print sticking</span>
         <div className="flex items-center gap-1.5">
@@ -289,6 +369,198 @@ export default function ArrangementRowNotationMenu({
           </button>
         </div>
       </div>
+      <label className="mt-2 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+        <span>Print counts</span>
+        <select
+          value={normalizeRowCountingStyle(row?.notationCounting)}
+          onChange={(e) => onSetNotationCounting?.(e.target.value)}
+          className="bg-neutral-800 border border-neutral-700 rounded px-1 py-1 text-[11px] text-white"
+          title="Counting text printed under the notes of this section"
+        >
+          <option value="beat">Beat setting</option>
+          {COUNTING_STYLES.map((style) => (
+            <option key={style} value={style}>
+              {COUNTING_STYLE_LABELS[style]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="mt-2 flex items-center justify-between gap-2">
+        <span className="text-[11px] text-neutral-400">Swing</span>
+        <div className="flex items-center gap-1.5">
+          <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+            <button
+              type="button"
+              onClick={() => stepSwingAmount(-1)}
+              className="px-2 py-1 text-sm leading-none text-neutral-400 hover:bg-neutral-700/60"
+              aria-label="Less swing"
+            >
+              -
+            </button>
+            <button
+              type="button"
+              onClick={() => onSetSwing?.({ ...effectiveSwing, unit: effectiveSwing.unit === 16 ? 8 : 16 })}
+              className={`min-w-[76px] border-l border-r border-neutral-700 px-2 py-1 text-center text-[11px] ${
+                hasSwingOverride ? "text-white" : "text-neutral-500"
+              }`}
+              title="Toggle 8th / 16th swing"
+            >
+              {formatSwingLabel(effectiveSwing)}
+            </button>
+            <button
+              type="button"
+              onClick={() => stepSwingAmount(1)}
+              className="px-2 py-1 text-sm leading-none text-neutral-400 hover:bg-neutral-700/60"
+              aria-label="More swing"
+            >
+              +
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={() => onSetSwing?.(null)}
+            className={`rounded border px-1.5 py-1 text-[10px] ${
+              hasSwingOverride
+                ? "border-neutral-700 text-neutral-300 bg-neutral-800 hover:bg-neutral-700/60"
+                : "border-neutral-800 text-neutral-600 bg-neutral-900/60"
+            }`}
+            title="Use the beat's swing"
+          >
+            B
+          </button>
+        </div>
+      </div>
+      <div className="mt-2 border-t border-neutral-800 pt-2">
+        <div className="text-[11px] text-neutral-400">Repeats & jumps</div>
+        <div className="mt-1 flex flex-wrap items-center gap-1">
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ repeatStart: !navigation.repeatStart })}
+            className={navigationToggleClass(navigation.repeatStart)}
+            title="Start repeat barline at the beginning of this section"
+          >
+            |:
+          </button>
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ repeatEnd: !navigation.repeatEnd })}
+            className={navigationToggleClass(navigation.repeatEnd)}
+            title="End repeat barline at the end of this section"
+          >
+            :|
+          </button>
+          {navigation.repeatEnd ? (
+            <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+              <button
+                type="button"
+                onClick={() => onSetNavigation?.({ repeatTimes: Math.max(2, navigation.repeatTimes - 1) })}
+                className="px-1.5 text-xs text-neutral-300 hover:bg-neutral-700/60"
+                aria-label="Fewer passes"
+              >
+                -
+              </button>
+              <div className="min-w-[30px] border-l border-r border-neutral-700 px-1 py-1 text-center text-[11px] text-white">
+                {navigation.repeatTimes}×
+              </div>
+              <button
+                type="button"
+                onClick={() =>
+                  onSetNavigation?.({ repeatTimes: Math.min(MAX_REPEAT_TIMES, navigation.repeatTimes + 1) })
+                }
+                className="px-1.5 text-xs text-neutral-300 hover:bg-neutral-700/60"
+                aria-label="More passes"
+              >
+                +
+              </button>
+            </div>
+          ) : null}
+        </div>
+        <div className="mt-1 flex items-center justify-between gap-2">
+          <span className="text-[11px] text-neutral-400">Ending</span>
+          <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+            {Array.from({ length: MAX_ENDING_NUMBER + 1 }, (_, value) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => onSetNavigation?.({ ending: value })}
+                className={`px-1.5 py-1 text-[11px] ${value > 0 ? "border-l border-neutral-700" : ""} ${
+                  (navigation.ending || 0) === value ? "bg-neutral-700 text-white" : "text-neutral-400 hover:bg-neutral-700/60"
+                }`}
+                title={value > 0 ? `Play this section on pass ${value}` : "No ending"}
+              >
+                {value > 0 ? `${value}.` : "-"}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="mt-1 flex flex-wrap items-center gap-1">
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ segno: !navigation.segno })}
+            className={navigationToggleClass(navigation.segno)}
+            title="Segno at the beginning of this section (D.S. target)"
+          >
+            Segno
+          </button>
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ coda: !navigation.coda })}
+            className={navigationToggleClass(navigation.coda)}
+            title="Coda sign at the beginning of this section"
+          >
+            Coda
+          </button>
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ toCoda: !navigation.toCoda })}
+            className={navigationToggleClass(navigation.toCoda)}
+            title="Jump to the coda after this section on the way back"
+          >
+            To Coda
+          </button>
+          <button
+            type="button"
+            onClick={() => onSetNavigation?.({ fine: !navigation.fine })}
+            className={navigationToggleClass(navigation.fine)}
+            title="Stop after this section on the way back"
+          >
+            Fine
+          </button>
+        </div>
+        <label className="mt-1 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+          <span>Jump</span>
+          <select
+            value={navigation.jump || ""}
+            onChange={(e) => onSetNavigation?.({ jump: e.target.value })}
+            className="bg-neutral-800 border border-neutral-700 rounded px-1 py-1 text-[11px] text-white"
+            title="Jump back after this section"
+          >
+            <option value="">None</option>
+            {NAVIGATION_JUMPS.map((jump) => (
+              <option key={jump} value={jump}>
+                {NAVIGATION_JUMP_LABELS[jump]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {backingTrackAttached ? (
+        <label className="mt-2 flex items-center justify-between gap-2 text-[11px] text-neutral-400">
+          <span>Track start</span>
+          <input
+            type="text"
+            value={trackStartDraft}
+            onChange={(e) => setTrackStartDraft(e.target.value)}
+            onBlur={commitTrackStart}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") e.currentTarget.blur();
+            }}
+            placeholder="Follow on"
+            className="w-20 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white tabular-nums"
+            title="Where this section starts in the backing track (m:ss.ss). Leave empty to carry on from the previous section."
+          />
+        </label>
+      ) : null}
       <button
         type="button"
         onClick={() => onSetNotationDynamicSpacing?.(null)}
@@ -14,6 +14,7 @@ export default function ArrangementSheetRowMenuPortal({
   getNotationPrintStickingModeFromPayload,
   onClose,
   onUpdateRowNotationOptions,
+  backingTrackAttached = false,
 }) {
   if (!menuState) return null;
 
@@ -81,6 +82,37 @@ export default function ArrangementSheetRowMenuPortal({
           notationPrintSticking: value,
         })
       }
+      onSetSwing={(value) =>
+        updateRow({
+          swing: value,
+        })
+      }
+      onSetNotationMeasureRepeats={(value) =>
+        updateRow({
+          notationMeasureRepeats: value,
+        })
+      }
+      onSetNotationCounting={(value) =>
+        updateRow({
+          notationCounting: value,
+        })
+      }
+      onSetNavigation={(value) =>
+        updateRow({
+          navigation: value,
+        })
+      }
+      onSetRowType={(value) =>
+        updateRow({
+          rowType: value,
+        })
+      }
+      backingTrackAttached={backingTrackAttached}
+      onSetBackingTrackStart={(value) =>
+        updateRow({
+          backingTrackStartSec: value,
+        })
+      }
     />,
     document.body
   );
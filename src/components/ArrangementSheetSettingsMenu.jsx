@@ -1,5 +1,6 @@
 import React from "react";
 import { createPortal } from "react-dom";
+import BackingTrackControls from "./BackingTrackControls";
 
 function BooleanOption({ active, title, label, valueLabel, onClick }) {
   return (
@@ -77,6 +78,11 @@ export default function ArrangementSheetSettingsMenu({
   onIncreasePreviewScale,
   canExportPdf,
   onOpenPdfExport,
+  backingTrack,
+  backingTrackInfo,
+  onBackingTrackAttach,
+  onBackingTrackChange,
+  onBackingTrackRemove,
 }) {
   const scaleLabel = previewScale === "auto" ? "Auto" : `${Math.round(previewScale * 100)}%`;
 
@@ -199,6 +205,15 @@ export default function ArrangementSheetSettingsMenu({
                   <span>{canExportPdf ? "Open" : "Off"}</span>
                 </button>
               </div>
+              <div className="mt-2 border-t border-neutral-800 px-2 pt-2">
+                <BackingTrackControls
+                  link={backingTrack}
+                  info={backingTrackInfo}
+                  onAttachFile={onBackingTrackAttach}
+                  onChange={onBackingTrackChange}
+                  onRemove={onBackingTrackRemove}
+                />
+              </div>
             </div>,
             document.body
           )
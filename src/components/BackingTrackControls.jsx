@@ -0,0 +1,108 @@
+import React from "react";
+import { BACKING_TRACK_MIN_OFFSET_SEC, formatTrackTime } from "../audio/backingTrack";
+
+// Attach / offset / gain controls for one backing-track link. `info` is the
+// playback hook's entry for the linked file ({ durationSec } or { missing }).
+export default function BackingTrackControls({ label = "Backing track", link, info, onAttachFile, onChange, onRemove }) {
+  const fileInputRef = React.useRef(null);
+  const maxOffsetSec = Math.max(10, Math.ceil(Number(info?.durationSec) || 600));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <span className="text-sm text-neutral-300">{label}</span>
+        <div className="flex items-center gap-1.5">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="rounded border border-neutral-700 bg-neutral-800 px-2.5 py-1 text-xs text-white hover:bg-neutral-700/60"
+            title="Play along with an MP3 or WAV file. It is stored in this browser only."
+          >
+            {link ? "Replace" : "Add file"}
+          </button>
+          {link ? (
+            <button
+              type="button"
+              onClick={onRemove}
+              className="rounded border border-neutral-700 bg-neutral-800 px-2 py-1 text-xs text-neutral-300 hover:bg-neutral-700/60"
+              aria-label="Remove backing track"
+            >
+              &times;
+            </button>
+          ) : null}
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="audio/*,.mp3,.wav"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) onAttachFile?.(file);
+          }}
+        />
+      </div>
+      {link ? (
+        <>
+          <div className="truncate text-[11px] text-neutral-500" title={link.name}>
+            {link.name}
+            {info?.durationSec ? ` · ${formatTrackTime(info.durationSec)}` : ""}
+          </div>
+          {info?.missing ? (
+            <div className="text-[11px] text-amber-300">Backing track not available: the audio file is not stored on this device.</div>
+          ) : null}
+          <div>
+            <div className="mb-1 flex items-center justify-between gap-3 text-xs text-neutral-400">
+              <span>Bar 1 at</span>
+              <div className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => onChange?.({ offsetSec: link.offsetSec - 0.01 })}
+                  className="px-1 text-neutral-400 hover:text-white"
+                  aria-label="Move bar 1 earlier in the track"
+                >
+                  &minus;
+                </button>
+                <span className="tabular-nums text-neutral-300">{formatTrackTime(link.offsetSec)}</span>
+                <button
+                  type="button"
+                  onClick={() => onChange?.({ offsetSec: link.offsetSec + 0.01 })}
+                  className="px-1 text-neutral-400 hover:text-white"
+                  aria-label="Move bar 1 later in the track"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+            <input
+              type="range"
+              min={BACKING_TRACK_MIN_OFFSET_SEC}
+              max={maxOffsetSec}
+              step={0.01}
+              value={link.offsetSec}
+              onChange={(e) => onChange?.({ offsetSec: Number(e.target.value) || 0 })}
+              className="w-full accent-neutral-300"
+              aria-label="Backing track offset"
+            />
+          </div>
+          <label className="block">
+            <div className="mb-1 flex items-center justify-between gap-3 text-xs text-neutral-400">
+              <span>Track volume</span>
+              <span className="tabular-nums">{`${Math.round(link.gain * 100)}%`}</span>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={100}
+              step={1}
+              value={Math.round(link.gain * 100)}
+              onChange={(e) => onChange?.({ gain: Math.max(0, Math.min(1, (Number(e.target.value) || 0) / 100)) })}
+              className="w-full accent-neutral-300"
+            />
+          </label>
+        </>
+      ) : null}
+    </div>
+  );
+}
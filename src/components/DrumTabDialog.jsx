@@ -0,0 +1,184 @@
+import React from "react";
+
+const TAB_TIME_SIGNATURES = ["4/4", "3/4", "2/4", "5/4", "6/8", "7/8", "12/8"];
+
+function AliasEditor({ aliases, instruments, onAliasesChange, onResetAliases }) {
+  const [drafts, setDrafts] = React.useState({});
+  return (
+    <div className="mt-3 rounded border border-neutral-800 bg-neutral-950/40 p-3">
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-sm text-neutral-300">Row labels per instrument</span>
+        <button
+          type="button"
+          onClick={() => {
+            setDrafts({});
+            onResetAliases?.();
+          }}
+          className="px-2 py-1 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/60"
+        >
+          Reset
+        </button>
+      </div>
+      <p className="mt-1 text-xs text-neutral-500">
+        Comma-separated, not case-sensitive. Export uses the first label.
+      </p>
+      <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-3 gap-y-1.5">
+        {instruments.map((inst) => (
+          <label
+            key={`drum-tab-alias-${inst.id}`}
+            className="grid grid-cols-[84px_minmax(0,1fr)] items-center gap-2 text-xs text-neutral-400"
+          >
+            <span className="truncate">{inst.label}</span>
+            <input
+              value={drafts[inst.id] ?? (aliases?.[inst.id] || []).join(", ")}
+              onChange={(e) => setDrafts((prev) => ({ ...prev, [inst.id]: e.target.value }))}
+              onBlur={() => {
+                if (drafts[inst.id] == null) return;
+                onAliasesChange?.(inst.id, drafts[inst.id]);
+                setDrafts(({ [inst.id]: _, ...rest }) => rest);
+              }}
+              className="min-w-0 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function DrumTabDialog({
+  state,
+  aliases,
+  instruments = [],
+  onTextChange,
+  onTimeSigChange,
+  onTargetChange,
+  onAliasesChange,
+  onResetAliases,
+  onPasteFromClipboard,
+  onCopy,
+  onCancel,
+  onImport,
+}) {
+  const [showAliases, setShowAliases] = React.useState(false);
+  if (!state) return null;
+  const isImport = state.mode === "import";
+  const hasText = !!String(state.text || "").trim();
+
+  return (
+    <div className="fixed inset-0 z-[150] bg-black/60 p-4 flex items-center justify-center" onMouseDown={onCancel}>
+      <div
+        className="w-full max-w-2xl max-h-[calc(100vh-2rem)] overflow-y-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-base font-semibold">{isImport ? "Import Drum Tab" : "Export Drum Tab"}</h3>
+        <p className="mt-2 text-sm text-neutral-300">
+          {isImport
+            ? "Paste a text tab like HH|x-x-x-x-|. x / o = hit, g = ghost, X = accent, o on the hi-hat row = open."
+            : "Plain-text tab of the current beat, one row per drum."}
+        </p>
+        <textarea
+          value={state.text || ""}
+          readOnly={!isImport}
+          onChange={(e) => onTextChange?.(e.target.value)}
+          onFocus={(e) => {
+            if (!isImport) e.target.select();
+          }}
+          spellCheck={false}
+          rows={10}
+          placeholder={isImport ? "HH|x-x-x-x-|\nSD|----o---|\nBD|o---o---|" : undefined}
+          className="mt-3 w-full resize-y rounded border border-neutral-700 bg-neutral-950 px-3 py-2 font-mono text-xs leading-5 text-neutral-100 whitespace-pre"
+        />
+        {isImport && (
+          <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="text-sm text-neutral-300 flex flex-col gap-1">
+              <span>Time signature</span>
+              <select
+                value={state.timeSig || "4/4"}
+                onChange={(e) => onTimeSigChange?.(e.target.value)}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+              >
+                {TAB_TIME_SIGNATURES.map((value) => (
+                  <option key={`drum-tab-ts-${value}`} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-neutral-300 flex flex-col gap-1">
+              <span>Import into</span>
+              <select
+                value={state.target || "grid"}
+                onChange={(e) => onTargetChange?.(e.target.value)}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+              >
+                <option value="grid">Current grid</option>
+                <option value="library">New library beat</option>
+              </select>
+            </label>
+          </div>
+        )}
+        {isImport && state.unknownLabels?.length > 0 && (
+          <p className="mt-3 text-xs text-amber-300">
+            {`Skipped rows with unknown labels: ${state.unknownLabels.join(", ")}. Add them below to import them.`}
+          </p>
+        )}
+        {showAliases && (
+          <AliasEditor
+            aliases={aliases}
+            instruments={instruments}
+            onAliasesChange={onAliasesChange}
+            onResetAliases={onResetAliases}
+          />
+        )}
+        <div className="mt-4 flex flex-wrap items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => setShowAliases((v) => !v)}
+            className="mr-auto px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+          >
+            {showAliases ? "Hide row labels" : "Row labels"}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+          >
+            {isImport ? "Cancel" : "Close"}
+          </button>
+          {isImport ? (
+            <>
+              <button
+                type="button"
+                onClick={onPasteFromClipboard}
+                className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+              >
+                Paste from clipboard
+              </button>
+              <button
+                type="button"
+                onClick={onImport}
+                disabled={!hasText}
+                className={`px-3 py-1 rounded border text-sm ${
+                  hasText
+                    ? "border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+                    : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+                }`}
+              >
+                Import
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={onCopy}
+              className="px-3 py-1 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60"
+            >
+              {state.copied ? "Copied" : "Copy"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
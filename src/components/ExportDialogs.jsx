@@ -1,4 +1,10 @@
 import React from "react";
+import { DRUM_KEY_PLACEMENTS, DRUM_KEY_PLACEMENT_LABELS } from "../utils/drumKey";
+import {
+  MIDI_EXPORT_NOTE_MAP_PRESETS,
+  MIDI_EXPORT_VELOCITY_LABELS,
+  MIDI_EXPORT_VELOCITY_STATES,
+} from "../utils/midiExportMapping";
 
 function DialogFrame({ isOpen, maxWidth = "max-w-md", onCancel, children }) {
   if (!isOpen) return null;
@@ -17,6 +23,26 @@ function DialogFrame({ isOpen, maxWidth = "max-w-md", onCancel, children }) {
   );
 }
 
+function DrumKeyPlacementSelect({ value, onChange }) {
+  return (
+    <label className="text-sm text-neutral-300 flex items-center justify-between gap-2">
+      <span>Drum key</span>
+      <select
+        value={value}
+        onChange={(e) => onChange?.(e.target.value)}
+        className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+        title="Legend of the instruments and articulations used in the sheet"
+      >
+        {DRUM_KEY_PLACEMENTS.map((placement) => (
+          <option key={placement} value={placement}>
+            {DRUM_KEY_PLACEMENT_LABELS[placement]}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
 export function BeatPrintDialog({
   isOpen,
   titleInputRef,
@@ -29,6 +55,8 @@ export function BeatPrintDialog({
   onToggleWatermark,
   qrEnabled,
   onToggleQr,
+  drumKeyPlacement,
+  onDrumKeyPlacementChange,
   onCancel,
   onPrint,
 }) {
@@ -84,6 +112,7 @@ export function BeatPrintDialog({
             {qrEnabled ? "Disable QR" : "Enable QR"}
           </button>
         </div>
+        <DrumKeyPlacementSelect value={drumKeyPlacement} onChange={onDrumKeyPlacementChange} />
       </div>
       <DialogActions onCancel={onCancel} onConfirm={onPrint} confirmLabel="Print" />
     </DialogFrame>
@@ -145,6 +174,8 @@ export function ArrangementPrintDialog({
   onToggleWatermark,
   qrEnabled,
   onToggleQr,
+  drumKeyPlacement,
+  onDrumKeyPlacementChange,
   onCancel,
   onPrint,
 }) {
@@ -208,26 +239,129 @@ export function ArrangementPrintDialog({
             {qrEnabled ? "Disable QR" : "Enable QR"}
           </button>
         </div>
+        <DrumKeyPlacementSelect value={drumKeyPlacement} onChange={onDrumKeyPlacementChange} />
       </div>
       <DialogActions onCancel={onCancel} onConfirm={onPrint} confirmLabel="Print" />
     </DialogFrame>
   );
 }
 
+function OptionToggleButton({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-3 py-1.5 rounded border text-sm ${
+        active
+          ? "border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+          : "border-neutral-800 text-neutral-500 bg-neutral-900/60 hover:bg-neutral-800/40"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function MidiExportOptions({ settings, instruments, noteMap, onSettingsChange }) {
+  const [showNotes, setShowNotes] = React.useState(false);
+  const hasOverrides = Object.keys(settings?.noteOverrides || {}).length > 0;
+  return (
+    <>
+      <div className="flex items-end gap-2">
+        <label className="min-w-0 flex-1 text-sm text-neutral-300 flex flex-col gap-1">
+          <span>Note map</span>
+          <select
+            value={settings?.presetId}
+            onChange={(e) => onSettingsChange?.({ presetId: e.target.value, noteOverrides: {} })}
+            className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+          >
+            {MIDI_EXPORT_NOTE_MAP_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {hasOverrides && preset.id === settings?.presetId ? `${preset.label} (edited)` : preset.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <OptionToggleButton active={showNotes} onClick={() => setShowNotes((v) => !v)}>
+          Edit notes
+        </OptionToggleButton>
+      </div>
+      {showNotes && (
+        <div className="max-h-48 overflow-y-auto grid grid-cols-2 gap-x-3 gap-y-1.5 rounded border border-neutral-800 bg-neutral-950/40 p-2">
+          {instruments.map((inst) => (
+            <label key={inst.id} className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+              <span className="truncate">{inst.label}</span>
+              <input
+                type="number"
+                min={0}
+                max={127}
+                value={noteMap?.[inst.id] ?? ""}
+                onChange={(e) =>
+                  onSettingsChange?.({
+                    noteOverrides: { ...(settings?.noteOverrides || {}), [inst.id]: e.target.value },
+                  })
+                }
+                className="w-16 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white tabular-nums"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="grid grid-cols-4 gap-2">
+        {MIDI_EXPORT_VELOCITY_STATES.map((state) => (
+          <label key={state} className="text-xs text-neutral-400 flex flex-col gap-1">
+            <span>{MIDI_EXPORT_VELOCITY_LABELS[state]}</span>
+            <input
+              type="number"
+              min={1}
+              max={127}
+              value={settings?.velocities?.[state] ?? ""}
+              onChange={(e) =>
+                onSettingsChange?.({ velocities: { ...(settings?.velocities || {}), [state]: e.target.value } })
+              }
+              className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm text-white tabular-nums"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <OptionToggleButton
+          active={settings?.multiTrack === true}
+          onClick={() => onSettingsChange?.({ multiTrack: settings?.multiTrack !== true })}
+        >
+          One track per instrument
+        </OptionToggleButton>
+        <OptionToggleButton
+          active={settings?.stickingLyrics === true}
+          onClick={() => onSettingsChange?.({ stickingLyrics: settings?.stickingLyrics !== true })}
+        >
+          Sticking as lyrics
+        </OptionToggleButton>
+      </div>
+    </>
+  );
+}
+
 export function MidiExportDialog({
   isOpen,
   mode,
+  format = "midi",
   title,
   onTitleChange,
   composer,
   onComposerChange,
+  midiSettings,
+  midiInstruments = [],
+  midiNoteMap,
+  onMidiSettingsChange,
   onCancel,
   onExport,
 }) {
+  const formatLabel = format === "musicxml" ? "MusicXML" : "MIDI";
   return (
-    <DialogFrame isOpen={isOpen} maxWidth="max-w-md" onCancel={onCancel}>
+    <DialogFrame isOpen={isOpen} maxWidth={format === "midi" ? "max-w-lg" : "max-w-md"} onCancel={onCancel}>
       <h3 className="text-base font-semibold">
-        {mode === "arrangement" ? "Export Arrangement MIDI" : "Export MIDI"}
+        {mode === "arrangement" ? `Export Arrangement ${formatLabel}` : `Export ${formatLabel}`}
       </h3>
       <div className="mt-4 grid grid-cols-1 gap-3">
         <label className="text-sm text-neutral-300 flex flex-col gap-1">
@@ -250,18 +384,117 @@ export function MidiExportDialog({
             className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
           />
         </label>
+        {format === "midi" && (
+          <MidiExportOptions
+            settings={midiSettings}
+            instruments={midiInstruments}
+            noteMap={midiNoteMap}
+            onSettingsChange={onMidiSettingsChange}
+          />
+        )}
       </div>
       <DialogActions onCancel={onCancel} onConfirm={onExport} confirmLabel="Export" />
     </DialogFrame>
   );
 }
 
-function DialogActions({ onCancel, onConfirm, confirmLabel }) {
+const AUDIO_EXPORT_STEMS = [
+  { id: "mix", label: "Mix" },
+  { id: "drums", label: "Drums only" },
+  { id: "click", label: "Click only" },
+];
+
+export function AudioExportDialog({
+  isOpen,
+  mode,
+  title,
+  onTitleChange,
+  repeats,
+  onRepeatsChange,
+  countInEnabled,
+  onToggleCountIn,
+  metronomeEnabled,
+  onToggleMetronome,
+  stem,
+  onStemChange,
+  isRendering,
+  onCancel,
+  onExport,
+}) {
+  const safeRepeats = Math.max(1, Number(repeats) || 1);
+  return (
+    <DialogFrame isOpen={isOpen} maxWidth="max-w-md" onCancel={isRendering ? undefined : onCancel}>
+      <h3 className="text-base font-semibold">
+        {mode === "arrangement" ? "Export Arrangement Audio" : "Export Audio"}
+      </h3>
+      <div className="mt-4 grid grid-cols-1 gap-3">
+        <label className="text-sm text-neutral-300 flex flex-col gap-1">
+          <span>Title</span>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => onTitleChange?.(e.target.value)}
+            placeholder="Untitled"
+            className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+          />
+        </label>
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-neutral-300 w-20">Repeats</span>
+          <button
+            type="button"
+            onClick={() => onRepeatsChange?.(Math.max(1, safeRepeats - 1))}
+            className="px-2 py-1 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60"
+          >
+            -
+          </button>
+          <span className="min-w-[2.5rem] text-center text-sm tabular-nums text-white">{safeRepeats}x</span>
+          <button
+            type="button"
+            onClick={() => onRepeatsChange?.(Math.min(32, safeRepeats + 1))}
+            className="px-2 py-1 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60"
+          >
+            +
+          </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-neutral-300 w-20">Click</span>
+          <OptionToggleButton active={countInEnabled} onClick={onToggleCountIn}>
+            Count-in
+          </OptionToggleButton>
+          <OptionToggleButton active={metronomeEnabled} onClick={onToggleMetronome}>
+            Metronome
+          </OptionToggleButton>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-neutral-300 w-20">Stem</span>
+          {AUDIO_EXPORT_STEMS.map((option) => (
+            <OptionToggleButton
+              key={option.id}
+              active={stem === option.id}
+              onClick={() => onStemChange?.(option.id)}
+            >
+              {option.label}
+            </OptionToggleButton>
+          ))}
+        </div>
+      </div>
+      <DialogActions
+        onCancel={onCancel}
+        onConfirm={onExport}
+        confirmLabel={isRendering ? "Rendering…" : "Export WAV"}
+        disabled={isRendering}
+      />
+    </DialogFrame>
+  );
+}
+
+function DialogActions({ onCancel, onConfirm, confirmLabel, disabled = false }) {
   return (
     <div className="mt-4 flex items-center justify-end gap-2">
       <button
         type="button"
         onClick={onCancel}
+        disabled={disabled}
         className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
       >
         Cancel
@@ -269,6 +502,7 @@ function DialogActions({ onCancel, onConfirm, confirmLabel }) {
       <button
         type="button"
         onClick={onConfirm}
+        disabled={disabled}
         className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-white bg-neutral-800 hover:bg-neutral-700/60"
       >
         {confirmLabel}
@@ -1,10 +1,20 @@
 import React, { useEffect, useRef, useState } from "react";
+import { getGraceStrokeCount, isGraceNoteState } from "../utils/graceNotes";
+import { isRollState, ROLL_SHORT_LABELS } from "../utils/rolls";
+import { FOOT_INSTRUMENTS } from "../utils/notationMap";
 
 const CELL = {
   OFF: "off",
   ON: "on",
   GHOST: "ghost",
   ACCENT: "accent",
+  FLAM: "flam",
+  DRAG: "drag",
+  RUFF: "ruff",
+  BUZZ: "buzz",
+  TREMOLO8: "tremolo8",
+  TREMOLO16: "tremolo16",
+  TREMOLO32: "tremolo32",
 };
 
 const CELL_COLOR = {
@@ -12,9 +22,15 @@ const CELL_COLOR = {
   [CELL.ON]: "bg-[#00b3ba]",
   [CELL.GHOST]: "bg-[#00b3ba]/35",
   [CELL.ACCENT]: "bg-[#00b3ba]",
+  [CELL.FLAM]: "bg-[#00b3ba]",
+  [CELL.DRAG]: "bg-[#00b3ba]",
+  [CELL.RUFF]: "bg-[#00b3ba]",
+  [CELL.BUZZ]: "bg-[#00b3ba]",
+  [CELL.TREMOLO8]: "bg-[#00b3ba]",
+  [CELL.TREMOLO16]: "bg-[#00b3ba]",
+  [CELL.TREMOLO32]: "bg-[#00b3ba]",
 };
 const GHOST_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom", "hihat"]);
-const FOOT_INSTRUMENTS = new Set(["kick", "hihatFoot"]);
 const QUARTER_SUBDIVISION_CYCLE = [2, 3, 4, 5, 6, 7, 8, 9];
 const QUARTER_SUBDIVISION_LABELS = {
   2: "2",
@@ -88,12 +104,16 @@ export default function Grid({
   grid, columns, bars, stepsPerBar, resolution, timeSig, quarterSubdivisionsByBar, normalizedTupletOverridesByBar, barStepOffsets, setTupletAt, resetTupletAt, selectedCountRowSubdivision = 3, onSelectedCountRowSubdivisionChange, gridBarsPerLine,
   cycleVelocity, toggleGhost, selection, setSelection, loopRule,
     loopRepeats,
-  setLoopRule, wrappedSelectionCells, playhead, moveSelectionByDelta, playabilityWarningsEnabled, playabilityWarningStepSet, stickingConflictStepSet, stickingGuideEnabled, showEditedSticking, notationStickingSelection, stickingAssignmentsByStep, stickingEditModeEnabled, notationStickingSelectionModeEnabled, stickingOverrides, onCycleStickingOverride, onToggleNotationStickingSelection, onDisableNotationStickingSelectionMode, onDisableStickingEditMode, bakeLoopPreview, hoveredGridCellRef, labelGutterWidth = "calc(8ch + 0.75rem)", tupletGridAppearanceByValue = DEFAULT_TUPLET_GRID_APPEARANCE_BY_VALUE, darkenCountRowNonQuarters = true
+  setLoopRule, wrappedSelectionCells, playhead, silentBarIndices, moveSelectionByDelta, playabilityWarningsEnabled, playabilityWarningStepSet, stickingConflictStepSet, stickingGuideEnabled, showEditedSticking, notationStickingSelection, stickingAssignmentsByStep, stickingEditModeEnabled, notationStickingSelectionModeEnabled, stickingOverrides, onCycleStickingOverride, onToggleNotationStickingSelection, onDisableNotationStickingSelectionMode, onDisableStickingEditMode, bakeLoopPreview, hoveredGridCellRef, labelGutterWidth = "calc(8ch + 0.75rem)", tupletGridAppearanceByValue = DEFAULT_TUPLET_GRID_APPEARANCE_BY_VALUE, darkenCountRowNonQuarters = true
 }) {
   const gridContentOffsetStyle = React.useMemo(
     () => ({ transform: "translateX(-0.6rem)" }),
     []
   );
+  const silentBarSet = React.useMemo(
+    () => new Set(Array.isArray(silentBarIndices) ? silentBarIndices : []),
+    [silentBarIndices]
+  );
   const notifySelectionFinalized = React.useCallback(() => {
     try {
       window.dispatchEvent(new CustomEvent("dg-selection-finalized"));
@@ -815,7 +835,7 @@ export default function Grid({
                     />
                   ) : null}
                   <span
-                    className={`absolute bottom-0 inset-x-0 hover:text-neutral-200 ${
+                    className={`absolute bottom-0 inset-x-0 hover:text-neutral-200 ${silentBarSet.has(t.bar) ? "line-through " : ""}${
                       /^\d+$/.test(label)
                         ? "text-neutral-400"
                         : darkenCountRowNonQuarters
@@ -1282,7 +1302,10 @@ export default function Grid({
                           press.current.mode = "selectArmed";
                         } else if (press.current.startWasSelected) {
                           press.current.mode = "moveArmed";
-                        } else if (ghostAllowed && (val === CELL.ON || val === CELL.GHOST || val === CELL.ACCENT)) {
+                        } else if (
+                          ghostAllowed &&
+                          (val === CELL.ON || val === CELL.GHOST || val === CELL.ACCENT || isGraceNoteState(val) || isRollState(val))
+                        ) {
                           press.current.mode = "ghostArmed";
                         } else if (val !== CELL.OFF) {
                           press.current.mode = "moveArmed";
@@ -1336,6 +1359,31 @@ export default function Grid({
                         }
                         aria-hidden="true"
                       />
+                      {silentBarSet.has(t.bar) && (
+                        <span
+                          className="pointer-events-none absolute inset-0 bg-neutral-950/60"
+                          aria-hidden="true"
+                        />
+                      )}
+                      {isGraceNoteState(val) && (
+                        // One dot per grace stroke: flam, drag, ruff.
+                        <span
+                          className="pointer-events-none absolute left-0.5 top-0.5 flex flex-col gap-px"
+                          aria-hidden="true"
+                        >
+                          {Array.from({ length: getGraceStrokeCount(val) }, (_, i) => (
+                            <span key={i} className="block h-1 w-1 rounded-full bg-white/90" />
+                          ))}
+                        </span>
+                      )}
+                      {isRollState(val) && (
+                        <span
+                          className="pointer-events-none absolute right-0.5 top-0 text-[9px] leading-none font-bold text-white/90"
+                          aria-hidden="true"
+                        >
+                          {ROLL_SHORT_LABELS[val]}
+                        </span>
+                      )}
                       {stickingHand && (
                         <span
                           className={`pointer-events-none absolute inset-0 flex items-center justify-center text-[22px] leading-none font-bold ${
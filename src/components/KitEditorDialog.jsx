@@ -7,6 +7,7 @@ import {
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import { SavePresetAsPanel } from "./KitPresetDialogs";
+import SoundKitPanel from "./SoundKitPanel";
 
 export default function KitEditorDialog({
   isOpen,
@@ -38,6 +39,8 @@ export default function KitEditorDialog({
   availableInstrumentButtonWidthCh,
   onToggleInstrumentInKit,
   onRequestRemoveInstrument,
+  onOpenNotationMap,
+  soundKitPanelProps,
   onClose,
   onBackdropMouseDown,
 }) {
@@ -144,6 +147,14 @@ export default function KitEditorDialog({
           >
             Keep tracks with notes
           </button>
+          <button
+            type="button"
+            onClick={onOpenNotationMap}
+            className="px-2.5 py-1 rounded border text-sm border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+            title="Edit staff positions and noteheads for this kit preset"
+          >
+            Notation Map
+          </button>
         </div>
 
         {saveAsOpen && (
@@ -269,6 +280,10 @@ export default function KitEditorDialog({
           </div>
         </div>
 
+        {soundKitPanelProps ? (
+          <SoundKitPanel instrumentById={instrumentById} {...soundKitPanelProps} />
+        ) : null}
+
         <div className="mt-5 pt-4 border-t border-neutral-800 flex justify-end">
           <button
             type="button"
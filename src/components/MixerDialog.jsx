@@ -0,0 +1,135 @@
+import React from "react";
+import { getMixerChannel, hasSoloedChannel } from "../audio/mixer";
+
+function formatPan(pan) {
+  if (Math.abs(pan) < 0.005) return "C";
+  return `${pan < 0 ? "L" : "R"}${Math.round(Math.abs(pan) * 100)}`;
+}
+
+function ChannelToggle({ active, activeClassName, onClick, title, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`h-6 w-6 shrink-0 rounded border text-[11px] leading-none ${
+        active ? activeClassName : "border-neutral-800 bg-neutral-900/60 text-neutral-500 hover:bg-neutral-800/40"
+      }`}
+      title={title}
+      aria-pressed={active}
+    >
+      {children}
+    </button>
+  );
+}
+
+export default function MixerDialog({
+  isOpen,
+  instruments,
+  mixer,
+  presetLabel,
+  onChannelChange,
+  onReset,
+  onClose,
+}) {
+  if (!isOpen) return null;
+  const anySolo = hasSoloedChannel(mixer);
+
+  return (
+    <div
+      className="fixed inset-0 z-[90] bg-black/60 p-4 flex items-center justify-center"
+      onMouseDown={onClose}
+    >
+      <div
+        className="w-full max-w-lg max-h-[90vh] overflow-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <h3 className="text-base font-semibold">Mixer</h3>
+            <div className="text-xs text-neutral-400">{`Saved with kit preset: ${presetLabel}`}</div>
+          </div>
+          <button
+            type="button"
+            onClick={onReset}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+            title="Reset all channels"
+          >
+            Reset
+          </button>
+        </div>
+
+        <div className="mt-4 space-y-1.5">
+          {instruments.map((inst) => {
+            const channel = getMixerChannel(mixer, inst.id);
+            const silenced = channel.mute || (anySolo && !channel.solo);
+            return (
+              <div
+                key={`mixer-${inst.id}`}
+                className="grid grid-cols-[7rem_auto_auto_1fr_5rem] items-center gap-2 rounded border border-neutral-800 px-2 py-1"
+              >
+                <div className={`truncate text-sm ${silenced ? "text-neutral-500" : "text-white"}`}>{inst.label}</div>
+                <ChannelToggle
+                  active={channel.mute}
+                  activeClassName="border-amber-600 bg-amber-900/40 text-amber-100"
+                  onClick={() => onChannelChange?.(inst.id, { mute: !channel.mute })}
+                  title="Mute"
+                >
+                  M
+                </ChannelToggle>
+                <ChannelToggle
+                  active={channel.solo}
+                  activeClassName="border-cyan-600 bg-cyan-900/40 text-cyan-100"
+                  onClick={() => onChannelChange?.(inst.id, { solo: !channel.solo })}
+                  title="Solo"
+                >
+                  S
+                </ChannelToggle>
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  step={1}
+                  value={Math.round(channel.volume * 100)}
+                  onChange={(e) =>
+                    onChannelChange?.(inst.id, {
+                      volume: Math.max(0, Math.min(1, (Number(e.target.value) || 0) / 100)),
+                    })
+                  }
+                  onDoubleClick={() => onChannelChange?.(inst.id, { volume: 1 })}
+                  className="w-full accent-neutral-300"
+                  aria-label={`${inst.label} volume`}
+                  title={`Volume ${Math.round(channel.volume * 100)}% (double-click to reset)`}
+                />
+                <div className="flex items-center gap-1">
+                  <input
+                    type="range"
+                    min={-100}
+                    max={100}
+                    step={1}
+                    value={Math.round(channel.pan * 100)}
+                    onChange={(e) => onChannelChange?.(inst.id, { pan: (Number(e.target.value) || 0) / 100 })}
+                    onDoubleClick={() => onChannelChange?.(inst.id, { pan: 0 })}
+                    className="w-full accent-neutral-300"
+                    aria-label={`${inst.label} pan`}
+                    title="Pan (double-click to center)"
+                  />
+                  <span className="w-7 text-right text-[11px] text-neutral-500 tabular-nums">{formatPan(channel.pan)}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React from "react";
+import { NOTEHEAD_LABELS } from "../utils/notationMap";
+
+function formatSourcePosition(entry) {
+  const [letter = "", octave = ""] = String(entry?.pitch || "").split("/");
+  const notehead = NOTEHEAD_LABELS[entry?.notehead] || "Normal";
+  return `${letter.toUpperCase()}${octave} · ${notehead}`;
+}
+
+export default function MusicXmlImportMappingDialog({
+  mapping,
+  instruments = [],
+  normalizeArrangementImportMode,
+  onCancel,
+  onConfirm,
+  onAssignmentChange,
+  onArrangementImportModeChange,
+  onSplitBarsChange,
+}) {
+  if (!mapping) return null;
+  const entries = mapping.mappingEntries || [];
+  const incomplete = entries.some(
+    (entry) => !String(mapping.instrumentAssignments?.[entry.sourceKey] || "").trim()
+  );
+  const splitBars = Math.max(1, Number(mapping.splitBars) || 1);
+
+  return (
+    <div
+      className="fixed inset-0 z-[150] bg-black/60 p-4 flex items-center justify-center"
+      onMouseDown={onCancel}
+    >
+      <div
+        className="w-full max-w-2xl max-h-[calc(100vh-2rem)] overflow-y-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-base font-semibold">Map MusicXML Instruments</h3>
+        <p className="mt-2 text-sm text-neutral-300">
+          {mapping.fileName ? `${mapping.fileName}: ` : ""}
+          assign each percussion instrument of the score to a drum or choose Ignore.
+        </p>
+        <div className="mt-4 space-y-2">
+          {entries.map((entry) => {
+            const value = String(mapping.instrumentAssignments?.[entry.sourceKey] || "");
+            return (
+              <div
+                key={`musicxml-map-${entry.sourceKey}`}
+                className="grid grid-cols-[minmax(0,1fr)_72px_20px_minmax(0,200px)] items-center gap-2 rounded border border-neutral-800 bg-neutral-950/40 px-3 py-2 text-sm text-neutral-200"
+              >
+                <span className="min-w-0 truncate">
+                  {entry.name || "Unnamed"}{" "}
+                  <span className="text-neutral-500">{formatSourcePosition(entry)}</span>
+                </span>
+                <span className="text-neutral-500 tabular-nums">{`${entry.count} hits`}</span>
+                <span className="text-neutral-500">-&gt;</span>
+                <select
+                  value={value}
+                  onChange={(e) => onAssignmentChange?.(entry.sourceKey, e.target.value)}
+                  className="min-w-0 w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+                >
+                  <option value="">Assign instrument...</option>
+                  <option value="ignore">Ignore</option>
+                  {instruments.map((inst) => (
+                    <option key={`musicxml-map-${entry.sourceKey}-${inst.id}`} value={inst.id}>
+                      {inst.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+        {mapping.importedKind === "arrangement" && (
+          <div className="mt-4 grid grid-cols-1 gap-3">
+            <label className="text-sm text-neutral-300 flex flex-col gap-1">
+              <span>Import into</span>
+              <select
+                value={normalizeArrangementImportMode?.(mapping.arrangementImportMode)}
+                onChange={(e) => onArrangementImportModeChange?.(e.target.value)}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1.5 text-sm text-white"
+              >
+                <option value="new-arrangement">New saved arrangement</option>
+                <option value="override-current-arrangement">Override current arrangement</option>
+              </select>
+            </label>
+            <div className="flex items-center justify-between rounded border border-neutral-800 bg-neutral-950/40 px-3 py-2 text-sm">
+              <span className="text-neutral-400">Bars per section</span>
+              <div className="flex items-center overflow-hidden rounded border border-neutral-700">
+                <button
+                  type="button"
+                  onClick={() => onSplitBarsChange?.(Math.max(1, splitBars - 1))}
+                  className="w-9 h-9 border-r border-neutral-700 text-neutral-200 hover:bg-neutral-800/60"
+                  aria-label="Reduce MusicXML arrangement split size"
+                >
+                  -
+                </button>
+                <div className="min-w-[86px] px-3 text-center text-neutral-100">
+                  {splitBars} {splitBars === 1 ? "bar" : "bars"}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onSplitBarsChange?.(Math.min(8, splitBars + 1))}
+                  className="w-9 h-9 border-l border-neutral-700 text-neutral-200 hover:bg-neutral-800/60"
+                  aria-label="Increase MusicXML arrangement split size"
+                >
+                  +
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        <div className="mt-4 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={incomplete}
+            className={`px-3 py-1 rounded border text-sm ${
+              incomplete
+                ? "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+                : "border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+            }`}
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
 import React, { useEffect, useRef, useState } from "react";
 import * as Vex from "vexflow";
+import { getGraceStrokeCount, isGraceNoteState } from "../utils/graceNotes";
+import { getTremoloSlashCount, isRollState } from "../utils/rolls";
+import { normalizeDynamics, normalizeHairpins } from "../utils/dynamics";
+import { NAVIGATION_JUMP_LABELS } from "../utils/arrangementNavigation";
+import { CUSTOM_CIRCLED_X_GLYPH, CUSTOM_GHOST_GLYPHS, resolveNotationMap } from "../utils/notationMap";
+import { planMeasureRepeats } from "../utils/measureRepeats";
+import { buildCountingLabels, normalizeCountingStyle } from "../utils/countingSyllables";
 
 const { Renderer, Stave, StaveNote, Voice, Formatter, Beam, Fraction, Barline } = Vex.Flow;
-const CUSTOM_GHOST_GLYPHS = {
-  black: "noteheadBlackParensCustom",
-  x: "noteheadXBlackGhostSmallCustom",
-  circleX: "noteheadXBlackGhostSmallCustom",
-};
-const CUSTOM_CIRCLED_X_LARGE_GLYPH = "noteheadCircleX115FreshCustom";
+const SLASH_NOTEHEAD_GLYPH = "noteheadSlashCustom";
 const TEMPO_QUARTER_UP_PATH =
   "M302 115v760h30v-828c0 -95 -123 -188 -223 -188c-61 0 -109 35 -109 94c0 97 99 188 222 188c33 0 61 -9 80 -26z";
 const CELL = {
@@ -18,25 +20,6 @@ const CELL = {
 };
 const GHOST_NOTATION_ENABLED = new Set(["snare", "tom1", "tom2", "floorTom", "hihat"]);
 
-const NOTATION_MAP = {
-  kick: { key: "f/4" },
-  snare: { key: "c/5" },
-  sideStick: { key: "c/5/x2", x: true },
-  hihat: { key: "g/5/x2", x: true },
-  hihatOpen: { key: "g/5/x3", x: true, open: true },
-  hihatFoot: { key: "d/4/x2", x: true },
-  ride: { key: "f/5/x2", x: true },
-  rideBell: { key: "f/5/d2", diamond: true },
-  crash1: { key: "a/5/x2", x: true },
-  crash2: { key: "b/5/x2", x: true },
-  china: { key: "a/5/x3", x: true },
-  splash: { key: "c/6/x2", x: true },
-  cowbell: { key: "e/5/t2", triangle: true },
-  tom2: { key: "d/5" },
-  tom1: { key: "e/5" },
-  floorTom: { key: "a/4" },
-};
-
 function normalizeNotationRowBarCounts(bars, barsPerLine, barsPerRow) {
   const totalBars = Math.max(1, Number(bars) || 1);
   const explicit = Array.isArray(barsPerRow)
@@ -137,11 +120,22 @@ function estimateNotationBarWidthDemand({
   return Math.max(minWidth, Math.round(estimatedWidth * presetFactor));
 }
 
+// Bars the gap-click exercise currently plays silent.
+const SILENT_BAR_OVERLAY = {
+  className: "dg-silent-bar",
+  fill: "rgba(163,163,163,0.12)",
+  stroke: "rgba(163,163,163,0.6)",
+  strokeWidth: 1.5,
+  strokeDasharray: "5 4",
+  pointerEvents: "none",
+};
+
 function drawNotationBarOverlay(svg, rects, barIndices, {
   className,
   fill,
   stroke,
   strokeWidth,
+  strokeDasharray = "",
   pointerEvents = "",
 }) {
   if (!(svg instanceof SVGElement)) return;
@@ -164,6 +158,7 @@ function drawNotationBarOverlay(svg, rects, barIndices, {
     rect.setAttribute("fill", fill);
     rect.setAttribute("stroke", stroke);
     rect.setAttribute("stroke-width", String(strokeWidth));
+    if (strokeDasharray) rect.setAttribute("stroke-dasharray", strokeDasharray);
     rect.setAttribute("class", className);
     if (pointerEvents) rect.style.pointerEvents = pointerEvents;
     svg.insertBefore(rect, svg.firstChild);
@@ -195,16 +190,27 @@ export default function Notation({
   activeBarIndices = [],
   editorBarIndices = [],
   selectedBarIndices = [],
+  silentBarIndices = [],
   onBarClick = null,
   onBarMenuOpen = null,
   sectionMarkers = [],
   tempoMarkers = [],
+  dynamics = [],
+  hairpins = [],
   dynamicSpacingByBar = null,
   spacingPresetByBar = null,
   mergeRestsByBar = null,
   mergeNotesByBar = null,
   dottedNotesByBar = null,
   showNotationStickingByBar = null,
+  countingStyle = "off",
+  countingStyleByBar = null,
+  barNavigation = null,
+  barStyleByBar = null,
+  barNumberByBar = null,
+  measureRepeatModeByBar = null,
+  notationMap = null,
+  twoVoiceNotation = false,
   showSystemBarNumbers = false,
   barNumberOffset = 0,
   enableMeasureRepeats = false,
@@ -228,6 +234,36 @@ export default function Notation({
     const rafId = window.requestAnimationFrame(() => {
       const Flow = Vex.Flow;
       let ctx;
+      const normalizedDynamics = normalizeDynamics(dynamics);
+      const normalizedHairpins = normalizeHairpins(hairpins);
+      const resolvedNotationMap = resolveNotationMap(notationMap);
+      // Two-voice mode writes the hands stems up and the feet stems down, each
+      // with its own rests, beams and tuplets; rests move off the middle line.
+      const voiceParts = (() => {
+        const single = [{ instruments, stem: 1, restKey: "b/4", sticking: true }];
+        if (!twoVoiceNotation) return single;
+        const hands = instruments.filter((inst) => resolvedNotationMap[inst.id]?.voice !== "feet");
+        const feet = instruments.filter((inst) => resolvedNotationMap[inst.id]?.voice === "feet");
+        if (!hands.length || !feet.length) return single;
+        return [
+          { instruments: hands, stem: 1, restKey: "e/5", sticking: true },
+          { instruments: feet, stem: -1, restKey: "f/4", sticking: false },
+        ];
+      })();
+      // Arrangement rows written as time slashes, rhythmic cues or a tacet
+      // (see utils/arrangementRowTypes). Cue bars write every hit on one line
+      // above the staff, over time slashes.
+      const getBarStyle = (barIndex) => (Array.isArray(barStyleByBar) ? barStyleByBar[barIndex] : null) || null;
+      const cueParts = [{ instruments, stem: 1, restKey: "a/5", sticking: false, cueKey: "g/5" }];
+      const getBarVoiceParts = (barIndex) => (getBarStyle(barIndex)?.type === "cues" ? cueParts : voiceParts);
+      const getBarCountingStyle = (barIndex) =>
+        normalizeCountingStyle(
+          Array.isArray(countingStyleByBar) && countingStyleByBar[barIndex] ? countingStyleByBar[barIndex] : countingStyle
+        );
+      const countingShownByBar = Array.from({ length: bars }, (_, barIndex) => getBarCountingStyle(barIndex) !== "off");
+      // Extra room per system so dynamics and counts clear the sticking rows and the next staff.
+      const dynamicsRowHeight =
+        (normalizedDynamics.length || normalizedHairpins.length ? 16 : 0) + (countingShownByBar.some(Boolean) ? 14 : 0);
       const buildBarSignature = (barIndex) => {
       const quarterSubs = (Array.isArray(quarterSubdivisionsByBar) ? quarterSubdivisionsByBar[barIndex] : null) || [];
       const start = Array.isArray(barStepOffsets) ? Number(barStepOffsets[barIndex]) || 0 : barIndex * stepsPerBar;
@@ -241,6 +277,13 @@ export default function Notation({
         }
         return `${inst.id}:${slice.join("")}`;
       });
+      // Bars that differ only in dynamics must not collapse into measure repeats.
+      const barDynamics = [
+        ...normalizedDynamics.filter((item) => item.step >= start && item.step < end).map((item) => `${item.step - start}${item.level}`),
+        ...normalizedHairpins
+          .filter((item) => item.start < end && item.end > start)
+          .map((item) => `${item.start - start}-${item.end - start}${item.type}`),
+      ];
       const barTs =
         Array.isArray(timeSigByBar) && timeSigByBar[barIndex]
           ? timeSigByBar[barIndex]
@@ -250,6 +293,7 @@ export default function Notation({
         resolution: Number(resolution) || 0,
         quarterSubs,
         instStates,
+        barDynamics,
       });
     };
     const barSignatures = Array.from({ length: bars }, (_, barIndex) => buildBarSignature(barIndex));
@@ -277,44 +321,14 @@ export default function Notation({
         .map((m) => [Number(m?.bar), String(m?.text || "").trim()])
         .filter(([bar, text]) => Number.isFinite(bar) && bar >= 0 && text)
     );
-    const repeatPlan = (() => {
-      if (!enableMeasureRepeats || bars < 2) return Array.from({ length: bars }, () => null);
-      const plan = Array.from({ length: bars }, () => null);
-      let cursor = 1;
-      while (cursor < bars) {
-        let assigned = false;
-        for (const span of [4, 2, 1]) {
-          const leader = cursor - span;
-          if (leader < 0 || cursor + span - 1 >= bars) continue;
-          if (span === 2 && barRowIndices[cursor] !== barRowIndices[cursor + 1]) continue;
-          if (span === 2 && barSignatures[leader] === barSignatures[leader + 1]) continue;
-          let matches = true;
-          for (let offset = 0; offset < span; offset++) {
-            if (barSignatures[leader + offset] !== barSignatures[cursor + offset]) {
-              matches = false;
-              break;
-            }
-          }
-          if (!matches) continue;
-          plan[cursor] = {
-            type: String(span),
-            leader,
-            followers: span - 1,
-          };
-          for (let offset = 1; offset < span; offset++) {
-            plan[cursor + offset] = {
-              type: "follower",
-              leader: cursor,
-            };
-          }
-          cursor += span;
-          assigned = true;
-          break;
-        }
-        if (!assigned) cursor += 1;
-      }
-      return plan;
-    })();
+    const repeatPlan = enableMeasureRepeats
+      ? planMeasureRepeats({
+          signatures: barSignatures,
+          rowIndices: barRowIndices,
+          modes: Array.isArray(measureRepeatModeByBar) ? measureRepeatModeByBar : [],
+          blocked: Array.from({ length: bars }, (_, barIndex) => !!getBarStyle(barIndex)),
+        })
+      : Array.from({ length: bars }, () => null);
     const getRepeatAwareBarDemand = (barIndex, fallbackDemand) => {
       const dynamic = Array.isArray(dynamicSpacingByBar) ? dynamicSpacingByBar[barIndex] === true : false;
       if (!dynamic) return fallbackDemand;
@@ -344,6 +358,138 @@ export default function Notation({
       }
       return Math.max(0, Math.min((Number(bars) || 1) - 1, renderBarStepOffsets.length - 2));
     };
+    const getCountingBaselineY = (stave, barIndex) => {
+      const stickingShown = getEffectiveBarBoolean(showNotationStickingByBar, barIndex, showNotationSticking);
+      return (Number(stave?.getYForBottomText?.(stickingShown ? 3 : 1)) || 0) + 8;
+    };
+    // One count per grid step on the row below the sticking. Steps without a
+    // note of their own sit between their neighbours' noteheads.
+    const drawCounting = (svgRoot, staves) => {
+      if (!svgRoot || !Array.isArray(staves)) return;
+      for (let b = 0; b < bars; b++) {
+        const stave = staves[b];
+        if (!stave || !countingShownByBar[b] || repeatPlan[b] || getBarStyle(b)?.type === "rest") continue;
+        const labels = buildCountingLabels(getBarCountingStyle(b), resolvedQuarterSubsByBar[b]);
+        const barStart = Number(resolvedStepOffsets[b] ?? 0);
+        const anchors = [];
+        labels.forEach((_, i) => {
+          const note = notesBySourceStep.get(barStart + i);
+          const headBegin = Number(note?.getNoteHeadBeginX?.());
+          const headEnd = Number(note?.getNoteHeadEndX?.());
+          if (Number.isFinite(headBegin) && Number.isFinite(headEnd) && headEnd > headBegin) {
+            anchors.push({ i, x: (headBegin + headEnd) / 2 });
+          }
+        });
+        const x0 = (Number(stave.getNoteStartX?.()) || 0) + 8;
+        const x1 = Number(stave.getNoteEndX?.()) || x0;
+        if (!anchors.length || anchors[0].i > 0) anchors.unshift({ i: 0, x: x0 });
+        anchors.push({ i: labels.length, x: x1 });
+        const y = getCountingBaselineY(stave, b);
+        labels.forEach((text, i) => {
+          if (!text) return;
+          const nextIdx = anchors.findIndex((anchor) => anchor.i >= i);
+          const next = anchors[nextIdx];
+          const prev = next.i === i ? next : anchors[nextIdx - 1];
+          const x = next.i === i ? next.x : prev.x + ((next.x - prev.x) * (i - prev.i)) / Math.max(1, next.i - prev.i);
+          const textEl = document.createElementNS("http://www.w3.org/2000/svg", "text");
+          textEl.setAttribute("x", String(x));
+          textEl.setAttribute("y", String(y));
+          textEl.setAttribute("fill", notationColor);
+          textEl.setAttribute("font-family", "Arial");
+          textEl.setAttribute("font-size", "10");
+          textEl.setAttribute("text-anchor", "middle");
+          textEl.setAttribute("class", "dg-counting");
+          textEl.textContent = text;
+          svgRoot.appendChild(textEl);
+        });
+      }
+    };
+    // Dynamics sit below the staff (below the sticking and counting rows when
+    // those print); hairpins run between steps and break at system ends.
+    const drawDynamics = (svgRoot, staves) => {
+      if (!svgRoot || !Array.isArray(staves) || staves.length < 1) return;
+      if (!normalizedDynamics.length && !normalizedHairpins.length) return;
+      const totalSteps = Number(resolvedStepOffsets[bars] ?? 0) || 0;
+      const getBarForStep = (step) => {
+        for (let b = 0; b < bars; b++) {
+          if (step < Number(resolvedStepOffsets[b + 1] ?? 0)) return b;
+        }
+        return bars - 1;
+      };
+      const getStepX = (step) => {
+        const note = notesBySourceStep.get(step);
+        const headBegin = Number(note?.getNoteHeadBeginX?.());
+        const headEnd = Number(note?.getNoteHeadEndX?.());
+        if (Number.isFinite(headBegin) && Number.isFinite(headEnd) && headEnd > headBegin) return (headBegin + headEnd) / 2;
+        // Steps without a note of their own (rests merged away, measure repeats).
+        const b = getBarForStep(step);
+        const stave = staves[b];
+        const barStart = Number(resolvedStepOffsets[b] ?? 0);
+        const barEnd = Number(resolvedStepOffsets[b + 1] ?? barStart + 1);
+        const x0 = Number(stave?.getNoteStartX?.()) || 0;
+        const x1 = Number(stave?.getNoteEndX?.()) || x0;
+        return x0 + ((x1 - x0) * (step - barStart)) / Math.max(1, barEnd - barStart);
+      };
+      const getBaselineY = (barIndex) => {
+        const stave = staves[barIndex];
+        return getCountingBaselineY(stave, barIndex) + (countingShownByBar[barIndex] ? 14 : 0);
+      };
+      const markStepSet = new Set(normalizedDynamics.map((item) => item.step));
+      normalizedDynamics.forEach((item) => {
+        if (item.step >= totalSteps) return;
+        const textEl = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        textEl.setAttribute("x", String(getStepX(item.step)));
+        textEl.setAttribute("y", String(getBaselineY(getBarForStep(item.step))));
+        textEl.setAttribute("fill", notationColor);
+        textEl.setAttribute("font-family", "Liberation Serif, serif");
+        textEl.setAttribute("font-size", "16");
+        textEl.setAttribute("font-style", "italic");
+        textEl.setAttribute("font-weight", "700");
+        textEl.setAttribute("text-anchor", "middle");
+        textEl.setAttribute("class", "dg-dynamic");
+        textEl.textContent = item.level;
+        svgRoot.appendChild(textEl);
+      });
+      const halfOpening = 5;
+      normalizedHairpins.forEach((hairpin) => {
+        if (hairpin.start >= totalSteps) return;
+        const end = Math.min(hairpin.end, totalSteps);
+        const firstBar = getBarForStep(hairpin.start);
+        const lastBar = getBarForStep(end - 1);
+        const startX = getStepX(hairpin.start) + (markStepSet.has(hairpin.start) ? 12 : -4);
+        const endsOnNextStep = end < totalSteps && barRowIndices[getBarForStep(end)] === barRowIndices[lastBar];
+        const endX = endsOnNextStep
+          ? getStepX(end) - (markStepSet.has(end) ? 12 : 4)
+          : (Number(staves[lastBar]?.getNoteEndX?.()) || 0) - 2;
+        const span = Math.max(1, end - hairpin.start);
+        const openingAt = (step) => {
+          const frac = Math.max(0, Math.min(1, (step - hairpin.start) / span));
+          return halfOpening * (hairpin.type === "cresc" ? frac : 1 - frac);
+        };
+        let segFirstBar = firstBar;
+        while (segFirstBar <= lastBar) {
+          let segLastBar = segFirstBar;
+          while (segLastBar < lastBar && barRowIndices[segLastBar + 1] === barRowIndices[segFirstBar]) segLastBar++;
+          const segStartStep = segFirstBar === firstBar ? hairpin.start : Number(resolvedStepOffsets[segFirstBar] ?? 0);
+          const segEndStep = segLastBar === lastBar ? end : Number(resolvedStepOffsets[segLastBar + 1] ?? end);
+          const x0 = segFirstBar === firstBar ? startX : (Number(staves[segFirstBar]?.getNoteStartX?.()) || 0);
+          const x1 = segLastBar === lastBar ? endX : (Number(staves[segLastBar]?.getNoteEndX?.()) || 0) - 2;
+          const y = getBaselineY(segFirstBar) - 5;
+          const h0 = openingAt(segStartStep);
+          const h1 = openingAt(segEndStep);
+          if (x1 > x0) {
+            const pathEl = document.createElementNS("http://www.w3.org/2000/svg", "path");
+            pathEl.setAttribute("d", `M ${x0} ${y - h0} L ${x1} ${y - h1} M ${x0} ${y + h0} L ${x1} ${y + h1}`);
+            pathEl.setAttribute("fill", "none");
+            pathEl.setAttribute("stroke", notationColor);
+            pathEl.setAttribute("stroke-width", "1.2");
+            pathEl.setAttribute("class", "dg-hairpin");
+            svgRoot.appendChild(pathEl);
+          }
+          segFirstBar = segLastBar + 1;
+        }
+      });
+    };
     const drawArrangementTextMarkers = (svgRoot, staves) => {
       if (!svgRoot || !Array.isArray(staves) || staves.length < 1) return;
       const appendText = ({
@@ -387,7 +533,9 @@ export default function Notation({
         const sectionY = yTop - 32;
         const tempoY = sectionText ? yTop - 49 : sectionY;
         if (showSystemBarNumbers && rowStartSet.has(b)) {
-          const barNo = Math.max(1, Number(barNumberOffset) + b + 1);
+          const barNo = Number.isFinite(barNumberByBar?.[b])
+            ? barNumberByBar[b]
+            : Math.max(1, Number(barNumberOffset) + b + 1);
           appendText({
             x: x + 2,
             y: barNumberY,
@@ -458,28 +606,105 @@ export default function Notation({
         }
       }
     };
-    const drawTwoBarRepeatMarkers = (svgRoot, staves, repeatPlanData) => {
+    const navigationByBar = Array.isArray(barNavigation) ? barNavigation : [];
+    const applyNavigationBarlines = (stave, barIndex) => {
+      const nav = navigationByBar[barIndex];
+      if (nav?.repeatStart) stave.setBegBarType(Barline.type.REPEAT_BEGIN);
+      if (nav?.repeatEnd) stave.setEndBarType(Barline.type.REPEAT_END);
+      else if (nav?.fine) stave.setEndBarType(Barline.type.END);
+      else if (nav?.jump || navigationByBar[barIndex + 1]?.coda) stave.setEndBarType(Barline.type.DOUBLE);
+    };
+    // Endings, segno/coda signs and jump texts, drawn above the staff so they
+    // share the space of the section and tempo markers.
+    const drawNavigationMarks = (svgRoot, staves) => {
+      if (!svgRoot || !Array.isArray(staves) || !navigationByBar.some(Boolean)) return;
+      const appendRect = (x, y, width, height) => {
+        const rectEl = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+        rectEl.setAttribute("x", String(x));
+        rectEl.setAttribute("y", String(y));
+        rectEl.setAttribute("width", String(Math.max(0, width)));
+        rectEl.setAttribute("height", String(Math.max(0, height)));
+        rectEl.setAttribute("fill", secondaryTextColor);
+        svgRoot.appendChild(rectEl);
+      };
+      const appendText = (x, y, text, { anchor = "start", italic = true } = {}) => {
+        const textEl = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        textEl.setAttribute("x", String(x));
+        textEl.setAttribute("y", String(y));
+        textEl.setAttribute("fill", secondaryTextColor);
+        textEl.setAttribute("font-family", italic ? "Liberation Serif, serif" : "Arial");
+        textEl.setAttribute("font-size", italic ? "13" : "11");
+        textEl.setAttribute("font-style", italic ? "italic" : "normal");
+        textEl.setAttribute("font-weight", "700");
+        textEl.setAttribute("text-anchor", anchor);
+        textEl.textContent = text;
+        svgRoot.appendChild(textEl);
+      };
+      staves.forEach((stave, b) => {
+        const nav = navigationByBar[b];
+        if (!nav) return;
+        const x = Number(stave?.getX?.()) || 0;
+        const width = Number(stave?.getWidth?.()) || 0;
+        const yTop = Number(stave?.getYForLine?.(0)) || 0;
+        // Keep clear of the system bar number.
+        const leftInset = showSystemBarNumbers && rowStartSet.has(b) ? 22 : 4;
+        if (nav.ending > 0) {
+          const lineY = yTop - 24;
+          const x0 = x + (nav.endingStart ? leftInset : 0);
+          const x1 = x + width - (nav.endingEnd ? 4 : 0);
+          appendRect(x0, lineY, x1 - x0, 1);
+          if (nav.endingStart) {
+            appendRect(x0, lineY, 1, 10);
+            appendText(x0 + 4, lineY + 11, `${nav.ending}.`, { italic: false });
+          }
+          if (nav.endingEnd && nav.repeatEnd) appendRect(x1 - 1, lineY, 1, 10);
+        }
+        const signs = [nav.segno ? "segno" : null, nav.coda ? "coda" : null].filter(Boolean);
+        let signX = x + leftInset + (nav.endingStart ? 16 : 0);
+        signs.forEach((glyph) => {
+          try {
+            Flow.Glyph.renderGlyph(ctx, signX, yTop - 6, 30, glyph, { category: glyph });
+            signX += Flow.Glyph.getWidth(glyph, 30) + 4;
+          } catch (_) {}
+        });
+        const rightTexts = [
+          nav.repeatEnd && nav.repeatTimes > 2 ? `${nav.repeatTimes}×` : "",
+          nav.toCoda ? "To Coda" : "",
+          nav.fine ? "Fine" : "",
+          NAVIGATION_JUMP_LABELS[nav.jump] || "",
+        ].filter(Boolean);
+        rightTexts.forEach((text, idx) => {
+          appendText(x + width - 4, yTop - 8 - idx * 14 - (nav.ending > 0 ? 18 : 0), text, { anchor: "end" });
+        });
+      });
+    };
+    // 2-bar signs sit on the barline after the group's first bar, 4-bar signs
+    // on the one after its second, each with the group size above the staff.
+    const drawMultiBarRepeatMarkers = (svgRoot, staves, repeatPlanData) => {
       if (!svgRoot || !Array.isArray(staves) || !Array.isArray(repeatPlanData)) return;
       repeatPlanData.forEach((info, barIndex) => {
-        if (!info || info.type !== "2") return;
-        const leftStave = staves[barIndex];
-        const rightStave = staves[barIndex + 1];
+        if (!info || (info.type !== "2" && info.type !== "4")) return;
+        const leftIndex = info.type === "4" ? barIndex + 1 : barIndex;
+        const leftStave = staves[leftIndex];
+        const rightStave = staves[leftIndex + 1];
         if (!leftStave || !rightStave) return;
+        const glyphCode = info.type === "4" ? "repeat4Bars" : "repeat2Bars";
+        const numberCode = `timeSig${info.type}`;
         const centerX = (Number(leftStave.getX?.()) || 0) + (Number(leftStave.getWidth?.()) || 0);
         const repeatPoint = 40;
-        const repeatWidth = Flow.Glyph.getWidth("repeat2Bars", repeatPoint, "repeatNote");
+        const repeatWidth = Flow.Glyph.getWidth(glyphCode, repeatPoint, "repeatNote");
         const signY =
           ((Number(leftStave.getYForLine?.(1)) || 0) + (Number(leftStave.getYForLine?.(3)) || 0)) / 2 + 0.5;
         try {
-          Flow.Glyph.renderGlyph(ctx, centerX - repeatWidth / 2, signY, repeatPoint, "repeat2Bars", {
+          Flow.Glyph.renderGlyph(ctx, centerX - repeatWidth / 2, signY, repeatPoint, glyphCode, {
             category: "repeatNote",
           });
         } catch (_) {}
         try {
           const numberPoint = 28;
-          const numberWidth = Flow.Glyph.getWidth("timeSig2", numberPoint);
+          const numberWidth = Flow.Glyph.getWidth(numberCode, numberPoint);
           const numberY = (Number(leftStave.getYForLine?.(0)) || 0) - 18;
-          Flow.Glyph.renderGlyph(ctx, centerX - numberWidth / 2, numberY, numberPoint, "timeSig2");
+          Flow.Glyph.renderGlyph(ctx, centerX - numberWidth / 2, numberY, numberPoint, numberCode);
         } catch (_) {}
       });
     };
@@ -506,7 +731,7 @@ export default function Notation({
     const createRepeatVoice = (repeatInfo) => {
       const tickables = [];
       if (repeatInfo?.type && repeatInfo.type !== "follower") {
-        if (repeatInfo.type === "2") {
+        if (repeatInfo.type === "2" || repeatInfo.type === "4") {
           tickables.push(new Flow.GhostNote("q"));
           tickables.push(new Flow.GhostNote("q"));
         } else {
@@ -524,6 +749,44 @@ export default function Notation({
       return voice;
     };
 
+    const applySlashNotehead = (note) => {
+      if (!note || note.isRest?.()) return;
+      try {
+        (note.getKeyProps?.() || []).forEach((kp) => {
+          kp.code = SLASH_NOTEHEAD_GLYPH;
+        });
+        note.reset();
+      } catch (_) {}
+    };
+    // Slash bars get one stemless slash per beat; a tacet bar only holds the
+    // space for the multi-measure rest drawn over it.
+    const createStyledBarVoice = (style, barTimeSig) => {
+      const n = Math.max(1, Number(barTimeSig?.n) || 4);
+      const d = Math.max(1, Number(barTimeSig?.d) || 4);
+      const tickables =
+        style.type === "slashes"
+          ? Array.from({ length: n }, () => {
+              const note = new StaveNote({ keys: ["b/4"], duration: String(d), clef: "percussion" });
+              applySlashNotehead(note);
+              note.getStem?.()?.setVisibility(false);
+              return note;
+            })
+          : [new Flow.GhostNote(String(d))];
+      const voice = new Voice({ num_beats: n, beat_value: d });
+      voice.setStrict(false);
+      voice.addTickables(tickables);
+      return voice;
+    };
+    const drawMultiMeasureRest = (style, stave) => {
+      if (style?.type !== "rest" || !stave) return;
+      try {
+        new Flow.MultiMeasureRest(style.bars, { show_number: style.bars > 1, use_symbols: style.bars <= 1 })
+          .setStave(stave)
+          .setContext(ctx)
+          .draw();
+      } catch (_) {}
+    };
+
     const applyGhostStyling = (note, ghostKeyIndices) => {
       if (!note || !ghostKeyIndices || ghostKeyIndices.length === 0) return;
       note.__dgHasGhost = true;
@@ -560,10 +823,10 @@ export default function Notation({
       try {
         const keys = note.getKeys() || [];
         if (!Array.isArray(keys) || keys.length === 0) return;
-        const hasFoot = keys.includes("d/4/x2");
-        const hasRideBell = keys.includes("f/5/d2");
-        const hasChina = keys.includes("a/5/x3");
-        const hasCowbell = keys.includes("e/5/t2");
+        const hasFoot = keys.includes(resolvedNotationMap.hihatFoot?.key);
+        const hasRideBell = keys.includes(resolvedNotationMap.rideBell?.key);
+        const hasChina = keys.includes(resolvedNotationMap.china?.key);
+        const hasCowbell = keys.includes(resolvedNotationMap.cowbell?.key);
         if (!hasFoot || (!hasRideBell && !hasChina && !hasCowbell)) return;
         note.__dgStemUpBaseOffset = hasCowbell ? -16 : hasRideBell ? -5 : -15;
         note.__dgStemUpBaseOffsetStandalone = hasCowbell ? -5 : hasRideBell ? -5 : -5;
@@ -596,7 +859,7 @@ export default function Notation({
           });
           if (
             Array.isArray(keys) &&
-            keys.includes("e/5/t2") &&
+            keys.includes(resolvedNotationMap.cowbell?.key) &&
             !isBeamed &&
             typeof note.setStemLength === "function"
           ) {
@@ -609,7 +872,7 @@ export default function Notation({
       if (!note || !accentKeyIndices || accentKeyIndices.length === 0) return;
       try {
         const art = new Flow.Articulation("a>");
-        art.setPosition(Flow.Modifier.Position.ABOVE);
+        art.setPosition(note.getStemDirection?.() === -1 ? Flow.Modifier.Position.BELOW : Flow.Modifier.Position.ABOVE);
         if (art?.render_options && Number.isFinite(art.render_options.font_scale)) {
           art.render_options.font_scale = art.render_options.font_scale * 0.88;
           if (typeof art.reset === "function") art.reset();
@@ -618,6 +881,129 @@ export default function Notation({
         note.addModifier(art, 0);
       } catch (_) {}
     };
+    // Flams get one slashed grace note, drags and ruffs a beamed group of 16ths.
+    // Several grace hits on one step share a group sized by the longest.
+    const getGraceNotesForStep = (sourceGrid, stepIdx, stepInstruments = instruments) => {
+      if (!(stepIdx >= 0)) return null;
+      const keys = [];
+      let count = 0;
+      stepInstruments.forEach((inst) => {
+        const val = sourceGrid?.[inst.id]?.[stepIdx] ?? CELL.OFF;
+        const notation = resolvedNotationMap[inst.id];
+        if (!notation || !isGraceNoteState(val)) return;
+        keys.push(notation.key);
+        count = Math.max(count, getGraceStrokeCount(val));
+      });
+      return keys.length ? { keys, count } : null;
+    };
+    const applyGraceNotes = (note, graceSpec) => {
+      if (!note || !graceSpec) return;
+      try {
+        const graceNotes = Array.from({ length: graceSpec.count }, () => {
+          const grace = new Flow.GraceNote({
+            keys: graceSpec.keys,
+            duration: graceSpec.count === 1 ? "8" : "16",
+            slash: graceSpec.count === 1,
+            clef: "percussion",
+          });
+          grace.setStemDirection(1);
+          return grace;
+        });
+        const group = new Flow.GraceNoteGroup(graceNotes, false);
+        if (graceNotes.length > 1) group.beamNotes();
+        note.addModifier(group, 0);
+      } catch (_) {}
+    };
+    // Tremolos get stem slashes, buzz rolls a "z" on the stem. A roll that runs
+    // straight into the same roll on the same drum is tied to it.
+    const rollTieNotes = [];
+    const isRollTiedIntoStep = (sourceGrid, instId, stepIdx) => {
+      const state = sourceGrid?.[instId]?.[stepIdx];
+      let prev = stepIdx - 1;
+      while (prev >= 0 && !instruments.some((inst) => (sourceGrid?.[inst.id]?.[prev] ?? CELL.OFF) !== CELL.OFF)) prev--;
+      if (prev < 0 || sourceGrid?.[instId]?.[prev] !== state) return false;
+      const bar = getBarIndexForStep(stepIdx);
+      const prevBar = getBarIndexForStep(prev);
+      // Rolls stop at the bar line, so a tie across it needs the next roll on the downbeat.
+      return prevBar === bar || (prevBar === bar - 1 && stepIdx === Number(renderBarStepOffsets?.[bar]));
+    };
+    const getRollForStep = (sourceGrid, stepIdx, stepInstruments = instruments) => {
+      if (!(stepIdx >= 0)) return null;
+      let state = null;
+      const tiedKeys = [];
+      stepInstruments.forEach((inst) => {
+        const val = sourceGrid?.[inst.id]?.[stepIdx] ?? CELL.OFF;
+        const notation = resolvedNotationMap[inst.id];
+        if (!notation || !isRollState(val)) return;
+        if (!state || getTremoloSlashCount(val) > getTremoloSlashCount(state)) state = val;
+        if (isRollTiedIntoStep(sourceGrid, inst.id, stepIdx)) tiedKeys.push({ instId: inst.id, key: notation.key });
+      });
+      if (!state) return null;
+      const keys = stepInstruments
+        .filter((inst) => resolvedNotationMap[inst.id] && isRollState(sourceGrid?.[inst.id]?.[stepIdx]))
+        .map((inst) => ({ instId: inst.id, key: resolvedNotationMap[inst.id].key }));
+      return { state, keys, tiedKeys };
+    };
+    const applyRoll = (note, rollSpec, stepIdx) => {
+      if (!note || !rollSpec) return;
+      try {
+        const slashes = getTremoloSlashCount(rollSpec.state);
+        if (slashes) note.addModifier(new Flow.Tremolo(slashes), 0);
+        else note.__dgBuzz = true;
+      } catch (_) {}
+      rollTieNotes.push({ note, stepIdx, keys: rollSpec.keys, tiedKeys: rollSpec.tiedKeys });
+    };
+    const drawBuzzRollsForVoice = (voice, svgRoot) => {
+      if (!svgRoot) return;
+      const tickables = (voice && typeof voice.getTickables === "function" && voice.getTickables()) || [];
+      tickables.forEach((note) => {
+        if (!note?.__dgBuzz) return;
+        try {
+          const { topY, baseY } = note.getStemExtents();
+          const textEl = document.createElementNS("http://www.w3.org/2000/svg", "text");
+          textEl.setAttribute("x", String(note.getStemX()));
+          textEl.setAttribute("y", String((topY + baseY) / 2 + 4));
+          textEl.setAttribute("fill", notationColor);
+          textEl.setAttribute("font-family", "Times New Roman, serif");
+          textEl.setAttribute("font-size", "14");
+          textEl.setAttribute("font-style", "italic");
+          textEl.setAttribute("font-weight", "700");
+          textEl.setAttribute("text-anchor", "middle");
+          textEl.setAttribute("class", "dg-buzz-roll");
+          textEl.textContent = "z";
+          svgRoot.appendChild(textEl);
+        } catch (_) {}
+      });
+    };
+    const drawRollTies = (ctx) => {
+      const sorted = rollTieNotes.slice().sort((a, b) => a.stepIdx - b.stepIdx);
+      sorted.forEach((entry, i) => {
+        entry.tiedKeys.forEach(({ instId, key }) => {
+          let prev = null;
+          for (let j = i - 1; j >= 0 && !prev; j--) {
+            if (sorted[j].keys.some((item) => item.instId === instId)) prev = sorted[j];
+          }
+          if (!prev) return;
+          const firstIndex = (prev.note.getKeys?.() || []).indexOf(key);
+          const lastIndex = (entry.note.getKeys?.() || []).indexOf(key);
+          if (firstIndex < 0 || lastIndex < 0) return;
+          try {
+            const sameSystem = prev.note.getStave?.()?.getY?.() === entry.note.getStave?.()?.getY?.();
+            const ties = sameSystem
+              ? [{ first_note: prev.note, last_note: entry.note, first_indices: [firstIndex], last_indices: [lastIndex] }]
+              : [
+                  { first_note: prev.note, first_indices: [firstIndex] },
+                  { last_note: entry.note, last_indices: [lastIndex] },
+                ];
+            ties.forEach((notes) => {
+              const tie = new Flow.StaveTie(notes);
+              tie.setDirection(-1);
+              tie.setContext(ctx).draw();
+            });
+          } catch (_) {}
+        });
+      });
+    };
     const getStickingSpecForStep = (stepIdx) => {
       const barIndex = getBarIndexForStep(stepIdx);
       const sourceStepIdx =
@@ -655,7 +1041,17 @@ export default function Notation({
       if (hasR) return [{ text: "R", lane: "top" }];
       return [{ text: "L", lane: "top" }];
     };
+    // Every note-creation site passes its step here, so this also records the
+    // first note of each source step for placing dynamics.
+    const notesBySourceStep = new Map();
     const applyStickingAnnotation = (note, specList, stepIdx = -1) => {
+      if (note && stepIdx >= 0) {
+        const sourceStepIdx =
+          Array.isArray(renderStepSourceIndexMap) && Number.isFinite(renderStepSourceIndexMap[stepIdx])
+            ? Number(renderStepSourceIndexMap[stepIdx])
+            : stepIdx;
+        if (!notesBySourceStep.has(sourceStepIdx)) notesBySourceStep.set(sourceStepIdx, note);
+      }
       if (!note || !Array.isArray(specList) || specList.length < 1) return;
       // Draw after voice rendering; this avoids Annotation layout quirks.
       note.__dgStickingSpec = specList;
@@ -707,8 +1103,8 @@ export default function Notation({
         keyIndices.forEach((i) => {
           const kp = keyProps?.[i];
           if (!kp) return;
-          if (kp.code !== CUSTOM_CIRCLED_X_LARGE_GLYPH) {
-            kp.code = CUSTOM_CIRCLED_X_LARGE_GLYPH;
+          if (kp.code !== CUSTOM_CIRCLED_X_GLYPH) {
+            kp.code = CUSTOM_CIRCLED_X_GLYPH;
             changed = true;
           }
         });
@@ -918,7 +1314,7 @@ export default function Notation({
         }))
       );
       const rows = resolvedRowBarCounts.length;
-      const systemHeight = 108;
+      const systemHeight = 108 + dynamicsRowHeight;
       const height = 47 + rows * systemHeight;
       const naturalRowWidths = Array.from({ length: rows }, (_, rowIdx) => {
         const start = rowStartBars[rowIdx] ?? 0;
@@ -993,6 +1389,7 @@ export default function Notation({
           const y = 27.5 + row * systemHeight;
         const stave = new Stave(x, y, barWidths[b]);
         if (col > 0) stave.setBegBarType(Barline.type.NONE);
+        applyNavigationBarlines(stave, b);
         if (col === 0) {
           stave.addClef("percussion");
         }
@@ -1002,295 +1399,319 @@ export default function Notation({
 
         const repeatInfo = repeatPlan[b];
         if (repeatInfo) {
-          voices.push(createRepeatVoice(repeatInfo));
+          voices.push([createRepeatVoice(repeatInfo)]);
           beamsByBar[b] = [];
           tupletsByBar[b] = [];
           continue;
         }
+        const barStyle = getBarStyle(b);
+        if (barStyle && barStyle.type !== "cues") {
+          voices.push([createStyledBarVoice(barStyle, barTimeSig)]);
+          continue;
+        }
 
-        const notes = [];
-        const beamBuckets = [];
-        const tuplets = [];
-        const barStart = resolvedStepOffsets[b] ?? 0;
-        const barSubs = resolvedQuarterSubsByBar[b] || [];
-        let localStep = 0;
-
-        for (let q = 0; q < barSubs.length; q++) {
-          const subdiv = Math.max(1, Number(barSubs[q]) || 1);
-          const tupletQuarter = !isPowerOfTwoSubdivision(subdiv);
-          const barBaseSubdivPerQuarter = Math.max(
-            1,
-            Math.round(resolution / Math.max(1, Number(barTimeSig?.d) || 4))
-          );
-          const quarterDisplayBase = tupletQuarter ? tupletDisplayBase(subdiv) : subdiv;
-          const quarterNotes = [];
-          const quarterBeamBucket = [];
-          const stepData = [];
-          for (let sub = 0; sub < subdiv; sub++) {
-            const globalIdx = barStart + localStep + sub;
-            const keys = [];
-            const ghostKeyIndices = [];
-            const circledXLargeKeyIndices = [];
-            const accentKeyIndices = [];
-            instruments.forEach((inst) => {
-              const val = grid[inst.id]?.[globalIdx] ?? CELL.OFF;
-              if (val === CELL.OFF) return;
-              const notation = NOTATION_MAP[inst.id];
-              if (!notation) return;
-              keys.push(notation.key);
-              const keyIndex = keys.length - 1;
-              if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) ghostKeyIndices.push(keyIndex);
-              if (val === CELL.ACCENT) accentKeyIndices.push(keyIndex);
-              if (inst.id === "china" || inst.id === "hihatOpen") circledXLargeKeyIndices.push(keyIndex);
-            });
-            const stickingSpec = getStickingSpecForStep(globalIdx);
-            stepData.push({ keys, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx });
-          }
+        const barVoices = [];
+        getBarVoiceParts(b).forEach((part) => {
+          const getPartStickingSpec = (stepIdx) => (part.sticking ? getStickingSpecForStep(stepIdx) : []);
+          const notes = [];
+          const beamBuckets = [];
+          const tuplets = [];
+          const barStart = resolvedStepOffsets[b] ?? 0;
+          const barSubs = resolvedQuarterSubsByBar[b] || [];
+          let localStep = 0;
+
+          for (let q = 0; q < barSubs.length; q++) {
+            const subdiv = Math.max(1, Number(barSubs[q]) || 1);
+            const tupletQuarter = !isPowerOfTwoSubdivision(subdiv);
+            const barBaseSubdivPerQuarter = Math.max(
+              1,
+              Math.round(resolution / Math.max(1, Number(barTimeSig?.d) || 4))
+            );
+            const quarterDisplayBase = tupletQuarter ? tupletDisplayBase(subdiv) : subdiv;
+            const quarterNotes = [];
+            const quarterBeamBucket = [];
+            const stepData = [];
+            for (let sub = 0; sub < subdiv; sub++) {
+              const globalIdx = barStart + localStep + sub;
+              const keys = [];
+              const ghostKeyIndices = [];
+              const circledXLargeKeyIndices = [];
+              const accentKeyIndices = [];
+              part.instruments.forEach((inst) => {
+                const val = grid[inst.id]?.[globalIdx] ?? CELL.OFF;
+                if (val === CELL.OFF) return;
+                const notation = resolvedNotationMap[inst.id];
+                if (!notation) return;
+                keys.push(part.cueKey || notation.key);
+                const keyIndex = keys.length - 1;
+                if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) ghostKeyIndices.push(keyIndex);
+                if (val === CELL.ACCENT) accentKeyIndices.push(keyIndex);
+                if (notation.notehead === "circleX") circledXLargeKeyIndices.push(keyIndex);
+              });
+              const stickingSpec = getPartStickingSpec(globalIdx);
+              stepData.push({ keys, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx });
+            }
 
-          const mergeBaseStepsPerQuarter = isPowerOfTwoSubdivision(subdiv) ? subdiv : barBaseSubdivPerQuarter;
-          const canUseMergedQuarterLogic = isPowerOfTwoSubdivision(subdiv) && (effectiveMergeNotes || effectiveMergeRests);
-          if (canUseMergedQuarterLogic) {
-            let sub = 0;
-            while (sub < subdiv) {
-              const entry = stepData[sub];
-              if (entry.keys.length > 0) {
-                if (
-                  mergeBaseStepsPerQuarter === 4 &&
-                  sub === 0 &&
-                  stepData[0]?.keys.length &&
-                  stepData[1]?.keys.length &&
-                  !(stepData[2]?.keys.length) &&
-                  stepData[3]?.keys.length
-                ) {
-                  const note16a = new StaveNote({
-                    keys: stepData[0].keys,
-                    duration: "16",
-                    clef: "percussion",
-                  });
-                  note16a.setStemDirection(1);
-                  applyGhostStyling(note16a, stepData[0].ghostKeyIndices);
-                  applyGhostStemOverride(note16a, stepData[0].ghostKeyIndices);
-                  applySpecialStemOverride(note16a);
-                  applyCircledXLargeStyling(note16a, stepData[0].circledXLargeKeyIndices);
-                  applyAccentArticulation(note16a, stepData[0].accentKeyIndices);
-                  applyStickingAnnotation(note16a, stepData[0].stickingSpec, stepData[0].globalIdx);
-                  note16a.__dgIsBeamed = false;
-                  notes.push(note16a);
-                  quarterNotes.push(note16a);
-                  quarterBeamBucket.push(note16a);
-
-                  const note8 = new StaveNote({
-                    keys: stepData[1].keys,
-                    duration: "8",
+            const mergeBaseStepsPerQuarter = isPowerOfTwoSubdivision(subdiv) ? subdiv : barBaseSubdivPerQuarter;
+            const canUseMergedQuarterLogic = isPowerOfTwoSubdivision(subdiv) && (effectiveMergeNotes || effectiveMergeRests);
+            if (canUseMergedQuarterLogic) {
+              let sub = 0;
+              while (sub < subdiv) {
+                const entry = stepData[sub];
+                if (entry.keys.length > 0) {
+                  if (
+                    mergeBaseStepsPerQuarter === 4 &&
+                    sub === 0 &&
+                    stepData[0]?.keys.length &&
+                    stepData[1]?.keys.length &&
+                    !(stepData[2]?.keys.length) &&
+                    stepData[3]?.keys.length
+                  ) {
+                    const note16a = new StaveNote({
+                      keys: stepData[0].keys,
+                      duration: "16",
+                      clef: "percussion",
+                    });
+                    note16a.setStemDirection(part.stem);
+                    applyGhostStyling(note16a, stepData[0].ghostKeyIndices);
+                    applyGhostStemOverride(note16a, stepData[0].ghostKeyIndices);
+                    applySpecialStemOverride(note16a);
+                    applyCircledXLargeStyling(note16a, stepData[0].circledXLargeKeyIndices);
+                    applyAccentArticulation(note16a, stepData[0].accentKeyIndices);
+                    applyGraceNotes(note16a, getGraceNotesForStep(grid, stepData[0].globalIdx, part.instruments));
+                    applyRoll(note16a, getRollForStep(grid, stepData[0].globalIdx, part.instruments), stepData[0].globalIdx);
+                    applyStickingAnnotation(note16a, stepData[0].stickingSpec, stepData[0].globalIdx);
+                    note16a.__dgIsBeamed = false;
+                    notes.push(note16a);
+                    quarterNotes.push(note16a);
+                    quarterBeamBucket.push(note16a);
+
+                    const note8 = new StaveNote({
+                      keys: stepData[1].keys,
+                      duration: "8",
+                      clef: "percussion",
+                    });
+                    note8.setStemDirection(part.stem);
+                    applyGhostStyling(note8, stepData[1].ghostKeyIndices);
+                    applyGhostStemOverride(note8, stepData[1].ghostKeyIndices);
+                    applySpecialStemOverride(note8);
+                    applyCircledXLargeStyling(note8, stepData[1].circledXLargeKeyIndices);
+                    applyAccentArticulation(note8, stepData[1].accentKeyIndices);
+                    applyGraceNotes(note8, getGraceNotesForStep(grid, stepData[1].globalIdx, part.instruments));
+                    applyRoll(note8, getRollForStep(grid, stepData[1].globalIdx, part.instruments), stepData[1].globalIdx);
+                    applyStickingAnnotation(note8, stepData[1].stickingSpec, stepData[1].globalIdx);
+                    note8.__dgIsBeamed = false;
+                    notes.push(note8);
+                    quarterNotes.push(note8);
+                    quarterBeamBucket.push(note8);
+
+                    const note16b = new StaveNote({
+                      keys: stepData[3].keys,
+                      duration: "16",
+                      clef: "percussion",
+                    });
+                    note16b.setStemDirection(part.stem);
+                    applyGhostStyling(note16b, stepData[3].ghostKeyIndices);
+                    applyGhostStemOverride(note16b, stepData[3].ghostKeyIndices);
+                    applySpecialStemOverride(note16b);
+                    applyCircledXLargeStyling(note16b, stepData[3].circledXLargeKeyIndices);
+                    applyAccentArticulation(note16b, stepData[3].accentKeyIndices);
+                    applyGraceNotes(note16b, getGraceNotesForStep(grid, stepData[3].globalIdx, part.instruments));
+                    applyRoll(note16b, getRollForStep(grid, stepData[3].globalIdx, part.instruments), stepData[3].globalIdx);
+                    applyStickingAnnotation(note16b, stepData[3].stickingSpec, stepData[3].globalIdx);
+                    note16b.__dgIsBeamed = false;
+                    notes.push(note16b);
+                    quarterNotes.push(note16b);
+                    quarterBeamBucket.push(note16b);
+
+                    sub += 4;
+                    continue;
+                  }
+                  let len = 1;
+                  if (effectiveMergeNotes) {
+                    const canLen = (candidateLen) => {
+                      if (candidateLen < 1) return false;
+                      const requiresBeatAlignedStart =
+                        candidateLen >= 2 || mergeBaseStepsPerQuarter <= 2;
+                      if (requiresBeatAlignedStart && sub % candidateLen !== 0) return false;
+                      if (sub + candidateLen > subdiv) return false;
+                      for (let k = 1; k < candidateLen; k++) {
+                        if (stepData[sub + k]?.keys.length) return false;
+                      }
+                      return true;
+                    };
+                    for (let p = mergeBaseStepsPerQuarter; p >= 1; p = Math.floor(p / 2)) {
+                      if (canLen(p)) {
+                        len = p;
+                        break;
+                      }
+                    }
+                  }
+                  let dotted = false;
+                  if (effectiveMergeNotes && effectiveDottedNotes && len >= 2) {
+                    const extra = len / 2;
+                    if (sub + len + extra <= subdiv) {
+                      dotted = true;
+                      for (let k = 0; k < extra; k++) {
+                        if (stepData[sub + len + k]?.keys.length) {
+                          dotted = false;
+                          break;
+                        }
+                      }
+                    }
+                  }
+
+                  const note = new StaveNote({
+                    keys: entry.keys,
+                    duration: durationFromLen(len, mergeBaseStepsPerQuarter),
                     clef: "percussion",
                   });
-                  note8.setStemDirection(1);
-                  applyGhostStyling(note8, stepData[1].ghostKeyIndices);
-                  applyGhostStemOverride(note8, stepData[1].ghostKeyIndices);
-                  applySpecialStemOverride(note8);
-                  applyCircledXLargeStyling(note8, stepData[1].circledXLargeKeyIndices);
-                  applyAccentArticulation(note8, stepData[1].accentKeyIndices);
-                  applyStickingAnnotation(note8, stepData[1].stickingSpec, stepData[1].globalIdx);
-                  note8.__dgIsBeamed = false;
-                  notes.push(note8);
-                  quarterNotes.push(note8);
-                  quarterBeamBucket.push(note8);
-
-                  const note16b = new StaveNote({
-                    keys: stepData[3].keys,
-                    duration: "16",
+                  note.setStemDirection(part.stem);
+                  if (dotted) attachDot(note);
+                  applyGhostStyling(note, entry.ghostKeyIndices);
+                  applyGhostStemOverride(note, entry.ghostKeyIndices);
+                  applySpecialStemOverride(note);
+                  applyCircledXLargeStyling(note, entry.circledXLargeKeyIndices);
+                  applyAccentArticulation(note, entry.accentKeyIndices);
+                  applyGraceNotes(note, getGraceNotesForStep(grid, entry.globalIdx, part.instruments));
+                  applyRoll(note, getRollForStep(grid, entry.globalIdx, part.instruments), entry.globalIdx);
+                  applyStickingAnnotation(note, entry.stickingSpec, entry.globalIdx);
+                  note.__dgIsBeamed = false;
+                  notes.push(note);
+                  quarterNotes.push(note);
+                  quarterBeamBucket.push(note);
+                  sub += dotted ? len + len / 2 : len;
+                  continue;
+                }
+
+                if (!effectiveMergeRests) {
+                  const rest = new StaveNote({
+                    keys: [part.restKey],
+                    duration: `${durationFromBase(quarterDisplayBase)}r`,
                     clef: "percussion",
                   });
-                  note16b.setStemDirection(1);
-                  applyGhostStyling(note16b, stepData[3].ghostKeyIndices);
-                  applyGhostStemOverride(note16b, stepData[3].ghostKeyIndices);
-                  applySpecialStemOverride(note16b);
-                  applyCircledXLargeStyling(note16b, stepData[3].circledXLargeKeyIndices);
-                  applyAccentArticulation(note16b, stepData[3].accentKeyIndices);
-                  applyStickingAnnotation(note16b, stepData[3].stickingSpec, stepData[3].globalIdx);
-                  note16b.__dgIsBeamed = false;
-                  notes.push(note16b);
-                  quarterNotes.push(note16b);
-                  quarterBeamBucket.push(note16b);
-
-                  sub += 4;
+                  notes.push(rest);
+                  quarterNotes.push(rest);
+                  sub += 1;
                   continue;
                 }
-                let len = 1;
-                if (effectiveMergeNotes) {
-                  const canLen = (candidateLen) => {
-                    if (candidateLen < 1) return false;
-                    const requiresBeatAlignedStart =
-                      candidateLen >= 2 || mergeBaseStepsPerQuarter <= 2;
-                    if (requiresBeatAlignedStart && sub % candidateLen !== 0) return false;
-                    if (sub + candidateLen > subdiv) return false;
-                    for (let k = 1; k < candidateLen; k++) {
-                      if (stepData[sub + k]?.keys.length) return false;
-                    }
-                    return true;
-                  };
-                  for (let p = mergeBaseStepsPerQuarter; p >= 1; p = Math.floor(p / 2)) {
-                    if (canLen(p)) {
-                      len = p;
+
+                let remain = subdiv - sub;
+                let chunk = 1;
+                for (let p = mergeBaseStepsPerQuarter; p >= 1; p = Math.floor(p / 2)) {
+                  if (p > remain || sub % p !== 0) continue;
+                  let canUseChunk = true;
+                  for (let k = 1; k < p; k++) {
+                    if (stepData[sub + k]?.keys.length) {
+                      canUseChunk = false;
                       break;
                     }
                   }
+                  if (canUseChunk) {
+                    chunk = p;
+                    break;
+                  }
                 }
-                let dotted = false;
-                if (effectiveMergeNotes && effectiveDottedNotes && len >= 2) {
-                  const extra = len / 2;
-                  if (sub + len + extra <= subdiv) {
-                    dotted = true;
-                    for (let k = 0; k < extra; k++) {
-                      if (stepData[sub + len + k]?.keys.length) {
-                        dotted = false;
-                        break;
-                      }
-                    }
+                const restDur = `${durationFromLen(chunk, mergeBaseStepsPerQuarter)}r`;
+                const rest = new StaveNote({ keys: [part.restKey], duration: restDur, clef: "percussion" });
+                notes.push(rest);
+                quarterNotes.push(rest);
+                if (chunk === 1) {
+                  const hasHitBefore = stepData.slice(0, sub).some((item) => (item?.keys?.length || 0) > 0);
+                  const hasHitAfter = stepData.slice(sub + chunk).some((item) => (item?.keys?.length || 0) > 0);
+                  if (hasHitBefore && hasHitAfter) {
+                    rest.__dgBeamRest = true;
+                    quarterBeamBucket.push(rest);
                   }
                 }
-
-                const note = new StaveNote({
-                  keys: entry.keys,
-                  duration: durationFromLen(len, mergeBaseStepsPerQuarter),
-                  clef: "percussion",
-                });
-                note.setStemDirection(1);
-                if (dotted) attachDot(note);
+                sub += chunk;
+              }
+            } else {
+              for (let sub = 0; sub < subdiv; sub++) {
+                const entry = stepData[sub];
+                const note = entry.keys.length
+                  ? new StaveNote({ keys: entry.keys, duration: durationFromBase(quarterDisplayBase), clef: "percussion" })
+                  : new StaveNote({ keys: [part.restKey], duration: `${durationFromBase(quarterDisplayBase)}r`, clef: "percussion" });
+                if (entry.keys.length) note.setStemDirection(part.stem);
                 applyGhostStyling(note, entry.ghostKeyIndices);
                 applyGhostStemOverride(note, entry.ghostKeyIndices);
                 applySpecialStemOverride(note);
                 applyCircledXLargeStyling(note, entry.circledXLargeKeyIndices);
                 applyAccentArticulation(note, entry.accentKeyIndices);
+                if (entry.keys.length) applyGraceNotes(note, getGraceNotesForStep(grid, entry.globalIdx, part.instruments));
+                if (entry.keys.length) applyRoll(note, getRollForStep(grid, entry.globalIdx, part.instruments), entry.globalIdx);
                 applyStickingAnnotation(note, entry.stickingSpec, entry.globalIdx);
                 note.__dgIsBeamed = false;
                 notes.push(note);
                 quarterNotes.push(note);
-                quarterBeamBucket.push(note);
-                sub += dotted ? len + len / 2 : len;
-                continue;
+                if (entry.keys.length) quarterBeamBucket.push(note);
               }
+            }
 
-              if (!effectiveMergeRests) {
-                const rest = new StaveNote({
-                  keys: ["b/4"],
-                  duration: `${durationFromBase(quarterDisplayBase)}r`,
-                  clef: "percussion",
+            beamBuckets.push(quarterBeamBucket);
+            if (
+              subdiv !== baseSubdivPerQuarter &&
+              quarterNotes.length > 1 &&
+              shouldShowTupletBracket(subdiv)
+            ) {
+              try {
+                const t = new Vex.Flow.Tuplet(quarterNotes, {
+                  num_notes: subdiv,
+                  notes_occupied: quarterDisplayBase,
+                  bracketed: true,
+                  ratioed: false,
+                  y_offset: subdiv === 6 ? -6 : 0,
+                  edge_inset: 1.5,
+                  ...(part.stem < 0 ? { location: Vex.Flow.Tuplet.LOCATION_BOTTOM } : {}),
                 });
-                notes.push(rest);
-                quarterNotes.push(rest);
-                sub += 1;
-                continue;
-              }
-
-              let remain = subdiv - sub;
-              let chunk = 1;
-              for (let p = mergeBaseStepsPerQuarter; p >= 1; p = Math.floor(p / 2)) {
-                if (p > remain || sub % p !== 0) continue;
-                let canUseChunk = true;
-                for (let k = 1; k < p; k++) {
-                  if (stepData[sub + k]?.keys.length) {
-                    canUseChunk = false;
-                    break;
-                  }
-                }
-                if (canUseChunk) {
-                  chunk = p;
-                  break;
-                }
-              }
-              const restDur = `${durationFromLen(chunk, mergeBaseStepsPerQuarter)}r`;
-              const rest = new StaveNote({ keys: ["b/4"], duration: restDur, clef: "percussion" });
-              notes.push(rest);
-              quarterNotes.push(rest);
-              if (chunk === 1) {
-                const hasHitBefore = stepData.slice(0, sub).some((item) => (item?.keys?.length || 0) > 0);
-                const hasHitAfter = stepData.slice(sub + chunk).some((item) => (item?.keys?.length || 0) > 0);
-                if (hasHitBefore && hasHitAfter) {
-                  rest.__dgBeamRest = true;
-                  quarterBeamBucket.push(rest);
-                }
-              }
-              sub += chunk;
-            }
-          } else {
-            for (let sub = 0; sub < subdiv; sub++) {
-              const entry = stepData[sub];
-              const note = entry.keys.length
-                ? new StaveNote({ keys: entry.keys, duration: durationFromBase(quarterDisplayBase), clef: "percussion" })
-                : new StaveNote({ keys: ["b/4"], duration: `${durationFromBase(quarterDisplayBase)}r`, clef: "percussion" });
-              if (entry.keys.length) note.setStemDirection(1);
-              applyGhostStyling(note, entry.ghostKeyIndices);
-              applyGhostStemOverride(note, entry.ghostKeyIndices);
-              applySpecialStemOverride(note);
-              applyCircledXLargeStyling(note, entry.circledXLargeKeyIndices);
-              applyAccentArticulation(note, entry.accentKeyIndices);
-              applyStickingAnnotation(note, entry.stickingSpec, entry.globalIdx);
-              note.__dgIsBeamed = false;
-              notes.push(note);
-              quarterNotes.push(note);
-              if (entry.keys.length) quarterBeamBucket.push(note);
+                applyTupletEdgeInsetDraw(t);
+                tuplets.push(t);
+              } catch (_) {}
             }
+            localStep += subdiv;
           }
 
-          beamBuckets.push(quarterBeamBucket);
-          if (
-            subdiv !== baseSubdivPerQuarter &&
-            quarterNotes.length > 1 &&
-            shouldShowTupletBracket(subdiv)
-          ) {
-            try {
-              const t = new Vex.Flow.Tuplet(quarterNotes, {
-                num_notes: subdiv,
-                notes_occupied: quarterDisplayBase,
-                bracketed: true,
-                ratioed: false,
-                y_offset: subdiv === 6 ? -6 : 0,
-                edge_inset: 1.5,
-              });
-              applyTupletEdgeInsetDraw(t);
-              tuplets.push(t);
-            } catch (_) {}
-          }
-          localStep += subdiv;
-        }
-
-        const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
-        voice.setStrict(false);
-        voice.addTickables(notes);
-        voices.push(voice);
+          const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
+          voice.setStrict(false);
+          voice.addTickables(notes);
+          barVoices.push(voice);
 
-        try {
-          const quarterBeams = [];
-          beamBuckets.forEach((bucket) => {
-            if (!bucket.length) return;
-            const beams = Beam.generateBeams(bucket, {
-              groups: [new Fraction(1, Math.max(1, Number(barTimeSig?.d) || 4))],
-              stem_direction: 1,
-              beam_rests: bucket.some((note) => note?.__dgBeamRest === true),
-              flat_beams: !!flatBeams,
-            });
-            beams.forEach((beam) => {
-              const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
-              beamNotes.forEach((n) => {
-                n.__dgIsBeamed = beamNotes.length > 1;
+          try {
+            const quarterBeams = [];
+            beamBuckets.forEach((bucket) => {
+              if (!bucket.length) return;
+              const beams = Beam.generateBeams(bucket, {
+                groups: [new Fraction(1, Math.max(1, Number(barTimeSig?.d) || 4))],
+                stem_direction: part.stem,
+                beam_rests: bucket.some((note) => note?.__dgBeamRest === true),
+                flat_beams: !!flatBeams,
+              });
+              beams.forEach((beam) => {
+                const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
+                beamNotes.forEach((n) => {
+                  n.__dgIsBeamed = beamNotes.length > 1;
+                });
               });
+              quarterBeams.push(...beams);
             });
-            quarterBeams.push(...beams);
-          });
-          beamsByBar[b] = quarterBeams;
-        } catch (_) {
-          beamsByBar[b] = [];
-        }
-        tupletsByBar[b] = tuplets;
+            beamsByBar[b].push(...quarterBeams);
+          } catch (_) {}
+          tupletsByBar[b].push(...tuplets);
+        });
+        if (barStyle?.type === "cues") barVoices.push(createStyledBarVoice({ type: "slashes" }, barTimeSig));
+        voices.push(barVoices);
       }
 
       for (let b = 0; b < bars; b++) {
-        const formatter = new Formatter().joinVoices([voices[b]]);
-        formatter.formatToStave([voices[b]], staves[b]);
-        finalizeSpecialStemOverridesForVoice(voices[b]);
-        voices[b].draw(ctx, staves[b]);
-        drawStickingSpecsForVoice(voices[b], svgRoot);
+        const formatter = new Formatter().joinVoices(voices[b]);
+        formatter.formatToStave(voices[b], staves[b]);
+        voices[b].forEach((voice) => {
+          finalizeSpecialStemOverridesForVoice(voice);
+          voice.draw(ctx, staves[b]);
+          drawStickingSpecsForVoice(voice, svgRoot);
+          drawBuzzRollsForVoice(voice, svgRoot);
+        });
+        drawMultiMeasureRest(getBarStyle(b), staves[b]);
         (beamsByBar[b] || []).forEach((beam) => {
           try {
             const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
@@ -1314,10 +1735,14 @@ export default function Notation({
           try { tuplet.setContext(ctx).draw(); } catch (_) {}
         });
       }
+      drawRollTies(ctx);
       drawArrangementTextMarkers(svgRoot, staves);
+      drawNavigationMarks(svgRoot, staves);
+      drawCounting(svgRoot, staves);
+      drawDynamics(svgRoot, staves);
       const svg = ref.current.querySelector("svg");
       if (svg) {
-        drawTwoBarRepeatMarkers(svg, staves, repeatPlan);
+        drawMultiBarRepeatMarkers(svg, staves, repeatPlan);
         svg.style.background = "transparent";
         svg.querySelectorAll("path, line, rect, circle").forEach((el) => {
           el.setAttribute("stroke", notationColor);
@@ -1359,6 +1784,7 @@ export default function Notation({
           stroke: "rgba(34,211,238,0.7)",
           strokeWidth: 1.5,
         });
+        drawNotationBarOverlay(svg, highlightRects, silentBarIndices, SILENT_BAR_OVERLAY);
         setHitLayerVersion((v) => v + 1);
       }
       return;
@@ -1408,7 +1834,7 @@ export default function Notation({
       }))
     );
     const rows = resolvedRowBarCounts.length;
-    const systemHeight = 108;
+    const systemHeight = 108 + dynamicsRowHeight;
     const height = 47 + rows * systemHeight;
     const naturalRowWidths = Array.from({ length: rows }, (_, rowIdx) => {
       const start = rowStartBars[rowIdx] ?? 0;
@@ -1466,7 +1892,7 @@ export default function Notation({
     const createRepeatVoiceForBar = (repeatInfo, barTimeSig) => {
       const tickables = [];
       if (repeatInfo?.type && repeatInfo.type !== "follower") {
-        if (repeatInfo.type === "2") {
+        if (repeatInfo.type === "2" || repeatInfo.type === "4") {
           tickables.push(new Flow.GhostNote("q"));
           tickables.push(new Flow.GhostNote("q"));
         } else {
@@ -1510,6 +1936,7 @@ export default function Notation({
 
       // Remove repeated left barline so bars connect visually
       if (col > 0) stave.setBegBarType(Barline.type.NONE);
+      applyNavigationBarlines(stave, b);
 
       if (col === 0) {
         stave.addClef("percussion");
@@ -1521,505 +1948,525 @@ export default function Notation({
 
       const repeatInfo = repeatPlan[b];
       if (repeatInfo) {
-        voices.push(createRepeatVoiceForBar(repeatInfo, barTimeSig));
+        voices.push([createRepeatVoiceForBar(repeatInfo, barTimeSig)]);
         beamsByBar[b] = [];
         beamBucketsByBar[b] = [];
         continue;
       }
+      const barStyle = getBarStyle(b);
+      if (barStyle && barStyle.type !== "cues") {
+        voices.push([createStyledBarVoice(barStyle, barTimeSig)]);
+        continue;
+      }
 
-      const notes = [];
-      const noteStarts = [];
-      const barStartStep = renderBarStepOffsets[b] ?? 0;
-      const pushNote = (n, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec = [], stepIdx = -1) => {
-        applyGhostStyling(n, ghostKeyIndices);
-        applyGhostStemOverride(n, ghostKeyIndices);
-        applySpecialStemOverride(n);
-        applyCircledXLargeStyling(n, circledXLargeKeyIndices);
-        applyAccentArticulation(n, accentKeyIndices);
-        applyStickingAnnotation(n, stickingSpec, stepIdx);
-        n.__dgIsBeamed = false;
-        notes.push(n);
-        noteStarts.push(s);
-      };
+      const barVoices = [];
+      getBarVoiceParts(b).forEach((part) => {
+        const getPartStickingSpec = (stepIdx) => (part.sticking ? getStickingSpecForStep(stepIdx) : []);
+        const notes = [];
+        const noteStarts = [];
+        const barStartStep = renderBarStepOffsets[b] ?? 0;
+        const pushNote = (n, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec = [], stepIdx = -1) => {
+          applyGhostStyling(n, ghostKeyIndices);
+          applyGhostStemOverride(n, ghostKeyIndices);
+          applySpecialStemOverride(n);
+          applyCircledXLargeStyling(n, circledXLargeKeyIndices);
+          applyAccentArticulation(n, accentKeyIndices);
+          applyGraceNotes(n, getGraceNotesForStep(notationGrid, stepIdx, part.instruments));
+          applyRoll(n, getRollForStep(notationGrid, stepIdx, part.instruments), stepIdx);
+          applyStickingAnnotation(n, stickingSpec, stepIdx);
+          n.__dgIsBeamed = false;
+          notes.push(n);
+          noteStarts.push(s);
+        };
 
-      let s = 0;
-      while (s < stepsPerBarN) {
-        const globalIdx = barStartStep + s;
-        const stickingSpec = getStickingSpecForStep(globalIdx);
-
-        const keys = [];
-        const ghostKeyIndices = [];
-        const circledXLargeKeyIndices = [];
-        const accentKeyIndices = [];
-
-        instruments.forEach((inst) => {
-          const val = notationGrid[inst.id]?.[globalIdx] ?? CELL.OFF;
-          if (val !== CELL.OFF) {
-            const notation = NOTATION_MAP[inst.id];
-            if (!notation) return;
-            keys.push(notation.key);
-            const keyIndex = keys.length - 1;
-            if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) {
-              ghostKeyIndices.push(keyIndex);
-            }
-            if (val === CELL.ACCENT) {
-              accentKeyIndices.push(keyIndex);
-            }
-            if (inst.id === "china" || inst.id === "hihatOpen") {
-              circledXLargeKeyIndices.push(keyIndex);
-            }
-          }
-        });
-const isRest = keys.length === 0;
+        let s = 0;
+        while (s < stepsPerBarN) {
+          const globalIdx = barStartStep + s;
+          const stickingSpec = getPartStickingSpec(globalIdx);
 
-        // Merge notes/rests to larger durations (optional)
-        const stepsPerBeatN = Math.max(1, Math.round(notationResolution / barTimeSig.d));
-        const subInBeat = stepsPerBeatN === 0 ? 0 : (s % stepsPerBeatN);
+          const keys = [];
+          const ghostKeyIndices = [];
+          const circledXLargeKeyIndices = [];
+          const accentKeyIndices = [];
 
-        const hasAnyHitAt = (absIdx) => {
-      for (const inst of instruments) {
-        if ((notationGrid[inst.id]?.[absIdx] ?? CELL.OFF) !== CELL.OFF) return true;
-      }
-      return false;
-    };
-
-        const isStepEmpty = (absIdx) => !hasAnyHitAt(absIdx);
-        const getStepEntry = (absIdx) => {
-          const entryKeys = [];
-          const entryGhostKeyIndices = [];
-          const entryCircledXLargeKeyIndices = [];
-          const entryAccentKeyIndices = [];
-          instruments.forEach((inst) => {
-            const val = notationGrid[inst.id]?.[absIdx] ?? CELL.OFF;
-            if (val === CELL.OFF) return;
-            const notation = NOTATION_MAP[inst.id];
-            if (!notation) return;
-            entryKeys.push(notation.key);
-            const keyIndex = entryKeys.length - 1;
-            if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) {
-              entryGhostKeyIndices.push(keyIndex);
-            }
-            if (val === CELL.ACCENT) {
-              entryAccentKeyIndices.push(keyIndex);
-            }
-            if (inst.id === "china" || inst.id === "hihatOpen") {
-              entryCircledXLargeKeyIndices.push(keyIndex);
+          part.instruments.forEach((inst) => {
+            const val = notationGrid[inst.id]?.[globalIdx] ?? CELL.OFF;
+            if (val !== CELL.OFF) {
+              const notation = resolvedNotationMap[inst.id];
+              if (!notation) return;
+              keys.push(part.cueKey || notation.key);
+              const keyIndex = keys.length - 1;
+              if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) {
+                ghostKeyIndices.push(keyIndex);
+              }
+              if (val === CELL.ACCENT) {
+                accentKeyIndices.push(keyIndex);
+              }
+              if (notation.notehead === "circleX") {
+                circledXLargeKeyIndices.push(keyIndex);
+              }
             }
           });
-          return {
-            keys: entryKeys,
-            ghostKeyIndices: entryGhostKeyIndices,
-            circledXLargeKeyIndices: entryCircledXLargeKeyIndices,
-            accentKeyIndices: entryAccentKeyIndices,
-            stickingSpec: getStickingSpecForStep(absIdx),
-            globalIdx: absIdx,
+  const isRest = keys.length === 0;
+
+          // Merge notes/rests to larger durations (optional)
+          const stepsPerBeatN = Math.max(1, Math.round(notationResolution / barTimeSig.d));
+          const subInBeat = stepsPerBeatN === 0 ? 0 : (s % stepsPerBeatN);
+
+          const hasAnyHitAt = (absIdx) => {
+        for (const inst of part.instruments) {
+          if ((notationGrid[inst.id]?.[absIdx] ?? CELL.OFF) !== CELL.OFF) return true;
+        }
+        return false;
+      };
+
+          const isStepEmpty = (absIdx) => !hasAnyHitAt(absIdx);
+          const getStepEntry = (absIdx) => {
+            const entryKeys = [];
+            const entryGhostKeyIndices = [];
+            const entryCircledXLargeKeyIndices = [];
+            const entryAccentKeyIndices = [];
+            part.instruments.forEach((inst) => {
+              const val = notationGrid[inst.id]?.[absIdx] ?? CELL.OFF;
+              if (val === CELL.OFF) return;
+              const notation = resolvedNotationMap[inst.id];
+              if (!notation) return;
+              entryKeys.push(part.cueKey || notation.key);
+              const keyIndex = entryKeys.length - 1;
+              if (val === CELL.GHOST && GHOST_NOTATION_ENABLED.has(inst.id)) {
+                entryGhostKeyIndices.push(keyIndex);
+              }
+              if (val === CELL.ACCENT) {
+                entryAccentKeyIndices.push(keyIndex);
+              }
+              if (notation.notehead === "circleX") {
+                entryCircledXLargeKeyIndices.push(keyIndex);
+              }
+            });
+            return {
+              keys: entryKeys,
+              ghostKeyIndices: entryGhostKeyIndices,
+              circledXLargeKeyIndices: entryCircledXLargeKeyIndices,
+              accentKeyIndices: entryAccentKeyIndices,
+              stickingSpec: getPartStickingSpec(absIdx),
+              globalIdx: absIdx,
+            };
           };
-        };
 
-        const allowDotted = effectiveDottedNotes && ("all" === "all" || notationResolution > 8);
-        // Dotted notes should not cross the "beam group" divisions of the bar.
-        // Example: in 4/4, don't dot across quarter-note beats; in 6/8, don't dot across the 3+3 grouping.
-        const beamGroupsPerBar = (() => {
-          // Compound meters like 6/8, 9/8, 12/8: group in dotted quarters (3 eighths)
-          if (barTimeSig.d === 8 && barTimeSig.n % 3 === 0 && barTimeSig.n > 3) return barTimeSig.n / 3;
-          // Simple meters: group by beats in the numerator (e.g., 4/4 -> 4, 3/4 -> 3)
-          return barTimeSig.n;
-        })();
-        const groupSizeSteps = stepsPerBarN / beamGroupsPerBar;
-        const inSameBeamGroup = (startStep, endExclusiveStep) => {
-          const last = endExclusiveStep - 1;
-          return Math.floor(startStep / groupSizeSteps) === Math.floor(last / groupSizeSteps);
-        };
+          const allowDotted = effectiveDottedNotes && ("all" === "all" || notationResolution > 8);
+          // Dotted notes should not cross the "beam group" divisions of the bar.
+          // Example: in 4/4, don't dot across quarter-note beats; in 6/8, don't dot across the 3+3 grouping.
+          const beamGroupsPerBar = (() => {
+            // Compound meters like 6/8, 9/8, 12/8: group in dotted quarters (3 eighths)
+            if (barTimeSig.d === 8 && barTimeSig.n % 3 === 0 && barTimeSig.n > 3) return barTimeSig.n / 3;
+            // Simple meters: group by beats in the numerator (e.g., 4/4 -> 4, 3/4 -> 3)
+            return barTimeSig.n;
+          })();
+          const groupSizeSteps = stepsPerBarN / beamGroupsPerBar;
+          const inSameBeamGroup = (startStep, endExclusiveStep) => {
+            const last = endExclusiveStep - 1;
+            return Math.floor(startStep / groupSizeSteps) === Math.floor(last / groupSizeSteps);
+          };
 
 
-        // --- Merge NOTES ---
-        if (effectiveMergeNotes && !isRest) {
-          if (notationResolution === 16 && stepsPerBeatN === 4 && subInBeat === 0 && s + 3 < stepsPerBarN) {
-            const entry0 = getStepEntry(barStartStep + s);
-            const entry1 = getStepEntry(barStartStep + (s + 1));
-            const entry2 = getStepEntry(barStartStep + (s + 2));
-            const entry3 = getStepEntry(barStartStep + (s + 3));
-            if (entry0.keys.length && entry1.keys.length && !entry2.keys.length && entry3.keys.length) {
-              const note16a = new StaveNote({ keys: entry0.keys, duration: "16", clef: "percussion" });
-              note16a.setStemDirection(1);
-              pushNote(
-                note16a,
-                entry0.ghostKeyIndices,
-                entry0.circledXLargeKeyIndices,
-                entry0.accentKeyIndices,
-                entry0.stickingSpec,
-                entry0.globalIdx
-              );
-              const note8 = new StaveNote({ keys: entry1.keys, duration: "8", clef: "percussion" });
-              note8.setStemDirection(1);
-              pushNote(
-                note8,
-                entry1.ghostKeyIndices,
-                entry1.circledXLargeKeyIndices,
-                entry1.accentKeyIndices,
-                entry1.stickingSpec,
-                entry1.globalIdx
-              );
-              const note16b = new StaveNote({ keys: entry3.keys, duration: "16", clef: "percussion" });
-              note16b.setStemDirection(1);
-              pushNote(
-                note16b,
-                entry3.ghostKeyIndices,
-                entry3.circledXLargeKeyIndices,
-                entry3.accentKeyIndices,
-                entry3.stickingSpec,
-                entry3.globalIdx
-              );
-              s += 4;
-              continue;
-            }
-          }
-          // 8ths in x/4: beat is a quarter, pattern: [hit][empty] -> quarter note
-          if (notationResolution === 8 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
-            if (isStepEmpty(barStartStep + (s + 1))) {
-              const noteQ = new StaveNote({ keys, duration: "q", clef: "percussion" });
-              noteQ.setStemDirection(1);
-              pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
-                if (allowDotted && effectiveMergeNotes) {
-                  const after = barStartStep + (s + 2);
-                  if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
-                    attachDot(noteQ);
-                    s += 3;
-                    continue;
-                  }
-                }
-                s += 2;
+          // --- Merge NOTES ---
+          if (effectiveMergeNotes && !isRest) {
+            if (notationResolution === 16 && stepsPerBeatN === 4 && subInBeat === 0 && s + 3 < stepsPerBarN) {
+              const entry0 = getStepEntry(barStartStep + s);
+              const entry1 = getStepEntry(barStartStep + (s + 1));
+              const entry2 = getStepEntry(barStartStep + (s + 2));
+              const entry3 = getStepEntry(barStartStep + (s + 3));
+              if (entry0.keys.length && entry1.keys.length && !entry2.keys.length && entry3.keys.length) {
+                const note16a = new StaveNote({ keys: entry0.keys, duration: "16", clef: "percussion" });
+                note16a.setStemDirection(part.stem);
+                pushNote(
+                  note16a,
+                  entry0.ghostKeyIndices,
+                  entry0.circledXLargeKeyIndices,
+                  entry0.accentKeyIndices,
+                  entry0.stickingSpec,
+                  entry0.globalIdx
+                );
+                const note8 = new StaveNote({ keys: entry1.keys, duration: "8", clef: "percussion" });
+                note8.setStemDirection(part.stem);
+                pushNote(
+                  note8,
+                  entry1.ghostKeyIndices,
+                  entry1.circledXLargeKeyIndices,
+                  entry1.accentKeyIndices,
+                  entry1.stickingSpec,
+                  entry1.globalIdx
+                );
+                const note16b = new StaveNote({ keys: entry3.keys, duration: "16", clef: "percussion" });
+                note16b.setStemDirection(part.stem);
+                pushNote(
+                  note16b,
+                  entry3.ghostKeyIndices,
+                  entry3.circledXLargeKeyIndices,
+                  entry3.accentKeyIndices,
+                  entry3.stickingSpec,
+                  entry3.globalIdx
+                );
+                s += 4;
                 continue;
+              }
             }
-          }
-
-          // 16ths:
-          // - In x/4 (stepsPerBeatN=4):
-          //   * [hit][empty][empty][empty] at beat start -> quarter note
-          //   * [hit][empty] at 8th boundaries (sub 0 or 2) -> eighth note
-          if (notationResolution === 16 && stepsPerBeatN === 4) {
-            if (subInBeat === 0 && s + 3 < stepsPerBarN) {
-              const a = barStartStep + (s + 1);
-              const b2 = barStartStep + (s + 2);
-              const c = barStartStep + (s + 3);
-              if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
+            // 8ths in x/4: beat is a quarter, pattern: [hit][empty] -> quarter note
+            if (notationResolution === 8 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
+              if (isStepEmpty(barStartStep + (s + 1))) {
                 const noteQ = new StaveNote({ keys, duration: "q", clef: "percussion" });
-                noteQ.setStemDirection(1);
+                noteQ.setStemDirection(part.stem);
                 pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
-                s += 4;
-                continue;
+                  if (allowDotted && effectiveMergeNotes) {
+                    const after = barStartStep + (s + 2);
+                    if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
+                      attachDot(noteQ);
+                      s += 3;
+                      continue;
+                    }
+                  }
+                  s += 2;
+                  continue;
               }
             }
-            if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
-              const next = barStartStep + (s + 1);
-              if (isStepEmpty(next)) {
-                const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
-                note8.setStemDirection(1);
-                pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
-                if (allowDotted && effectiveMergeNotes) {
-                  const after = barStartStep + (s + 2);
-                  if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
-                    attachDot(note8);
-                    s += 3;
-                    continue;
+
+            // 16ths:
+            // - In x/4 (stepsPerBeatN=4):
+            //   * [hit][empty][empty][empty] at beat start -> quarter note
+            //   * [hit][empty] at 8th boundaries (sub 0 or 2) -> eighth note
+            if (notationResolution === 16 && stepsPerBeatN === 4) {
+              if (subInBeat === 0 && s + 3 < stepsPerBarN) {
+                const a = barStartStep + (s + 1);
+                const b2 = barStartStep + (s + 2);
+                const c = barStartStep + (s + 3);
+                if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
+                  const noteQ = new StaveNote({ keys, duration: "q", clef: "percussion" });
+                  noteQ.setStemDirection(part.stem);
+                  pushNote(noteQ, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+                  s += 4;
+                  continue;
+                }
+              }
+              if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
+                const next = barStartStep + (s + 1);
+                if (isStepEmpty(next)) {
+                  const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
+                  note8.setStemDirection(part.stem);
+                  pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+                  if (allowDotted && effectiveMergeNotes) {
+                    const after = barStartStep + (s + 2);
+                    if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
+                      attachDot(note8);
+                      s += 3;
+                      continue;
+                    }
                   }
+                  s += 2;
+                  continue;
                 }
-                s += 2;
-                continue;
               }
             }
-          }
 
           
-          // 32nds:
-          // - In x/4 (stepsPerBeatN=8):
-          //   * [hit][empty x7] at beat start -> quarter note
-          //   * [hit][empty x3] at 8th boundaries (sub 0 or 4) -> eighth note
-          //   * [hit][empty] at 16th boundaries (sub 0,2,4,6) -> 16th note
-          if (notationResolution === 32 && (stepsPerBeatN === 8 || stepsPerBeatN === 4)) {
-            // 32nd-grid per-hit downsampling (32 -> 16 -> 8 -> 4) based on silence to the right.
-            // This keeps bar math correct and prefers the longest simple value to minimize rests.
-            const abs = barStartStep + s;
-
-            // Choose longest power-of-two length (in 32nd steps) that:
-            // 1) starts aligned (s % len === 0),
-            // 2) has no hits in the covered window (excluding the first step),
-            // 3) does not cross the current beam group division.
-            const canLen = (len) => {
-              if (s % len !== 0) return false;
-              if (s + (len - 1) >= stepsPerBarN) return false;
-              if (!inSameBeamGroup(s, s + len)) return false;
-              for (let k = 1; k < len; k++) {
-                if (!isStepEmpty(abs + k)) return false;
-              }
-              return true;
-            };
-
-            let len = 1;
-            if (canLen(2)) len = 2;
-            if (canLen(4)) len = 4;
-            if (canLen(8)) len = 8;
-
-            // Optional dotted extension (adds half the base length), only if it fits in-group and is silent.
-            // dotted 16th: 2+1=3, dotted 8th: 4+2=6, dotted quarter: 8+4=12
-            let dotted = false;
-            if (allowDotted && len >= 2) {
-              const extra = len / 2;
-              if (s + (len + extra - 1) < stepsPerBarN && inSameBeamGroup(s, s + len + extra)) {
-                let ok = true;
-                for (let k = len; k < len + extra; k++) {
-                  if (!isStepEmpty(abs + k)) { ok = false; break; }
+            // 32nds:
+            // - In x/4 (stepsPerBeatN=8):
+            //   * [hit][empty x7] at beat start -> quarter note
+            //   * [hit][empty x3] at 8th boundaries (sub 0 or 4) -> eighth note
+            //   * [hit][empty] at 16th boundaries (sub 0,2,4,6) -> 16th note
+            if (notationResolution === 32 && (stepsPerBeatN === 8 || stepsPerBeatN === 4)) {
+              // 32nd-grid per-hit downsampling (32 -> 16 -> 8 -> 4) based on silence to the right.
+              // This keeps bar math correct and prefers the longest simple value to minimize rests.
+              const abs = barStartStep + s;
+
+              // Choose longest power-of-two length (in 32nd steps) that:
+              // 1) starts aligned (s % len === 0),
+              // 2) has no hits in the covered window (excluding the first step),
+              // 3) does not cross the current beam group division.
+              const canLen = (len) => {
+                if (s % len !== 0) return false;
+                if (s + (len - 1) >= stepsPerBarN) return false;
+                if (!inSameBeamGroup(s, s + len)) return false;
+                for (let k = 1; k < len; k++) {
+                  if (!isStepEmpty(abs + k)) return false;
+                }
+                return true;
+              };
+
+              let len = 1;
+              if (canLen(2)) len = 2;
+              if (canLen(4)) len = 4;
+              if (canLen(8)) len = 8;
+
+              // Optional dotted extension (adds half the base length), only if it fits in-group and is silent.
+              // dotted 16th: 2+1=3, dotted 8th: 4+2=6, dotted quarter: 8+4=12
+              let dotted = false;
+              if (allowDotted && len >= 2) {
+                const extra = len / 2;
+                if (s + (len + extra - 1) < stepsPerBarN && inSameBeamGroup(s, s + len + extra)) {
+                  let ok = true;
+                  for (let k = len; k < len + extra; k++) {
+                    if (!isStepEmpty(abs + k)) { ok = false; break; }
+                  }
+                  if (ok) dotted = true;
                 }
-                if (ok) dotted = true;
               }
-            }
 
-            const dur =
-              len === 8 ? "q" :
-              len === 4 ? "8" :
-              len === 2 ? "16" :
-              "32";
+              const dur =
+                len === 8 ? "q" :
+                len === 4 ? "8" :
+                len === 2 ? "16" :
+                "32";
 
-            const note = new StaveNote({ keys, duration: dur, clef: "percussion" });
-            note.setStemDirection(1);
-            if (dotted) attachDot(note);
-            pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+              const note = new StaveNote({ keys, duration: dur, clef: "percussion" });
+              note.setStemDirection(part.stem);
+              if (dotted) attachDot(note);
+              pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
 
-            s += dotted ? (len + len / 2) : len;
-            continue;
-          }
+              s += dotted ? (len + len / 2) : len;
+              continue;
+            }
 
 
-          // 32nds in x/8 (stepsPerBeatN=4):
-          //   * [hit][empty x3] at beat start -> eighth note
-          //   * [hit][empty] at 16th boundaries (sub 0 or 2) -> 16th note
+            // 32nds in x/8 (stepsPerBeatN=4):
+            //   * [hit][empty x3] at beat start -> eighth note
+            //   * [hit][empty] at 16th boundaries (sub 0 or 2) -> 16th note
           
 
 
-// 16ths in x/8 (stepsPerBeatN=2): [hit][empty] -> eighth note (beat unit)
-          if (notationResolution === 16 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
-            if (isStepEmpty(barStartStep + (s + 1))) {
-              const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
-              note8.setStemDirection(1);
-              pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
-                if (allowDotted && effectiveMergeNotes) {
-                  const after = barStartStep + (s + 2);
-                  if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
-                    attachDot(note8);
-                    s += 3;
-                    continue;
+  // 16ths in x/8 (stepsPerBeatN=2): [hit][empty] -> eighth note (beat unit)
+            if (notationResolution === 16 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
+              if (isStepEmpty(barStartStep + (s + 1))) {
+                const note8 = new StaveNote({ keys, duration: "8", clef: "percussion" });
+                note8.setStemDirection(part.stem);
+                pushNote(note8, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+                  if (allowDotted && effectiveMergeNotes) {
+                    const after = barStartStep + (s + 2);
+                    if (s + 2 < stepsPerBarN && isStepEmpty(after) && inSameBeamGroup(s, s + 3)) {
+                      attachDot(note8);
+                      s += 3;
+                      continue;
+                    }
                   }
-                }
-                s += 2;
-                continue;
-            }
-          }
-        }
-
-        // --- Merge RESTS ---
-        if (effectiveMergeRests && isRest) {
-          // 8ths in x/4: [rest][rest] at beat start -> quarter rest
-          if (notationResolution === 8 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
-            if (isStepEmpty(barStartStep + (s + 1))) {
-              pushNote(new StaveNote({ keys: ["b/4"], duration: "qr", clef: "percussion" }));
-              s += 2;
-              continue;
+                  s += 2;
+                  continue;
+              }
             }
           }
 
-          // 16ths in x/4:
-          //  * [rest][rest][rest][rest] at beat start -> quarter rest
-          //  * [rest][rest] at 8th boundaries (sub 0 or 2) -> eighth rest
-          if (notationResolution === 16 && stepsPerBeatN === 4) {
-            if (subInBeat === 0 && s + 3 < stepsPerBarN) {
-              const a = barStartStep + (s + 1);
-              const b2 = barStartStep + (s + 2);
-              const c = barStartStep + (s + 3);
-              if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "qr", clef: "percussion" }));
-                s += 4;
+          // --- Merge RESTS ---
+          if (effectiveMergeRests && isRest) {
+            // 8ths in x/4: [rest][rest] at beat start -> quarter rest
+            if (notationResolution === 8 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
+              if (isStepEmpty(barStartStep + (s + 1))) {
+                pushNote(new StaveNote({ keys: [part.restKey], duration: "qr", clef: "percussion" }));
+                s += 2;
                 continue;
               }
             }
-            if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
-              const next = barStartStep + (s + 1);
-              if (isStepEmpty(next)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "8r", clef: "percussion" }));
-                s += 2;
-                continue;
+
+            // 16ths in x/4:
+            //  * [rest][rest][rest][rest] at beat start -> quarter rest
+            //  * [rest][rest] at 8th boundaries (sub 0 or 2) -> eighth rest
+            if (notationResolution === 16 && stepsPerBeatN === 4) {
+              if (subInBeat === 0 && s + 3 < stepsPerBarN) {
+                const a = barStartStep + (s + 1);
+                const b2 = barStartStep + (s + 2);
+                const c = barStartStep + (s + 3);
+                if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "qr", clef: "percussion" }));
+                  s += 4;
+                  continue;
+                }
+              }
+              if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
+                const next = barStartStep + (s + 1);
+                if (isStepEmpty(next)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "8r", clef: "percussion" }));
+                  s += 2;
+                  continue;
+                }
               }
             }
-          }
 
           
-          // 32nds in x/4 (stepsPerBeatN=8):
-          //  * [rest x8] at beat start -> quarter rest
-          //  * [rest x4] at 8th boundaries (sub 0 or 4) -> eighth rest
-          //  * [rest x2] at 16th boundaries (sub 0,2,4,6) -> 16th rest
-          if (notationResolution === 32 && stepsPerBeatN === 8) {
-            if (subInBeat === 0 && s + 7 < stepsPerBarN) {
-              const empties = Array.from({ length: 7 }, (_, i) => barStartStep + (s + 1 + i));
-              if (empties.every(isStepEmpty)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "qr", clef: "percussion" }));
-                s += 8;
-                continue;
+            // 32nds in x/4 (stepsPerBeatN=8):
+            //  * [rest x8] at beat start -> quarter rest
+            //  * [rest x4] at 8th boundaries (sub 0 or 4) -> eighth rest
+            //  * [rest x2] at 16th boundaries (sub 0,2,4,6) -> 16th rest
+            if (notationResolution === 32 && stepsPerBeatN === 8) {
+              if (subInBeat === 0 && s + 7 < stepsPerBarN) {
+                const empties = Array.from({ length: 7 }, (_, i) => barStartStep + (s + 1 + i));
+                if (empties.every(isStepEmpty)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "qr", clef: "percussion" }));
+                  s += 8;
+                  continue;
+                }
               }
-            }
-            if ((subInBeat === 0 || subInBeat === 4) && s + 3 < stepsPerBarN) {
-              const a = barStartStep + (s + 1);
-              const b2 = barStartStep + (s + 2);
-              const c = barStartStep + (s + 3);
-              if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "8r", clef: "percussion" }));
-                s += 4;
-                continue;
+              if ((subInBeat === 0 || subInBeat === 4) && s + 3 < stepsPerBarN) {
+                const a = barStartStep + (s + 1);
+                const b2 = barStartStep + (s + 2);
+                const c = barStartStep + (s + 3);
+                if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "8r", clef: "percussion" }));
+                  s += 4;
+                  continue;
+                }
               }
-            }
-            if ((subInBeat === 0 || subInBeat === 2 || subInBeat === 4 || subInBeat === 6) && s + 1 < stepsPerBarN) {
-              const next = barStartStep + (s + 1);
-              if (isStepEmpty(next)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "16r", clef: "percussion" }));
-                s += 2;
-                continue;
+              if ((subInBeat === 0 || subInBeat === 2 || subInBeat === 4 || subInBeat === 6) && s + 1 < stepsPerBarN) {
+                const next = barStartStep + (s + 1);
+                if (isStepEmpty(next)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "16r", clef: "percussion" }));
+                  s += 2;
+                  continue;
+                }
               }
             }
-          }
 
-          // 32nds in x/8 (stepsPerBeatN=4):
-          //  * [rest x4] -> eighth rest
-          //  * [rest x2] -> 16th rest
-          if (notationResolution === 32 && stepsPerBeatN === 4) {
-            if (subInBeat === 0 && s + 3 < stepsPerBarN) {
-              const a = barStartStep + (s + 1);
-              const b2 = barStartStep + (s + 2);
-              const c = barStartStep + (s + 3);
-              if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "8r", clef: "percussion" }));
-                s += 4;
-                continue;
+            // 32nds in x/8 (stepsPerBeatN=4):
+            //  * [rest x4] -> eighth rest
+            //  * [rest x2] -> 16th rest
+            if (notationResolution === 32 && stepsPerBeatN === 4) {
+              if (subInBeat === 0 && s + 3 < stepsPerBarN) {
+                const a = barStartStep + (s + 1);
+                const b2 = barStartStep + (s + 2);
+                const c = barStartStep + (s + 3);
+                if (isStepEmpty(a) && isStepEmpty(b2) && isStepEmpty(c)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "8r", clef: "percussion" }));
+                  s += 4;
+                  continue;
+                }
+              }
+              if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
+                const next = barStartStep + (s + 1);
+                if (isStepEmpty(next)) {
+                  pushNote(new StaveNote({ keys: [part.restKey], duration: "16r", clef: "percussion" }));
+                  s += 2;
+                  continue;
+                }
               }
             }
-            if ((subInBeat === 0 || subInBeat === 2) && s + 1 < stepsPerBarN) {
-              const next = barStartStep + (s + 1);
-              if (isStepEmpty(next)) {
-                pushNote(new StaveNote({ keys: ["b/4"], duration: "16r", clef: "percussion" }));
+
+
+  // 16ths in x/8 (stepsPerBeatN=2): [rest][rest] -> eighth rest
+            if (notationResolution === 16 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
+              if (isStepEmpty(barStartStep + (s + 1))) {
+                pushNote(new StaveNote({ keys: [part.restKey], duration: "8r", clef: "percussion" }));
                 s += 2;
                 continue;
               }
             }
           }
 
-
-// 16ths in x/8 (stepsPerBeatN=2): [rest][rest] -> eighth rest
-          if (notationResolution === 16 && stepsPerBeatN === 2 && subInBeat === 0 && s + 1 < stepsPerBarN) {
-            if (isStepEmpty(barStartStep + (s + 1))) {
-              pushNote(new StaveNote({ keys: ["b/4"], duration: "8r", clef: "percussion" }));
-              s += 2;
-              continue;
-            }
+          if (isRest) {
+            pushNote(new StaveNote({ keys: [part.restKey], duration: dur + "r", clef: "percussion" }));
+            s += 1;
+            continue;
           }
-        }
-
-        if (isRest) {
-          pushNote(new StaveNote({ keys: ["b/4"], duration: dur + "r", clef: "percussion" }));
-          s += 1;
-          continue;
-        }
 
-        const note = new StaveNote({ keys, duration: dur, clef: "percussion" });
-        // Force stems (and therefore beams) upwards
-        note.setStemDirection(1);
+          const note = new StaveNote({ keys, duration: dur, clef: "percussion" });
+          // Force stems (and therefore beams) in the voice direction
+          note.setStemDirection(part.stem);
 
-        // MVP: if any cymbal is present in this slice, use X noteheads for the chord.
-        // Next upgrade: per-key notehead types.
+          // MVP: if any cymbal is present in this slice, use X noteheads for the chord.
+          // Next upgrade: per-key notehead types.
 
-        pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
-        s += 1;
-      }
-
-      const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
-      voice.setMode(Voice.Mode.SOFT);
-      voice.addTickables(notes);
-      voices.push(voice);
+          pushNote(note, ghostKeyIndices, circledXLargeKeyIndices, accentKeyIndices, stickingSpec, globalIdx);
+          s += 1;
+        }
 
-      // Beaming groups
-      if (barTimeSig.n === 6 && barTimeSig.d === 8) {
-        // Typical 6/8: 3+3 grouping
-      } else {
-        // Beam by beat unit
-      }
+        const voice = new Voice({ num_beats: barTimeSig.n, beat_value: barTimeSig.d });
+        voice.setMode(Voice.Mode.SOFT);
+        voice.addTickables(notes);
+        barVoices.push(voice);
 
-      // Safety: enforce stem up on all non-rest notes before beaming
-      notes.forEach((n) => {
-        try {
-          if (typeof n.isRest === "function" ? !n.isRest() : !String(n.getDuration?.() ?? "").includes("r")) {
-            n.setStemDirection?.(1);
-          }
-        } catch (e) {}
-      });
+        // Beaming groups
+        if (barTimeSig.n === 6 && barTimeSig.d === 8) {
+          // Typical 6/8: 3+3 grouping
+        } else {
+          // Beam by beat unit
+        }
 
-// Generate beams *within* each beam group division only (never across groups).
-      // This prevents later beats from affecting earlier beaming (e.g., dotted 8th + 16th in beat 1).
-      const groupBuckets = Array.from({ length: beamGroupsPerBar }, () => []);
-      const groupSizeSteps = stepsPerBarN / beamGroupsPerBar;
-for (let i = 0; i < notes.length; i++) {
-        const st = noteStarts[i] ?? CELL.OFF;
-        const g = Math.max(0, Math.min(beamGroupsPerBar - 1, Math.floor(st / groupSizeSteps)));
-        groupBuckets[g].push(notes[i]);
-      }
-      groupBuckets.forEach((bucket) => {
-        if (!bucket.length) return;
-        const beams = Beam.generateBeams(bucket, {
-          groups,
-          stem_direction: 1,
-          beam_rests: bucket.some((note) => note?.__dgBeamRest === true),
-          flat_beams: !!flatBeams,
+        // Safety: enforce the voice stem direction on all non-rest notes before beaming
+        notes.forEach((n) => {
+          try {
+            if (typeof n.isRest === "function" ? !n.isRest() : !String(n.getDuration?.() ?? "").includes("r")) {
+              n.setStemDirection?.(part.stem);
+            }
+          } catch (e) {}
         });
-        beams.forEach((beam) => {
-          const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
-          beamNotes.forEach((n) => {
-            n.__dgIsBeamed = beamNotes.length > 1;
+
+  // Generate beams *within* each beam group division only (never across groups).
+        // This prevents later beats from affecting earlier beaming (e.g., dotted 8th + 16th in beat 1).
+        const groupBuckets = Array.from({ length: beamGroupsPerBar }, () => []);
+        const groupSizeSteps = stepsPerBarN / beamGroupsPerBar;
+  for (let i = 0; i < notes.length; i++) {
+          const st = noteStarts[i] ?? CELL.OFF;
+          const g = Math.max(0, Math.min(beamGroupsPerBar - 1, Math.floor(st / groupSizeSteps)));
+          groupBuckets[g].push(notes[i]);
+        }
+        groupBuckets.forEach((bucket) => {
+          if (!bucket.length) return;
+          const beams = Beam.generateBeams(bucket, {
+            groups,
+            stem_direction: part.stem,
+            beam_rests: bucket.some((note) => note?.__dgBeamRest === true),
+            flat_beams: !!flatBeams,
           });
+          beams.forEach((beam) => {
+            const beamNotes = (typeof beam.getNotes === "function" ? beam.getNotes() : beam.notes) || [];
+            beamNotes.forEach((n) => {
+              n.__dgIsBeamed = beamNotes.length > 1;
+            });
+          });
+          beamsByBar[b].push(...beams);
+          // Store buckets so we can regenerate beams cleanly for bar-level alignment.
+          beamBucketsByBar[b].push({ notes: bucket.slice(), stem: part.stem });
         });
-        beamsByBar[b].push(...beams);
-        // Store buckets so we can regenerate beams cleanly for bar-level alignment.
-        beamBucketsByBar[b].push(bucket.slice());
       });
+      if (barStyle?.type === "cues") barVoices.push(createStyledBarVoice({ type: "slashes" }, barTimeSig));
+      voices.push(barVoices);
     }
 
     // Format and draw each bar independently (format to stave so barlines stay correct)
     for (let b = 0; b < bars; b++) {
-      const formatter = new Formatter().joinVoices([voices[b]]);
-      formatter.formatToStave([voices[b]], staves[b]);
-      finalizeSpecialStemOverridesForVoice(voices[b]);
-      voices[b].draw(ctx, staves[b]);
-      drawStickingSpecsForVoice(voices[b], svgRoot);
+      const formatter = new Formatter().joinVoices(voices[b]);
+      formatter.formatToStave(voices[b], staves[b]);
+      voices[b].forEach((voice) => {
+        finalizeSpecialStemOverridesForVoice(voice);
+        voice.draw(ctx, staves[b]);
+        drawStickingSpecsForVoice(voice, svgRoot);
+        drawBuzzRollsForVoice(voice, svgRoot);
+      });
+      drawMultiMeasureRest(getBarStyle(b), staves[b]);
     }
 
     // Draw beams last for clarity
     for (let b = 0; b < bars; b++) {
       let barBeams = beamsByBar[b] || [];
       if (flatBeams && barBeams.length) {
-        // First pass: compute the highest beam Y in this bar.
+        // First pass: compute the outermost beam Y per stem direction in this bar.
         barBeams.forEach((beam) => {
           try { beam.postFormat?.(); } catch (_) {}
         });
 
-        const ys = barBeams
-          .map((beam) => {
-            try { return beam.getBeamYToDraw?.(); } catch (_) { return null; }
-          })
-          .filter((y) => typeof y === "number");
-
-        if (ys.length) {
-          const targetY = Math.min(...ys);
+        const targetYByStem = new Map();
+        barBeams.forEach((beam) => {
+          let y = null;
+          try { y = beam.getBeamYToDraw?.(); } catch (_) {}
+          if (typeof y !== "number") return;
+          const stem = beam.stem_direction === -1 ? -1 : 1;
+          const prev = targetYByStem.get(stem);
+          targetYByStem.set(stem, prev == null ? y : stem < 0 ? Math.max(prev, y) : Math.min(prev, y));
+        });
 
+        if (targetYByStem.size) {
           // Second pass: regenerate beams (fresh objects) and apply flat_beam_offset BEFORE final postFormat/draw.
           const fresh = [];
           const buckets = beamBucketsByBar[b] || [];
 
-          buckets.forEach((bucket) => {
+          buckets.forEach(({ notes: bucket, stem }) => {
             if (!bucket.length) return;
+            const targetY = targetYByStem.get(stem);
 
             // Clear any previously associated beam metadata on notes (helps avoid drawing/geometry artifacts).
             bucket.forEach((n) => {
@@ -2028,7 +2475,7 @@ for (let i = 0; i < notes.length; i++) {
 
             const beams = Beam.generateBeams(bucket, {
               groups,
-              stem_direction: 1,
+              stem_direction: stem,
               beam_rests: bucket.some((note) => note?.__dgBeamRest === true),
               flat_beams: true,
             });
@@ -2040,7 +2487,7 @@ for (let i = 0; i < notes.length; i++) {
                 beam.applyStemExtensions?.();
 
                 const currentY = beam.getBeamYToDraw?.();
-                if (typeof currentY === "number") {
+                if (typeof currentY === "number" && typeof targetY === "number") {
                   const delta = targetY - currentY;
                   beam.render_options.flat_beam_offset = (beam.render_options.flat_beam_offset ?? 0) + delta;
                 }
@@ -2061,13 +2508,17 @@ for (let i = 0; i < notes.length; i++) {
       barBeams.forEach((beam) => beam.setContext(ctx).draw());
     }
 
+    drawRollTies(ctx);
     drawArrangementTextMarkers(svgRoot, staves);
+    drawNavigationMarks(svgRoot, staves);
+    drawCounting(svgRoot, staves);
+    drawDynamics(svgRoot, staves);
 
 
     // White notation on dark UI
     const svg = ref.current.querySelector("svg");
     if (svg) {
-      drawTwoBarRepeatMarkers(svg, staves, repeatPlan);
+      drawMultiBarRepeatMarkers(svg, staves, repeatPlan);
       svg.style.background = "transparent";
       svg.querySelectorAll("path, line, rect, circle").forEach((el) => {
           el.setAttribute("stroke", notationColor);
@@ -2109,13 +2560,14 @@ for (let i = 0; i < notes.length; i++) {
         stroke: "rgba(34,211,238,0.7)",
         strokeWidth: 1.5,
       });
+      drawNotationBarOverlay(svg, highlightRects, silentBarIndices, SILENT_BAR_OVERLAY);
       setHitLayerVersion((v) => v + 1);
     }
     });
     return () => {
       window.cancelAnimationFrame(rafId);
     };
-  }, [instruments, grid, stickingAssignmentsByStep, showNotationSticking, notationStickingSelection, notationStickingView, resolution, bars, barsPerLine, barsPerRow, stepsPerBar, timeSig, timeSigByBar, quarterSubdivisionsByBar, barStepOffsets, mergeRests, mergeNotes, dottedNotes, flatBeams, justifySystems, targetContentWidth, sectionMarkers, tempoMarkers, dynamicSpacingByBar, showSystemBarNumbers, barNumberOffset, enableMeasureRepeats, spacingPresetByBar, mergeRestsByBar, mergeNotesByBar, dottedNotesByBar, showNotationStickingByBar, theme]);
+  }, [instruments, grid, stickingAssignmentsByStep, showNotationSticking, notationStickingSelection, notationStickingView, resolution, bars, barsPerLine, barsPerRow, stepsPerBar, timeSig, timeSigByBar, quarterSubdivisionsByBar, barStepOffsets, mergeRests, mergeNotes, dottedNotes, flatBeams, justifySystems, targetContentWidth, sectionMarkers, tempoMarkers, dynamics, hairpins, dynamicSpacingByBar, showSystemBarNumbers, barNumberOffset, enableMeasureRepeats, spacingPresetByBar, mergeRestsByBar, mergeNotesByBar, dottedNotesByBar, showNotationStickingByBar, countingStyle, countingStyleByBar, barNavigation, barStyleByBar, barNumberByBar, measureRepeatModeByBar, notationMap, twoVoiceNotation, theme]);
 
   useEffect(() => {
     const svg = highlightSvgRef.current;
@@ -2148,6 +2600,11 @@ for (let i = 0; i < notes.length; i++) {
       pointerEvents: "none",
     });
   }, [selectedBarIndices, hitLayerVersion]);
+  useEffect(() => {
+    const svg = highlightSvgRef.current;
+    const rects = Array.isArray(highlightRectsRef.current) ? highlightRectsRef.current : [];
+    drawNotationBarOverlay(svg, rects, silentBarIndices, SILENT_BAR_OVERLAY);
+  }, [silentBarIndices, hitLayerVersion]);
 
   useEffect(() => {
     const svg = highlightSvgRef.current;
@@ -0,0 +1,169 @@
+import React from "react";
+import {
+  MAX_STAFF_POSITION,
+  MIN_STAFF_POSITION,
+  NOTATION_MAP_PRESET_LABELS,
+  NOTATION_MAP_PRESETS,
+  NOTATION_VOICE_LABELS,
+  NOTATION_VOICES,
+  NOTEHEAD_LABELS,
+  NOTEHEADS,
+  getStaffPositionLabel,
+  resolveNotationMap,
+  updateNotationMapInstrument,
+} from "../utils/notationMap";
+
+const STAFF_POSITIONS = Array.from(
+  { length: MAX_STAFF_POSITION - MIN_STAFF_POSITION + 1 },
+  (_, i) => MAX_STAFF_POSITION - i
+);
+
+export default function NotationMapDialog({
+  isOpen,
+  instruments,
+  notationMap,
+  presetLabel,
+  isSharedMap = false,
+  onChange,
+  onSaveSharedMap,
+  onDiscardSharedMap,
+  onClose,
+}) {
+  if (!isOpen) return null;
+  const resolved = resolveNotationMap(notationMap);
+  const selectClassName = "min-w-0 bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-sm";
+
+  return (
+    <div
+      className="fixed inset-0 z-[90] bg-black/60 p-4 flex items-center justify-center"
+      onMouseDown={onClose}
+    >
+      <div
+        className="w-full max-w-2xl max-h-[90vh] overflow-auto rounded-xl border border-neutral-700 bg-neutral-900 p-4 md:p-5"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <h3 className="text-base font-semibold">Notation Map</h3>
+            <div className="text-xs text-neutral-400">
+              {isSharedMap ? "From the shared link" : `Saved with kit preset: ${presetLabel}`}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange?.({ preset: notationMap?.preset })}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+            title="Reset all instruments to the layout"
+          >
+            Reset
+          </button>
+        </div>
+
+        {isSharedMap && (
+          <div className="mt-3 flex flex-wrap items-center gap-2 rounded border border-amber-700/60 bg-amber-950/30 px-3 py-2">
+            <span className="mr-auto text-xs text-amber-200">
+              {`This map came with the shared link and is not saved. Editing it saves it to ${presetLabel}.`}
+            </span>
+            <button
+              type="button"
+              onClick={onDiscardSharedMap}
+              className="px-2 py-1 rounded border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800/60"
+            >
+              Use my map
+            </button>
+            <button
+              type="button"
+              onClick={onSaveSharedMap}
+              className="px-2 py-1 rounded border border-neutral-700 text-xs text-white bg-neutral-800 hover:bg-neutral-700/60"
+            >
+              Save to kit
+            </button>
+          </div>
+        )}
+
+        <div className="mt-4 flex items-center gap-2">
+          <span className="text-sm text-neutral-300">Layout</span>
+          <select
+            value={notationMap?.preset}
+            onChange={(e) => onChange?.({ preset: e.target.value })}
+            className={selectClassName}
+          >
+            {NOTATION_MAP_PRESETS.map((preset) => (
+              <option key={`notation-map-preset-${preset}`} value={preset}>
+                {NOTATION_MAP_PRESET_LABELS[preset]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mt-4 space-y-1.5">
+          {instruments.map((inst) => {
+            const entry = resolved[inst.id];
+            if (!entry) return null;
+            return (
+              <div
+                key={`notation-map-${inst.id}`}
+                className="grid grid-cols-[7rem_1fr_7rem_7rem] items-center gap-2 rounded border border-neutral-800 px-2 py-1"
+              >
+                <div className="truncate text-sm text-white">{inst.label}</div>
+                <select
+                  value={entry.position}
+                  onChange={(e) =>
+                    onChange?.(updateNotationMapInstrument(notationMap, inst.id, { position: Number(e.target.value) }))
+                  }
+                  className={selectClassName}
+                  aria-label={`${inst.label} staff position`}
+                >
+                  {STAFF_POSITIONS.map((position) => (
+                    <option key={`position-${position}`} value={position}>
+                      {getStaffPositionLabel(position)}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={entry.notehead}
+                  onChange={(e) =>
+                    onChange?.(updateNotationMapInstrument(notationMap, inst.id, { notehead: e.target.value }))
+                  }
+                  className={selectClassName}
+                  aria-label={`${inst.label} notehead`}
+                >
+                  {NOTEHEADS.map((notehead) => (
+                    <option key={`notehead-${notehead}`} value={notehead}>
+                      {NOTEHEAD_LABELS[notehead]}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={entry.voice}
+                  onChange={(e) =>
+                    onChange?.(updateNotationMapInstrument(notationMap, inst.id, { voice: e.target.value }))
+                  }
+                  className={selectClassName}
+                  aria-label={`${inst.label} voice`}
+                  title="Voice in two-voice notation"
+                >
+                  {NOTATION_VOICES.map((voice) => (
+                    <option key={`voice-${voice}`} value={voice}>
+                      {NOTATION_VOICE_LABELS[voice]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1.5 rounded border border-neutral-700 text-sm text-neutral-300 hover:bg-neutral-800/60"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
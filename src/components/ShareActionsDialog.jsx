@@ -119,9 +119,16 @@ export default function ShareActionsDialog({
   onBeatPdf,
   onBeatPng,
   onBeatMidi,
+  onBeatMusicXml,
+  onBeatDrumTab,
+  onBeatAudio,
   onArrangementPdf,
   onArrangementMidi,
+  onArrangementMusicXml,
+  onArrangementAudio,
   onMidiImport,
+  onMusicXmlImport,
+  onDrumTabImport,
   onEditMidiImport,
   onEditMidiMapping,
 }) {
@@ -204,6 +211,27 @@ export default function ShareActionsDialog({
         >
           Export MIDI
         </MenuActionButton>
+        <MenuActionButton
+          onClick={onBeatMusicXml}
+          className="border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+          title="Export current pattern as MusicXML for notation software"
+        >
+          Export MusicXML
+        </MenuActionButton>
+        <MenuActionButton
+          onClick={onBeatDrumTab}
+          className="border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+          title="Show current pattern as a plain-text drum tab"
+        >
+          Export drum tab
+        </MenuActionButton>
+        <MenuActionButton
+          onClick={onBeatAudio}
+          className="border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+          title="Render current pattern to a WAV file"
+        >
+          Export audio (WAV)
+        </MenuActionButton>
       </div>
 
       <div className="my-3 border-t border-neutral-800" />
@@ -265,6 +293,30 @@ export default function ShareActionsDialog({
         >
           Export MIDI
         </MenuActionButton>
+        <MenuActionButton
+          onClick={onArrangementMusicXml}
+          disabled={arrangementItemsCount < 1}
+          className={
+            arrangementItemsCount > 0
+              ? "border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+              : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+          }
+          title="Export arrangement as MusicXML for notation software"
+        >
+          Export MusicXML
+        </MenuActionButton>
+        <MenuActionButton
+          onClick={onArrangementAudio}
+          disabled={arrangementItemsCount < 1}
+          className={
+            arrangementItemsCount > 0
+              ? "border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+              : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+          }
+          title="Render arrangement to a WAV file"
+        >
+          Export audio (WAV)
+        </MenuActionButton>
       </div>
 
       <div className="my-3 border-t border-neutral-800" />
@@ -277,6 +329,20 @@ export default function ShareActionsDialog({
         >
           MIDI
         </MenuActionButton>
+        <MenuActionButton
+          onClick={onMusicXmlImport}
+          className="border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+          title="Import a percussion part from a MusicXML file"
+        >
+          MusicXML
+        </MenuActionButton>
+        <MenuActionButton
+          onClick={onDrumTabImport}
+          className="border-neutral-800 bg-neutral-900/60 text-neutral-200 hover:bg-neutral-800/60"
+          title="Import a plain-text drum tab (HH|x-x-x-x-|)"
+        >
+          Drum tab
+        </MenuActionButton>
         {hasLastMidiImportSession ? (
           <>
             <MenuActionButton
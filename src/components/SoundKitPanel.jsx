@@ -0,0 +1,175 @@
+import React from "react";
+
+const SAMPLE_SLOT_LABELS = {
+  metronomeHi: "Click (high)",
+  metronomeLo: "Click (low)",
+  snare_ghost: "Snare (ghost)",
+};
+
+function SampleSlotRow({ label, sample, busy, onReplace, onReset }) {
+  const inputRef = React.useRef(null);
+  return (
+    <div className="flex items-center gap-2 rounded border border-neutral-800 px-2 py-1">
+      <div className="w-28 shrink-0 text-sm leading-tight">{label}</div>
+      <div
+        className={`flex-1 min-w-0 truncate text-xs ${sample ? "text-cyan-200" : "text-neutral-500"}`}
+        title={sample ? sample.name : "Bundled sample"}
+      >
+        {sample ? sample.name : "Bundled"}
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="audio/*"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          e.target.value = "";
+          if (file) onReplace?.(file);
+        }}
+      />
+      <button
+        type="button"
+        disabled={busy}
+        onClick={() => inputRef.current?.click()}
+        className="h-6 px-2 shrink-0 rounded border border-neutral-700 text-[11px] leading-none text-neutral-200 hover:bg-neutral-800/60"
+        title="Replace with your own audio file"
+      >
+        Replace
+      </button>
+      <button
+        type="button"
+        disabled={busy || !sample}
+        onClick={onReset}
+        className={`h-6 px-2 shrink-0 rounded border text-[11px] leading-none ${
+          sample
+            ? "border-neutral-700 text-neutral-200 hover:bg-neutral-800/60"
+            : "border-neutral-800 text-neutral-600 cursor-not-allowed"
+        }`}
+        title="Use the bundled sample again"
+      >
+        Reset
+      </button>
+    </div>
+  );
+}
+
+export default function SoundKitPanel({
+  sampleKeys,
+  instrumentById,
+  activeSoundKit,
+  onStepSoundKit,
+  onCreateSoundKit,
+  onRenameSoundKit,
+  onDeleteSoundKit,
+  onReplaceSample,
+  onResetSample,
+}) {
+  const [nameDraft, setNameDraft] = React.useState("");
+  const [busyKey, setBusyKey] = React.useState(null);
+  const activeLabel = activeSoundKit?.label || "Bundled";
+
+  React.useEffect(() => {
+    setNameDraft(activeLabel);
+  }, [activeLabel]);
+
+  const runForSlot = async (sampleKey, action) => {
+    setBusyKey(sampleKey);
+    try {
+      await action();
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <div className="mt-5 pt-4 border-t border-neutral-800">
+      <div className="text-sm font-medium mb-2">Sound Kit</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex items-stretch overflow-hidden rounded-md border border-neutral-700 bg-neutral-800">
+          <button
+            type="button"
+            onClick={() => onStepSoundKit?.(-1)}
+            className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+            aria-label="Previous sound kit"
+          >
+            −
+          </button>
+          <input
+            type="text"
+            value={nameDraft}
+            readOnly={!activeSoundKit}
+            onFocus={(e) => {
+              if (!activeSoundKit) return;
+              e.currentTarget.select();
+            }}
+            onChange={(e) => {
+              if (!activeSoundKit) return;
+              setNameDraft(e.target.value);
+            }}
+            onKeyDown={(e) => {
+              if (!activeSoundKit) return;
+              if (e.key === "Enter") {
+                e.preventDefault();
+                onRenameSoundKit?.(nameDraft);
+              }
+              if (e.key === "Escape") {
+                e.preventDefault();
+                e.stopPropagation();
+                setNameDraft(activeLabel);
+              }
+            }}
+            className={`min-w-[112px] px-3 py-1 text-sm text-center text-white bg-neutral-800 border-l border-r border-neutral-700 outline-none ${
+              activeSoundKit ? "cursor-text" : "cursor-default"
+            }`}
+            title={activeSoundKit ? "Edit name and press Enter to save" : "The bundled sounds cannot be renamed"}
+          />
+          <button
+            type="button"
+            onClick={() => onStepSoundKit?.(1)}
+            className="px-2 text-base leading-none text-neutral-200 hover:bg-neutral-700/60 active:bg-neutral-700"
+            aria-label="Next sound kit"
+          >
+            +
+          </button>
+        </div>
+        <button
+          type="button"
+          onClick={() => onCreateSoundKit?.()}
+          className="px-2.5 py-1 rounded border text-sm border-neutral-700 text-white bg-neutral-800 hover:bg-neutral-700/60"
+          title="Save the current sounds as a new sound kit"
+        >
+          New
+        </button>
+        <button
+          type="button"
+          onClick={onDeleteSoundKit}
+          disabled={!activeSoundKit}
+          className={`px-2.5 py-1 rounded border text-sm ${
+            activeSoundKit
+              ? "border-red-900 text-red-200 hover:bg-red-900/30"
+              : "border-neutral-800 text-neutral-500 bg-neutral-900/60 cursor-not-allowed"
+          }`}
+          title={activeSoundKit ? "Delete this sound kit" : "The bundled sounds cannot be deleted"}
+        >
+          Delete
+        </button>
+      </div>
+      <div className="mt-1 text-xs text-neutral-400">
+        Sound kits are stored in this browser and are independent of the instrument preset.
+      </div>
+      <div className="mt-3 space-y-1.5">
+        {sampleKeys.map((sampleKey) => (
+          <SampleSlotRow
+            key={`sample-${sampleKey}`}
+            label={SAMPLE_SLOT_LABELS[sampleKey] || instrumentById[sampleKey]?.label || sampleKey}
+            sample={activeSoundKit?.samples?.[sampleKey] || null}
+            busy={busyKey === sampleKey}
+            onReplace={(file) => runForSlot(sampleKey, () => onReplaceSample?.(sampleKey, file))}
+            onReset={() => runForSlot(sampleKey, () => onResetSample?.(sampleKey))}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,79 @@
 import React from "react";
 import { createPortal } from "react-dom";
+import { SWING_MAX_AMOUNT, SWING_MIN_AMOUNT, formatSwingLabel } from "../utils/swing";
+import {
+  METRONOME_SOUNDS,
+  METRONOME_SUBDIVISIONS,
+  formatBeatGrouping,
+  getMetronomeGroupingForTimeSig,
+  getMetronomePulseLevels,
+  parseBeatGrouping,
+} from "../audio/metronome";
+import BackingTrackControls from "./BackingTrackControls";
+
+const ACCENT_LEVEL_CLASSES = {
+  3: "bg-neutral-200 text-neutral-900",
+  2: "bg-neutral-600 text-white",
+  1: "bg-neutral-800 text-neutral-300",
+  0: "bg-neutral-900 text-neutral-600",
+};
+
+// Commits on blur/Enter so partially typed values are not clamped mid-edit.
+function DraftNumberField({ value, onCommit, ariaLabel, widthClass = "w-12" }) {
+  const [draft, setDraft] = React.useState(String(value));
+  React.useEffect(() => {
+    setDraft(String(value));
+  }, [value]);
+  const commit = () => {
+    const n = Number(draft);
+    if (draft === "" || !Number.isFinite(n)) {
+      setDraft(String(value));
+      return;
+    }
+    onCommit(n);
+  };
+  return (
+    <input
+      type="number"
+      step={1}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+      }}
+      className={`${widthClass} bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white tabular-nums`}
+      aria-label={ariaLabel}
+    />
+  );
+}
+
+// Free-text beat grouping such as "2+2+3"; cleared or invalid input removes it.
+function BeatGroupingField({ grouping, onCommit }) {
+  const [draft, setDraft] = React.useState(formatBeatGrouping(grouping));
+  React.useEffect(() => {
+    setDraft(formatBeatGrouping(grouping));
+  }, [grouping]);
+  const commit = () => {
+    const next = parseBeatGrouping(draft);
+    setDraft(formatBeatGrouping(next));
+    onCommit(next);
+  };
+  return (
+    <input
+      type="text"
+      value={draft}
+      placeholder="e.g. 2+2+3"
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+      }}
+      className="w-20 bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white"
+      aria-label="Beat grouping"
+    />
+  );
+}
 
 export default function TransportMenu({
   isEmbedMode,
@@ -21,17 +95,42 @@ export default function TransportMenu({
   onPlaybackRateReset,
   onPlaybackRateIncrease,
   onPlaybackRateScrubPointerDown,
+  swing,
+  onSwingChange,
+  speedTrainer,
+  onSpeedTrainerChange,
+  gapClick,
+  onGapClickChange,
   metronomeEnabled,
   onToggleMetronome,
   metronomeCountInEnabled,
   onToggleMetronomeCountIn,
+  metronomeSettings,
+  onMetronomeSettingsChange,
+  timeSig,
   drumVolume,
   onDrumVolumeChange,
+  onOpenMixer,
+  backingTrack,
+  backingTrackInfo,
+  onBackingTrackAttach,
+  onBackingTrackChange,
+  onBackingTrackRemove,
+  midiOutput,
+  onMidiOutputEnabledChange,
+  onMidiOutputSettingsChange,
+  midiInput,
+  midiInputMappingPresets,
+  onMidiInputConnect,
+  onMidiInputSettingsChange,
   metronomeVolume,
   onMetronomeVolumeChange,
 }) {
   if (isEmbedMode) return null;
 
+  const pulseLevels = getMetronomePulseLevels(metronomeSettings, timeSig);
+  const groupingFits = !metronomeSettings?.grouping || !!getMetronomeGroupingForTimeSig(metronomeSettings, timeSig);
+
   return createPortal(
     open && position ? (
       <div
@@ -151,6 +250,200 @@ export default function TransportMenu({
             </div>
           </div>
 
+          <div className="block">
+            <div className="mb-1 flex items-center justify-between gap-3">
+              <span className="text-sm text-neutral-300">Swing</span>
+              <div className="flex items-center gap-2">
+                <span className="text-[11px] text-neutral-500 tabular-nums">{formatSwingLabel(swing)}</span>
+                <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+                  {[8, 16].map((unit) => (
+                    <button
+                      key={unit}
+                      type="button"
+                      onClick={() => onSwingChange({ ...swing, unit })}
+                      className={`px-1.5 py-0.5 text-[11px] ${
+                        unit === 16 ? "border-l border-neutral-700 " : ""
+                      }${swing?.unit === unit ? "bg-neutral-700 text-white" : "text-neutral-400 hover:bg-neutral-700/60"}`}
+                      aria-label={`Swing ${unit}th notes`}
+                    >
+                      {unit}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <input
+              type="range"
+              min={SWING_MIN_AMOUNT}
+              max={SWING_MAX_AMOUNT}
+              step={1}
+              value={Math.round(Number(swing?.amount) || SWING_MIN_AMOUNT)}
+              onChange={(e) => onSwingChange({ ...swing, amount: Number(e.target.value) || SWING_MIN_AMOUNT })}
+              onDoubleClick={() => onSwingChange({ ...swing, amount: SWING_MIN_AMOUNT })}
+              className="w-full accent-neutral-300"
+              aria-label="Swing amount"
+              title="Swing amount (double-click for straight)"
+            />
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-sm text-neutral-300">Speed trainer</span>
+              <button
+                type="button"
+                onClick={() => onSpeedTrainerChange?.({ enabled: !speedTrainer?.enabled })}
+                className={`rounded border px-2.5 py-1 text-xs ${
+                  speedTrainer?.enabled
+                    ? "border-neutral-700 bg-neutral-800 text-white hover:bg-neutral-700/60"
+                    : "border-neutral-800 bg-neutral-900/60 text-neutral-500 hover:bg-neutral-800/40"
+                }`}
+                title="Change the tempo automatically while the grid loops"
+              >
+                {speedTrainer?.enabled ? "On" : "Off"}
+              </button>
+            </div>
+            {speedTrainer?.enabled ? (
+              <>
+                <div className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                  <span>From</span>
+                  <DraftNumberField
+                    value={speedTrainer.startBpm}
+                    onCommit={(startBpm) => onSpeedTrainerChange?.({ startBpm })}
+                    ariaLabel="Speed trainer start BPM"
+                  />
+                  <span>to</span>
+                  <DraftNumberField
+                    value={speedTrainer.targetBpm}
+                    onCommit={(targetBpm) => onSpeedTrainerChange?.({ targetBpm })}
+                    ariaLabel="Speed trainer target BPM"
+                  />
+                  <span>BPM</span>
+                </div>
+                <div className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                  <span>Step</span>
+                  <DraftNumberField
+                    value={speedTrainer.stepBpm}
+                    onCommit={(stepBpm) => onSpeedTrainerChange?.({ stepBpm })}
+                    ariaLabel="Speed trainer BPM step"
+                    widthClass="w-10"
+                  />
+                  <span>every</span>
+                  <DraftNumberField
+                    value={speedTrainer.everyLoops}
+                    onCommit={(everyLoops) => onSpeedTrainerChange?.({ everyLoops })}
+                    ariaLabel="Loops per speed trainer step"
+                    widthClass="w-10"
+                  />
+                  <span>loops</span>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-xs text-neutral-400">At target</span>
+                  <button
+                    type="button"
+                    onClick={() => onSpeedTrainerChange?.({ dropBack: !speedTrainer.dropBack })}
+                    className="rounded border border-neutral-700 bg-neutral-800 px-2.5 py-1 text-xs text-white hover:bg-neutral-700/60"
+                    title={
+                      speedTrainer.dropBack
+                        ? "Drop back to the start tempo and ramp again"
+                        : "Keep playing at the target tempo"
+                    }
+                  >
+                    {speedTrainer.dropBack ? "Drop back" : "Hold"}
+                  </button>
+                </div>
+              </>
+            ) : null}
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-sm text-neutral-300">Gap click</span>
+              <button
+                type="button"
+                onClick={() => onGapClickChange?.({ enabled: !gapClick?.enabled })}
+                className={`rounded border px-2.5 py-1 text-xs ${
+                  gapClick?.enabled
+                    ? "border-neutral-700 bg-neutral-800 text-white hover:bg-neutral-700/60"
+                    : "border-neutral-800 bg-neutral-900/60 text-neutral-500 hover:bg-neutral-800/40"
+                }`}
+                title="Silence bars while the grid loops to practice keeping time"
+              >
+                {gapClick?.enabled ? "On" : "Off"}
+              </button>
+            </div>
+            {gapClick?.enabled ? (
+              <>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+                    {[
+                      ["pattern", "Pattern"],
+                      ["random", "Random"],
+                    ].map(([mode, label]) => (
+                      <button
+                        key={`gap-mode-${mode}`}
+                        type="button"
+                        onClick={() => onGapClickChange?.({ mode })}
+                        className={`px-1.5 py-0.5 text-[11px] ${mode === "random" ? "border-l border-neutral-700 " : ""}${
+                          gapClick.mode === mode ? "bg-neutral-700 text-white" : "text-neutral-400 hover:bg-neutral-700/60"
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+                    {[
+                      ["drums", "Drums"],
+                      ["click", "Click"],
+                      ["both", "Both"],
+                    ].map(([target, label]) => (
+                      <button
+                        key={`gap-target-${target}`}
+                        type="button"
+                        onClick={() => onGapClickChange?.({ target })}
+                        className={`px-1.5 py-0.5 text-[11px] ${target !== "drums" ? "border-l border-neutral-700 " : ""}${
+                          gapClick.target === target ? "bg-neutral-700 text-white" : "text-neutral-400 hover:bg-neutral-700/60"
+                        }`}
+                        title={`Silence the ${target === "both" ? "drums and click" : target} in gap bars`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {gapClick.mode === "random" ? (
+                  <div className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                    <span>Drop</span>
+                    <DraftNumberField
+                      value={gapClick.randomPercent}
+                      onCommit={(randomPercent) => onGapClickChange?.({ randomPercent })}
+                      ariaLabel="Chance of dropping a bar"
+                    />
+                    <span>% of bars</span>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                    <span>Play</span>
+                    <DraftNumberField
+                      value={gapClick.playBars}
+                      onCommit={(playBars) => onGapClickChange?.({ playBars })}
+                      ariaLabel="Bars to play"
+                      widthClass="w-10"
+                    />
+                    <span>mute</span>
+                    <DraftNumberField
+                      value={gapClick.muteBars}
+                      onCommit={(muteBars) => onGapClickChange?.({ muteBars })}
+                      ariaLabel="Bars to mute"
+                      widthClass="w-10"
+                    />
+                    <span>bars</span>
+                  </div>
+                )}
+              </>
+            ) : null}
+          </div>
+
           <div className="flex items-center justify-between gap-3">
             <span className="text-sm text-neutral-300">Metronome</span>
             <button
@@ -181,6 +474,96 @@ export default function TransportMenu({
             </button>
           </div>
 
+          <div className="space-y-2">
+            <div className="flex items-center justify-between gap-3">
+              <span className="text-sm text-neutral-300">Click</span>
+              <div className="flex items-center gap-2">
+                <select
+                  value={metronomeSettings?.sound || "clave"}
+                  onChange={(e) => onMetronomeSettingsChange?.({ sound: e.target.value })}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white"
+                  aria-label="Click sound"
+                >
+                  {METRONOME_SOUNDS.map((sound) => (
+                    <option key={`click-sound-${sound.id}`} value={sound.id}>
+                      {sound.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => onMetronomeSettingsChange?.({ backbeat: !metronomeSettings?.backbeat })}
+                  className={`rounded border px-2 py-0.5 text-xs ${
+                    metronomeSettings?.backbeat
+                      ? "border-neutral-700 bg-neutral-700 text-white"
+                      : "border-neutral-700 bg-neutral-800 text-neutral-400 hover:bg-neutral-700/60"
+                  }`}
+                  title="Click on beats 2 and 4 only"
+                >
+                  2 &amp; 4
+                </button>
+              </div>
+            </div>
+            {!metronomeSettings?.backbeat ? (
+              <>
+                <div className="flex items-stretch overflow-hidden rounded border border-neutral-700 bg-neutral-800">
+                  {METRONOME_SUBDIVISIONS.map(({ value, label }, idx) => (
+                    <button
+                      key={`click-subdivision-${value}`}
+                      type="button"
+                      onClick={() => onMetronomeSettingsChange?.({ subdivision: value })}
+                      className={`flex-1 px-1.5 py-0.5 text-[11px] ${idx > 0 ? "border-l border-neutral-700 " : ""}${
+                        metronomeSettings?.subdivision === value
+                          ? "bg-neutral-700 text-white"
+                          : "text-neutral-400 hover:bg-neutral-700/60"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                  <span>Grouping</span>
+                  <BeatGroupingField
+                    grouping={metronomeSettings?.grouping || null}
+                    onCommit={(grouping) => onMetronomeSettingsChange?.({ grouping, accents: null })}
+                  />
+                </div>
+                {!groupingFits ? (
+                  <div className="text-[11px] text-amber-300">{`Grouping does not add up to ${timeSig?.n ?? 4}.`}</div>
+                ) : null}
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex flex-wrap gap-0.5">
+                    {pulseLevels.map((level, idx) => (
+                      <button
+                        key={`click-accent-${idx}`}
+                        type="button"
+                        onClick={() =>
+                          onMetronomeSettingsChange?.({
+                            accents: pulseLevels.map((v, i) => (i === idx ? (v + 3) % 4 : v)),
+                          })
+                        }
+                        className={`h-5 w-5 rounded text-[10px] tabular-nums ${ACCENT_LEVEL_CLASSES[level]}`}
+                        title="Cycle accent: strong, normal, soft, silent"
+                      >
+                        {idx + 1}
+                      </button>
+                    ))}
+                  </div>
+                  {metronomeSettings?.accents ? (
+                    <button
+                      type="button"
+                      onClick={() => onMetronomeSettingsChange?.({ accents: null })}
+                      className="text-[11px] text-neutral-400 hover:text-white"
+                    >
+                      Reset
+                    </button>
+                  ) : null}
+                </div>
+              </>
+            ) : null}
+          </div>
+
           <label className="block">
             <div className="mb-1 flex items-center justify-between gap-3">
               <span className="text-sm text-neutral-300">Drum volume</span>
@@ -199,6 +582,141 @@ export default function TransportMenu({
             />
           </label>
 
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-sm text-neutral-300">Mixer</span>
+            <button
+              type="button"
+              onClick={onOpenMixer}
+              className="rounded border border-neutral-700 bg-neutral-800 px-2.5 py-1 text-xs text-white hover:bg-neutral-700/60"
+              title="Per-instrument volume, pan, mute and solo"
+            >
+              Open
+            </button>
+          </div>
+
+          <BackingTrackControls
+            link={backingTrack}
+            info={backingTrackInfo}
+            onAttachFile={onBackingTrackAttach}
+            onChange={onBackingTrackChange}
+            onRemove={onBackingTrackRemove}
+          />
+
+          {midiOutput?.isSupported ? (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm text-neutral-300">MIDI out</span>
+                <button
+                  type="button"
+                  onClick={() => onMidiOutputEnabledChange?.(!midiOutput.settings.enabled)}
+                  className={`rounded border px-2.5 py-1 text-xs ${
+                    midiOutput.settings.enabled
+                      ? "border-neutral-700 bg-neutral-800 text-white hover:bg-neutral-700/60"
+                      : "border-neutral-800 bg-neutral-900/60 text-neutral-500 hover:bg-neutral-800/40"
+                  }`}
+                  title="Send drum hits to a MIDI port instead of playing samples"
+                >
+                  {midiOutput.settings.enabled ? "On" : "Off"}
+                </button>
+              </div>
+              {midiOutput.settings.enabled ? (
+                <>
+                  <select
+                    value={midiOutput.settings.portId || ""}
+                    onChange={(e) => onMidiOutputSettingsChange?.({ portId: e.target.value || null })}
+                    className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+                    aria-label="MIDI output port"
+                  >
+                    {midiOutput.ports.length < 1 ? <option value="">No MIDI outputs found</option> : null}
+                    {midiOutput.ports.map((port) => (
+                      <option key={`midi-out-${port.id}`} value={port.id}>
+                        {port.name}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-1 text-xs text-neutral-400">
+                      <span>Ch</span>
+                      <select
+                        value={midiOutput.settings.channel}
+                        onChange={(e) => onMidiOutputSettingsChange?.({ channel: Number(e.target.value) })}
+                        className="bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white"
+                      >
+                        {Array.from({ length: 16 }, (_, i) => i + 1).map((ch) => (
+                          <option key={`midi-ch-${ch}`} value={ch}>
+                            {ch}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-1 text-xs text-neutral-400">
+                      <span>Latency</span>
+                      <input
+                        type="number"
+                        step={1}
+                        value={midiOutput.settings.latencyMs}
+                        onChange={(e) => onMidiOutputSettingsChange?.({ latencyMs: Number(e.target.value) || 0 })}
+                        className="w-14 bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white tabular-nums"
+                        title="Shift MIDI notes later (positive) or earlier (negative) to line up with the click"
+                      />
+                      <span>ms</span>
+                    </label>
+                  </div>
+                  {midiOutput.error ? <div className="text-[11px] text-red-300">{midiOutput.error}</div> : null}
+                </>
+              ) : null}
+            </div>
+          ) : null}
+
+          {midiInput?.isSupported ? (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm text-neutral-300">MIDI in</span>
+                {!midiInput.isConnected ? (
+                  <button
+                    type="button"
+                    onClick={onMidiInputConnect}
+                    className="rounded border border-neutral-700 bg-neutral-800 px-2.5 py-1 text-xs text-white hover:bg-neutral-700/60"
+                    title="Allow access to MIDI inputs for recording"
+                  >
+                    Connect
+                  </button>
+                ) : null}
+              </div>
+              {midiInput.isConnected ? (
+                <select
+                  value={midiInput.settings.portId}
+                  onChange={(e) => onMidiInputSettingsChange?.({ portId: e.target.value })}
+                  className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1 text-xs text-white"
+                  aria-label="MIDI input port"
+                >
+                  <option value="all">{midiInput.ports.length < 1 ? "No MIDI inputs found" : "All inputs"}</option>
+                  {midiInput.ports.map((port) => (
+                    <option key={`midi-in-${port.id}`} value={port.id}>
+                      {port.name}
+                    </option>
+                  ))}
+                </select>
+              ) : null}
+              <label className="flex items-center justify-between gap-2 text-xs text-neutral-400">
+                <span>Mapping</span>
+                <select
+                  value={midiInput.settings.mappingPresetId}
+                  onChange={(e) => onMidiInputSettingsChange?.({ mappingPresetId: e.target.value })}
+                  className="bg-neutral-800 border border-neutral-700 rounded px-1 py-0.5 text-xs text-white"
+                  title="Note mapping used when recording, same as for MIDI file import"
+                >
+                  {(midiInputMappingPresets || []).map((preset) => (
+                    <option key={`midi-in-map-${preset.id}`} value={preset.id}>
+                      {preset.id === "manual" ? "General MIDI" : preset.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {midiInput.error ? <div className="text-[11px] text-red-300">{midiInput.error}</div> : null}
+            </div>
+          ) : null}
+
           <label className="block">
             <div className="mb-1 flex items-center justify-between gap-3">
               <span className="text-sm text-neutral-300">Metronome volume</span>
@@ -0,0 +1,105 @@
+import React from "react";
+import { isWebMidiSupported, requestMidiAccess } from "../audio/midiOutput";
+import {
+  getMidiInputsForSelection,
+  listMidiInputs,
+  normalizeMidiInputSettings,
+  parseMidiNoteOn,
+} from "../audio/midiInput";
+import { mapLiveMidiHit } from "../utils/importMidi";
+
+const MIDI_INPUT_SETTINGS_STORAGE_KEY = "drum-grid-midi-input-v1";
+
+// Incoming notes go through the MIDI import mapping, so `onHit` receives
+// `{ instId, state, timeStamp }` for notes the kit knows about.
+export default function useMidiInput({ instruments, mappingPresets, velocityThresholds, listening, onHit }) {
+  const mappingPresetIds = React.useMemo(
+    () => (mappingPresets || []).map((preset) => preset.id),
+    [mappingPresets]
+  );
+  const [settings, setSettings] = React.useState(() => {
+    try {
+      const raw = window.localStorage.getItem(MIDI_INPUT_SETTINGS_STORAGE_KEY);
+      return normalizeMidiInputSettings(raw ? JSON.parse(raw) : null, mappingPresetIds);
+    } catch (_) {
+      return normalizeMidiInputSettings(null, mappingPresetIds);
+    }
+  });
+  const [access, setAccess] = React.useState(null);
+  const [ports, setPorts] = React.useState([]);
+  const [error, setError] = React.useState(null);
+  const onHitRef = React.useRef(onHit);
+
+  React.useEffect(() => {
+    onHitRef.current = onHit;
+  }, [onHit]);
+
+  React.useEffect(() => {
+    try {
+      window.localStorage.setItem(MIDI_INPUT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) {}
+  }, [settings]);
+
+  const connect = React.useCallback(async () => {
+    if (access) return access;
+    try {
+      setError(null);
+      const next = await requestMidiAccess();
+      setAccess(next);
+      return next;
+    } catch (e) {
+      setError(e?.message || "MIDI access was denied.");
+      throw e;
+    }
+  }, [access]);
+
+  React.useEffect(() => {
+    if (!access) return;
+    const refresh = () => setPorts(listMidiInputs(access));
+    refresh();
+    access.addEventListener?.("statechange", refresh);
+    return () => access.removeEventListener?.("statechange", refresh);
+  }, [access]);
+
+  // `ports` is listed so a device plugged in mid-take starts recording too.
+  React.useEffect(() => {
+    if (!access || !listening) return;
+    const inputs = getMidiInputsForSelection(access, settings.portId);
+    const noteAssignments =
+      (mappingPresets || []).find((preset) => preset.id === settings.mappingPresetId)?.assignments || {};
+    const handleMessage = (event) => {
+      const noteOn = parseMidiNoteOn(event?.data);
+      if (!noteOn) return;
+      const hit = mapLiveMidiHit({
+        note: noteOn.note,
+        velocity: noteOn.velocity,
+        instruments,
+        noteAssignments,
+        velocityThresholds,
+      });
+      if (!hit) return;
+      onHitRef.current?.({ ...hit, timeStamp: Number(event.timeStamp) || performance.now() });
+    };
+    inputs.forEach((input) => input.addEventListener?.("midimessage", handleMessage));
+    return () => {
+      inputs.forEach((input) => input.removeEventListener?.("midimessage", handleMessage));
+    };
+  }, [access, listening, settings, ports, instruments, mappingPresets, velocityThresholds]);
+
+  const updateSettings = React.useCallback(
+    (updates) => {
+      setSettings((prev) => normalizeMidiInputSettings({ ...prev, ...(updates || {}) }, mappingPresetIds));
+    },
+    [mappingPresetIds]
+  );
+
+  return {
+    isSupported: isWebMidiSupported(),
+    isConnected: !!access,
+    settings,
+    ports,
+    error,
+    connect,
+    updateSettings,
+  };
+}
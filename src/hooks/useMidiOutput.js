@@ -0,0 +1,108 @@
+import React from "react";
+import {
+  getMidiOutputById,
+  isWebMidiSupported,
+  listMidiOutputs,
+  normalizeMidiOutputSettings,
+  requestMidiAccess,
+} from "../audio/midiOutput";
+
+const MIDI_OUTPUT_SETTINGS_STORAGE_KEY = "drum-grid-midi-output-v1";
+
+export default function useMidiOutput({ instruments }) {
+  const [settings, setSettings] = React.useState(() => {
+    try {
+      const raw = window.localStorage.getItem(MIDI_OUTPUT_SETTINGS_STORAGE_KEY);
+      return normalizeMidiOutputSettings(raw ? JSON.parse(raw) : null);
+    } catch (_) {
+      return normalizeMidiOutputSettings(null);
+    }
+  });
+  const [access, setAccess] = React.useState(null);
+  const [ports, setPorts] = React.useState([]);
+  const [error, setError] = React.useState(null);
+
+  React.useEffect(() => {
+    try {
+      window.localStorage.setItem(MIDI_OUTPUT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (_) {}
+  }, [settings]);
+
+  const connect = React.useCallback(async () => {
+    if (access) return access;
+    try {
+      setError(null);
+      const next = await requestMidiAccess();
+      setAccess(next);
+      return next;
+    } catch (e) {
+      setError(e?.message || "MIDI access was denied.");
+      throw e;
+    }
+  }, [access]);
+
+  // Re-request on load only when the user had MIDI output switched on.
+  React.useEffect(() => {
+    if (!settings.enabled || access || !isWebMidiSupported()) return;
+    connect().catch(() => {});
+  }, [settings.enabled, access, connect]);
+
+  React.useEffect(() => {
+    if (!access) return;
+    const refresh = () => setPorts(listMidiOutputs(access));
+    refresh();
+    access.onstatechange = refresh;
+    return () => {
+      if (access.onstatechange === refresh) access.onstatechange = null;
+    };
+  }, [access]);
+
+  // Pick the first port when none is chosen yet.
+  React.useEffect(() => {
+    if (settings.portId || ports.length < 1) return;
+    setSettings((prev) => ({ ...prev, portId: ports[0].id }));
+  }, [settings.portId, ports]);
+
+  const updateSettings = React.useCallback((updates) => {
+    setSettings((prev) => normalizeMidiOutputSettings({ ...prev, ...(updates || {}) }));
+  }, []);
+
+  const setEnabled = React.useCallback(
+    async (enabled) => {
+      if (enabled) {
+        try {
+          await connect();
+        } catch (_) {
+          return;
+        }
+      }
+      updateSettings({ enabled });
+    },
+    [connect, updateSettings]
+  );
+
+  const notes = React.useMemo(
+    () => Object.fromEntries((instruments || []).map((inst) => [inst.id, inst.midi])),
+    [instruments]
+  );
+
+  const target = React.useMemo(() => {
+    if (!settings.enabled) return null;
+    // `ports` is listed so the target refreshes when a device is plugged in.
+    const output = ports.some((port) => port.id === settings.portId)
+      ? getMidiOutputById(access, settings.portId)
+      : null;
+    if (!output) return null;
+    return { output, channel: settings.channel, latencyMs: settings.latencyMs, notes };
+  }, [settings, access, ports, notes]);
+
+  return {
+    isSupported: isWebMidiSupported(),
+    settings,
+    ports,
+    error,
+    target,
+    setEnabled,
+    updateSettings,
+  };
+}
@@ -0,0 +1,176 @@
+import React from "react";
+import { deleteSoundKit, listSoundKits, saveSoundKit } from "../audio/sampleStore";
+
+const ACTIVE_SOUND_KIT_STORAGE_KEY = "drum-grid-active-sound-kit-v1";
+const MAX_SAMPLE_FILE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_SOUND_KIT_LABEL = "My sound kit";
+
+function makeSoundKitId() {
+  return `kit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function assertDecodableAudio(arrayBuf) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) return;
+  const ctx = new OfflineContext(1, 1, 44100);
+  try {
+    await ctx.decodeAudioData(arrayBuf.slice(0));
+  } catch (_) {
+    throw new Error("This file could not be decoded as audio.");
+  }
+}
+
+export default function useSoundKits() {
+  const [soundKits, setSoundKits] = React.useState([]);
+  const [activeSoundKitId, setActiveSoundKitId] = React.useState(() => {
+    try {
+      return window.localStorage.getItem(ACTIVE_SOUND_KIT_STORAGE_KEY) || null;
+    } catch (_) {
+      return null;
+    }
+  });
+  const [isSoundKitsLoaded, setIsSoundKitsLoaded] = React.useState(false);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    listSoundKits()
+      .then((kits) => {
+        if (!cancelled) setSoundKits(kits);
+      })
+      .catch((e) => console.warn("[audio] Failed to load sound kits:", e))
+      .finally(() => {
+        if (!cancelled) setIsSoundKitsLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  React.useEffect(() => {
+    try {
+      if (activeSoundKitId) window.localStorage.setItem(ACTIVE_SOUND_KIT_STORAGE_KEY, activeSoundKitId);
+      else window.localStorage.removeItem(ACTIVE_SOUND_KIT_STORAGE_KEY);
+    } catch (_) {}
+  }, [activeSoundKitId]);
+
+  const activeSoundKit = React.useMemo(
+    () => soundKits.find((kit) => kit.id === activeSoundKitId) || null,
+    [soundKits, activeSoundKitId]
+  );
+
+  // A stored id can point at a kit that was deleted in another tab.
+  React.useEffect(() => {
+    if (!isSoundKitsLoaded || !activeSoundKitId || activeSoundKit) return;
+    setActiveSoundKitId(null);
+  }, [isSoundKitsLoaded, activeSoundKitId, activeSoundKit]);
+
+  const userSamples = activeSoundKit?.samples || null;
+
+  const storeKit = React.useCallback(async (kit) => {
+    const saved = await saveSoundKit(kit);
+    setSoundKits((prev) =>
+      [...prev.filter((k) => k.id !== saved.id), saved].sort((a, b) => a.label.localeCompare(b.label))
+    );
+    return saved;
+  }, []);
+
+  const makeUniqueLabel = React.useCallback(
+    (label) => {
+      const base = String(label || "").trim() || DEFAULT_SOUND_KIT_LABEL;
+      const taken = new Set(soundKits.map((kit) => kit.label));
+      if (!taken.has(base)) return base;
+      let n = 2;
+      while (taken.has(`${base} ${n}`)) n += 1;
+      return `${base} ${n}`;
+    },
+    [soundKits]
+  );
+
+  const createSoundKit = React.useCallback(
+    async (label) => {
+      const saved = await storeKit({
+        id: makeSoundKitId(),
+        label: makeUniqueLabel(label),
+        samples: { ...(activeSoundKit?.samples || {}) },
+      });
+      setActiveSoundKitId(saved.id);
+      return saved;
+    },
+    [storeKit, makeUniqueLabel, activeSoundKit]
+  );
+
+  const renameActiveSoundKit = React.useCallback(
+    async (label) => {
+      const nextLabel = String(label || "").trim();
+      if (!activeSoundKit || !nextLabel || nextLabel === activeSoundKit.label) return;
+      await storeKit({ ...activeSoundKit, label: nextLabel });
+    },
+    [activeSoundKit, storeKit]
+  );
+
+  const deleteActiveSoundKit = React.useCallback(async () => {
+    if (!activeSoundKit) return;
+    await deleteSoundKit(activeSoundKit.id);
+    setSoundKits((prev) => prev.filter((kit) => kit.id !== activeSoundKit.id));
+    setActiveSoundKitId(null);
+  }, [activeSoundKit]);
+
+  const stepSoundKit = React.useCallback(
+    (delta) => {
+      const order = [null, ...soundKits.map((kit) => kit.id)];
+      const i = Math.max(0, order.indexOf(activeSoundKitId));
+      const dir = delta >= 0 ? 1 : -1;
+      setActiveSoundKitId(order[(i + dir + order.length) % order.length]);
+    },
+    [soundKits, activeSoundKitId]
+  );
+
+  const replaceSample = React.useCallback(
+    async (sampleKey, file) => {
+      if (!sampleKey || !file) return;
+      if (file.size > MAX_SAMPLE_FILE_BYTES) {
+        throw new Error("Sample files must be 10 MB or smaller.");
+      }
+      const data = await file.arrayBuffer();
+      await assertDecodableAudio(data);
+      const baseKit = activeSoundKit || {
+        id: makeSoundKitId(),
+        label: makeUniqueLabel(DEFAULT_SOUND_KIT_LABEL),
+        samples: {},
+      };
+      const saved = await storeKit({
+        ...baseKit,
+        samples: {
+          ...baseKit.samples,
+          [sampleKey]: { name: file.name || sampleKey, type: file.type || "", data },
+        },
+      });
+      setActiveSoundKitId(saved.id);
+    },
+    [activeSoundKit, makeUniqueLabel, storeKit]
+  );
+
+  const resetSample = React.useCallback(
+    async (sampleKey) => {
+      if (!activeSoundKit?.samples?.[sampleKey]) return;
+      const samples = { ...activeSoundKit.samples };
+      delete samples[sampleKey];
+      await storeKit({ ...activeSoundKit, samples });
+    },
+    [activeSoundKit, storeKit]
+  );
+
+  return {
+    soundKits,
+    activeSoundKit,
+    activeSoundKitId,
+    setActiveSoundKitId,
+    userSamples,
+    stepSoundKit,
+    createSoundKit,
+    renameActiveSoundKit,
+    deleteActiveSoundKit,
+    replaceSample,
+    resetSample,
+  };
+}
@@ -0,0 +1,119 @@
+// Repeat structures on arrangement rows. A row can open (`repeatStart`) or
+// close (`repeatEnd`) a repeat that is played `repeatTimes` times in all, be a
+// numbered ending, carry a segno or coda sign at its start and end with
+// "To Coda", "Fine" or a D.S./D.C. jump. A row's own `repeats` are still
+// written out bar for bar; these structures are printed once and navigated.
+export const NAVIGATION_JUMPS = ["dc_al_fine", "dc_al_coda", "ds_al_fine", "ds_al_coda"];
+export const NAVIGATION_JUMP_LABELS = {
+  dc_al_fine: "D.C. al Fine",
+  dc_al_coda: "D.C. al Coda",
+  ds_al_fine: "D.S. al Fine",
+  ds_al_coda: "D.S. al Coda",
+};
+export const MAX_REPEAT_TIMES = 8;
+export const MAX_ENDING_NUMBER = 4;
+
+export function normalizeRowNavigation(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const nav = {
+    repeatStart: raw.repeatStart === true,
+    repeatEnd: raw.repeatEnd === true,
+    repeatTimes: Math.max(2, Math.min(MAX_REPEAT_TIMES, Math.round(Number(raw.repeatTimes) || 2))),
+    ending: Math.max(0, Math.min(MAX_ENDING_NUMBER, Math.round(Number(raw.ending) || 0))),
+    segno: raw.segno === true,
+    coda: raw.coda === true,
+    toCoda: raw.toCoda === true,
+    fine: raw.fine === true,
+    jump: NAVIGATION_JUMPS.includes(raw.jump) ? raw.jump : "",
+  };
+  const hasAny =
+    nav.repeatStart || nav.repeatEnd || nav.ending > 0 || nav.segno || nav.coda || nav.toCoda || nav.fine || nav.jump;
+  return hasAny ? nav : null;
+}
+
+// Highest ending number in the run of consecutive ending rows around `index`.
+function getLastEndingInRun(navs, index) {
+  let start = index;
+  while (start > 0 && navs[start - 1]?.ending > 0) start--;
+  let max = 0;
+  for (let i = start; i < navs.length && navs[i]?.ending > 0; i++) max = Math.max(max, navs[i].ending);
+  return max;
+}
+
+// Row indices in the order they are played. Repeats are not taken again after
+// a D.S. or D.C.; only the last ending of a repeat is played then.
+export function resolveArrangementRowOrder(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  const navs = list.map((row) => normalizeRowNavigation(row?.navigation));
+  if (!navs.some(Boolean)) return list.map((_, index) => index);
+  const segnoIndex = navs.findIndex((nav) => nav?.segno);
+  const codaIndex = navs.findIndex((nav) => nav?.coda);
+  const limit = (list.length + 1) * (MAX_REPEAT_TIMES + 2) * 2;
+  const order = [];
+  let groupStart = 0;
+  let pass = 1;
+  let jump = "";
+  let i = 0;
+  while (i < list.length && order.length < limit) {
+    const nav = navs[i];
+    const startsGroup =
+      nav?.repeatStart || (!(nav?.ending > 0) && i > 0 && (navs[i - 1]?.ending > 0 || navs[i - 1]?.repeatEnd));
+    if (startsGroup && i !== groupStart) {
+      groupStart = i;
+      pass = 1;
+    }
+    if (nav?.ending > 0 && nav.ending !== (jump ? getLastEndingInRun(navs, i) : pass)) {
+      i++;
+      continue;
+    }
+    order.push(i);
+    if (nav?.repeatEnd && !jump && pass < nav.repeatTimes) {
+      pass++;
+      i = groupStart;
+      continue;
+    }
+    if (nav?.jump && !jump) {
+      jump = nav.jump;
+      i = jump.startsWith("ds") ? Math.max(0, segnoIndex) : 0;
+      groupStart = i;
+      pass = 1;
+      continue;
+    }
+    if (jump.endsWith("_coda") && nav?.toCoda && codaIndex > i) {
+      i = codaIndex;
+      continue;
+    }
+    if (jump.endsWith("_fine") && nav?.fine) break;
+    i++;
+  }
+  return order;
+}
+
+// Per-bar marks for one row printed over `bars` bars: signs that belong to the
+// row's start go on its first bar, barlines and jumps on its last.
+export function buildNavigationMarksByBar(navigation, bars) {
+  const nav = normalizeRowNavigation(navigation);
+  const count = Math.max(1, Math.floor(Number(bars) || 1));
+  if (!nav) return Array(count).fill(null);
+  return Array.from({ length: count }, (_, bar) => {
+    const first = bar === 0;
+    const last = bar === count - 1;
+    const marks = {
+      repeatStart: first && nav.repeatStart,
+      repeatEnd: last && nav.repeatEnd,
+      repeatTimes: nav.repeatTimes,
+      ending: nav.ending,
+      endingStart: first && nav.ending > 0,
+      endingEnd: last && nav.ending > 0,
+      segno: first && nav.segno,
+      coda: first && nav.coda,
+      toCoda: last && nav.toCoda,
+      fine: last && nav.fine,
+      jump: last ? nav.jump : "",
+    };
+    const hasAny =
+      marks.repeatStart || marks.repeatEnd || marks.ending > 0 || marks.segno || marks.coda ||
+      marks.toCoda || marks.fine || marks.jump;
+    return hasAny ? marks : null;
+  });
+}
@@ -0,0 +1,42 @@
+// How an arrangement row is written and played. The row's beat still sets the
+// meter, tempo and length; "slashes" prints time slashes and "cues" the beat's
+// rhythm above the staff over time slashes, both playing only the click, while
+// "rest" prints the whole row as one multi-measure rest and stays silent.
+export const ARRANGEMENT_ROW_TYPES = ["beat", "slashes", "cues", "rest"];
+export const ARRANGEMENT_ROW_TYPE_LABELS = {
+  beat: "Written beat",
+  slashes: "Time (slashes)",
+  cues: "Rhythmic cues",
+  rest: "Tacet (multi-bar rest)",
+};
+export const ARRANGEMENT_ROW_TYPE_SHORT_LABELS = {
+  beat: "Beat",
+  slashes: "Slashes",
+  cues: "Cues",
+  rest: "Tacet",
+};
+
+export function normalizeArrangementRowType(raw) {
+  return ARRANGEMENT_ROW_TYPES.includes(raw) ? raw : "beat";
+}
+
+export function isWrittenBeatRowType(rowType) {
+  return normalizeArrangementRowType(rowType) === "beat";
+}
+
+export function isClickOnlyRowType(rowType) {
+  const type = normalizeArrangementRowType(rowType);
+  return type === "slashes" || type === "cues";
+}
+
+// Per-bar sheet styles for a row printed over `bars` notation bars; a tacet
+// row is printed as a single bar that stands for all of its `songBars`.
+export function buildRowTypeBarStyles(rowType, bars, songBars = bars) {
+  const type = normalizeArrangementRowType(rowType);
+  const count = Math.max(1, Math.floor(Number(bars) || 1));
+  if (type === "beat") return Array(count).fill(null);
+  if (type === "rest") {
+    return Array.from({ length: count }, () => ({ type, bars: Math.max(1, Math.floor(Number(songBars) || 1)) }));
+  }
+  return Array.from({ length: count }, () => ({ type }));
+}
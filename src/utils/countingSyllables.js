@@ -0,0 +1,67 @@
+// Counting text printed under the notation. Each beat of the bar is split the
+// way the grid splits it (quarterSubdivisionsByBar), so tuplets and odd meters
+// count per beat: "1 e & a", "1 trip let" / "1 la li", or Konnakol syllables.
+export const COUNTING_STYLES = ["off", "standard", "lali", "konnakol"];
+export const COUNTING_STYLE_LABELS = {
+  off: "Off",
+  standard: "1 e & a / 1 trip let",
+  lali: "1 e & a / 1 la li",
+  konnakol: "Konnakol",
+};
+export const COUNTING_STYLE_SHORT_LABELS = {
+  off: "None",
+  standard: "1 e & a",
+  lali: "1 la li",
+  konnakol: "Ta ka",
+};
+
+const TRIPLET_SYLLABLES = {
+  standard: ["trip", "let"],
+  lali: ["la", "li"],
+};
+const KONNAKOL_SYLLABLES = {
+  1: ["Ta"],
+  2: ["Ta", "ka"],
+  3: ["Ta", "ki", "ta"],
+  4: ["Ta", "ka", "di", "mi"],
+  5: ["Ta", "di", "gi", "na", "thom"],
+  6: ["Ta", "ka", "di", "mi", "ta", "ka"],
+  7: ["Ta", "ka", "di", "mi", "ta", "ki", "ta"],
+  8: ["Ta", "ka", "di", "mi", "ta", "ka", "ju", "nu"],
+};
+
+export function normalizeCountingStyle(raw) {
+  return COUNTING_STYLES.includes(raw) ? raw : "off";
+}
+
+// Arrangement rows print their beat's counting unless set to a style.
+export function normalizeRowCountingStyle(raw) {
+  return COUNTING_STYLES.includes(raw) ? raw : "beat";
+}
+
+// Syllable for one step: `beat` is 1-based, `sub` the step within the beat and
+// `subdiv` the number of steps in that beat. Steps without a syllable get "".
+export function getCountingSyllable(style, beat, sub, subdiv) {
+  const type = normalizeCountingStyle(style);
+  const s = Math.max(1, Math.round(Number(subdiv) || 1));
+  if (type === "off") return "";
+  if (type === "konnakol") return (KONNAKOL_SYLLABLES[s] || KONNAKOL_SYLLABLES[1])[sub] || "";
+  if (sub === 0) return String(beat);
+  const triplet = TRIPLET_SYLLABLES[type];
+  if (s === 2) return "&";
+  if (s === 3) return triplet[sub - 1] || "";
+  if (s === 4) return ["e", "&", "a"][sub - 1] || "";
+  if (s === 6) return [triplet[0], triplet[1], "&", triplet[0], triplet[1]][sub - 1] || "";
+  if (s === 8) return sub % 2 === 0 ? ["e", "&", "a"][sub / 2 - 1] || "" : "";
+  return "";
+}
+
+// One label per step of a bar, in step order.
+export function buildCountingLabels(style, quarterSubdivisions) {
+  const labels = [];
+  (Array.isArray(quarterSubdivisions) ? quarterSubdivisions : []).forEach((subdiv, q) => {
+    const s = Math.max(1, Number(subdiv) || 1);
+    for (let sub = 0; sub < s; sub++) labels.push(getCountingSyllable(style, q + 1, sub, s));
+  });
+  return labels;
+}
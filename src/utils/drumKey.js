@@ -0,0 +1,173 @@
+import * as Vex from "vexflow";
+import { svg2pdf } from "svg2pdf.js";
+import { GRACE_NOTE_LABELS, GRACE_NOTE_STATES, getGraceStrokeCount } from "./graceNotes";
+import { ROLL_LABELS, ROLL_STATES, getTremoloSlashCount } from "./rolls";
+import { CUSTOM_CIRCLED_X_GLYPH, CUSTOM_GHOST_GLYPHS, resolveNotationMap } from "./notationMap";
+
+// Drum key ("legend") for PDF exports: every instrument used in the sheet on
+// its staff position and notehead, followed by the articulations that appear.
+export const DRUM_KEY_PLACEMENTS = ["off", "top", "page"];
+export const DRUM_KEY_PLACEMENT_LABELS = {
+  off: "Off",
+  top: "Top of page 1",
+  page: "Own page",
+};
+
+const ARTICULATION_LABELS = { accent: "Accent", ghost: "Ghost note", ...GRACE_NOTE_LABELS, ...ROLL_LABELS };
+const ARTICULATION_ORDER = ["accent", "ghost", ...GRACE_NOTE_STATES, ...ROLL_STATES];
+const CELL_WIDTH = 92;
+const ROW_HEIGHT = 118;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+export function normalizeDrumKeyPlacement(raw) {
+  return DRUM_KEY_PLACEMENTS.includes(raw) ? raw : "off";
+}
+
+// Instruments with at least one hit and the articulations in use, from one or
+// more notation states ({ instruments, grid }).
+export function collectDrumKeyUsage(states) {
+  const instrumentIds = new Set();
+  const articulations = new Set();
+  (Array.isArray(states) ? states : [states]).forEach((state) => {
+    (state?.instruments || []).forEach((inst) => {
+      const cells = Array.isArray(state?.grid?.[inst.id]) ? state.grid[inst.id] : [];
+      cells.forEach((cell) => {
+        if (!cell || cell === "off") return;
+        instrumentIds.add(inst.id);
+        if (ARTICULATION_ORDER.includes(cell)) articulations.add(cell);
+      });
+    });
+  });
+  return { instrumentIds, articulations };
+}
+
+function setNoteheadGlyph(note, code) {
+  try {
+    (note.getKeyProps?.() || []).forEach((kp) => {
+      kp.code = code;
+    });
+    note.reset();
+  } catch (_) {}
+}
+
+function appendLabel(svg, x, y, text) {
+  const el = document.createElementNS(SVG_NS, "text");
+  el.setAttribute("x", String(x));
+  el.setAttribute("y", String(y));
+  el.setAttribute("text-anchor", "middle");
+  el.setAttribute("font-family", "Helvetica, Arial, sans-serif");
+  el.setAttribute("font-size", "11");
+  el.setAttribute("fill", "#000000");
+  el.textContent = text;
+  svg.appendChild(el);
+}
+
+// The "z" the sheet writes on the stem of a buzz roll.
+function appendBuzzMark(svg, note) {
+  try {
+    const { topY, baseY } = note.getStemExtents();
+    const el = document.createElementNS(SVG_NS, "text");
+    el.setAttribute("x", String(note.getStemX()));
+    el.setAttribute("y", String((topY + baseY) / 2 + 4));
+    el.setAttribute("text-anchor", "middle");
+    el.setAttribute("font-family", "Times New Roman, serif");
+    el.setAttribute("font-size", "14");
+    el.setAttribute("font-style", "italic");
+    el.setAttribute("font-weight", "700");
+    el.setAttribute("fill", "#000000");
+    el.textContent = "z";
+    svg.appendChild(el);
+  } catch (_) {}
+}
+
+// Detached SVG element with one small staff per entry, or null when the sheet
+// has no hits. `instruments` sets the order and the printed names.
+export function buildDrumKeySvg({ instruments, usage, notationMap, width = 760 }) {
+  const Flow = Vex.Flow;
+  const resolved = resolveNotationMap(notationMap);
+  const used = (instruments || []).filter((inst) => usage?.instrumentIds?.has(inst.id) && resolved[inst.id]);
+  if (!used.length) return null;
+  const reference = used.find((inst) => inst.id === "snare") || used[0];
+  const entries = [
+    ...used.map((inst) => ({ label: inst.label, instId: inst.id })),
+    ...ARTICULATION_ORDER
+      .filter((articulation) => usage.articulations?.has(articulation))
+      .map((articulation) => ({ label: ARTICULATION_LABELS[articulation], instId: reference.id, articulation })),
+  ];
+  const perRow = Math.max(1, Math.floor((width - 20) / CELL_WIDTH));
+  const rows = Math.ceil(entries.length / perRow);
+  const svgWidth = 20 + Math.min(entries.length, perRow) * CELL_WIDTH;
+  const svgHeight = rows * ROW_HEIGHT;
+
+  const host = document.createElement("div");
+  const renderer = new Flow.Renderer(host, Flow.Renderer.Backends.SVG);
+  renderer.resize(svgWidth, svgHeight);
+  const ctx = renderer.getContext();
+  const svg = host.querySelector("svg");
+
+  entries.forEach((entry, index) => {
+    const x = 10 + (index % perRow) * CELL_WIDTH;
+    const y = Math.floor(index / perRow) * ROW_HEIGHT;
+    const notation = resolved[entry.instId];
+    const stave = new Flow.Stave(x + 6, y, CELL_WIDTH - 12, { space_above_staff_ln: 3.5 });
+    stave.setBegBarType(Flow.Barline.type.NONE);
+    stave.setEndBarType(Flow.Barline.type.NONE);
+    stave.setContext(ctx).draw();
+
+    const note = new Flow.StaveNote({ keys: [notation.key], duration: "q", clef: "percussion" });
+    note.setStemDirection(1);
+    if (entry.articulation === "ghost") {
+      setNoteheadGlyph(note, notation.notehead === "normal" ? CUSTOM_GHOST_GLYPHS.black : CUSTOM_GHOST_GLYPHS.x);
+    } else if (notation.notehead === "circleX") {
+      setNoteheadGlyph(note, CUSTOM_CIRCLED_X_GLYPH);
+    }
+    const tremoloSlashes = ROLL_STATES.includes(entry.articulation) ? getTremoloSlashCount(entry.articulation) : 0;
+    if (tremoloSlashes) note.addModifier(new Flow.Tremolo(tremoloSlashes), 0);
+    if (entry.articulation === "accent") {
+      note.addModifier(new Flow.Articulation("a>").setPosition(Flow.Modifier.Position.ABOVE), 0);
+    }
+    if (GRACE_NOTE_STATES.includes(entry.articulation)) {
+      const count = getGraceStrokeCount(entry.articulation);
+      const graceNotes = Array.from({ length: count }, () => {
+        const grace = new Flow.GraceNote({
+          keys: [notation.key],
+          duration: count === 1 ? "8" : "16",
+          slash: count === 1,
+          clef: "percussion",
+        });
+        grace.setStemDirection(1);
+        return grace;
+      });
+      const group = new Flow.GraceNoteGroup(graceNotes, false);
+      if (graceNotes.length > 1) group.beamNotes();
+      note.addModifier(group, 0);
+    }
+    const voice = new Flow.Voice({ num_beats: 1, beat_value: 4 });
+    voice.setStrict(false);
+    voice.addTickables([note]);
+    new Flow.Formatter().joinVoices([voice]).formatToStave([voice], stave);
+    // A lone note sits at the start of the staff; move it to the middle of the cell.
+    note.setXShift(Math.max(0, (stave.getNoteEndX() - stave.getNoteStartX()) / 2 - 6));
+    voice.draw(ctx, stave);
+    if (entry.articulation === "buzz") appendBuzzMark(svg, note);
+    appendLabel(svg, x + CELL_WIDTH / 2, stave.getYForLine(4) + 38, entry.label);
+  });
+
+  svg.setAttribute("viewBox", `0 0 ${svgWidth} ${svgHeight}`);
+  return svg;
+}
+
+// Draws the key at (x, y) scaled down to `maxWidth` and returns the height used.
+export async function addDrumKeyToPdf(pdf, svg, { x, y, maxWidth }) {
+  const svgWidth = Number(svg?.getAttribute("width")) || 0;
+  const svgHeight = Number(svg?.getAttribute("height")) || 0;
+  if (!svgWidth || !svgHeight) return 0;
+  const scale = Math.min(1, maxWidth / svgWidth);
+  const outW = svgWidth * scale;
+  const outH = svgHeight * scale;
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(11);
+  pdf.text("Drum Key", x, y + 10);
+  await svg2pdf(svg, pdf, { x: x + (maxWidth - outW) / 2, y: y + 16, width: outW, height: outH });
+  return outH + 16;
+}
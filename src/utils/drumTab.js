@@ -0,0 +1,235 @@
+import { GRACE_NOTE_CELL_CODES, GRACE_NOTE_INSTRUMENT_IDS, isGraceNoteState } from "./graceNotes";
+import { ROLL_CELL_CODES, ROLL_INSTRUMENT_IDS, isRollState } from "./rolls";
+import { buildPayloadFromBarHits } from "./gridPayloadFromHits";
+
+// Plain-text drum tabs: one line per drum ("HH|x-x-x-x-|"), one character per
+// step and one "|"-delimited segment per bar. Row labels are matched through an
+// alias table (instrument id -> labels, compared case-insensitively).
+export const DEFAULT_DRUM_TAB_ALIASES = {
+  splash: ["SP", "Spl", "Splash"],
+  china: ["CN", "China"],
+  crash2: ["C2", "CC2", "Cr2"],
+  crash1: ["CC", "C", "C1", "CR", "Crash"],
+  ride: ["RD", "R", "Ri", "Ride"],
+  rideBell: ["RB", "Bell"],
+  hihatOpen: ["HO", "OH"],
+  hihat: ["HH", "H", "Hh", "CH", "HiHat"],
+  hihatFoot: ["HF", "PH", "FH", "Hf"],
+  cowbell: ["CB", "Cow"],
+  tom1: ["T1", "HT", "T", "Tom"],
+  tom2: ["T2", "MT"],
+  floorTom: ["FT", "T3", "F", "LT"],
+  sideStick: ["SS", "XS", "RS", "CS"],
+  snare: ["SD", "S", "SN", "Sn", "Snare"],
+  kick: ["BD", "B", "K", "KD", "Bass", "Kick"],
+};
+
+// Drums are written with "o", everything else with "x".
+const DRUM_TAB_O_INSTRUMENT_IDS = new Set(["snare", "tom1", "tom2", "floorTom", "kick"]);
+const REST_CHARS = new Set(["-", ".", "_", "=", "~"]);
+const TAB_LINE_RE = /^\s*([A-Za-z][A-Za-z0-9 ]{0,11}?)\s*\|(.*)$/;
+const MAX_BARS = 64;
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+function parseAliasList(list) {
+  const raw = Array.isArray(list) ? list : String(list || "").split(",");
+  return [...new Set(raw.map((label) => String(label || "").trim().replace(/\s+/g, " ")).filter(Boolean))].slice(0, 12);
+}
+
+export function normalizeDrumTabAliases(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  return Object.fromEntries(
+    Object.keys(DEFAULT_DRUM_TAB_ALIASES).map((instId) => [
+      instId,
+      Array.isArray(source[instId]) || typeof source[instId] === "string"
+        ? parseAliasList(source[instId])
+        : [...DEFAULT_DRUM_TAB_ALIASES[instId]],
+    ])
+  );
+}
+
+// Label -> instrument id. An earlier instrument keeps a label listed twice.
+function buildLabelLookup(aliases) {
+  const lookup = new Map();
+  Object.entries(normalizeDrumTabAliases(aliases)).forEach(([instId, labels]) => {
+    labels.forEach((label) => {
+      const key = label.toLowerCase();
+      if (!lookup.has(key)) lookup.set(key, instId);
+    });
+  });
+  return lookup;
+}
+
+function getTabChar(instId, cell) {
+  if (!cell || cell === "off") return "-";
+  if (cell === "ghost") return "g";
+  if (cell === "accent") return "X";
+  if (isGraceNoteState(cell)) return cell[0];
+  if (isRollState(cell)) return "z";
+  return DRUM_TAB_O_INSTRUMENT_IDS.has(instId) ? "o" : "x";
+}
+
+// Text tab of a notation state (see buildNotationStateFromPayload). Each bar is
+// written with as many characters per beat as its beats need in common, so
+// tuplets stay aligned across rows. Open hi-hat hits go on the hi-hat row as
+// "o" ("O" when accented), the way most tabs write them.
+export function buildDrumTab({ notation, aliases, barsPerLine = 2 }) {
+  const grid = notation?.grid || {};
+  const subdivisionsByBar = notation?.quarterSubdivisionsByBar || [];
+  const barStepOffsets = notation?.barStepOffsets || [0];
+  const labelsById = normalizeDrumTabAliases(aliases);
+  const hasHits = (instId) => (grid[instId] || []).some((cell) => cell && cell !== "off");
+  const rows = (notation?.instruments || [])
+    .map((inst) => inst.id)
+    .filter((instId) => instId !== "hihatOpen" && (hasHits(instId) || (instId === "hihat" && hasHits("hihatOpen"))));
+  if (hasHits("hihatOpen") && !rows.includes("hihat")) {
+    rows.splice(Math.max(0, rows.findIndex((instId) => DRUM_TAB_O_INSTRUMENT_IDS.has(instId))), 0, "hihat");
+  }
+  if (!rows.length) rows.push("hihat", "snare", "kick");
+  const labels = rows.map((instId) => labelsById[instId]?.[0] || instId);
+  const labelWidth = Math.max(...labels.map((label) => label.length));
+
+  const barTexts = subdivisionsByBar.map((subdivisions, barIdx) => {
+    const charsPerBeat = subdivisions.reduce((acc, subdiv) => lcm(acc, Math.max(1, Number(subdiv) || 1)), 1);
+    return rows.map((instId) => {
+      let text = "";
+      let step = barStepOffsets[barIdx] || 0;
+      subdivisions.forEach((rawSubdiv) => {
+        const subdiv = Math.max(1, Number(rawSubdiv) || 1);
+        const slots = Array(charsPerBeat).fill("-");
+        for (let sub = 0; sub < subdiv; sub++, step++) {
+          let char = getTabChar(instId, grid[instId]?.[step]);
+          const open = instId === "hihat" ? grid.hihatOpen?.[step] : null;
+          if (open && open !== "off") char = open === "accent" ? "O" : "o";
+          slots[(sub * charsPerBeat) / subdiv] = char;
+        }
+        text += slots.join("");
+      });
+      return text;
+    });
+  });
+
+  const perLine = Math.max(1, Math.round(Number(barsPerLine) || 1));
+  const systems = [];
+  for (let start = 0; start < barTexts.length; start += perLine) {
+    const chunk = barTexts.slice(start, start + perLine);
+    systems.push(
+      rows
+        .map((_, rowIdx) => `${labels[rowIdx].padEnd(labelWidth)}|${chunk.map((bar) => bar[rowIdx]).join("|")}|`)
+        .join("\n")
+    );
+  }
+  return `${systems.join("\n\n")}\n`;
+}
+
+function getHitForChar(instId, char) {
+  if (REST_CHARS.has(char)) return null;
+  if (instId === "hihat" && (char === "o" || char === "O")) {
+    return { instId: "hihatOpen", code: char === "O" ? 3 : 1 };
+  }
+  if (char === "g") return { instId, code: 2 };
+  if (char === "X" || char === "O") return { instId, code: 3 };
+  if (GRACE_NOTE_INSTRUMENT_IDS.has(instId)) {
+    const grace = { f: "flam", d: "drag", r: "ruff" }[char];
+    if (grace) return { instId, code: GRACE_NOTE_CELL_CODES[grace] };
+  }
+  if (char === "z" && ROLL_INSTRUMENT_IDS.has(instId)) return { instId, code: ROLL_CELL_CODES.buzz };
+  return { instId, code: 1 };
+}
+
+// Tab lines grouped into systems: consecutive tab lines share their bars, any
+// other line (blank, title, counting) closes the system.
+function readTabSystems(text) {
+  const systems = [];
+  let current = null;
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .forEach((line) => {
+      const match = TAB_LINE_RE.exec(line);
+      if (!match) {
+        current = null;
+        return;
+      }
+      const parts = match[2].split("|");
+      // Text after the closing bar line ("x4", comments) is not a bar.
+      if (parts.length > 1) parts.pop();
+      const bars = parts.map((part) => part.replace(/\s+/g, "")).filter(Boolean);
+      if (!bars.length) return;
+      if (!current) {
+        current = [];
+        systems.push(current);
+      }
+      current.push({ label: match[1].trim(), bars });
+    });
+  return systems;
+}
+
+export function looksLikeDrumTab(text, aliases) {
+  const lookup = buildLabelLookup(aliases);
+  return readTabSystems(text).some((system) =>
+    system.some((line) => lookup.has(line.label.toLowerCase()) && line.bars.some((bar) => /^[-.\w=~]+$/.test(bar)))
+  );
+}
+
+// Beat payload of a text tab. Bars are read against `timeSig`; each bar's
+// characters are spread evenly over it, so "x-x-x-x-" and "x---x---x---x---"
+// both work. Unmatched row labels are skipped and reported.
+export function parseDrumTab(text, { aliases, timeSig = { n: 4, d: 4 }, bpm = 120 } = {}) {
+  const lookup = buildLabelLookup(aliases);
+  const sig = {
+    n: Math.max(1, Math.round(Number(timeSig?.n) || 4)),
+    d: [2, 4, 8, 16].includes(Number(timeSig?.d)) ? Number(timeSig.d) : 4,
+  };
+  const unknownLabels = new Set();
+  const rawBars = [];
+  readTabSystems(text).forEach((system) => {
+    const barCount = Math.max(...system.map((line) => line.bars.length));
+    const start = rawBars.length;
+    for (let idx = 0; idx < barCount; idx++) rawBars.push([]);
+    system.forEach((line) => {
+      const instId = lookup.get(line.label.toLowerCase());
+      if (!instId) {
+        unknownLabels.add(line.label);
+        return;
+      }
+      line.bars.forEach((bar, idx) => rawBars[start + idx].push({ instId, bar }));
+    });
+  });
+  if (!rawBars.length) throw new Error("No drum tab lines found. Expected rows like HH|x-x-x-x-|.");
+  const bars = rawBars.slice(0, MAX_BARS);
+
+  const barTicks = bars.flat().reduce((acc, { bar }) => lcm(acc, bar.length), sig.n);
+  const assignments = {};
+  const barHits = bars.map((lines) => {
+    const hits = [];
+    lines.forEach(({ instId, bar }) => {
+      [...bar].forEach((char, idx) => {
+        const hit = getHitForChar(instId, char);
+        if (!hit) return;
+        assignments[hit.instId] = hit.instId;
+        hits.push({ tick: (idx * barTicks) / bar.length, sourceKey: hit.instId, code: hit.code });
+      });
+    });
+    return { hits };
+  });
+  if (!Object.keys(assignments).length) {
+    throw new Error(
+      unknownLabels.size
+        ? `No known drum rows in this tab. Add aliases for: ${[...unknownLabels].join(", ")}.`
+        : "The drum tab has no hits."
+    );
+  }
+  return {
+    payload: buildPayloadFromBarHits(barHits, { timeSig: sig, bpm, beatTicks: barTicks / sig.n, assignments }),
+    unknownLabels: [...unknownLabels],
+    truncated: rawBars.length > MAX_BARS,
+  };
+}
@@ -0,0 +1,153 @@
+// Dynamics markings and hairpins. Both are stored per beat by grid step:
+// `dynamics: [{ step, level }]` and `hairpins: [{ start, end, type }]`, where a
+// hairpin covers steps start..end-1 and ends on the marking at `end`, if any.
+export const DYNAMIC_LEVELS = ["pp", "p", "mp", "mf", "f", "ff"];
+export const HAIRPIN_TYPES = ["cresc", "decresc"];
+export const HAIRPIN_LABELS = { cresc: "Crescendo", decresc: "Decrescendo" };
+
+// Playback scale per level. Hit gains and velocities are already at their
+// ceiling for accents, so ff plays as written and every other level sits below
+// it. Unmarked music plays as written too, so beats without dynamics sound
+// exactly as before.
+const DYNAMIC_SCALES = { pp: 0.35, p: 0.48, mp: 0.61, mf: 0.74, f: 0.87, ff: 1 };
+const UNMARKED_LEVEL = "ff";
+
+export function isDynamicLevel(level) {
+  return DYNAMIC_LEVELS.includes(level);
+}
+
+export function normalizeDynamics(raw, columns = Infinity) {
+  const byStep = new Map();
+  (Array.isArray(raw) ? raw : []).forEach((item) => {
+    const step = Math.floor(Number(item?.step));
+    if (!Number.isFinite(step) || step < 0 || step >= columns || !isDynamicLevel(item?.level)) return;
+    byStep.set(step, item.level);
+  });
+  return [...byStep.entries()].sort((a, b) => a[0] - b[0]).map(([step, level]) => ({ step, level }));
+}
+
+// Hairpins are kept sorted and non-overlapping; a later one wins over an
+// earlier one it overlaps.
+export function normalizeHairpins(raw, columns = Infinity) {
+  const out = [];
+  (Array.isArray(raw) ? raw : []).forEach((item) => {
+    const start = Math.floor(Number(item?.start));
+    const end = Math.min(columns, Math.floor(Number(item?.end)));
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) return;
+    if (!HAIRPIN_TYPES.includes(item?.type)) return;
+    for (let i = out.length - 1; i >= 0; i--) {
+      if (out[i].start < end && start < out[i].end) out.splice(i, 1);
+    }
+    out.push({ start, end, type: item.type });
+  });
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// Keeps the markings inside steps start..end-1, re-based to `start`.
+export function sliceDynamicsBySteps(dynamics, hairpins, start, end) {
+  return {
+    dynamics: normalizeDynamics(dynamics)
+      .filter((item) => item.step >= start && item.step < end)
+      .map((item) => ({ ...item, step: item.step - start })),
+    hairpins: normalizeHairpins(hairpins)
+      .filter((item) => item.start < end && item.end > start)
+      .map((item) => ({ ...item, start: Math.max(0, item.start - start), end: Math.min(end, item.end) - start })),
+  };
+}
+
+export function offsetDynamics(dynamics, hairpins, offset) {
+  return {
+    dynamics: normalizeDynamics(dynamics).map((item) => ({ ...item, step: item.step + offset })),
+    hairpins: normalizeHairpins(hairpins).map((item) => ({ ...item, start: item.start + offset, end: item.end + offset })),
+  };
+}
+
+// Moves the markings onto a new step layout (resolution, tuplet or meter
+// change) the way the grid moves hits: each step keeps its bar, beat and
+// nearest position in the beat. Markings in beats that no longer exist are
+// dropped. A hairpin's end moves like a step, so it stays on the marking it
+// leads to.
+export function remapDynamicsBySubdivisions(dynamics, hairpins, oldSubsByBar, newSubsByBar) {
+  const oldPositions = [];
+  (oldSubsByBar || []).forEach((subs, bar) => {
+    (subs || []).forEach((rawSubdiv, quarter) => {
+      const subdiv = Math.max(1, Number(rawSubdiv) || 1);
+      for (let sub = 0; sub < subdiv; sub++) oldPositions.push({ bar, quarter, phase: sub / subdiv });
+    });
+  });
+  const newQuarterStarts = [];
+  let columns = 0;
+  (newSubsByBar || []).forEach((subs, bar) => {
+    newQuarterStarts[bar] = (subs || []).map((rawSubdiv) => {
+      const subdiv = Math.max(1, Number(rawSubdiv) || 1);
+      const quarter = { start: columns, subdiv };
+      columns += subdiv;
+      return quarter;
+    });
+  });
+  const mapStep = (step) => {
+    const pos = oldPositions[step];
+    const quarter = pos ? newQuarterStarts[pos.bar]?.[pos.quarter] : null;
+    if (!quarter) return null;
+    return quarter.start + Math.max(0, Math.min(quarter.subdiv - 1, Math.round(pos.phase * quarter.subdiv)));
+  };
+  return {
+    dynamics: normalizeDynamics(
+      normalizeDynamics(dynamics)
+        .map((item) => ({ ...item, step: mapStep(item.step) }))
+        .filter((item) => item.step != null),
+      columns
+    ),
+    hairpins: normalizeHairpins(
+      normalizeHairpins(hairpins)
+        .map((item) => {
+          const start = mapStep(item.start);
+          const last = mapStep(item.end - 1);
+          const end = mapStep(item.end) ?? (last == null ? null : last + 1);
+          return start == null || end == null ? null : { ...item, start, end };
+        })
+        .filter(Boolean),
+      columns
+    ),
+  };
+}
+
+// Playback scale for every step. A hairpin ramps from the level in force at its
+// start to the marking at its end, or one level up/down when there is none.
+export function getDynamicScaleByStep(dynamics, hairpins, columns) {
+  const count = Math.max(0, Math.floor(Number(columns) || 0));
+  const marks = new Map(normalizeDynamics(dynamics, count).map((item) => [item.step, item.level]));
+  const hairpinByStart = new Map(normalizeHairpins(hairpins, count).map((item) => [item.start, item]));
+  if (!marks.size && !hairpinByStart.size) return Array(count).fill(1);
+  const scales = [];
+  let level = UNMARKED_LEVEL;
+  let ramp = null;
+  for (let step = 0; step < count; step++) {
+    if (ramp && step >= ramp.end) {
+      level = ramp.toLevel;
+      ramp = null;
+    }
+    if (marks.has(step)) level = marks.get(step);
+    const hairpin = hairpinByStart.get(step);
+    if (hairpin) {
+      const index = DYNAMIC_LEVELS.indexOf(level);
+      const toLevel =
+        marks.get(hairpin.end) ||
+        DYNAMIC_LEVELS[Math.max(0, Math.min(DYNAMIC_LEVELS.length - 1, index + (hairpin.type === "cresc" ? 1 : -1)))];
+      ramp = { ...hairpin, fromLevel: level, toLevel };
+    }
+    if (ramp) {
+      const from = DYNAMIC_SCALES[ramp.fromLevel];
+      const to = DYNAMIC_SCALES[ramp.toLevel];
+      scales.push(from + ((to - from) * (step - ramp.start)) / (ramp.end - ramp.start));
+    } else {
+      scales.push(DYNAMIC_SCALES[level]);
+    }
+  }
+  return scales;
+}
+
+export function scaleMidiVelocity(velocity, scale = 1) {
+  const factor = Number.isFinite(Number(scale)) ? Number(scale) : 1;
+  return Math.max(1, Math.min(127, Math.round((Number(velocity) || 0) * factor)));
+}
@@ -1,6 +1,7 @@
 import { jsPDF } from "jspdf";
 import { svg2pdf } from "svg2pdf.js";
 import QRCode from "qrcode";
+import { addDrumKeyToPdf, normalizeDrumKeyPlacement } from "./drumKey";
 
 function cloneSvgForPrint(svg) {
   const clone = svg.cloneNode(true);
@@ -87,6 +88,8 @@ export async function exportArrangementPdf(containerEl, opts = {}) {
   const usableW = pageW - pad * 2;
   const qrText = String(opts.qrText || "").trim();
   const watermarkEnabled = opts.watermark !== false;
+  const drumKeySvg = opts.drumKeySvg || null;
+  const drumKeyPlacement = drumKeySvg ? normalizeDrumKeyPlacement(opts.drumKeyPlacement) : "off";
   const qrDataUrl = qrText ? await QRCode.toDataURL(qrText, {
     margin: 0,
     color: {
@@ -96,13 +99,20 @@ export async function exportArrangementPdf(containerEl, opts = {}) {
     width: 256,
   }) : "";
   const qrSize = 40;
+  if (drumKeyPlacement === "page") {
+    await addDrumKeyToPdf(pdf, drumKeySvg, { x: pad, y: pad, maxWidth: usableW });
+  }
   for (let pageIndex = 0; pageIndex < pageEls.length; pageIndex++) {
-    if (pageIndex > 0) pdf.addPage();
+    if (pageIndex > 0 || drumKeyPlacement === "page") pdf.addPage();
     const pageEl = pageEls[pageIndex];
     const pageRect = getPageSize(pageEl);
     if (!pageRect.width || !pageRect.height) continue;
 
-    const topPad = pad;
+    const drumKeyHeight =
+      pageIndex === 0 && drumKeyPlacement === "top"
+        ? await addDrumKeyToPdf(pdf, drumKeySvg, { x: pad, y: pad, maxWidth: usableW })
+        : 0;
+    const topPad = pad + (drumKeyHeight ? drumKeyHeight + 12 : 0);
     const usableH = pageH - topPad - pad;
     const scale = Math.min(usableW / pageRect.width, usableH / pageRect.height);
     const offsetX = pad + (usableW - pageRect.width * scale) / 2;
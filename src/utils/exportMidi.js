@@ -1,3 +1,10 @@
+import { buildSwingOffsetsQuarters, normalizeSwing } from "./swing";
+import { getGraceNoteStateForCode, getGraceStrokeLeadsSec } from "./graceNotes";
+import { buildRollStrokes, getRollStateForCode, getRollTiming, isRollState } from "./rolls";
+import { getDynamicScaleByStep, scaleMidiVelocity } from "./dynamics";
+import { isWrittenBeatRowType } from "./arrangementRowTypes";
+import { DEFAULT_MIDI_EXPORT_VELOCITIES, MIDI_HIT_VELOCITIES } from "./midiExportMapping";
+
 function toVarLen(value) {
   let v = Math.max(0, value | 0);
   const bytes = [v & 0x7f];
@@ -7,6 +14,37 @@ function toVarLen(value) {
   return bytes;
 }
 
+// Flam, drag and ruff strokes as { tick, offTick } pairs ahead of the main hit,
+// timed in real seconds so they sound the same at any tempo. Strokes that would
+// start before the file does are left out.
+function buildGraceStrokeTicks(state, mainTick, ppq, bpm) {
+  const ticksPerSec = (ppq * Math.max(1, Number(bpm) || 120)) / 60;
+  const strokeLen = Math.max(1, Math.round(0.015 * ticksPerSec));
+  return getGraceStrokeLeadsSec(state)
+    .map((leadSec) => {
+      const tick = mainTick - Math.max(1, Math.round(leadSec * ticksPerSec));
+      return { tick, offTick: Math.min(mainTick, tick + strokeLen) };
+    })
+    .filter((stroke) => stroke.tick >= 0);
+}
+
+// Roll strokes as { tick, offTick, velocity }, replacing the single written hit.
+// Exports are deterministic, so the humanizing jitter is centred.
+function buildRollStrokeTicks(state, mainTick, durationTicks, ppq, bpm, tied) {
+  const secPerTick = 60 / (ppq * Math.max(1, Number(bpm) || 120));
+  const strokes = buildRollStrokes(state, durationTicks * secPerTick, bpm, { tied, random: () => 0.5 });
+  return strokes.map((stroke, i) => {
+    const tick = mainTick + Math.round(stroke.offsetSec / secPerTick);
+    const nextTick =
+      i + 1 < strokes.length ? mainTick + Math.round(strokes[i + 1].offsetSec / secPerTick) : mainTick + durationTicks;
+    return {
+      tick,
+      offTick: Math.max(tick + 1, Math.min(nextTick, tick + Math.round(0.02 / secPerTick))),
+      velocity: stroke.gain == null ? MIDI_HIT_VELOCITIES.on : MIDI_HIT_VELOCITIES[stroke.ghost ? "rollGhost" : "roll"],
+    };
+  });
+}
+
 function writeU16BE(n) {
   return [(n >> 8) & 0xff, n & 0xff];
 }
@@ -112,6 +150,80 @@ function pushTrackEvent(track, delta, bytes) {
   track.push(...toVarLen(Math.max(0, delta | 0)), ...bytes);
 }
 
+function getCellVelocity(cell, velocities) {
+  if (cell === "ghost") return velocities.ghost;
+  if (cell === "accent") return velocities.accent;
+  return velocities.on;
+}
+
+// Sticking as lyric events on the hit's tick: one per instrument when every
+// instrument has its own track, otherwise one per step ("R", "L" or "RL").
+function pushStickingLyrics(events, tick, stickingMap, hasHit, multiTrack) {
+  const entries = Object.entries(stickingMap && typeof stickingMap === "object" ? stickingMap : {}).filter(
+    ([instId, hand]) => (hand === "R" || hand === "L") && hasHit(instId)
+  );
+  if (!entries.length) return;
+  if (multiTrack) {
+    entries.forEach(([instId, hand]) => events.push({ tick, kind: "lyric", instId, bytes: metaTextEvent(0x05, hand) }));
+    return;
+  }
+  const hands = ["R", "L"].filter((hand) => entries.some(([, value]) => value === hand));
+  events.push({ tick, kind: "lyric", instId: null, bytes: metaTextEvent(0x05, hands.join("")) });
+}
+
+// Same-tick order: meta events, note-offs, lyrics, then note-ons.
+const EVENT_KIND_ORDER = { meta: 0, off: 1, lyric: 2, on: 3 };
+
+function buildTrackChunk(events) {
+  const track = [];
+  let lastTick = 0;
+  [...events]
+    .sort((a, b) => a.tick - b.tick || EVENT_KIND_ORDER[a.kind] - EVENT_KIND_ORDER[b.kind])
+    .forEach((ev) => {
+      pushTrackEvent(track, ev.tick - lastTick, ev.bytes);
+      lastTick = ev.tick;
+    });
+  track.push(...toVarLen(0), 0xff, 0x2f, 0x00);
+  return [0x4d, 0x54, 0x72, 0x6b, ...writeU32BE(track.length), ...track];
+}
+
+// Format 0 puts everything in one track. Format 1 keeps text, tempo and meter
+// in a conductor track and gives every instrument with hits its own track.
+function buildMidiFileBytes({ conductorEvents, noteEvents, instruments, multiTrack, ppq }) {
+  const tracks = multiTrack
+    ? [
+        conductorEvents,
+        ...instruments
+          .map((inst) => {
+            const events = noteEvents.filter((ev) => ev.instId === inst?.id);
+            if (!events.length) return null;
+            return [{ tick: 0, kind: "meta", bytes: metaTextEvent(0x03, inst.label || inst.id) }, ...events];
+          })
+          .filter(Boolean),
+      ]
+    : [[...conductorEvents, ...noteEvents]];
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // MThd
+    ...writeU32BE(6),
+    ...writeU16BE(multiTrack ? 1 : 0),
+    ...writeU16BE(tracks.length),
+    ...writeU16BE(ppq),
+  ];
+  return new Uint8Array([...header, ...tracks.flatMap(buildTrackChunk)]);
+}
+
+function downloadMidiFile(bytes, filename) {
+  const blob = new Blob([bytes], { type: "audio/midi" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${sanitizeFilename(filename)}.mid`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 export function exportDrumMidi({
   grid,
   instruments,
@@ -120,7 +232,12 @@ export function exportDrumMidi({
   bpm,
   timeSig,
   stepQuarterDurations,
+  swing = null,
   payload,
+  noteMap = null,
+  velocities = DEFAULT_MIDI_EXPORT_VELOCITIES,
+  multiTrack = false,
+  stickingAssignmentsByStep = null,
   title = "",
   composer = "",
   filename = "drum-grid",
@@ -136,6 +253,7 @@ export function exportDrumMidi({
   const channel = 9; // MIDI channel 10 (0-based)
   const onStatus = 0x90 | channel;
   const offStatus = 0x80 | channel;
+  const getNote = (inst) => noteMap?.[inst.id] ?? inst.midi;
   const resolvedStepQuarterDurations =
     Array.isArray(stepQuarterDurations) && stepQuarterDurations.length === columns
       ? stepQuarterDurations.map((q) => (Number.isFinite(q) && q > 0 ? Number(q) : 1 / Math.max(1, Number(resolution) / 4)))
@@ -147,81 +265,94 @@ export function exportDrumMidi({
     stepStarts.push(tickCursor);
     tickCursor += tickLen;
   });
+  const barQuarterLength = Math.max(1, Number(timeSig?.n) || 4) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+  const swingTicksByStep = buildSwingOffsetsQuarters(
+    resolvedStepQuarterDurations,
+    barQuarterLength,
+    normalizeSwing(swing || payload?.swing)
+  ).map((q) => Math.round(PPQ * q));
+
+  const dynamicScales = getDynamicScaleByStep(payload?.dynamics, payload?.hairpins, columns);
 
-  const events = [];
+  const noteEvents = [];
   for (const inst of instruments) {
-    if (!inst || !Number.isFinite(inst.midi)) continue;
+    if (!inst || !Number.isFinite(getNote(inst))) continue;
+    const note = getNote(inst) & 0x7f;
     const row = grid[inst.id] || [];
     for (let step = 0; step < columns; step++) {
       const cell = row[step] ?? "off";
       if (cell === "off") continue;
-      const tick = stepStarts[step] ?? 0;
-      const noteLen = Math.max(1, Math.floor((ticksByStep[step] || 1) * 0.95));
-      const velocity = cell === "ghost" ? 56 : 100;
-      events.push({ tick, type: "on", note: inst.midi, velocity });
-      events.push({ tick: tick + noteLen, type: "off", note: inst.midi, velocity: 0 });
+      const swingTicks = swingTicksByStep[step] || 0;
+      const tick = (stepStarts[step] ?? 0) + swingTicks;
+      const noteLen = Math.max(1, Math.floor(Math.max(1, (ticksByStep[step] || 1) - swingTicks) * 0.95));
+      const pushNote = (onTick, offTick, velocity) => {
+        noteEvents.push({ tick: onTick, kind: "on", instId: inst.id, bytes: [onStatus, note, velocity & 0x7f] });
+        noteEvents.push({ tick: offTick, kind: "off", instId: inst.id, bytes: [offStatus, note, 0] });
+      };
+      if (isRollState(cell)) {
+        const rollTiming = getRollTiming(
+          grid,
+          instruments.map((item) => item?.id),
+          inst.id,
+          step,
+          resolvedStepQuarterDurations,
+          timeSig
+        );
+        buildRollStrokeTicks(cell, tick, Math.round(PPQ * rollTiming.quarters), PPQ, bpm, rollTiming.tied).forEach(
+          (stroke) => {
+            pushNote(
+              stroke.tick,
+              stroke.offTick,
+              scaleMidiVelocity((stroke.velocity * velocities.on) / MIDI_HIT_VELOCITIES.on, dynamicScales[step])
+            );
+          }
+        );
+        continue;
+      }
+      buildGraceStrokeTicks(cell, tick, PPQ, bpm).forEach((stroke) => {
+        pushNote(stroke.tick, stroke.offTick, scaleMidiVelocity(velocities.grace, dynamicScales[step]));
+      });
+      pushNote(tick, tick + noteLen, scaleMidiVelocity(getCellVelocity(cell, velocities), dynamicScales[step]));
+    }
+  }
+  if (stickingAssignmentsByStep) {
+    const exportedIds = new Set(instruments.filter((inst) => inst && Number.isFinite(getNote(inst))).map((inst) => inst.id));
+    for (let step = 0; step < columns; step++) {
+      pushStickingLyrics(
+        noteEvents,
+        (stepStarts[step] ?? 0) + (swingTicksByStep[step] || 0),
+        stickingAssignmentsByStep[step],
+        (instId) => exportedIds.has(instId) && (grid[instId]?.[step] ?? "off") !== "off",
+        multiTrack
+      );
     }
   }
 
-  events.sort((a, b) => {
-    if (a.tick !== b.tick) return a.tick - b.tick;
-    if (a.type === b.type) return 0;
-    return a.type === "off" ? -1 : 1;
-  });
-
-  const track = [];
-  if (title.trim()) track.push(...toVarLen(0), ...metaTextEvent(0x03, title.trim())); // Track name
-  if (composer.trim()) track.push(...toVarLen(0), ...metaTextEvent(0x01, `Composer: ${composer.trim()}`));
+  const conductorEvents = [];
+  const pushMeta = (bytes) => conductorEvents.push({ tick: 0, kind: "meta", bytes });
+  if (title.trim()) pushMeta(metaTextEvent(0x03, title.trim())); // Track name
+  if (composer.trim()) pushMeta(metaTextEvent(0x01, `Composer: ${composer.trim()}`));
   const payloadMeta = payload ? encodePayloadMeta(payload) : "";
-  if (payloadMeta) track.push(...toVarLen(0), ...metaTextEvent(0x01, payloadMeta));
+  if (payloadMeta) pushMeta(metaTextEvent(0x01, payloadMeta));
   const tempo = Math.max(1, Math.round(60000000 / Math.max(1, Number(bpm) || 120)));
-  track.push(
-    ...toVarLen(0),
-    0xff,
-    0x51,
-    0x03,
-    (tempo >> 16) & 0xff,
-    (tempo >> 8) & 0xff,
-    tempo & 0xff
-  );
-
+  pushMeta([0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff]);
   const tsn = Math.max(1, Number(timeSig?.n) || 4);
   const tsd = Math.max(1, Number(timeSig?.d) || 4);
-  track.push(...toVarLen(0), 0xff, 0x58, 0x04, tsn & 0xff, denominatorPowerOfTwo(tsd) & 0xff, 24, 8);
-
-  let lastTick = 0;
-  for (const ev of events) {
-    const delta = ev.tick - lastTick;
-    lastTick = ev.tick;
-    track.push(...toVarLen(delta), ev.type === "on" ? onStatus : offStatus, ev.note & 0x7f, ev.velocity & 0x7f);
-  }
-
-  track.push(...toVarLen(0), 0xff, 0x2f, 0x00);
+  pushMeta([0xff, 0x58, 0x04, tsn & 0xff, denominatorPowerOfTwo(tsd) & 0xff, 24, 8]);
 
-  const header = [
-    0x4d, 0x54, 0x68, 0x64, // MThd
-    ...writeU32BE(6),
-    ...writeU16BE(0), // format 0
-    ...writeU16BE(1), // one track
-    ...writeU16BE(PPQ),
-  ];
-  const trackChunkHeader = [0x4d, 0x54, 0x72, 0x6b, ...writeU32BE(track.length)];
-  const bytes = new Uint8Array([...header, ...trackChunkHeader, ...track]);
-
-  const blob = new Blob([bytes], { type: "audio/midi" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `${sanitizeFilename(filename)}.mid`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+  downloadMidiFile(
+    buildMidiFileBytes({ conductorEvents, noteEvents, instruments, multiTrack, ppq: PPQ }),
+    filename
+  );
 }
 
+// Rows may carry `stickingAssignmentsByStep` for their beat to write sticking lyrics.
 export function exportArrangementMidi({
   rows,
   instruments,
+  noteMap = null,
+  velocities = DEFAULT_MIDI_EXPORT_VELOCITIES,
+  multiTrack = false,
   title = "",
   composer = "",
   filename = "drum-arrangement",
@@ -237,16 +368,22 @@ export function exportArrangementMidi({
   const channel = 9;
   const onStatus = 0x90 | channel;
   const offStatus = 0x80 | channel;
-  const timelineEvents = [];
+  const getNote = (inst) => noteMap?.[inst.id] ?? inst.midi;
+  const conductorEvents = [];
+  const noteEvents = [];
   let currentTick = 0;
   let previousTempo = null;
   let previousTimeSig = null;
+  const exportedIds = new Set(
+    instruments.filter((inst) => inst && Number.isFinite(getNote(inst))).map((inst) => inst.id)
+  );
 
   rows.forEach((row) => {
     const payload = row?.beat?.payload;
     if (!payload || typeof payload !== "object") return;
     const repeats = Math.max(1, Number(row?.repeats) || 1);
-    const bpm = Math.max(1, Number(row?.beatBpm || payload?.bpm) || 120);
+    // beatBpm is rounded for display; the beat keeps the exact tempo.
+    const bpm = Math.max(1, Number(row?.beat?.bpm || payload?.bpm || row?.beatBpm) || 120);
     const timeSig = {
       n: Math.max(1, Number(payload?.timeSig?.n) || 4),
       d: Math.max(1, Number(payload?.timeSig?.d) || 4),
@@ -262,12 +399,31 @@ export function exportArrangementMidi({
       localTick += tickLen;
     });
     const sectionDurationTicks = localTick;
-    const grid = payload?.grid && typeof payload.grid === "object" ? payload.grid : {};
+    // Slash, cue and tacet rows keep their tempo and meter but write no notes.
+    const grid =
+      isWrittenBeatRowType(row?.rowType) && payload?.grid && typeof payload.grid === "object" ? payload.grid : {};
+    const swingTicksByStep = buildSwingOffsetsQuarters(
+      stepQuarterDurations,
+      timeSig.n * (4 / timeSig.d),
+      normalizeSwing(row?.swingOverride || payload?.swing)
+    ).map((q) => Math.round(PPQ * q));
+    const dynamicScales = getDynamicScaleByStep(payload?.dynamics, payload?.hairpins, stepStarts.length);
+    // Roll lengths depend on the following hits, so rolls are timed on a dense copy of the grid.
+    const rollGrid = {};
+    instruments.forEach((inst) => {
+      const cells = Array.from({ length: stepStarts.length }, () => "off");
+      (Array.isArray(grid[inst?.id]) ? grid[inst.id] : []).forEach((event) => {
+        const step = Math.max(0, Math.floor(Number(event?.[0])));
+        const value = Number(event?.[1]) || 0;
+        if (step < cells.length && value > 0) cells[step] = getRollStateForCode(value) || "on";
+      });
+      if (inst?.id) rollGrid[inst.id] = cells;
+    });
 
     for (let repeatIndex = 0; repeatIndex < repeats; repeatIndex++) {
       const repeatStartTick = currentTick;
       if (previousTempo !== tempo) {
-        timelineEvents.push({
+        conductorEvents.push({
           tick: repeatStartTick,
           kind: "meta",
           bytes: [0xff, 0x51, 0x03, (tempo >> 16) & 0xff, (tempo >> 8) & 0xff, tempo & 0xff],
@@ -275,7 +431,7 @@ export function exportArrangementMidi({
         previousTempo = tempo;
       }
       if (previousTimeSig !== tsKey) {
-        timelineEvents.push({
+        conductorEvents.push({
           tick: repeatStartTick,
           kind: "meta",
           bytes: [0xff, 0x58, 0x04, timeSig.n & 0xff, denominatorPowerOfTwo(timeSig.d) & 0xff, 24, 8],
@@ -284,64 +440,81 @@ export function exportArrangementMidi({
       }
 
       for (const inst of instruments) {
-        if (!inst || !Number.isFinite(inst.midi)) continue;
+        if (!inst || !Number.isFinite(getNote(inst))) continue;
+        const note = getNote(inst) & 0x7f;
+        const pushNote = (onTick, offTick, velocity) => {
+          noteEvents.push({ tick: onTick, kind: "on", instId: inst.id, bytes: [onStatus, note, velocity & 0x7f] });
+          noteEvents.push({ tick: offTick, kind: "off", instId: inst.id, bytes: [offStatus, note, 0] });
+        };
         const rowEvents = Array.isArray(grid[inst.id]) ? grid[inst.id] : [];
         for (const event of rowEvents) {
           const step = Math.max(0, Math.floor(Number(event?.[0])));
           const value = Number(event?.[1]) || 0;
           if (step >= stepStarts.length || value <= 0) continue;
-          const tick = repeatStartTick + stepStarts[step];
-          const noteLen = Math.max(1, Math.floor((ticksByStep[step] || 1) * 0.95));
-          const velocity = value === 2 ? 56 : 100;
-          timelineEvents.push({ tick, kind: "on", bytes: [onStatus, inst.midi & 0x7f, velocity & 0x7f] });
-          timelineEvents.push({
-            tick: tick + noteLen,
-            kind: "off",
-            bytes: [offStatus, inst.midi & 0x7f, 0],
-          });
+          const swingTicks = swingTicksByStep[step] || 0;
+          const tick = repeatStartTick + stepStarts[step] + swingTicks;
+          const noteLen = Math.max(1, Math.floor(Math.max(1, (ticksByStep[step] || 1) - swingTicks) * 0.95));
+          const rollState = getRollStateForCode(value);
+          if (rollState) {
+            const rollTiming = getRollTiming(
+              rollGrid,
+              instruments.map((item) => item?.id),
+              inst.id,
+              step,
+              stepQuarterDurations,
+              timeSig
+            );
+            buildRollStrokeTicks(rollState, tick, Math.round(PPQ * rollTiming.quarters), PPQ, bpm, rollTiming.tied).forEach(
+              (stroke) => {
+                pushNote(
+                  stroke.tick,
+                  stroke.offTick,
+                  scaleMidiVelocity((stroke.velocity * velocities.on) / MIDI_HIT_VELOCITIES.on, dynamicScales[step])
+                );
+              }
+            );
+            continue;
+          }
+          const cell = value === 2 ? "ghost" : value === 3 ? "accent" : "on";
+          const graceState = getGraceNoteStateForCode(value);
+          if (graceState) {
+            buildGraceStrokeTicks(graceState, tick, PPQ, bpm).forEach((stroke) => {
+              pushNote(stroke.tick, stroke.offTick, scaleMidiVelocity(velocities.grace, dynamicScales[step]));
+            });
+          }
+          pushNote(tick, tick + noteLen, scaleMidiVelocity(getCellVelocity(cell, velocities), dynamicScales[step]));
         }
       }
+      if (Array.isArray(row?.stickingAssignmentsByStep)) {
+        row.stickingAssignmentsByStep.forEach((stickingMap, step) => {
+          if (step >= stepStarts.length) return;
+          pushStickingLyrics(
+            noteEvents,
+            repeatStartTick + stepStarts[step] + (swingTicksByStep[step] || 0),
+            stickingMap,
+            (instId) => exportedIds.has(instId) && (rollGrid[instId]?.[step] ?? "off") !== "off",
+            multiTrack
+          );
+        });
+      }
       currentTick += sectionDurationTicks;
     }
   });
 
-  timelineEvents.sort((a, b) => {
-    if (a.tick !== b.tick) return a.tick - b.tick;
-    if (a.kind === b.kind) return 0;
-    if (a.kind === "meta") return -1;
-    if (b.kind === "meta") return 1;
-    return a.kind === "off" ? -1 : 1;
-  });
-
-  const track = [];
-  if (title.trim()) pushTrackEvent(track, 0, metaTextEvent(0x03, title.trim()));
-  if (composer.trim()) pushTrackEvent(track, 0, metaTextEvent(0x01, `Composer: ${composer.trim()}`));
-
-  let lastTick = 0;
-  timelineEvents.forEach((ev) => {
-    const delta = ev.tick - lastTick;
-    lastTick = ev.tick;
-    pushTrackEvent(track, delta, ev.bytes);
-  });
-  track.push(...toVarLen(0), 0xff, 0x2f, 0x00);
-
-  const header = [
-    0x4d, 0x54, 0x68, 0x64,
-    ...writeU32BE(6),
-    ...writeU16BE(0),
-    ...writeU16BE(1),
-    ...writeU16BE(PPQ),
-  ];
-  const trackChunkHeader = [0x4d, 0x54, 0x72, 0x6b, ...writeU32BE(track.length)];
-  const bytes = new Uint8Array([...header, ...trackChunkHeader, ...track]);
+  const textEvents = [];
+  if (title.trim()) textEvents.push({ tick: 0, kind: "meta", bytes: metaTextEvent(0x03, title.trim()) });
+  if (composer.trim()) {
+    textEvents.push({ tick: 0, kind: "meta", bytes: metaTextEvent(0x01, `Composer: ${composer.trim()}`) });
+  }
 
-  const blob = new Blob([bytes], { type: "audio/midi" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `${sanitizeFilename(filename)}.mid`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+  downloadMidiFile(
+    buildMidiFileBytes({
+      conductorEvents: [...textEvents, ...conductorEvents],
+      noteEvents,
+      instruments,
+      multiTrack,
+      ppq: PPQ,
+    }),
+    filename
+  );
 }
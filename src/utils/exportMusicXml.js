@@ -0,0 +1,452 @@
+import { getGraceStrokeCount, isGraceNoteState } from "./graceNotes";
+import { getTremoloSlashCount, isRollState } from "./rolls";
+import { resolveNotationMap } from "./notationMap";
+import { normalizeDynamics, normalizeHairpins } from "./dynamics";
+import { NAVIGATION_JUMP_LABELS } from "./arrangementNavigation";
+
+// MusicXML (partwise) export of a notation state as built by
+// buildNotationStateFromPayload / mergeNotationStates: one percussion part with
+// unpitched notes on the notation-map staff positions, one <instrument> per drum.
+const MUSICXML_MIME = "application/vnd.recordare.musicxml+xml";
+const NOTEHEAD_VALUES = { normal: "normal", x: "x", circleX: "circle-x", diamond: "diamond", triangle: "triangle" };
+// Note types by length in quarter notes, longest first.
+const NOTE_TYPES = [
+  ["whole", 4],
+  ["half", 2],
+  ["quarter", 1],
+  ["eighth", 1 / 2],
+  ["16th", 1 / 4],
+  ["32nd", 1 / 8],
+  ["64th", 1 / 16],
+  ["128th", 1 / 32],
+];
+
+function sanitizeFilename(name) {
+  const base = String(name || "drum-grid")
+    .trim()
+    .replace(/[\\/:*?"<>|]+/g, "-")
+    .replace(/\s+/g, " ");
+  return base || "drum-grid";
+}
+
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+function getTupletNormalNotes(subdiv) {
+  let base = 1;
+  while (base * 2 <= subdiv) base *= 2;
+  return base;
+}
+
+// { type, dots } for a written length in quarter notes, or null.
+function getNoteType(quarters) {
+  for (const [type, length] of NOTE_TYPES) {
+    for (let dots = 0; dots <= 2; dots++) {
+      if (Math.abs(length * (2 - 1 / 2 ** dots) - quarters) < 1e-9) return { type, dots };
+    }
+  }
+  return null;
+}
+
+function typeXml({ type, dots }) {
+  return `<type>${type}</type>${"<dot/>".repeat(dots)}`;
+}
+
+function isBeamable(type) {
+  return NOTE_TYPES.findIndex(([name]) => name === type) > 2;
+}
+
+function getStickingTexts(step, { stickingAssignmentsByStep, notationStickingSelection }) {
+  const map = stickingAssignmentsByStep?.[step];
+  if (!map || typeof map !== "object") return [];
+  const hands = Object.entries(map)
+    .filter(([instId, hand]) => {
+      if (hand !== "L" && hand !== "R") return false;
+      if (!notationStickingSelection) return true;
+      return notationStickingSelection[`${instId}:${step}`] === true;
+    })
+    .map(([, hand]) => hand);
+  return ["R", "L"].filter((hand) => hands.includes(hand));
+}
+
+function directionXml(content, { placement = "above", sound = "", offset = 0 } = {}) {
+  return `<direction placement="${placement}"><direction-type>${content}</direction-type>${
+    offset > 0 ? `<offset>${offset}</offset>` : ""
+  }${sound ? `<sound ${sound}/>` : ""}</direction>`;
+}
+
+// Dynamics and hairpin directions by grid step. A hairpin stops on the step at
+// its end, so a stop comes before anything that starts on the same step.
+function buildDynamicsDirectionsByStep(notation) {
+  const byStep = new Map();
+  const add = (step, content) => byStep.set(step, [...(byStep.get(step) || []), content]);
+  const hairpins = normalizeHairpins(notation?.hairpins);
+  hairpins.forEach(({ end }) => add(end, '<wedge type="stop"/>'));
+  normalizeDynamics(notation?.dynamics).forEach(({ step, level }) => add(step, `<dynamics><${level}/></dynamics>`));
+  hairpins.forEach(({ start, type }) =>
+    add(start, `<wedge type="${type === "cresc" ? "crescendo" : "diminuendo"}"/>`)
+  );
+  return byStep;
+}
+
+// Left barline of a bar's arrangement navigation marks (see
+// buildNavigationMarksByBar).
+function buildNavigationStartBarlineXml(nav) {
+  if (!nav?.repeatStart && !nav?.endingStart) return [];
+  return [
+    `<barline location="left">${nav.repeatStart ? "<bar-style>heavy-light</bar-style>" : ""}${
+      nav.endingStart ? `<ending number="${nav.ending}" type="start">${nav.ending}.</ending>` : ""
+    }${nav.repeatStart ? '<repeat direction="forward"/>' : ""}</barline>`,
+  ];
+}
+
+function buildNavigationSignsXml(nav) {
+  if (!nav) return [];
+  const out = [];
+  if (nav.segno) out.push(directionXml("<segno/>", { sound: 'segno="segno"' }));
+  if (nav.coda) out.push(directionXml("<coda/>", { sound: 'coda="coda"' }));
+  return out;
+}
+
+// Jumps, "To Coda", "Fine" and the right barline at the end of a bar.
+function buildNavigationEndXml(nav) {
+  if (!nav) return [];
+  const out = [];
+  if (nav.toCoda) out.push(directionXml("<words>To Coda</words>", { sound: 'tocoda="coda"' }));
+  if (nav.fine) out.push(directionXml("<words>Fine</words>", { sound: 'fine="yes"' }));
+  if (nav.jump) {
+    out.push(
+      directionXml(`<words>${escapeXml(NAVIGATION_JUMP_LABELS[nav.jump] || "")}</words>`, {
+        sound: nav.jump.startsWith("ds") ? 'dalsegno="segno"' : 'dacapo="yes"',
+      })
+    );
+  }
+  if (nav.repeatEnd || nav.endingEnd) {
+    out.push(
+      `<barline location="right">${nav.repeatEnd ? "<bar-style>light-heavy</bar-style>" : ""}${
+        nav.endingEnd ? `<ending number="${nav.ending}" type="${nav.repeatEnd ? "stop" : "discontinue"}"/>` : ""
+      }${
+        nav.repeatEnd ? `<repeat direction="backward"${nav.repeatTimes > 2 ? ` times="${nav.repeatTimes}"` : ""}/>` : ""
+      }</barline>`
+    );
+  }
+  return out;
+}
+
+// Splits a run of `steps` grid steps into written values: a note keeps the
+// longest value that fits and the rest of the run is filled with rests.
+function splitSpan(steps, isNote, stepQuarters) {
+  const out = [];
+  let remaining = steps;
+  let first = true;
+  while (remaining > 0) {
+    let size = remaining;
+    while (size > 1 && !getNoteType(size * stepQuarters)) size--;
+    const noteType = getNoteType(size * stepQuarters);
+    if (!noteType) return out;
+    out.push({ steps: size, rest: !(isNote && first), noteType });
+    remaining -= size;
+    first = false;
+  }
+  return out;
+}
+
+export function buildMusicXml({
+  notation,
+  notationMap = null,
+  stickingAssignmentsByStep = [],
+  notationStickingSelection = null,
+  showSticking = false,
+  showStickingByBar = null,
+  sectionMarkers = [],
+  tempoMarkers = [],
+  barStyleByBar = null,
+  navigationByBar = null,
+  title = "",
+  composer = "",
+}) {
+  const instruments = (notation?.instruments || []).filter((inst) => inst?.id);
+  if (!notation || !instruments.length) throw new Error("No instrument data to export.");
+  const bars = Math.max(1, Number(notation.bars) || 1);
+  const resolvedMap = resolveNotationMap(notationMap);
+  const grid = notation.grid || {};
+  const stepOffsets = Array.isArray(notation.barStepOffsets) ? notation.barStepOffsets : [0];
+  const getBarTimeSig = (b) => {
+    const ts = notation.timeSigByBar?.[b] || notation.timeSig || {};
+    return { n: Math.max(1, Number(ts.n) || 4), d: Math.max(1, Number(ts.d) || 4) };
+  };
+  const getBarSubdivisions = (b) =>
+    (notation.quarterSubdivisionsByBar?.[b] || []).map((value) => Math.max(1, Number(value) || 1));
+
+  // Divisions per quarter so that every grid step is a whole number of them.
+  let stepLcm = 1;
+  for (let b = 0; b < bars; b++) {
+    const { d } = getBarTimeSig(b);
+    getBarSubdivisions(b).forEach((subdiv) => {
+      stepLcm = lcm(stepLcm, d * subdiv);
+    });
+  }
+  const divisions = stepLcm % 4 === 0 ? stepLcm / 4 : stepLcm;
+
+  const partInstruments = instruments.filter((inst) => resolvedMap[inst.id]).map((inst, index) => ({ ...inst, xmlId: `P1-I${index + 1}` }));
+  const sectionByBar = new Map(
+    (sectionMarkers || []).filter((m) => String(m?.text || "").trim()).map((m) => [Number(m.bar), String(m.text).trim()])
+  );
+  const tempoByBar = new Map(
+    (tempoMarkers || []).filter((m) => Number(m?.bpm) > 0).map((m) => [Number(m.bar), Math.round(Number(m.bpm) * 10) / 10])
+  );
+  const getBarStyle = (b) => (Array.isArray(barStyleByBar) ? barStyleByBar[b] : null) || null;
+  const getBarNavigation = (b) => (Array.isArray(navigationByBar) ? navigationByBar[b] : null) || null;
+  const dynamicsByStep = buildDynamicsDirectionsByStep(notation);
+
+  const measures = [];
+  let previousTimeSig = null;
+  let inSlashRun = false;
+  for (let b = 0; b < bars; b++) {
+    const ts = getBarTimeSig(b);
+    const subdivisions = getBarSubdivisions(b);
+    const barStart = Number(stepOffsets[b]) || 0;
+    const barStyle = getBarStyle(b);
+    const stickingShown = Array.isArray(showStickingByBar) && typeof showStickingByBar[b] === "boolean"
+      ? showStickingByBar[b]
+      : showSticking;
+    const beatQuarters = 4 / ts.d;
+    const barDuration = Math.round(divisions * beatQuarters * ts.n);
+    const barNavigation = getBarNavigation(b);
+    const barSteps = subdivisions.reduce((sum, n) => sum + n, 0);
+    const head = buildNavigationStartBarlineXml(barNavigation);
+    const attributes = [];
+    if (b === 0) attributes.push(`<divisions>${divisions}</divisions>`, "<key><fifths>0</fifths></key>");
+    const tsKey = `${ts.n}/${ts.d}`;
+    if (tsKey !== previousTimeSig) attributes.push(`<time><beats>${ts.n}</beats><beat-type>${ts.d}</beat-type></time>`);
+    if (b === 0) attributes.push("<clef><sign>percussion</sign></clef>");
+    const measureStyles = [];
+    if (barStyle?.type === "slashes" && !inSlashRun) measureStyles.push('<slash type="start" use-stems="no"/>');
+    if (barStyle?.type !== "slashes" && inSlashRun) measureStyles.push('<slash type="stop"/>');
+    inSlashRun = barStyle?.type === "slashes";
+    const restBars = barStyle?.type === "rest" ? Math.max(1, Number(barStyle.bars) || 1) : 1;
+    if (restBars > 1) measureStyles.push(`<multiple-rest>${restBars}</multiple-rest>`);
+    if (measureStyles.length) attributes.push(`<measure-style>${measureStyles.join("")}</measure-style>`);
+    if (attributes.length) head.push(`<attributes>${attributes.join("")}</attributes>`);
+    previousTimeSig = tsKey;
+    head.push(...buildNavigationSignsXml(barNavigation));
+    if (sectionByBar.has(b)) {
+      head.push(
+        `<direction placement="above"><direction-type><rehearsal>${escapeXml(sectionByBar.get(b))}</rehearsal></direction-type></direction>`
+      );
+    }
+    if (tempoByBar.has(b)) {
+      const bpm = tempoByBar.get(b);
+      head.push(
+        `<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${bpm}</per-minute></metronome></direction-type><sound tempo="${bpm}"/></direction>`
+      );
+    }
+
+    const getHits = (step) =>
+      partInstruments
+        .map((inst) => ({ inst, cell: grid[inst.id]?.[step] ?? "off" }))
+        .filter(({ cell }) => cell && cell !== "off");
+    let barHasHits = false;
+    for (let step = barStart; step < barStart + barSteps; step++) {
+      if (getHits(step).length) barHasHits = true;
+    }
+    // Dynamics of the steps `from`..`to`-1, placed `stepDuration` apart after
+    // `baseOffset` divisions from the current position.
+    const pushDynamics = (target, from, to, stepDuration, baseOffset = 0) => {
+      for (let step = from; step < to; step++) {
+        (dynamicsByStep.get(step) || []).forEach((content) =>
+          target.push(
+            directionXml(content, { placement: "below", offset: baseOffset + (step - from) * stepDuration })
+          )
+        );
+      }
+    };
+
+    const body = [];
+    if (!barHasHits || barStyle?.type === "rest") {
+      let beatStart = barStart;
+      let beatOffset = 0;
+      subdivisions.forEach((subdiv) => {
+        const stepDuration = Math.round((divisions * beatQuarters) / subdiv);
+        pushDynamics(body, beatStart, beatStart + subdiv, stepDuration, beatOffset);
+        beatStart += subdiv;
+        beatOffset += subdiv * stepDuration;
+      });
+      body.push(`<note><rest measure="yes"/><duration>${barDuration}</duration><voice>1</voice></note>`);
+    } else {
+      let beatStart = barStart;
+      subdivisions.forEach((subdiv) => {
+        const normalNotes = getTupletNormalNotes(subdiv);
+        const stepQuarters = beatQuarters / normalNotes;
+        const stepDuration = Math.round((divisions * beatQuarters) / subdiv);
+        const onsets = [];
+        for (let i = 0; i < subdiv; i++) if (getHits(beatStart + i).length) onsets.push(i);
+        const spans = [];
+        if (!onsets.length || onsets[0] > 0) spans.push({ start: 0, steps: onsets.length ? onsets[0] : subdiv, isNote: false });
+        onsets.forEach((start, i) => spans.push({ start, steps: (onsets[i + 1] ?? subdiv) - start, isNote: true }));
+        // A single value filling the beat needs no tuplet.
+        const wholeBeat = spans.length === 1;
+        const isTuplet = !wholeBeat && subdiv !== normalNotes;
+        const items = [];
+        spans.forEach((span) => {
+          let offset = span.start;
+          const parts = wholeBeat
+            ? [{ steps: subdiv, rest: !span.isNote, noteType: getNoteType(beatQuarters) }]
+            : splitSpan(span.steps, span.isNote, stepQuarters);
+          parts.forEach((part) => {
+            if (part.noteType) items.push({ ...part, step: beatStart + offset });
+            offset += part.steps;
+          });
+        });
+        const timeModification = isTuplet
+          ? `<time-modification><actual-notes>${subdiv}</actual-notes><normal-notes>${normalNotes}</normal-notes></time-modification>`
+          : "";
+        const beamable = items.map((item) => !item.rest && isBeamable(item.noteType.type));
+        items.forEach((item, index) => {
+          const duration = item.steps * stepDuration;
+          const tupletMark = !isTuplet
+            ? ""
+            : index === 0
+              ? '<tuplet type="start" bracket="yes"/>'
+              : index === items.length - 1
+                ? '<tuplet type="stop"/>'
+                : "";
+          pushDynamics(body, item.step, item.step + item.steps, stepDuration);
+          if (item.rest) {
+            body.push(
+              `<note><rest/><duration>${duration}</duration><voice>1</voice>${typeXml(item.noteType)}${timeModification}${
+                tupletMark ? `<notations>${tupletMark}</notations>` : ""
+              }</note>`
+            );
+            return;
+          }
+          const prevBeamed = index > 0 && beamable[index - 1];
+          const nextBeamed = index < items.length - 1 && beamable[index + 1];
+          const beam = !beamable[index]
+            ? ""
+            : prevBeamed && nextBeamed
+              ? '<beam number="1">continue</beam>'
+              : prevBeamed
+                ? '<beam number="1">end</beam>'
+                : nextBeamed
+                  ? '<beam number="1">begin</beam>'
+                  : "";
+          const hits = getHits(item.step);
+          hits.forEach(({ inst, cell }) => {
+            if (!isGraceNoteState(cell)) return;
+            const mapped = resolvedMap[inst.id];
+            const [letter, octave] = mapped.key.split("/");
+            const count = getGraceStrokeCount(cell);
+            for (let g = 0; g < count; g++) {
+              const graceBeam =
+                count < 2 ? "" : `<beam number="1">${g === 0 ? "begin" : g === count - 1 ? "end" : "continue"}</beam>`;
+              body.push(
+                `<note><grace${count === 1 ? ' slash="yes"' : ""}/><unpitched><display-step>${letter.toUpperCase()}</display-step><display-octave>${octave}</display-octave></unpitched><instrument id="${inst.xmlId}"/><voice>1</voice><type>${
+                  count === 1 ? "eighth" : "16th"
+                }</type><stem>up</stem><notehead>${NOTEHEAD_VALUES[mapped.notehead] || "normal"}</notehead>${graceBeam}</note>`
+              );
+            }
+          });
+          const sticking = stickingShown ? getStickingTexts(item.step, { stickingAssignmentsByStep, notationStickingSelection }) : [];
+          hits.forEach(({ inst, cell }, hitIndex) => {
+            const mapped = resolvedMap[inst.id];
+            const [letter, octave] = mapped.key.split("/");
+            const notehead = NOTEHEAD_VALUES[mapped.notehead] || "normal";
+            const notations = [];
+            if (hitIndex === 0 && tupletMark) notations.push(tupletMark);
+            if (cell === "accent") notations.push("<articulations><accent/></articulations>");
+            if (isRollState(cell)) {
+              notations.push(
+                cell === "buzz"
+                  ? '<ornaments><tremolo type="unmeasured">0</tremolo></ornaments>'
+                  : `<ornaments><tremolo type="single">${getTremoloSlashCount(cell)}</tremolo></ornaments>`
+              );
+            }
+            const lyrics =
+              hitIndex === 0
+                ? sticking
+                    .map(
+                      (hand, lyricIndex) =>
+                        `<lyric number="${lyricIndex + 1}" name="Sticking" placement="below"><syllabic>single</syllabic><text>${hand}</text></lyric>`
+                    )
+                    .join("")
+                : "";
+            body.push(
+              `<note>${hitIndex > 0 ? "<chord/>" : ""}<unpitched><display-step>${letter.toUpperCase()}</display-step><display-octave>${octave}</display-octave></unpitched><duration>${duration}</duration><instrument id="${inst.xmlId}"/><voice>1</voice>${typeXml(
+                item.noteType
+              )}${timeModification}<stem>up</stem><notehead${cell === "ghost" ? ' parentheses="yes"' : ""}>${notehead}</notehead>${
+                hitIndex === 0 ? beam : ""
+              }${notations.length ? `<notations>${notations.join("")}</notations>` : ""}${lyrics}</note>`
+            );
+          });
+        });
+        beatStart += subdiv;
+      });
+    }
+    const tail = [];
+    if (b === bars - 1) pushDynamics(tail, barStart + barSteps, barStart + barSteps + 1, 0);
+    tail.push(...buildNavigationEndXml(barNavigation));
+    for (let r = 0; r < restBars; r++) {
+      measures.push(
+        `<measure number="${measures.length + 1}">${r === 0 ? head.join("") : ""}${
+          r === 0 ? body.join("") : `<note><rest measure="yes"/><duration>${barDuration}</duration><voice>1</voice></note>`
+        }${r === restBars - 1 ? tail.join("") : ""}</measure>`
+      );
+    }
+  }
+
+  const scoreInstruments = partInstruments
+    .map((inst) => `<score-instrument id="${inst.xmlId}"><instrument-name>${escapeXml(inst.label || inst.id)}</instrument-name></score-instrument>`)
+    .join("");
+  const midiInstruments = partInstruments
+    .filter((inst) => Number.isFinite(inst.midi))
+    .map(
+      (inst) =>
+        `<midi-instrument id="${inst.xmlId}"><midi-channel>10</midi-channel><midi-unpitched>${inst.midi + 1}</midi-unpitched></midi-instrument>`
+    )
+    .join("");
+  const titleText = String(title || "").trim();
+  const composerText = String(composer || "").trim();
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    titleText ? `<work><work-title>${escapeXml(titleText)}</work-title></work>` : "",
+    titleText ? `<movement-title>${escapeXml(titleText)}</movement-title>` : "",
+    "<identification>",
+    composerText ? `<creator type="composer">${escapeXml(composerText)}</creator>` : "",
+    `<encoding><software>Drum Grid</software><encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date></encoding>`,
+    "</identification>",
+    `<part-list><score-part id="P1"><part-name>Drums</part-name>${scoreInstruments}${midiInstruments}</score-part></part-list>`,
+    `<part id="P1">${measures.join("\n")}</part>`,
+    "</score-partwise>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+export function exportMusicXml({ filename = "drum-grid", ...options }) {
+  const xml = buildMusicXml(options);
+  const blob = new Blob([xml], { type: MUSICXML_MIME });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${sanitizeFilename(filename)}.musicxml`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,10 +1,13 @@
 import { jsPDF } from "jspdf";
 import { svg2pdf } from "svg2pdf.js";
 import QRCode from "qrcode";
+import { addDrumKeyToPdf, normalizeDrumKeyPlacement } from "./drumKey";
 
 /**
  * Vector PDF export (no rasterization).
  * Converts each VexFlow <svg> inside containerEl into a PDF page using svg2pdf.js.
+ * `drumKeySvg` (see utils/drumKey) is printed above page 1 or on a page of its own
+ * before the music.
  */
 export async function exportNotationPdf(containerEl, opts = {}) {
   if (!containerEl) throw new Error("Notation container not found");
@@ -15,6 +18,8 @@ export async function exportNotationPdf(containerEl, opts = {}) {
   const watermarkEnabled = opts.watermark !== false;
   const includeSticking = opts.includeSticking === true;
   const qrText = String(opts.qrText || "").trim();
+  const drumKeySvg = opts.drumKeySvg || null;
+  const drumKeyPlacement = drumKeySvg ? normalizeDrumKeyPlacement(opts.drumKeyPlacement) : "off";
   const svgEls = Array.from(containerEl.querySelectorAll("svg"));
   if (svgEls.length === 0) throw new Error("No notation SVGs found to export");
 
@@ -34,14 +39,24 @@ export async function exportNotationPdf(containerEl, opts = {}) {
   const pad = 36; // 0.5 inch
   const maxW = pageW - pad * 2;
 
+  if (drumKeyPlacement === "page") {
+    await addDrumKeyToPdf(pdf, drumKeySvg, { x: pad, y: pad, maxWidth: maxW });
+  }
   for (let i = 0; i < svgEls.length; i++) {
     const svg = svgEls[i];
     const showHeader = i === 0 && (scoreTitle || composer);
-    const topPad = showHeader ? pad + 36 : pad;
+    const headerPad = showHeader ? pad + 36 : pad;
+    if (i > 0 || drumKeyPlacement === "page") pdf.addPage();
+    const drumKeyHeight =
+      i === 0 && drumKeyPlacement === "top"
+        ? await addDrumKeyToPdf(pdf, drumKeySvg, { x: pad, y: headerPad, maxWidth: maxW })
+        : 0;
+    const topPad = headerPad + (drumKeyHeight ? drumKeyHeight + 12 : 0);
     const maxH = pageH - topPad - pad;
 
     // Clone so we can safely adjust styling for print without touching UI
     const clone = svg.cloneNode(true);
+    clone.querySelectorAll(".dg-silent-bar").forEach((el) => el.remove());
 
     // Force print-friendly black strokes/fills while preserving stroke widths
     const style = document.createElementNS("http://www.w3.org/2000/svg", "style");
@@ -99,7 +114,6 @@ export async function exportNotationPdf(containerEl, opts = {}) {
     const x = pad + (maxW - outW) / 2;
     const y = topPad + (maxH - outH) / 2;
 
-    if (i > 0) pdf.addPage();
     if (showHeader) {
       if (scoreTitle) {
         pdf.setFont("helvetica", "bold");
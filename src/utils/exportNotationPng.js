@@ -78,6 +78,7 @@ export async function exportNotationPng(containerEl, opts = {}) {
 
   for (const entry of renderedSvgs) {
     const clone = entry.svgEl.cloneNode(true);
+    clone.querySelectorAll(".dg-silent-bar").forEach((el) => el.remove());
     const style = document.createElementNS("http://www.w3.org/2000/svg", "style");
     style.textContent = `
       * { stroke: ${color} !important; }
@@ -0,0 +1,44 @@
+export const GAP_CLICK_MODES = ["pattern", "random"];
+export const GAP_CLICK_TARGETS = ["drums", "click", "both"];
+export const DEFAULT_GAP_CLICK = {
+  enabled: false,
+  mode: "pattern",
+  playBars: 2,
+  muteBars: 2,
+  randomPercent: 30,
+  target: "drums",
+};
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizeGapClick(raw) {
+  if (!raw || typeof raw !== "object") return { ...DEFAULT_GAP_CLICK };
+  return {
+    enabled: raw.enabled === true,
+    mode: GAP_CLICK_MODES.includes(raw.mode) ? raw.mode : DEFAULT_GAP_CLICK.mode,
+    playBars: clampInt(raw.playBars, 1, 16, DEFAULT_GAP_CLICK.playBars),
+    muteBars: clampInt(raw.muteBars, 1, 16, DEFAULT_GAP_CLICK.muteBars),
+    randomPercent: clampInt(raw.randomPercent, 5, 95, DEFAULT_GAP_CLICK.randomPercent),
+    target: GAP_CLICK_TARGETS.includes(raw.target) ? raw.target : DEFAULT_GAP_CLICK.target,
+  };
+}
+
+export function gapClickMutesDrums(gapClick) {
+  return gapClick?.target === "drums" || gapClick?.target === "both";
+}
+
+export function gapClickMutesClick(gapClick) {
+  return gapClick?.target === "click" || gapClick?.target === "both";
+}
+
+// `barNumber` counts bars since playback started, so the pattern carries on
+// across loop repetitions. The first bar always plays as a reference.
+export function isGapBarMuted(gapClick, barNumber, random = Math.random) {
+  const n = Math.max(0, Math.floor(Number(barNumber) || 0));
+  if (!gapClick?.enabled || n === 0) return false;
+  if (gapClick.mode === "random") return random() * 100 < gapClick.randomPercent;
+  return n % (gapClick.playBars + gapClick.muteBars) >= gapClick.playBars;
+}
@@ -0,0 +1,47 @@
+// Grace-note cell states. The written hit is the main stroke; it is preceded by
+// one (flam), two (drag) or three (ruff) soft strokes on the same drum.
+export const GRACE_NOTE_STATES = ["flam", "drag", "ruff"];
+export const GRACE_NOTE_LABELS = { flam: "Flam", drag: "Drag", ruff: "Ruff" };
+export const GRACE_NOTE_INSTRUMENT_IDS = new Set(["snare", "tom1", "tom2", "floorTom"]);
+// Stored beat payloads keep cells as numeric codes (1 on, 2 ghost, 3 accent).
+export const GRACE_NOTE_CELL_CODES = { flam: 4, drag: 5, ruff: 6 };
+export const GRACE_NOTE_VELOCITY = 40;
+
+const GRACE_STROKE_COUNTS = { flam: 1, drag: 2, ruff: 3 };
+// Lead of each grace stroke before the main hit, earliest first. Drags and
+// ruffs are played as quick diddles, so their strokes sit closer together.
+const GRACE_STROKE_LEADS_SEC = {
+  flam: [0.03],
+  drag: [0.05, 0.025],
+  ruff: [0.066, 0.044, 0.022],
+};
+// Doubles closer than this are read as grace strokes on MIDI import.
+const MAX_GRACE_GAP_SEC = 0.045;
+
+export function isGraceNoteState(state) {
+  return Object.prototype.hasOwnProperty.call(GRACE_STROKE_COUNTS, state);
+}
+
+export function getGraceStrokeCount(state) {
+  return GRACE_STROKE_COUNTS[state] || 0;
+}
+
+export function getGraceStrokeLeadsSec(state) {
+  return GRACE_STROKE_LEADS_SEC[state] || [];
+}
+
+export function getGraceNoteStateForCode(code) {
+  return GRACE_NOTE_STATES.find((state) => GRACE_NOTE_CELL_CODES[state] === Number(code)) || null;
+}
+
+export function getGraceNoteStateForStrokeCount(count) {
+  const n = Math.floor(Number(count) || 0);
+  if (n < 1) return null;
+  return n === 1 ? "flam" : n === 2 ? "drag" : "ruff";
+}
+
+export function getMaxGraceGapTicks(ppq, bpm) {
+  const ticksPerSec = (Math.max(1, Number(ppq) || 480) * Math.max(1, Number(bpm) || 120)) / 60;
+  // Never wider than a 32nd note, so fast written figures stay separate hits.
+  return Math.min(Math.max(1, Number(ppq) || 480) / 8 - 1, Math.round(MAX_GRACE_GAP_SEC * ticksPerSec));
+}
@@ -0,0 +1,81 @@
+// Smallest steps-per-beat that puts every onset exactly on a step, or null.
+function getExactSubdivision(offsets, beatTicks) {
+  for (let subdiv = 1; subdiv <= 32; subdiv++) {
+    if (offsets.every((offset) => (offset * subdiv) % beatTicks === 0)) return subdiv;
+  }
+  return null;
+}
+
+function isPowerOfTwo(value) {
+  return value > 0 && (value & (value - 1)) === 0;
+}
+
+// Builds a beat payload from bars of timed hits. Each bar is `{ hits: [{ tick,
+// sourceKey, code }] }` with ticks counted from the bar start and `beatTicks`
+// ticks per beat; `assignments` maps a hit's sourceKey to an instrument id.
+// Every beat gets the smallest subdivision that holds its onsets exactly, falling
+// back to the closest tuplet when none fits.
+export function buildPayloadFromBarHits(bars, { timeSig, bpm, beatTicks, assignments }) {
+  const beatOffsets = bars.map((bar) => {
+    const byBeat = Array.from({ length: timeSig.n }, () => []);
+    bar.hits.forEach((hit) => {
+      const beat = Math.max(0, Math.min(timeSig.n - 1, Math.floor(hit.tick / beatTicks)));
+      byBeat[beat].push({ ...hit, offset: hit.tick - beat * beatTicks });
+    });
+    return byBeat;
+  });
+  const exact = beatOffsets.map((byBeat) =>
+    byBeat.map((hits) => getExactSubdivision(hits.map((hit) => hit.offset), beatTicks))
+  );
+  let requiredBase = 1;
+  exact.flat().forEach((subdiv) => {
+    if (subdiv && isPowerOfTwo(subdiv)) requiredBase = Math.max(requiredBase, subdiv);
+  });
+  const resolution =
+    [4, 8, 16, 32].find((res) => res / timeSig.d >= requiredBase && (res / timeSig.d) % requiredBase === 0) || 32;
+  const baseSubdiv = Math.max(1, Math.round(resolution / timeSig.d));
+  const snapError = (hits, subdiv) =>
+    hits.reduce((sum, hit) => {
+      const step = (hit.offset * subdiv) / beatTicks;
+      return sum + Math.abs(step - Math.round(step)) / subdiv;
+    }, 0);
+  const grid = {};
+  let stepOffset = 0;
+  const tupletsByBar = beatOffsets.map((byBeat, barIdx) =>
+    byBeat.map((hits, beatIdx) => {
+      const exactSubdiv = exact[barIdx][beatIdx];
+      let subdiv = baseSubdiv;
+      if (exactSubdiv && !(baseSubdiv % exactSubdiv === 0)) {
+        subdiv = exactSubdiv <= 12 ? exactSubdiv : baseSubdiv;
+      }
+      if (!exactSubdiv || exactSubdiv > 12) {
+        subdiv = [baseSubdiv, 3, 5, 6, 7, 9, 10, 12].reduce((best, candidate) =>
+          snapError(hits, candidate) < snapError(hits, best) - 1e-9 ? candidate : best
+        );
+      }
+      hits.forEach((hit) => {
+        const instId = assignments[hit.sourceKey];
+        if (!instId) return;
+        const step = stepOffset + Math.min(subdiv - 1, Math.round((hit.offset * subdiv) / beatTicks));
+        const row = grid[instId] || new Map();
+        row.set(step, Math.max(hit.code, row.get(step) || 0));
+        grid[instId] = row;
+      });
+      stepOffset += subdiv;
+      return subdiv === baseSubdiv ? null : subdiv;
+    })
+  );
+  const usedInstrumentIds = Object.keys(grid);
+  return {
+    v: 1,
+    kitInstrumentIds: usedInstrumentIds.length ? usedInstrumentIds : ["hihat", "snare", "kick"],
+    bars: bars.length,
+    resolution,
+    timeSig,
+    bpm,
+    tupletsByBar,
+    grid: Object.fromEntries(
+      Object.entries(grid).map(([instId, row]) => [instId, Array.from(row.entries()).sort((a, b) => a[0] - b[0])])
+    ),
+  };
+}
@@ -1,3 +1,10 @@
+import {
+  GRACE_NOTE_CELL_CODES,
+  GRACE_NOTE_INSTRUMENT_IDS,
+  getGraceNoteStateForStrokeCount,
+  getMaxGraceGapTicks,
+} from "./graceNotes";
+
 function readU16BE(bytes, offset) {
   return ((bytes[offset] || 0) << 8) | (bytes[offset + 1] || 0);
 }
@@ -384,6 +391,45 @@ function buildVelocityRanges(events) {
   return ranges;
 }
 
+// Near-simultaneous doubles on a snare or tom fold into one hit that carries
+// its grace strokes, instead of the softer stroke being lost when both land on
+// the same step. Longer runs are left alone; those are rolls, not rudiments.
+function collapseGraceStrokes(events, ppq, bpm) {
+  const maxGapTicks = getMaxGraceGapTicks(ppq, bpm);
+  if (maxGapTicks < 1) return events;
+  const eventsByInstrument = new Map();
+  events.forEach((event) => {
+    const instId = event.instrument?.id;
+    if (!GRACE_NOTE_INSTRUMENT_IDS.has(instId)) return;
+    const list = eventsByInstrument.get(instId) || [];
+    list.push(event);
+    eventsByInstrument.set(instId, list);
+  });
+  const graceEvents = new Set();
+  const graceStrokesByEvent = new Map();
+  eventsByInstrument.forEach((list) => {
+    list.sort((a, b) => a.tick - b.tick);
+    let runStart = 0;
+    for (let i = 1; i <= list.length; i++) {
+      // Notes on the exact same tick are layered duplicates, not grace strokes.
+      const gap = i < list.length ? list[i].tick - list[i - 1].tick : Infinity;
+      if (gap > 0 && gap <= maxGapTicks) continue;
+      const graceCount = i - 1 - runStart;
+      if (graceCount >= 1 && graceCount <= 3) {
+        for (let k = runStart; k < i - 1; k++) graceEvents.add(list[k]);
+        graceStrokesByEvent.set(list[i - 1], graceCount);
+      }
+      runStart = i;
+    }
+  });
+  if (!graceEvents.size) return events;
+  return events
+    .filter((event) => !graceEvents.has(event))
+    .map((event) =>
+      graceStrokesByEvent.has(event) ? { ...event, graceStrokes: graceStrokesByEvent.get(event) } : event
+    );
+}
+
 function quantizeEventsToPayload({
   events,
   instruments,
@@ -396,16 +442,20 @@ function quantizeEventsToPayload({
   velocityThresholds,
 }) {
   const instrumentLookups = buildInstrumentLookup(instruments);
-  const filteredEvents = events
-    .map((event) =>
-      event.instrument
-        ? event
-        : {
-            ...event,
-            instrument: getImportedInstrumentForEvent(event, instrumentLookups, noteAssignments),
-          }
-    )
-    .filter((event) => event.instrument);
+  const filteredEvents = collapseGraceStrokes(
+    events
+      .map((event) =>
+        event.instrument
+          ? event
+          : {
+              ...event,
+              instrument: getImportedInstrumentForEvent(event, instrumentLookups, noteAssignments),
+            }
+      )
+      .filter((event) => event.instrument),
+    ppq,
+    bpm
+  );
   if (!filteredEvents.length) {
     return {
       payload: {
@@ -487,8 +537,10 @@ function quantizeEventsToPayload({
       event.trackIndex
     );
     const ghostMax = getVelocityThresholdForInstrument(event.instrument?.id, velocityThresholds);
-    const cellValue =
-      explicitVelocityMode === "ghost"
+    const graceState = getGraceNoteStateForStrokeCount(event.graceStrokes);
+    const cellValue = graceState
+      ? GRACE_NOTE_CELL_CODES[graceState]
+      : explicitVelocityMode === "ghost"
         ? 2
         : explicitVelocityMode === "accent"
           ? 3
@@ -551,18 +603,37 @@ function buildBarsFromTimeline(maxTick, ppq, tempos, timeSigs) {
     }
     const quarterCount = getQuarterBeatsPerBar(currentTimeSig);
     const ticksPerBar = quarterCount * ppq * (4 / Math.max(1, currentTimeSig.d));
-    const endTick = tick + ticksPerBar;
+    let endTick = tick + ticksPerBar;
+    let barTimeSig = { ...currentTimeSig };
+    // A meter change restarts the bar count, so a bar it interrupts is cut short
+    // and written in whatever meter fits its length (e.g. a 2/4 bar before 3/4).
+    const nextTimeSig = sortedTimeSigs[tsIdx + 1];
+    if (nextTimeSig && nextTimeSig.tick > tick && nextTimeSig.tick < endTick) {
+      const partialTicks = nextTimeSig.tick - tick;
+      const d = [currentTimeSig.d, 8, 16].find((value) => (partialTicks * value) % (ppq * 4) === 0);
+      if (d) {
+        endTick = nextTimeSig.tick;
+        barTimeSig = { n: (partialTicks * d) / (ppq * 4), d };
+      }
+    }
     bars.push({
       startTick: tick,
       endTick,
       bpm: currentTempo,
-      timeSig: { ...currentTimeSig },
+      timeSig: barTimeSig,
     });
     tick = endTick;
   }
   return bars;
 }
 
+function hasBarTimelineChanges(barsTimeline) {
+  const first = barsTimeline[0];
+  return barsTimeline.some(
+    (bar) => bar.bpm !== first.bpm || bar.timeSig.n !== first.timeSig.n || bar.timeSig.d !== first.timeSig.d
+  );
+}
+
 function getPayloadBarStepCounts(payload) {
   const timeSig = payload?.timeSig || { n: 4, d: 4 };
   const quarterCount = getQuarterBeatsPerBar(timeSig);
@@ -823,7 +894,7 @@ export function importDrumMidi({
   const previewTimelineEvents = filteredEvents.length ? filteredEvents : mappedEvents;
   const previewMaxTick = previewTimelineEvents.reduce((max, event) => Math.max(max, Number(event.tick) || 0), 0);
   const previewBarsTimeline = buildBarsFromTimeline(previewMaxTick, ppq, tempos, timeSigs);
-  const previewHasTimelineChanges = tempos.length > 1 || timeSigs.length > 1;
+  const previewHasTimelineChanges = hasBarTimelineChanges(previewBarsTimeline);
   const previewTotalBars = Math.max(1, previewBarsTimeline.length || 1);
   const previewKind = previewHasTimelineChanges || previewTotalBars > 8 ? "arrangement" : "beat";
   if (unmappedCounts.size || trackConflicts.length) {
@@ -847,7 +918,7 @@ export function importDrumMidi({
   if (!filteredEvents.length) throw new Error("No mapped drum notes remain after import mapping.");
   const maxTick = filteredEvents.reduce((max, event) => Math.max(max, event.tick), 0);
   const barsTimeline = buildBarsFromTimeline(maxTick, ppq, tempos, timeSigs);
-  const hasTimelineChanges = tempos.length > 1 || timeSigs.length > 1;
+  const hasTimelineChanges = hasBarTimelineChanges(barsTimeline);
   const totalBars = barsTimeline.length;
   if (hasTimelineChanges || totalBars > 8) {
     const splitBars = Math.max(1, Math.min(8, Math.round(Number(arrangementSplitBars) || 1)));
@@ -973,3 +1044,19 @@ export function importDrumMidi({
     mappingEntries: mappingEntryList,
   };
 }
+
+// Maps a single live note-on (e.g. from a Web MIDI input) with the same
+// note and velocity rules as `importDrumMidi`. Returns null for unmapped notes.
+export function mapLiveMidiHit({ note, velocity, instruments, noteAssignments = {}, velocityThresholds = null }) {
+  const instrument = getImportedInstrumentForNote(
+    Number(note) || 0,
+    buildInstrumentLookup(instruments),
+    noteAssignments
+  );
+  if (!instrument) return null;
+  const ghostMax = getVelocityThresholdForInstrument(instrument.id, velocityThresholds);
+  return {
+    instId: instrument.id,
+    state: (Number(velocity) || 0) <= ghostMax ? "ghost" : "on",
+  };
+}
@@ -0,0 +1,396 @@
+import { GRACE_NOTE_CELL_CODES, getGraceNoteStateForStrokeCount } from "./graceNotes";
+import { ROLL_CELL_CODES } from "./rolls";
+import { resolveNotationMap } from "./notationMap";
+import { buildPayloadFromBarHits } from "./gridPayloadFromHits";
+
+// MusicXML import for percussion parts. Every <unpitched> note is keyed by its
+// part and <instrument> id (or its staff position and notehead when there is
+// none), so one mapping choice covers every hit of that source. Repeats and
+// endings are played out, and long parts are split into arrangement sections
+// the same way importDrumMidi does.
+const NOTEHEAD_BY_XML = { normal: "normal", x: "x", "circle-x": "circleX", diamond: "diamond", triangle: "triangle" };
+const TREMOLO_ROLLS = { 1: "tremolo8", 2: "tremolo16", 3: "tremolo32" };
+const MAX_BARS_PER_SECTION = 8;
+const MAX_UNROLLED_MEASURES = 2048;
+// Checked in order, so more specific names come first.
+const INSTRUMENT_NAME_ALIASES = [
+  ["hihatFoot", ["pedal hi-hat", "pedal hihat", "hi-hat foot", "hihat foot", "hh foot", "foot"]],
+  ["hihatOpen", ["open hi-hat", "open hihat", "hi-hat open", "hihat open", "hh open"]],
+  ["hihat", ["hi-hat", "hihat", "hi hat", "hh"]],
+  ["rideBell", ["ride bell", "bell"]],
+  ["ride", ["ride"]],
+  ["crash2", ["crash 2", "crash cymbal 2"]],
+  ["crash1", ["crash"]],
+  ["china", ["china"]],
+  ["splash", ["splash"]],
+  ["cowbell", ["cowbell"]],
+  ["sideStick", ["side stick", "sidestick", "cross stick", "rim"]],
+  ["snare", ["snare"]],
+  ["kick", ["bass drum", "kick"]],
+  ["floorTom", ["floor tom", "low tom"]],
+  ["tom2", ["mid tom", "tom 2", "low-mid tom"]],
+  ["tom1", ["high tom", "tom 1", "hi tom", "tom"]],
+];
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+function childText(el, selector) {
+  return String(el?.querySelector(selector)?.textContent || "").trim();
+}
+
+function directChildren(el, tagName) {
+  return Array.from(el?.children || []).filter((child) => child.tagName === tagName);
+}
+
+function parseMusicXmlDocument(text) {
+  const source = String(text || "");
+  if (source.startsWith("PK")) {
+    throw new Error("Compressed MusicXML (.mxl) is not supported. Export uncompressed MusicXML instead.");
+  }
+  const doc = new DOMParser().parseFromString(source, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("Invalid MusicXML file.");
+  const root = doc.documentElement;
+  if (root?.tagName === "score-timewise") throw new Error("Timewise MusicXML is not supported. Export a partwise score.");
+  if (root?.tagName !== "score-partwise") throw new Error("Invalid MusicXML file.");
+  return root;
+}
+
+function readPartInstruments(root) {
+  const out = new Map();
+  root.querySelectorAll("part-list > score-part").forEach((scorePart) => {
+    const partId = scorePart.getAttribute("id") || "";
+    const partName = childText(scorePart, "part-name");
+    const instruments = new Map();
+    scorePart.querySelectorAll("score-instrument").forEach((el) => {
+      instruments.set(el.getAttribute("id") || "", { name: childText(el, "instrument-name"), midi: null });
+    });
+    scorePart.querySelectorAll("midi-instrument").forEach((el) => {
+      const entry = instruments.get(el.getAttribute("id") || "");
+      const unpitched = Number(childText(el, "midi-unpitched"));
+      if (entry && Number.isFinite(unpitched) && unpitched > 0) entry.midi = unpitched - 1;
+    });
+    out.set(partId, { partName, instruments });
+  });
+  return out;
+}
+
+function readTempo(el) {
+  const sound = el.tagName === "sound" ? el : el.querySelector("sound[tempo]");
+  const soundTempo = Number(sound?.getAttribute("tempo"));
+  if (Number.isFinite(soundTempo) && soundTempo > 0) return soundTempo;
+  const metronome = el.querySelector("metronome");
+  const perMinute = Number(childText(metronome, "per-minute"));
+  if (!metronome || !Number.isFinite(perMinute) || perMinute <= 0) return null;
+  const unitQuarters = { whole: 4, half: 2, quarter: 1, eighth: 0.5, "16th": 0.25 }[childText(metronome, "beat-unit")] || 1;
+  const dotted = metronome.querySelector("beat-unit-dot") ? 1.5 : 1;
+  return perMinute * unitQuarters * dotted;
+}
+
+function readCellCode(noteEl, graceStrokes) {
+  const graceState = getGraceNoteStateForStrokeCount(graceStrokes);
+  if (graceState) return GRACE_NOTE_CELL_CODES[graceState];
+  const tremolo = noteEl.querySelector("notations ornaments tremolo");
+  if (tremolo && tremolo.getAttribute("type") !== "start" && tremolo.getAttribute("type") !== "stop") {
+    if (tremolo.getAttribute("type") === "unmeasured") return ROLL_CELL_CODES.buzz;
+    const roll = TREMOLO_ROLLS[Math.max(1, Math.min(3, Number(tremolo.textContent) || 1))];
+    return ROLL_CELL_CODES[roll];
+  }
+  if (noteEl.querySelector("notations articulations accent, notations articulations strong-accent")) return 3;
+  const notehead = noteEl.querySelector("notehead");
+  if (notehead?.getAttribute("parentheses") === "yes") return 2;
+  return 1;
+}
+
+// One entry per measure with its onsets in integer ticks (`ticksPerQuarter`
+// per quarter note), measured from the start of the measure.
+function readPartMeasures(partEl, partId, partInfo, ticksPerQuarter, sources) {
+  let divisions = 1;
+  let timeSig = { n: 4, d: 4 };
+  let endingNumbers = null;
+  let measureRepeatSize = 0;
+  return directChildren(partEl, "measure").map((measureEl) => {
+    const measure = {
+      timeSig,
+      tempo: null,
+      hits: [],
+      contentTicks: 0,
+      implicit: measureEl.getAttribute("implicit") === "yes",
+      repeatForward: false,
+      repeatBackward: false,
+      repeatTimes: 2,
+      endingNumbers: null,
+      repeatOf: 0,
+    };
+    let position = 0;
+    let lastOnset = 0;
+    const pendingGraces = new Map();
+    const toTicks = (value) => Math.round((Number(value) || 0) * (ticksPerQuarter / divisions));
+    Array.from(measureEl.children).forEach((el) => {
+      if (el.tagName === "attributes") {
+        const nextDivisions = Number(childText(el, "divisions"));
+        if (Number.isFinite(nextDivisions) && nextDivisions > 0) divisions = nextDivisions;
+        const time = el.querySelector("time");
+        if (time && childText(time, "beats")) {
+          timeSig = {
+            n: Math.max(1, Math.round(Number(childText(time, "beats").split("+")[0]) || 4)),
+            d: Math.max(1, Math.round(Number(childText(time, "beat-type")) || 4)),
+          };
+          measure.timeSig = timeSig;
+        }
+        el.querySelectorAll("measure-style measure-repeat").forEach((repeatEl) => {
+          measureRepeatSize = repeatEl.getAttribute("type") === "start" ? Math.max(1, Number(repeatEl.textContent) || 1) : 0;
+        });
+      } else if (el.tagName === "direction" || el.tagName === "sound") {
+        const tempo = readTempo(el);
+        if (tempo && measure.tempo == null) measure.tempo = tempo;
+      } else if (el.tagName === "backup") {
+        position = Math.max(0, position - toTicks(childText(el, "duration")));
+      } else if (el.tagName === "forward") {
+        position += toTicks(childText(el, "duration"));
+        measure.contentTicks = Math.max(measure.contentTicks, position);
+      } else if (el.tagName === "barline") {
+        const repeat = el.querySelector("repeat");
+        if (repeat?.getAttribute("direction") === "forward") measure.repeatForward = true;
+        if (repeat?.getAttribute("direction") === "backward") {
+          measure.repeatBackward = true;
+          measure.repeatTimes = Math.max(2, Number(repeat.getAttribute("times")) || 2);
+        }
+        const ending = el.querySelector("ending");
+        if (ending?.getAttribute("type") === "start") {
+          endingNumbers = String(ending.getAttribute("number") || "1")
+            .split(/[,\s]+/)
+            .map((value) => Number(value))
+            .filter((value) => Number.isFinite(value) && value > 0);
+          measure.endingNumbers = endingNumbers;
+        } else if (ending) {
+          measure.endingNumbers = endingNumbers;
+          endingNumbers = null;
+        }
+      } else if (el.tagName === "note") {
+        const isChord = !!el.querySelector("chord");
+        const isGrace = !!el.querySelector("grace");
+        const duration = isGrace ? 0 : toTicks(childText(el, "duration"));
+        const onset = isChord ? lastOnset : position;
+        if (!isChord && !isGrace) {
+          lastOnset = position;
+          position += duration;
+          measure.contentTicks = Math.max(measure.contentTicks, position);
+        }
+        const unpitched = el.querySelector("unpitched");
+        if (!unpitched || el.querySelector("cue")) return;
+        const ties = Array.from(el.querySelectorAll("tie")).map((tie) => tie.getAttribute("type"));
+        if (ties.includes("stop") && !ties.includes("start")) return;
+        const instrumentId = el.querySelector("instrument")?.getAttribute("id") || "";
+        const pitch = `${childText(unpitched, "display-step").toLowerCase()}/${childText(unpitched, "display-octave")}`;
+        const notehead = NOTEHEAD_BY_XML[childText(el, "notehead")] || "normal";
+        const sourceKey = instrumentId ? `${partId}:${instrumentId}` : `${partId}:${pitch}:${notehead}`;
+        if (!sources.has(sourceKey)) {
+          const scoreInstrument = partInfo?.instruments?.get(instrumentId);
+          sources.set(sourceKey, {
+            sourceKey,
+            name: scoreInstrument?.name || partInfo?.partName || "",
+            midi: scoreInstrument?.midi ?? null,
+            pitch,
+            notehead,
+            count: 0,
+          });
+        }
+        if (isGrace) {
+          pendingGraces.set(sourceKey, (pendingGraces.get(sourceKey) || 0) + 1);
+          return;
+        }
+        sources.get(sourceKey).count += 1;
+        measure.hits.push({ tick: onset, sourceKey, code: readCellCode(el, pendingGraces.get(sourceKey) || 0) });
+        pendingGraces.delete(sourceKey);
+      }
+    });
+    if (measureRepeatSize && !measure.hits.length) measure.repeatOf = measureRepeatSize;
+    if (endingNumbers && !measure.endingNumbers) measure.endingNumbers = endingNumbers;
+    return measure;
+  });
+}
+
+// Measure indices in playing order with repeats and numbered endings applied.
+function unrollMeasures(measures) {
+  const order = [];
+  let index = 0;
+  let start = 0;
+  let pass = 1;
+  while (index < measures.length && order.length < MAX_UNROLLED_MEASURES) {
+    const measure = measures[index];
+    if (measure.repeatForward && start !== index) {
+      start = index;
+      pass = 1;
+    }
+    if (measure.endingNumbers?.length && !measure.endingNumbers.includes(pass)) {
+      index += 1;
+      continue;
+    }
+    order.push(index);
+    if (measure.repeatBackward && pass < measure.repeatTimes) {
+      pass += 1;
+      index = start;
+      continue;
+    }
+    if (measure.repeatBackward) {
+      pass = 1;
+      start = index + 1;
+    }
+    index += 1;
+  }
+  return order;
+}
+
+function suggestInstrumentId(source, instruments, resolvedMap) {
+  const byId = new Map(instruments.map((inst) => [inst.id, inst]));
+  if (Number.isFinite(source.midi)) {
+    const byMidi = instruments.find((inst) => inst.midi === source.midi);
+    if (byMidi) return byMidi.id;
+  }
+  const name = String(source.name || "").toLowerCase();
+  if (name) {
+    const alias = INSTRUMENT_NAME_ALIASES.find(
+      ([instId, names]) => byId.has(instId) && names.some((candidate) => name.includes(candidate))
+    );
+    if (alias) return alias[0];
+  }
+  const byPosition = instruments.find((inst) => {
+    const mapped = resolvedMap[inst.id];
+    return mapped && mapped.key.split("/").slice(0, 2).join("/") === source.pitch && mapped.notehead === source.notehead;
+  });
+  return byPosition?.id || "";
+}
+
+export function importDrumMusicXml({
+  text,
+  instruments,
+  notationMap = null,
+  arrangementSplitBars = 1,
+  instrumentAssignments = {},
+}) {
+  const root = parseMusicXmlDocument(text);
+  const title = childText(root, "work > work-title") || childText(root, "movement-title");
+  const composer = childText(root, 'identification > creator[type="composer"]');
+  const partInstruments = readPartInstruments(root);
+  const partEls = directChildren(root, "part");
+
+  let divisionsLcm = 1;
+  root.querySelectorAll("attributes > divisions").forEach((el) => {
+    const value = Math.round(Number(el.textContent));
+    if (Number.isFinite(value) && value > 0) divisionsLcm = lcm(divisionsLcm, value);
+  });
+  // Whole ticks for any beat length up to a 32nd-note beat unit.
+  const ticksPerQuarter = divisionsLcm * 8;
+
+  const sources = new Map();
+  const parts = partEls.map((partEl) => {
+    const partId = partEl.getAttribute("id") || "";
+    return readPartMeasures(partEl, partId, partInstruments.get(partId), ticksPerQuarter, sources);
+  });
+  const percussionParts = parts.filter((measures) => measures.some((measure) => measure.hits.length));
+  if (!percussionParts.length) throw new Error("No percussion notes found in MusicXML file.");
+
+  const safeInstruments = (Array.isArray(instruments) ? instruments : []).filter((inst) => inst?.id);
+  const resolvedMap = resolveNotationMap(notationMap);
+  const mappingEntries = Array.from(sources.values())
+    .filter((source) => source.count > 0)
+    .map((source) => {
+      const hasAssignment = Object.prototype.hasOwnProperty.call(instrumentAssignments || {}, source.sourceKey);
+      const instrumentId = hasAssignment
+        ? String(instrumentAssignments[source.sourceKey] || "")
+        : suggestInstrumentId(source, safeInstruments, resolvedMap);
+      return { ...source, instrumentId };
+    });
+  const assignments = Object.fromEntries(
+    mappingEntries
+      .filter((entry) => entry.instrumentId && entry.instrumentId !== "ignore")
+      .map((entry) => [entry.sourceKey, entry.instrumentId])
+  );
+
+  // The first percussion part sets the bar layout; later ones add their hits.
+  const layout = percussionParts[0];
+  const order = unrollMeasures(layout);
+  let bpm = 120;
+  const bars = order.map((measureIdx) => {
+    const measure = layout[measureIdx];
+    const tempo = parts.map((measures) => measures[measureIdx]?.tempo).find((value) => value != null);
+    if (tempo) bpm = Math.max(20, Math.min(400, Math.round(tempo)));
+    const barTicks = Math.round((ticksPerQuarter * 4 * measure.timeSig.n) / measure.timeSig.d);
+    const hits = [];
+    percussionParts.forEach((measures) => {
+      let sourceIdx = measureIdx;
+      for (let guard = 0; measures[sourceIdx]?.repeatOf && guard < 64; guard++) {
+        sourceIdx -= measures[sourceIdx].repeatOf;
+      }
+      const source = measures[sourceIdx];
+      if (!source) return;
+      // Pickup bars are written short; their notes belong at the end of the bar.
+      const shift = measures[measureIdx]?.implicit ? Math.max(0, barTicks - source.contentTicks) : 0;
+      source.hits.forEach((hit) => {
+        const tick = hit.tick + shift;
+        if (tick < barTicks) hits.push({ ...hit, tick });
+      });
+    });
+    return { timeSig: measure.timeSig, bpm, hits };
+  });
+  while (bars.length > 1 && !bars[bars.length - 1].hits.length) bars.pop();
+
+  const usedInstrumentIds = Array.from(new Set(Object.values(assignments)));
+  const getBeatTicks = (timeSig) => Math.round((ticksPerQuarter * 4) / timeSig.d);
+  const hasTempo = parts.some((measures) => measures.some((measure) => measure.tempo));
+  const sameLayout = (a, b) => a.bpm === b.bpm && a.timeSig.n === b.timeSig.n && a.timeSig.d === b.timeSig.d;
+  const hasTimelineChanges = bars.some((bar) => !sameLayout(bar, bars[0]));
+  if (!hasTimelineChanges && bars.length <= MAX_BARS_PER_SECTION) {
+    return {
+      kind: "beat",
+      payload: buildPayloadFromBarHits(bars, {
+        timeSig: bars[0].timeSig,
+        bpm: bars[0].bpm,
+        beatTicks: getBeatTicks(bars[0].timeSig),
+        assignments,
+      }),
+      title,
+      composer,
+      hasTempo,
+      usedInstrumentIds,
+      mappingEntries,
+    };
+  }
+  const splitBars = Math.max(1, Math.min(MAX_BARS_PER_SECTION, Math.round(Number(arrangementSplitBars) || 1)));
+  const sections = [];
+  for (let idx = 0; idx < bars.length; ) {
+    let endIdx = idx;
+    while (endIdx + 1 < bars.length && endIdx - idx + 1 < splitBars && sameLayout(bars[endIdx + 1], bars[idx])) {
+      endIdx += 1;
+    }
+    const sectionBars = bars.slice(idx, endIdx + 1);
+    sections.push({
+      name: `${title || "Imported"} ${sections.length + 1}`,
+      bars: sectionBars.length,
+      bpm: bars[idx].bpm,
+      timeSig: bars[idx].timeSig,
+      payload: buildPayloadFromBarHits(sectionBars, {
+        timeSig: bars[idx].timeSig,
+        bpm: bars[idx].bpm,
+        beatTicks: getBeatTicks(bars[idx].timeSig),
+        assignments,
+      }),
+    });
+    idx = endIdx + 1;
+  }
+  return {
+    kind: "arrangement",
+    title,
+    composer,
+    hasTempo,
+    usedInstrumentIds,
+    mappingEntries,
+    sections,
+  };
+}
@@ -0,0 +1,70 @@
+// Measure-repeat (simile) signs in the sheet. A group of 1, 2 or 4 bars that
+// matches the group right before it is written as a repeat sign. Arrangement
+// rows can keep the automatic choice, suppress repeats or force a group size.
+export const MEASURE_REPEAT_MODES = ["auto", "off", "1", "2", "4"];
+export const MEASURE_REPEAT_MODE_LABELS = {
+  auto: "Auto",
+  off: "Off",
+  1: "1 bar",
+  2: "2 bars",
+  4: "4 bars",
+};
+
+const SPANS_BY_MODE = { auto: [4, 2, 1], off: [], 1: [1], 2: [2], 4: [4] };
+
+export function normalizeMeasureRepeatMode(raw) {
+  const mode = String(raw ?? "");
+  return MEASURE_REPEAT_MODES.includes(mode) ? mode : "auto";
+}
+
+// Per-bar plan: the first bar of a repeated group gets { type, leader,
+// followers } and the rest { type: "follower", leader }. The 2- and 4-bar signs
+// sit on a barline inside the group, so those two bars must share a system.
+export function planMeasureRepeats({ signatures, rowIndices = [], modes = [], blocked = [] }) {
+  const bars = Array.isArray(signatures) ? signatures.length : 0;
+  const plan = Array.from({ length: bars }, () => null);
+  const sameSystem = (a, b) => (rowIndices[a] ?? 0) === (rowIndices[b] ?? 0);
+  let cursor = 1;
+  while (cursor < bars) {
+    const mode = normalizeMeasureRepeatMode(modes[cursor]);
+    let assigned = false;
+    for (const span of SPANS_BY_MODE[mode]) {
+      const leader = cursor - span;
+      if (leader < 0 || cursor + span - 1 >= bars) continue;
+      if (span === 2 && !sameSystem(cursor, cursor + 1)) continue;
+      if (span === 4 && !sameSystem(cursor + 1, cursor + 2)) continue;
+      // Left to auto, a group that already repeats inside itself uses the smaller sign.
+      if (mode === "auto" && span === 2 && signatures[leader] === signatures[leader + 1]) continue;
+      if (
+        mode === "auto" &&
+        span === 4 &&
+        signatures[leader] === signatures[leader + 2] &&
+        signatures[leader + 1] === signatures[leader + 3]
+      ) {
+        continue;
+      }
+      let matches = true;
+      for (let offset = 0; offset < span; offset++) {
+        if (
+          blocked[leader + offset] ||
+          blocked[cursor + offset] ||
+          normalizeMeasureRepeatMode(modes[cursor + offset]) === "off" ||
+          signatures[leader + offset] !== signatures[cursor + offset]
+        ) {
+          matches = false;
+          break;
+        }
+      }
+      if (!matches) continue;
+      plan[cursor] = { type: String(span), leader, followers: span - 1 };
+      for (let offset = 1; offset < span; offset++) {
+        plan[cursor + offset] = { type: "follower", leader: cursor };
+      }
+      cursor += span;
+      assigned = true;
+      break;
+    }
+    if (!assigned) cursor += 1;
+  }
+  return plan;
+}
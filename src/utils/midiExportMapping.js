@@ -0,0 +1,103 @@
+import { GRACE_NOTE_VELOCITY } from "./graceNotes";
+
+// Canonical note per instrument for each drum player. The import tables in
+// midiMappingPresets read several notes per instrument (articulations, alternate
+// layouts); export writes the one note each player's default map plays as the
+// plain hit. Most players follow General MIDI for these; BFD3 uses its own
+// low-octave layout. Any note can still be overridden in the export dialog.
+const GENERAL_MIDI_NOTES = {
+  kick: 36,
+  sideStick: 37,
+  snare: 38,
+  floorTom: 41,
+  hihat: 42,
+  hihatFoot: 44,
+  tom2: 45,
+  hihatOpen: 46,
+  tom1: 48,
+  crash1: 49,
+  ride: 51,
+  china: 52,
+  rideBell: 53,
+  splash: 55,
+  cowbell: 56,
+  crash2: 57,
+};
+
+export const MIDI_EXPORT_NOTE_MAP_PRESETS = [
+  { id: "general-midi", label: "General MIDI", notes: GENERAL_MIDI_NOTES },
+  { id: "ezdrummer", label: "EZdrummer", notes: GENERAL_MIDI_NOTES },
+  { id: "superior-drummer", label: "Superior Drummer", notes: GENERAL_MIDI_NOTES },
+  { id: "addictive-drums-2", label: "Addictive Drums 2", notes: GENERAL_MIDI_NOTES },
+  { id: "steven-slate-drums", label: "Steven Slate Drums", notes: GENERAL_MIDI_NOTES },
+  {
+    id: "bfd3",
+    label: "BFD3",
+    notes: {
+      ...GENERAL_MIDI_NOTES,
+      kick: 24,
+      sideStick: 25,
+      snare: 26,
+      floorTom: 27,
+      hihatFoot: 28,
+      hihatOpen: 29,
+      tom2: 30,
+      hihat: 31,
+      tom1: 32,
+      china: 33,
+      rideBell: 34,
+      splash: 35,
+      ride: 39,
+    },
+  },
+  { id: "getgood-drums", label: "GetGood Drums", notes: GENERAL_MIDI_NOTES },
+  { id: "mt-power-drum-kit-2", label: "MT Power Drum Kit 2", notes: GENERAL_MIDI_NOTES },
+];
+export const MIDI_EXPORT_VELOCITY_STATES = ["on", "accent", "ghost", "grace"];
+export const MIDI_EXPORT_VELOCITY_LABELS = { on: "Hit", accent: "Accent", ghost: "Ghost", grace: "Grace" };
+// Velocity per hit state, shared by live MIDI out and the file export defaults.
+export const MIDI_HIT_VELOCITIES = { on: 100, accent: 127, ghost: 56, grace: GRACE_NOTE_VELOCITY, roll: 68, rollGhost: 52 };
+export const DEFAULT_MIDI_EXPORT_VELOCITIES = Object.fromEntries(
+  MIDI_EXPORT_VELOCITY_STATES.map((state) => [state, MIDI_HIT_VELOCITIES[state]])
+);
+
+const PRESET_BY_ID = Object.fromEntries(MIDI_EXPORT_NOTE_MAP_PRESETS.map((preset) => [preset.id, preset]));
+
+function clampMidiValue(raw, min, fallback) {
+  const n = Math.round(Number(raw));
+  return Number.isFinite(n) ? Math.max(min, Math.min(127, n)) : fallback;
+}
+
+export function normalizeMidiExportSettings(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const noteOverrides = {};
+  Object.entries(source.noteOverrides && typeof source.noteOverrides === "object" ? source.noteOverrides : {}).forEach(
+    ([instId, note]) => {
+      const value = clampMidiValue(note, 0, null);
+      if (instId && value != null) noteOverrides[instId] = value;
+    }
+  );
+  return {
+    presetId: PRESET_BY_ID[source.presetId] ? source.presetId : MIDI_EXPORT_NOTE_MAP_PRESETS[0].id,
+    noteOverrides,
+    velocities: Object.fromEntries(
+      MIDI_EXPORT_VELOCITY_STATES.map((state) => [
+        state,
+        clampMidiValue(source.velocities?.[state], 1, DEFAULT_MIDI_EXPORT_VELOCITIES[state]),
+      ])
+    ),
+    multiTrack: source.multiTrack === true,
+    stickingLyrics: source.stickingLyrics !== false,
+  };
+}
+
+// Instrument id -> exported note: override, then preset, then the instrument's own note.
+export function resolveMidiExportNoteMap(settings, instruments) {
+  const { presetId, noteOverrides } = normalizeMidiExportSettings(settings);
+  const presetNotes = PRESET_BY_ID[presetId]?.notes || {};
+  return Object.fromEntries(
+    (instruments || [])
+      .filter((inst) => inst?.id && Number.isFinite(inst.midi))
+      .map((inst) => [inst.id, noteOverrides[inst.id] ?? presetNotes[inst.id] ?? inst.midi])
+  );
+}
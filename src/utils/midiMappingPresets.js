@@ -0,0 +1,149 @@
+// Note -> instrument tables for MIDI import. Every preset except Manual starts
+// from the common fallback assignments and adds its own notes on top.
+export const MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS = {
+  21: "splash",
+  22: "hihat",
+  23: "hihat",
+  24: "hihat",
+  25: "hihatOpen",
+  26: "hihatOpen",
+  27: "crash1",
+  28: "crash2",
+  29: "ride",
+  30: "rideBell",
+  31: "sideStick",
+  32: "snare",
+  33: "kick",
+  34: "kick",
+  39: "snare",
+  54: "hihatOpen",
+  58: "crash2",
+};
+export const MIDI_IMPORT_MAPPING_PRESETS = [
+  { id: "manual", label: "Manual", assignments: {} },
+  {
+    id: "expanded-gm",
+    label: "Expanded GM",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      24: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+    },
+  },
+  {
+    id: "ezdrummer",
+    label: "EZdrummer",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "sideStick",
+      24: "hihatOpen",
+      25: "hihatOpen",
+      26: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+      54: "hihatOpen",
+    },
+  },
+  {
+    id: "common-edrums",
+    label: "Common e-drums",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+    },
+  },
+  {
+    id: "superior-drummer",
+    label: "Superior Drummer",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "sideStick",
+      24: "hihatOpen",
+      25: "hihatOpen",
+      26: "hihatOpen",
+      47: "tom2",
+      60: "hihatOpen",
+      62: "hihat",
+      63: "hihat",
+    },
+  },
+  {
+    id: "addictive-drums-2",
+    label: "Addictive Drums 2",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "hihatFoot",
+      24: "hihat",
+      25: "hihatOpen",
+      26: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+      54: "hihat",
+    },
+  },
+  {
+    id: "steven-slate-drums",
+    label: "Steven Slate Drums",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "sideStick",
+      24: "hihat",
+      25: "hihatOpen",
+      26: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+      54: "hihatOpen",
+    },
+  },
+  {
+    id: "bfd3",
+    label: "BFD3",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      24: "kick",
+      25: "sideStick",
+      26: "snare",
+      27: "floorTom",
+      28: "hihatFoot",
+      29: "hihatOpen",
+      30: "tom2",
+      31: "hihat",
+      32: "tom1",
+      33: "china",
+      34: "rideBell",
+      35: "splash",
+      39: "ride",
+      57: "crash2",
+      58: "crash2",
+    },
+  },
+  {
+    id: "getgood-drums",
+    label: "GetGood Drums",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "sideStick",
+      24: "hihatOpen",
+      25: "hihatOpen",
+      26: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+      54: "hihatOpen",
+    },
+  },
+  {
+    id: "mt-power-drum-kit-2",
+    label: "MT Power Drum Kit 2",
+    assignments: {
+      ...MIDI_IMPORT_COMMON_FALLBACK_ASSIGNMENTS,
+      21: "hihatFoot",
+      24: "hihat",
+      25: "hihatOpen",
+      31: "sideStick",
+      39: "snare",
+    },
+  },
+];
+export const MIDI_IMPORT_MAPPING_PRESET_BY_ID = Object.fromEntries(
+  MIDI_IMPORT_MAPPING_PRESETS.map((preset) => [preset.id, preset])
+);
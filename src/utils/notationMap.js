@@ -0,0 +1,163 @@
+// Where each instrument is written on the staff. Positions are diatonic steps
+// from the bottom line (e/4): even steps are lines, odd steps spaces, and
+// anything below 0 or above 8 sits on or between ledger lines. Each instrument
+// also belongs to the hands or the feet voice used by two-voice notation.
+export const FOOT_INSTRUMENTS = new Set(["kick", "hihatFoot"]);
+// Custom font glyphs (fonts/customSmuflFont.json) for ghost notes by notehead
+// and for the large circled-x notehead.
+export const CUSTOM_GHOST_GLYPHS = {
+  black: "noteheadBlackParensCustom",
+  x: "noteheadXBlackGhostSmallCustom",
+  circleX: "noteheadXBlackGhostSmallCustom",
+};
+export const CUSTOM_CIRCLED_X_GLYPH = "noteheadCircleX115FreshCustom";
+export const NOTEHEADS = ["normal", "x", "circleX", "diamond", "triangle"];
+export const NOTEHEAD_LABELS = {
+  normal: "Normal",
+  x: "X",
+  circleX: "Circle X",
+  diamond: "Diamond",
+  triangle: "Triangle",
+};
+export const NOTATION_VOICES = ["hands", "feet"];
+export const NOTATION_VOICE_LABELS = { hands: "Stems up", feet: "Stems down" };
+export const MIN_STAFF_POSITION = -6;
+export const MAX_STAFF_POSITION = 14;
+
+const NOTEHEAD_KEY_SUFFIX = { normal: "", x: "/x2", circleX: "/x3", diamond: "/d2", triangle: "/t2" };
+const STEP_LETTERS = ["c", "d", "e", "f", "g", "a", "b"];
+const BOTTOM_LINE_STEP = 4 * 7 + 2;
+
+export const NOTATION_MAP_PRESETS = ["standard", "rideAbove"];
+export const NOTATION_MAP_PRESET_LABELS = {
+  standard: "Standard (PAS / Weinberg)",
+  rideAbove: "Ride & cymbals above staff",
+};
+export const DEFAULT_NOTATION_MAP_PRESET = "standard";
+
+const PRESET_ENTRIES = {
+  standard: {
+    kick: [1, "normal"],
+    snare: [5, "normal"],
+    sideStick: [5, "x"],
+    hihat: [9, "x"],
+    hihatOpen: [9, "circleX"],
+    hihatFoot: [-1, "x"],
+    ride: [8, "x"],
+    rideBell: [8, "diamond"],
+    crash1: [10, "x"],
+    crash2: [11, "x"],
+    china: [10, "circleX"],
+    splash: [12, "x"],
+    cowbell: [7, "triangle"],
+    tom1: [7, "normal"],
+    tom2: [6, "normal"],
+    floorTom: [3, "normal"],
+  },
+  rideAbove: {
+    kick: [1, "normal"],
+    snare: [5, "normal"],
+    sideStick: [5, "x"],
+    hihat: [9, "x"],
+    hihatOpen: [9, "circleX"],
+    hihatFoot: [-1, "x"],
+    ride: [10, "x"],
+    rideBell: [10, "diamond"],
+    crash1: [11, "x"],
+    crash2: [12, "x"],
+    china: [11, "circleX"],
+    splash: [13, "x"],
+    cowbell: [8, "triangle"],
+    tom1: [7, "normal"],
+    tom2: [6, "normal"],
+    floorTom: [3, "normal"],
+  },
+};
+
+export function isNotationMapPreset(preset) {
+  return NOTATION_MAP_PRESETS.includes(preset);
+}
+
+// VexFlow key such as "g/5/x2" for a staff position and notehead.
+export function getNotationKey(position, notehead = "normal") {
+  const step = BOTTOM_LINE_STEP + Math.round(Number(position) || 0);
+  const letter = STEP_LETTERS[((step % 7) + 7) % 7];
+  return `${letter}/${Math.floor(step / 7)}${NOTEHEAD_KEY_SUFFIX[notehead] ?? ""}`;
+}
+
+export function getStaffPositionLabel(position) {
+  const pos = Math.round(Number(position) || 0);
+  const pitch = getNotationKey(pos).replace("/", "").toUpperCase();
+  if (pos >= 0 && pos <= 8) {
+    const label = pos % 2 === 0 ? `Line ${pos / 2 + 1}` : `Space ${(pos + 1) / 2}`;
+    return `${label} (${pitch})`;
+  }
+  const above = pos > 8;
+  const distance = above ? pos - 8 : -pos;
+  const ledger = Math.floor(distance / 2);
+  const side = above ? "above" : "below";
+  const label =
+    distance % 2 === 0
+      ? `Ledger line ${ledger} ${side}`
+      : ledger === 0
+        ? `Space ${side} staff`
+        : `Space ${side} ledger ${ledger}`;
+  return `${label} (${pitch})`;
+}
+
+function getDefaultVoice(instId) {
+  return FOOT_INSTRUMENTS.has(instId) ? "feet" : "hands";
+}
+
+// Stored shape: { preset, instruments: { [instId]: { position, notehead, voice } } },
+// where `instruments` only keeps entries that differ from the preset.
+export function normalizeNotationMap(raw) {
+  const preset = isNotationMapPreset(raw?.preset) ? raw.preset : DEFAULT_NOTATION_MAP_PRESET;
+  const base = PRESET_ENTRIES[preset];
+  const instruments = {};
+  Object.entries(raw?.instruments && typeof raw.instruments === "object" ? raw.instruments : {}).forEach(
+    ([instId, entry]) => {
+      if (!base[instId]) return;
+      const rawPosition = Math.round(Number(entry?.position));
+      const position = Number.isFinite(rawPosition)
+        ? Math.max(MIN_STAFF_POSITION, Math.min(MAX_STAFF_POSITION, rawPosition))
+        : base[instId][0];
+      const notehead = NOTEHEADS.includes(entry?.notehead) ? entry.notehead : base[instId][1];
+      const voice = NOTATION_VOICES.includes(entry?.voice) ? entry.voice : getDefaultVoice(instId);
+      if (position === base[instId][0] && notehead === base[instId][1] && voice === getDefaultVoice(instId)) return;
+      instruments[instId] = { position, notehead, voice };
+    }
+  );
+  return { preset, instruments };
+}
+
+export function isDefaultNotationMap(map) {
+  const normalized = normalizeNotationMap(map);
+  return normalized.preset === DEFAULT_NOTATION_MAP_PRESET && !Object.keys(normalized.instruments).length;
+}
+
+export function updateNotationMapInstrument(map, instId, updates) {
+  const normalized = normalizeNotationMap(map);
+  const base = PRESET_ENTRIES[normalized.preset][instId];
+  if (!base) return normalized;
+  const current = normalized.instruments[instId] || {
+    position: base[0],
+    notehead: base[1],
+    voice: getDefaultVoice(instId),
+  };
+  return normalizeNotationMap({
+    ...normalized,
+    instruments: { ...normalized.instruments, [instId]: { ...current, ...updates } },
+  });
+}
+
+// { [instId]: { position, notehead, voice, key } } for every mapped instrument.
+export function resolveNotationMap(map) {
+  const normalized = normalizeNotationMap(map);
+  const out = {};
+  Object.entries(PRESET_ENTRIES[normalized.preset]).forEach(([instId, [position, notehead]]) => {
+    const entry = normalized.instruments[instId] || { position, notehead, voice: getDefaultVoice(instId) };
+    out[instId] = { ...entry, key: getNotationKey(entry.position, entry.notehead) };
+  });
+  return out;
+}
@@ -0,0 +1,98 @@
+// Roll cell states: a buzz roll (Z on the stem) or a measured tremolo with one,
+// two or three slashes. A rolled hit sustains for its notated length, i.e. up
+// to the next step with any hit, never past the bar line. When that next hit
+// is the same roll on the same drum, the two are tied into one roll.
+export const ROLL_STATES = ["buzz", "tremolo8", "tremolo16", "tremolo32"];
+export const ROLL_LABELS = { buzz: "Buzz", tremolo8: "8th tremolo", tremolo16: "16th tremolo", tremolo32: "32nd tremolo" };
+export const ROLL_SHORT_LABELS = { buzz: "Z", tremolo8: "/", tremolo16: "//", tremolo32: "///" };
+export const ROLL_INSTRUMENT_IDS = new Set(["snare", "tom1", "tom2", "floorTom"]);
+// Stored beat payloads keep cells as numeric codes; grace notes use 4-6.
+export const ROLL_CELL_CODES = { buzz: 7, tremolo8: 8, tremolo16: 9, tremolo32: 10 };
+
+const TREMOLO_SLASHES = { tremolo8: 1, tremolo16: 2, tremolo32: 3 };
+const BUZZ_STROKE_SEC = 0.028;
+const MIN_STROKE_SEC = 0.02;
+
+export function isRollState(state) {
+  return ROLL_STATES.includes(state);
+}
+
+export function getRollStateForCode(code) {
+  return ROLL_STATES.find((state) => ROLL_CELL_CODES[state] === Number(code)) || null;
+}
+
+export function getTremoloSlashCount(state) {
+  return TREMOLO_SLASHES[state] || 0;
+}
+
+// none -> buzz -> 8th -> 16th -> 32nd -> none
+export function getNextRollState(state) {
+  const index = ROLL_STATES.indexOf(state);
+  return index < 0 ? ROLL_STATES[0] : ROLL_STATES[index + 1] || null;
+}
+
+function hasAnyHit(grid, instrumentIds, step) {
+  return instrumentIds.some((id) => (grid?.[id]?.[step] ?? "off") !== "off");
+}
+
+function findRollEndStep(grid, instrumentIds, step, quarterStarts, barQuarterLength) {
+  const barEndQuarter =
+    (Math.floor(quarterStarts[step] / barQuarterLength + 1e-9) + 1) * barQuarterLength;
+  let end = step + 1;
+  while (
+    end < quarterStarts.length - 1 &&
+    quarterStarts[end] < barEndQuarter - 1e-9 &&
+    !hasAnyHit(grid, instrumentIds, end)
+  ) {
+    end++;
+  }
+  return end;
+}
+
+// { quarters, tied } for the rolled hit of `instId` at `step`, or null when the
+// cell is not a roll.
+export function getRollTiming(grid, instrumentIds, instId, step, stepQuarterDurations, timeSig) {
+  const state = grid?.[instId]?.[step];
+  const durations = Array.isArray(stepQuarterDurations) ? stepQuarterDurations : [];
+  if (!isRollState(state) || step < 0 || step >= durations.length) return null;
+  const ids = Array.isArray(instrumentIds) ? instrumentIds : [];
+  const barQuarterLength =
+    Math.max(1, Math.round(Number(timeSig?.n) || 4)) * (4 / Math.max(1, Number(timeSig?.d) || 4));
+  const quarterStarts = [0];
+  durations.forEach((q, i) => quarterStarts.push(quarterStarts[i] + Math.max(0, Number(q) || 0)));
+  const end = findRollEndStep(grid, ids, step, quarterStarts, barQuarterLength);
+  let prev = step - 1;
+  while (prev >= 0 && !hasAnyHit(grid, ids, prev)) prev--;
+  const tied =
+    prev >= 0 &&
+    grid?.[instId]?.[prev] === state &&
+    findRollEndStep(grid, ids, prev, quarterStarts, barQuarterLength) === step;
+  return { quarters: quarterStarts[end] - quarterStarts[step], tied };
+}
+
+// Strokes of one roll as [{ offsetSec, gain, ghost }]. Tremolos are measured
+// (8ths, 16ths or 32nds at `bpm`), buzz rolls a fast unmeasured press. Small
+// timing and level variations keep them from sounding like a machine gun; the
+// first stroke is a normal hit unless the roll is tied into from the previous one.
+export function buildRollStrokes(state, durationSec, bpm, { tied = false, random = Math.random } = {}) {
+  if (!isRollState(state)) return [];
+  const total = Math.max(0, Number(durationSec) || 0);
+  const slashes = getTremoloSlashCount(state);
+  const interval = slashes
+    ? Math.max(MIN_STROKE_SEC, 60 / Math.max(1, Number(bpm) || 120) / 2 ** slashes)
+    : BUZZ_STROKE_SEC;
+  const jitterSec = slashes ? Math.min(0.004, interval * 0.08) : interval * 0.15;
+  const strokes = [];
+  for (let i = 0; i * interval < total - interval * 0.5 || i === 0; i++) {
+    const jitter = i === 0 ? 0 : (random() - 0.5) * 2 * jitterSec;
+    const level = (random() - 0.5) * 0.12;
+    const baseGain = slashes ? (i % 2 === 0 ? 0.62 : 0.55) : 0.4;
+    strokes.push({
+      offsetSec: Math.max(0, i * interval + jitter),
+      gain: i === 0 && !tied ? null : Math.max(0.05, Math.min(1, baseGain + level)),
+      // Buzz strokes and the weaker hand use the softer sample.
+      ghost: !slashes || i % 2 === 1,
+    });
+  }
+  return strokes;
+}
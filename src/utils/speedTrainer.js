@@ -0,0 +1,39 @@
+export const SPEED_TRAINER_MIN_BPM = 20;
+export const SPEED_TRAINER_MAX_BPM = 400;
+export const DEFAULT_SPEED_TRAINER = {
+  enabled: false,
+  startBpm: 80,
+  targetBpm: 120,
+  stepBpm: 5,
+  everyLoops: 4,
+  dropBack: false,
+};
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+export function normalizeSpeedTrainer(raw) {
+  if (!raw || typeof raw !== "object") return { ...DEFAULT_SPEED_TRAINER };
+  return {
+    enabled: raw.enabled === true,
+    startBpm: clampInt(raw.startBpm, SPEED_TRAINER_MIN_BPM, SPEED_TRAINER_MAX_BPM, DEFAULT_SPEED_TRAINER.startBpm),
+    targetBpm: clampInt(raw.targetBpm, SPEED_TRAINER_MIN_BPM, SPEED_TRAINER_MAX_BPM, DEFAULT_SPEED_TRAINER.targetBpm),
+    stepBpm: clampInt(raw.stepBpm, 1, 100, DEFAULT_SPEED_TRAINER.stepBpm),
+    everyLoops: clampInt(raw.everyLoops, 1, 64, DEFAULT_SPEED_TRAINER.everyLoops),
+    dropBack: raw.dropBack === true,
+  };
+}
+
+// Tempo after `completedLoops` loops. The ramp moves towards the target (up or
+// down) one step per `everyLoops` loops and then holds, or with `dropBack`
+// stays at the target for one step before starting over from `startBpm`.
+export function getSpeedTrainerBpm(trainer, completedLoops) {
+  const { startBpm, targetBpm, stepBpm, everyLoops, dropBack } = normalizeSpeedTrainer(trainer);
+  const span = Math.abs(targetBpm - startBpm);
+  const rampSteps = Math.ceil(span / stepBpm);
+  const stepsTaken = Math.floor(Math.max(0, Number(completedLoops) || 0) / everyLoops);
+  const stepIndex = dropBack ? stepsTaken % (rampSteps + 1) : Math.min(stepsTaken, rampSteps);
+  return startBpm + Math.sign(targetBpm - startBpm) * Math.min(span, stepIndex * stepBpm);
+}
@@ -0,0 +1,70 @@
+export const SWING_MIN_AMOUNT = 50;
+export const SWING_MAX_AMOUNT = 75;
+export const SWING_UNITS = [8, 16];
+export const STRAIGHT_SWING = { amount: SWING_MIN_AMOUNT, unit: 8 };
+export const SWING_PRESET_AMOUNTS = [50, 54, 58, 62, 67, 71, 75];
+
+export function normalizeSwing(raw) {
+  if (!raw || typeof raw !== "object") return { ...STRAIGHT_SWING };
+  const amount = Math.round(Number(raw.amount));
+  const unit = Number(raw.unit);
+  return {
+    amount: Number.isFinite(amount)
+      ? Math.max(SWING_MIN_AMOUNT, Math.min(SWING_MAX_AMOUNT, amount))
+      : SWING_MIN_AMOUNT,
+    unit: SWING_UNITS.includes(unit) ? unit : 8,
+  };
+}
+
+export function isSwingActive(swing) {
+  return Number(swing?.amount) > SWING_MIN_AMOUNT;
+}
+
+export function formatSwingLabel(swing) {
+  const normalized = normalizeSwing(swing);
+  if (!isSwingActive(normalized)) return "Straight";
+  return `${normalized.amount}% ${normalized.unit === 16 ? "16ths" : "8ths"}`;
+}
+
+function isBinaryQuarterFraction(quarterLength) {
+  const q = Number(quarterLength);
+  if (!Number.isFinite(q) || q <= 0) return false;
+  const exp = Math.log2(q);
+  return Math.abs(exp - Math.round(exp)) < 1e-6;
+}
+
+// Delay (in quarter notes) for a straight step that starts at `quarterPosInBar`.
+// Each swing pair (a quarter for 8th swing, an 8th for 16th swing) is warped so its
+// downbeat half takes `amount`% of the pair; tuplet steps are already uneven and
+// are left where they are.
+export function getSwingOffsetQuarters(quarterPosInBar, stepQuarterLength, swing) {
+  if (!isSwingActive(swing)) return 0;
+  if (!isBinaryQuarterFraction(stepQuarterLength)) return 0;
+  const { amount, unit } = normalizeSwing(swing);
+  const pairLength = unit === 16 ? 0.5 : 1;
+  const half = pairLength / 2;
+  const pos = Math.max(0, Number(quarterPosInBar) || 0);
+  const inPair = pos - Math.floor(pos / pairLength + 1e-9) * pairLength;
+  if (inPair < 1e-9 || pairLength - inPair < 1e-9) return 0;
+  const ratio = amount / 100;
+  const warped =
+    inPair < half
+      ? (inPair / half) * ratio * pairLength
+      : ratio * pairLength + ((inPair - half) / half) * (1 - ratio) * pairLength;
+  return Math.max(0, warped - inPair);
+}
+
+// Swing offsets for every step of a grid, measured from each bar's downbeat.
+export function buildSwingOffsetsQuarters(stepQuarterDurations, barQuarterLength, swing) {
+  const durations = Array.isArray(stepQuarterDurations) ? stepQuarterDurations : [];
+  if (!isSwingActive(swing)) return durations.map(() => 0);
+  const barLength = Math.max(1e-6, Number(barQuarterLength) || 4);
+  let quarterPos = 0;
+  return durations.map((raw) => {
+    const q = Math.max(0, Number(raw) || 0);
+    const barStart = Math.floor(quarterPos / barLength + 1e-9) * barLength;
+    const offset = getSwingOffsetQuarters(quarterPos - barStart, q, swing);
+    quarterPos += q;
+    return offset;
+  });
+}